@@ -1,12 +1,15 @@
 import "dotenv/config";
+import fs from "node:fs/promises";
 import path from "node:path";
 import { classify } from "./modules/classifier/run.js";
-import { analyzeRepo } from "./modules/detector/repo-analyzer.js";
+import { analyzeRepo, resolveSource } from "./modules/detector/repo-analyzer.js";
+import { describeProposal, proposeChanges } from "./modules/renderer/drift.js";
 import { render } from "./modules/renderer/render.js";
 
 //const repoUrl = "https://github.com/oringejooz/classifier-module.git";
 //const repoUrl = "https://github.com/KhushiJain2004/sample-node-repo.git";
-const repoUrl="https://github.com/KhushiJain2004/Devops_Lab.git";
+// A GitHub URL or a local directory / bare clone can also be passed: `npm run analyze -- ../my-repo`
+const repoUrl=process.argv[2] || "https://github.com/KhushiJain2004/Devops_Lab.git";
 //const repoUrl="https://github.com/dockersamples/helloworld-demo-node.git"
 //const repoUrl="https://github.com/oringejooz/demo-python-test.git"
 
@@ -14,8 +17,28 @@ const output = path.resolve('outputs/');
 const analyzerOutput=path.join(output,'feature.json');
 const classifierOutput=path.join(output,'values.json');
 const renderOutput=path.join(output,'ci.yml');
+const proposalOutput=path.join(output,'proposal');
 const template_type='intermediate.hbs';
 
 await analyzeRepo(repoUrl,analyzerOutput).catch((err) => console.error("Error:", err.message));
 await classify(analyzerOutput,classifierOutput).catch((err) => console.error("Error:", err.message));
-await render(classifierOutput,renderOutput,template_type).catch((err) => console.error("Error:", err.message));
\ No newline at end of file
+const rendered=await render(classifierOutput,renderOutput,template_type).catch((err) => console.error("Error:", err.message));
+
+// With existing workflows, the PR would only carry the missing capabilities, caching and upgrades
+if (rendered) {
+  const features=JSON.parse(await fs.readFile(analyzerOutput,'utf8'));
+  const values=JSON.parse(await fs.readFile(classifierOutput,'utf8'));
+  const source=resolveSource(repoUrl);
+  const proposal=await proposeChanges({ features, values, rendered, readFile:(p) => source.readFile(p), template_type });
+  await fs.rm(proposalOutput,{ recursive:true, force:true });
+  for (const file of proposal.files) {
+    await fs.mkdir(path.dirname(path.join(proposalOutput,file.path)),{ recursive:true });
+    await fs.writeFile(path.join(proposalOutput,file.path),file.content);
+  }
+  const { files, ...summary }=proposal;
+  await fs.writeFile(path.join(proposalOutput,'proposal.json'),JSON.stringify(summary,null,2));
+  // The pull request description, with the explanation report classify() wrote next to values.json
+  const explanation=await fs.readFile(path.join(output,'explanation.md'),'utf8').catch(() => '');
+  await fs.writeFile(path.join(proposalOutput,'pull_request.md'),describeProposal(proposal,{ explanation }).body);
+  console.log(`Proposal (${proposal.mode}): ${files.map((f) => f.path).join(', ') || 'no changes'}`);
+}
\ No newline at end of file
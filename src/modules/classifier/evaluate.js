@@ -0,0 +1,100 @@
+// src/modules/classifier/evaluate.js
+import fs from "fs/promises";
+import path from "path";
+import { classifyFeatures } from "./run.js";
+import { baselineOf, regressions, scoreResults } from "./utils/evaluation.js";
+import { loadCorpus } from "./utils/localModel.js";
+
+/**
+ * evaluate — classify every labeled feature.json of a corpus offline (rules, keyword heuristics,
+ * the local model only when `modelPath` is given, deterministic parameter extraction) and score
+ * the chosen templates and the expected values.json fields
+ * @param {string} corpusDir - directory with labels.json (see loadCorpus)
+ * @param {object} opts - { modelPath }
+ */
+export async function evaluate(corpusDir, opts = {}) {
+  const examples = await loadCorpus(corpusDir);
+  const results = [];
+  for (const e of examples) {
+    const values = await classifyFeatures(e.features, { offline: true, modelPath: opts.modelPath ?? null, log: () => {} });
+    results.push({ ...e, values });
+  }
+  return scoreResults(results);
+}
+
+const pct = (v) => (v === null || v === undefined ? "  n/a" : `${(v * 100).toFixed(1).padStart(5)}%`);
+
+function printReport(report) {
+  console.log(`📊 ${report.examples} examples`);
+  console.log(`   primary template accuracy: ${pct(report.primary_accuracy)}`);
+  console.log(`   labels (micro): precision ${pct(report.labels.micro.precision)}  recall ${pct(report.labels.micro.recall)}  f1 ${pct(report.labels.micro.f1)}`);
+  console.log(`   field accuracy: ${pct(report.field_accuracy)}`);
+
+  console.log("\nPer label:");
+  for (const [label, l] of Object.entries(report.per_label)) {
+    console.log(`   ${label.padEnd(12)} precision ${pct(l.precision)}  recall ${pct(l.recall)}  f1 ${pct(l.f1)}  (tp ${l.tp}, fp ${l.fp}, fn ${l.fn})`);
+  }
+
+  const predicted = [...new Set(Object.values(report.confusion).flatMap((row) => Object.keys(row)))].sort();
+  const expected = Object.keys(report.confusion).sort();
+  const width = Math.max(10, ...predicted.map((p) => p.length), ...expected.map((e) => e.length)) + 2;
+  console.log("\nPrimary template confusion (rows expected, columns predicted):");
+  console.log(" ".repeat(width + 3) + predicted.map((p) => p.padStart(width)).join(""));
+  for (const e of expected) {
+    console.log(`   ${e.padEnd(width)}${predicted.map((p) => String(report.confusion[e][p] || 0).padStart(width)).join("")}`);
+  }
+
+  if (report.mismatches.length) {
+    console.log("\nField mismatches:");
+    for (const m of report.mismatches) {
+      console.log(`   ${m.file}: ${m.field} expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.actual)}`);
+    }
+  }
+}
+
+// node src/modules/classifier/evaluate.js <corpusDir> [--baseline file] [--update-baseline] [--tolerance 0] [--model path] [--json file]
+if (process.argv[1] && process.argv[1].endsWith("evaluate.js")) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i === -1 ? undefined : args[i + 1];
+  };
+  const valued = new Set(["--baseline", "--tolerance", "--model", "--json"]);
+  // The last directory wins: `npm run evaluate -- ../my-corpus` replaces the built-in corpus
+  const corpusDir = args.filter((a, i) => !a.startsWith("--") && !valued.has(args[i - 1])).pop();
+  if (!corpusDir) {
+    console.error("Usage: npm run evaluate -- <corpusDir> [--baseline file] [--update-baseline] [--tolerance 0] [--model path] [--json file]");
+    process.exit(1);
+  }
+  const baselinePath = flag("baseline") || path.join(corpusDir, "baseline.json");
+
+  try {
+    const report = await evaluate(corpusDir, { modelPath: flag("model") });
+    printReport(report);
+    if (flag("json")) await fs.writeFile(flag("json"), JSON.stringify(report, null, 2), "utf8");
+
+    if (args.includes("--update-baseline")) {
+      await fs.writeFile(baselinePath, JSON.stringify(baselineOf(report), null, 2), "utf8");
+      console.log(`\n✅ Baseline written to ${baselinePath}`);
+    } else {
+      let baseline = null;
+      try {
+        baseline = JSON.parse(await fs.readFile(baselinePath, "utf8"));
+      } catch {
+        console.log(`\nℹ️ No baseline at ${baselinePath} — run with --update-baseline to store one`);
+      }
+      if (baseline) {
+        const failed = regressions(report, baseline, Number(flag("tolerance") || 0));
+        if (failed.length) {
+          console.error(`\n❌ Regressed against ${baselinePath}:`);
+          for (const r of failed) console.error(`   ${r.metric}: ${pct(r.baseline)} → ${pct(r.current)}`);
+          process.exit(1);
+        }
+        console.log(`\n✅ No regression against ${baselinePath}`);
+      }
+    }
+  } catch (err) {
+    console.error(err.message || err);
+    process.exit(1);
+  }
+}
@@ -1,70 +1,105 @@
 // src/modules/classifier/run.js
 import fs from "fs/promises";
+import path from "path";
+import { ensureEcosystemPlugins, listEcosystems } from "../ecosystems/registry.js";
 import { runRuleDetector } from "./utils/ruleDetector.js";
+import { ensureRulePacks } from "./utils/rulePacks.js";
 import { classifyZeroShot } from "./utils/hfclassifier.js";
+import { classifyLocal } from "./utils/localModel.js";
 import { mergeRuleAndHF, chooseTemplates } from "./utils/mergeUtils.js";
+import { explainValues, explanationMarkdown } from "./utils/explain.js";
 import { adaptiveExtract } from "./utils/paramExtractor.js";
 
 /**
- * Main classifier function
- * @param {string} inputPath - path to features.json
- * @param {string} outputPath - path to write values.json
+ * classifyFeatures — rules, zero-shot and local model signals merged into the chosen templates, then
+ * parameter extraction; values.json content for one feature.json
+ * @param {object} features - parsed feature.json
+ * @param {object} opts - { offline: heuristics instead of hosted models, modelPath: local model
+ *   (null → none), llmProvider: text-generation provider for parameter overrides (default: from
+ *   the environment, see llmProviders.js), log: progress logger }
  */
-export async function classify(
-  inputPath = "./features.json",
-  outputPath = "./values.json"
-) {
-  try {
-    const raw = await fs.readFile(inputPath, "utf8");
-    const features = JSON.parse(raw);
+export async function classifyFeatures(features, opts = {}) {
+  const { offline = false, log = console.log } = opts;
+  await ensureEcosystemPlugins();
+  await ensureRulePacks();
 
-    console.log("1) Rule detection...");
-    const { candidates, summary } = runRuleDetector(features);
-    console.log("   rule candidates:", candidates.slice(0, 5));
+  log("1) Rule detection...");
+  const { candidates, summary, rulePacks } = runRuleDetector(features);
+  log("   rule candidates:", candidates.slice(0, 5));
 
-    console.log("2) HF zero-shot (disambiguation)...");
-    const candidateLabels = Array.from(
-      new Set([
-        ...candidates.map((c) => c.label),
-        "node",
-        "python",
-        "java",
-        "go",
-        "docker",
-        "terraform",
-        "monorepo",
-        "generic",
-      ])
-    );
+  log("2) HF zero-shot (disambiguation)...");
+  const candidateLabels = Array.from(
+    new Set([
+      ...candidates.map((c) => c.label),
+      ...listEcosystems().map((e) => e.name),
+      "docker",
+      "monorepo",
+      "generic",
+    ])
+  );
 
-    const hfResult = await classifyZeroShot(summary, candidateLabels, {
-      multi_label: true,
-    });
-    console.log("   hf labels:", hfResult.labels?.slice(0, 10) || []);
+  const hfResult = await classifyZeroShot(summary, candidateLabels, {
+    multi_label: true,
+    offline,
+  });
+  log("   hf labels:", hfResult.labels?.slice(0, 10) || []);
 
-    console.log("3) Merge rule + HF signals...");
-    const mergedObj = mergeRuleAndHF(candidates, hfResult);
-    const chosen = chooseTemplates(mergedObj.merged, 0.5);
-    const primary = chosen[0];
-    console.log("   primary template:", primary);
+  // Trained with `npm run train`; works offline, unlike the hosted zero-shot model
+  const localResult = opts.modelPath === null ? null : await classifyLocal(features, { modelPath: opts.modelPath });
+  if (localResult) log("   local model labels:", localResult.labels.slice(0, 10));
 
-    console.log("4) Adaptive parameter extraction...");
-    const values = await adaptiveExtract(features, {
-      merged: mergedObj.merged,
-      chosen,
-      primary,
-    });
+  log("3) Merge rule + model signals...");
+  const mergedObj = mergeRuleAndHF(candidates, hfResult, localResult);
+  // docker and monorepo describe how a project is packaged or laid out: an ecosystem leads when one is chosen
+  const ecosystems = new Set(listEcosystems().map((e) => e.name));
+  const ranked = chooseTemplates(mergedObj.merged, 0.5);
+  const primary = ranked.find((label) => ecosystems.has(label)) ?? ranked[0];
+  const chosen = [primary, ...ranked.filter((label) => label !== primary)];
+  log("   primary template:", primary);
 
-    values._classifier = {
-      rules: candidates,
-      hf: hfResult,
+  log("4) Adaptive parameter extraction...");
+  const values = await adaptiveExtract(
+    features,
+    {
       merged: mergedObj.merged,
       chosen,
       primary,
-    };
+    },
+    { offline, provider: opts.llmProvider }
+  );
+
+  values._classifier = {
+    rules: candidates,
+    rule_packs: rulePacks,
+    hf: hfResult,
+    local: localResult,
+    merged: mergedObj.merged,
+    chosen,
+    primary,
+  };
+  return values;
+}
+
+/**
+ * Main classifier function
+ * @param {string} inputPath - path to features.json
+ * @param {string} outputPath - path to write values.json; explanation.json / explanation.md (why each
+ *   template and value was chosen) are written next to it
+ */
+export async function classify(
+  inputPath = "./features.json",
+  outputPath = "./values.json"
+) {
+  try {
+    const raw = await fs.readFile(inputPath, "utf8");
+    const features = JSON.parse(raw);
+    const values = await classifyFeatures(features);
 
     await fs.writeFile(outputPath, JSON.stringify(values, null, 2), "utf8");
     console.log("✅ values.json generated at", outputPath);
+    const report = explainValues(values);
+    await fs.writeFile(path.join(path.dirname(outputPath), "explanation.json"), JSON.stringify(report, null, 2), "utf8");
+    await fs.writeFile(path.join(path.dirname(outputPath), "explanation.md"), `${explanationMarkdown(report)}\n`, "utf8");
     console.log("Preview:", {
       project_type: values.project_type,
       language: values.language,
@@ -0,0 +1,53 @@
+// src/modules/classifier/train.js
+import { DEFAULT_MODEL_PATH, loadCorpus, predict, saveModel, trainModel } from "./utils/localModel.js";
+
+/**
+ * train — fit the local classifier on a corpus of labeled feature.json files and save it
+ * @param {string} corpusDir - directory with labels.json (see loadCorpus)
+ * @param {string} modelPath - where to write the model (LOCAL_MODEL_PATH / models/classifier.json)
+ * @param {object} opts - trainModel options (epochs, learningRate, l2, minCount)
+ */
+export async function train(corpusDir, modelPath = DEFAULT_MODEL_PATH, opts = {}) {
+  const examples = await loadCorpus(corpusDir);
+  console.log(`📚 ${examples.length} labeled examples from ${corpusDir}`);
+
+  const model = trainModel(examples, opts);
+  console.log(`   ${model.labels.length} labels, ${model.vocabulary.length} features`);
+
+  // Fit on the training set (held-out evaluation belongs to a separate corpus)
+  for (const label of model.labels) {
+    let correct = 0;
+    for (const e of examples) {
+      const result = predict(model, e.features);
+      const score = result.scores[result.labels.indexOf(label)];
+      if (score >= 0.5 === e.labels.includes(label)) correct++;
+    }
+    console.log(`   ${label}: ${((correct / examples.length) * 100).toFixed(1)}% on the training set`);
+  }
+
+  await saveModel(model, modelPath);
+  console.log(`✅ Model saved to ${modelPath}`);
+  return model;
+}
+
+// node src/modules/classifier/train.js <corpusDir> [--out models/classifier.json] [--epochs 300] [--l2 0.01] [--min-count 1]
+if (process.argv[1] && process.argv[1].endsWith("train.js")) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i === -1 ? undefined : args[i + 1];
+  };
+  const corpusDir = args.find((a, i) => !a.startsWith("--") && !args[i - 1]?.startsWith("--"));
+  if (!corpusDir) {
+    console.error("Usage: npm run train -- <corpusDir> [--out path] [--epochs n] [--l2 x] [--min-count n]");
+    process.exit(1);
+  }
+  const opts = {};
+  if (flag("epochs")) opts.epochs = Number(flag("epochs"));
+  if (flag("l2")) opts.l2 = Number(flag("l2"));
+  if (flag("min-count")) opts.minCount = Number(flag("min-count"));
+  train(corpusDir, flag("out") || DEFAULT_MODEL_PATH, opts).catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,377 @@
+// src/modules/classifier/utils/ciMigration.js
+import { serviceContainers } from "./serviceContainers.js";
+
+// Setup actions for the toolchains the old jobs used (version null → the action's usual default)
+const SETUP = {
+  node: { uses: "actions/setup-node@v4", input: "node-version", fallback: "lts/*" },
+  python: { uses: "actions/setup-python@v5", input: "python-version", fallback: "3.x" },
+  java: { uses: "actions/setup-java@v4", input: "java-version", fallback: "17", with: { distribution: "temurin" } },
+  go: { uses: "actions/setup-go@v5", input: "go-version", fallback: "stable" },
+  ruby: { uses: "ruby/setup-ruby@v1", input: "ruby-version", fallback: null, with: { "bundler-cache": true } },
+  php: { uses: "shivammathur/setup-php@v2", input: "php-version", fallback: "latest" },
+  rust: { uses: "dtolnay/rust-toolchain@master", input: "toolchain", fallback: "stable" },
+  dotnet: { uses: "actions/setup-dotnet@v4", input: "dotnet-version", fallback: "8.0.x" },
+};
+
+// Variables each CI system predefines, as GitHub Actions expressions
+const TAG_NAME = "github.ref_type == 'tag' && github.ref_name || ''";
+const PREDEFINED = {
+  gitlab: {
+    CI_COMMIT_SHA: "github.sha",
+    CI_COMMIT_REF_NAME: "github.ref_name",
+    CI_COMMIT_REF_SLUG: "github.ref_name",
+    CI_COMMIT_BRANCH: "github.ref_type == 'branch' && github.ref_name || ''",
+    CI_COMMIT_TAG: TAG_NAME,
+    CI_PROJECT_DIR: "github.workspace",
+    CI_PROJECT_NAME: "github.event.repository.name",
+    CI_PROJECT_PATH: "github.repository",
+    CI_PROJECT_NAMESPACE: "github.repository_owner",
+    CI_PROJECT_URL: "format('{0}/{1}', github.server_url, github.repository)",
+    CI_PIPELINE_ID: "github.run_id",
+    CI_PIPELINE_IID: "github.run_number",
+    CI_PIPELINE_SOURCE: "github.event_name",
+    CI_JOB_ID: "github.run_id",
+    CI_DEFAULT_BRANCH: "github.event.repository.default_branch",
+    CI_MERGE_REQUEST_IID: "github.event.pull_request.number",
+    CI_MERGE_REQUEST_TARGET_BRANCH_NAME: "github.base_ref",
+    CI_MERGE_REQUEST_SOURCE_BRANCH_NAME: "github.head_ref",
+    CI_REGISTRY: "'ghcr.io'",
+    CI_REGISTRY_IMAGE: "format('ghcr.io/{0}', github.repository)",
+    CI_REGISTRY_USER: "github.actor",
+    CI_REGISTRY_PASSWORD: "secrets.GITHUB_TOKEN",
+    CI_JOB_TOKEN: "secrets.GITHUB_TOKEN",
+  },
+  circleci: {
+    CIRCLE_SHA1: "github.sha",
+    CIRCLE_BRANCH: "github.head_ref || github.ref_name",
+    CIRCLE_TAG: TAG_NAME,
+    CIRCLE_BUILD_NUM: "github.run_number",
+    CIRCLE_WORKFLOW_ID: "github.run_id",
+    CIRCLE_PROJECT_REPONAME: "github.event.repository.name",
+    CIRCLE_PROJECT_USERNAME: "github.repository_owner",
+    CIRCLE_WORKING_DIRECTORY: "github.workspace",
+    CIRCLE_PULL_REQUEST: "github.event.pull_request.html_url",
+    CIRCLE_PR_NUMBER: "github.event.pull_request.number",
+    CIRCLE_REPOSITORY_URL: "format('{0}/{1}', github.server_url, github.repository)",
+  },
+  travis: {
+    TRAVIS_COMMIT: "github.sha",
+    TRAVIS_BRANCH: "github.base_ref || github.ref_name",
+    TRAVIS_PULL_REQUEST_BRANCH: "github.head_ref",
+    TRAVIS_TAG: TAG_NAME,
+    TRAVIS_BUILD_NUMBER: "github.run_number",
+    TRAVIS_BUILD_ID: "github.run_id",
+    TRAVIS_BUILD_DIR: "github.workspace",
+    TRAVIS_PULL_REQUEST: "github.event.pull_request.number || 'false'",
+    TRAVIS_REPO_SLUG: "github.repository",
+    TRAVIS_EVENT_TYPE: "github.event_name",
+  },
+  jenkins: {
+    BRANCH_NAME: "github.head_ref || github.ref_name",
+    GIT_BRANCH: "github.head_ref || github.ref_name",
+    GIT_COMMIT: "github.sha",
+    TAG_NAME: TAG_NAME,
+    BUILD_NUMBER: "github.run_number",
+    BUILD_ID: "github.run_id",
+    BUILD_URL: "format('{0}/{1}/actions/runs/{2}', github.server_url, github.repository, github.run_id)",
+    JOB_NAME: "github.workflow",
+    WORKSPACE: "github.workspace",
+    CHANGE_ID: "github.event.pull_request.number",
+    CHANGE_TARGET: "github.base_ref",
+    CHANGE_BRANCH: "github.head_ref",
+  },
+};
+
+// Prefixes of predefined variables; those missing above are reported instead of asked for as secrets
+const PROVIDER_PREFIX = { gitlab: /^(CI|GITLAB)_/, circleci: /^CIRCLE_/, travis: /^TRAVIS_/, jenkins: /^(BUILD|JOB|JENKINS|NODE|EXECUTOR|GIT|CHANGE)_/ };
+
+// Set by the runner or the shell itself
+const RUNTIME_VARIABLES = new Set([
+  "CI",
+  "HOME",
+  "PATH",
+  "PWD",
+  "OLDPWD",
+  "USER",
+  "SHELL",
+  "HOSTNAME",
+  "RANDOM",
+  "LANG",
+  "TERM",
+  "TMPDIR",
+  "IFS",
+  "UID",
+  "OSTYPE",
+  "SECONDS",
+  "LINENO",
+  "BASH_SOURCE",
+  "PIPESTATUS",
+]);
+
+const SECRET_NAME = /TOKEN|SECRET|PASSWORD|PASSWD|_PASS$|_PSW$|_KEY$|^KEY_|API_?KEY|PRIVATE|CREDENTIAL|AUTH/;
+
+const expr = (e) => `\${{ ${e} }}`;
+
+const jobId = (name) => {
+  const id = String(name).toLowerCase().replace(/[^a-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "") || "job";
+  return /^[a-z_]/.test(id) ? id : `job-${id}`;
+};
+
+const secretId = (name) => String(name).toUpperCase().replace(/[^A-Z0-9_]+/g, "_").replace(/^(\d)/, "_$1");
+
+// Variables a script reads: $X / ${X}, minus the ones it assigns itself
+function referenced(text) {
+  const source = String(text || "");
+  const assigned = new Set([...source.matchAll(/(?:^|[\s;(]|export\s+)([A-Za-z_]\w*)=/g)].map((m) => m[1]));
+  const loops = new Set([...source.matchAll(/\bfor\s+(\w+)\s+in\b|\bread\s+(?:-\w+\s+)*(\w+)/g)].map((m) => m[1] || m[2]));
+  return [...source.matchAll(/\$\{?([A-Za-z_]\w*)/g)]
+    .map((m) => m[1])
+    .filter((name) => !assigned.has(name) && !loops.has(name) && /^[A-Z][A-Z0-9_]*$/.test(name));
+}
+
+/**
+ * pick — the config to migrate: the first one (gitlab, circleci, jenkins, travis) with jobs
+ */
+function pick(configs) {
+  const usable = (configs || []).filter((c) => !c.parse_error && c.jobs?.length);
+  return { config: usable[0] || null, others: (configs || []).filter((c) => c !== usable[0]) };
+}
+
+/**
+ * migrateCi — the jobs of a GitLab CI / CircleCI / Jenkins / Travis config as GitHub Actions jobs:
+ * ids, needs from stage order, artifacts passed on with upload / download steps, service containers,
+ * predefined variables as workflow env, project variables as secrets / vars, triggers, and a report
+ * of what could not be carried over. Null when there is nothing to migrate.
+ */
+export function migrateCi(configs, { defaultBranch = "main" } = {}) {
+  const { config, others } = pick(configs);
+  if (!config) return null;
+  const provider = config.provider;
+  const notes = [...config.unmapped];
+  for (const other of others) {
+    notes.push(other.parse_error ? `${other.path}: not parsed (${other.parse_error})` : `${other.path}: also present, not migrated`);
+  }
+
+  // Job ids, unique
+  const ids = new Map();
+  for (const job of config.jobs) {
+    let id = jobId(job.name);
+    for (let n = 2; [...ids.values()].includes(id); n++) id = `${jobId(job.name)}-${n}`;
+    ids.set(job.name, id);
+  }
+
+  // Stage order: a job without explicit needs waits for the closest earlier stage with jobs
+  const stageIndex = (job) => config.stages.indexOf(job.stage);
+  const earlier = (job) => {
+    const before = config.jobs.filter((j) => stageIndex(j) >= 0 && stageIndex(j) < stageIndex(job));
+    const last = Math.max(-1, ...before.map(stageIndex));
+    return before.filter((j) => stageIndex(j) === last).map((j) => j.name);
+  };
+  const needsOf = (job) => (job.needs === null ? earlier(job) : job.needs).filter((n) => ids.has(n) && n !== job.name);
+
+  const predefined = PREDEFINED[provider] || {};
+  const globalEnv = { ...config.env };
+  const workflowEnv = {};
+  const secrets = new Set();
+  const vars = new Set();
+  const unmappedVariables = new Set();
+
+  // Variables set in the old system's project settings: secrets when the name says so, else vars
+  const projectVariable = (name) => {
+    if (SECRET_NAME.test(name)) {
+      secrets.add(name);
+      return expr(`secrets.${name}`);
+    }
+    vars.add(name);
+    return expr(`vars.${name}`);
+  };
+
+  // Non-shell fields (env values, images, cache keys, paths, URLs) read variables through expressions
+  const interpolate = (text, env = {}) =>
+    String(text ?? "").replace(/\$\{?([A-Za-z_]\w*)\}?/g, (m, name) => {
+      if (env[name] !== undefined && !String(env[name]).includes("$")) return env[name];
+      if (globalEnv[name] !== undefined && !String(globalEnv[name]).includes("$")) return globalEnv[name];
+      if (predefined[name]) return expr(predefined[name]);
+      if (!/^[A-Z][A-Z0-9_]*$/.test(name) || RUNTIME_VARIABLES.has(name) || env[name] !== undefined || globalEnv[name] !== undefined) return m;
+      return projectVariable(name);
+    });
+
+  const jobs = [];
+  for (const job of config.jobs) {
+    const id = ids.get(job.name);
+    const report = [...job.unmapped];
+    const needs = needsOf(job);
+    const env = Object.fromEntries(Object.entries(job.env || {}).map(([k, v]) => [k, interpolate(v, job.env)]));
+    const defined = new Set([...Object.keys(globalEnv), ...Object.keys(env), ...Object.keys(job.secrets || {})]);
+
+    // Services with health checks and localhost ports when the job runs on the runner
+    const services = [];
+    for (const s of job.services || []) {
+      const id = jobId(s.alias).replace(/-/g, "_");
+      const [container] = s.service ? serviceContainers([{ service: s.service, image: interpolate(s.image), environment: s.env }]).services : [];
+      if (!container) report.push(`service ${s.image}: no health check (the steps may start before it is ready)`);
+      services.push({
+        id,
+        image: interpolate(s.image),
+        env: container?.env || (Object.keys(s.env || {}).length ? s.env : null),
+        ports: container?.ports || [],
+        options: container?.options || null,
+      });
+    }
+
+    const steps = [];
+    const uploaded = new Set();
+    for (const step of job.steps) {
+      if (step.kind === "checkout") {
+        const withs = {};
+        if (step.submodules) withs.submodules = step.submodules === true ? "true" : step.submodules;
+        if (step.fetch_depth !== null && step.fetch_depth !== undefined) withs["fetch-depth"] = step.fetch_depth;
+        if (step.path && step.path !== ".") withs.path = step.path;
+        steps.push({ name: "Checkout", uses: "actions/checkout@v4", with: Object.keys(withs).length ? withs : null });
+        for (const tool of job.setup || []) {
+          const setup = SETUP[tool.tool];
+          if (!setup) continue;
+          const version = tool.version || setup.fallback;
+          steps.push({ name: `Set up ${tool.tool}`, uses: setup.uses, with: { ...(setup.with || {}), ...(version ? { [setup.input]: version } : {}) } });
+        }
+        // GitLab passes artifacts of earlier jobs (or `dependencies`) to every job
+        if (provider === "gitlab") {
+          const sources = (job.dependencies || (job.needs === null ? config.jobs.filter((j) => stageIndex(j) < stageIndex(job)).map((j) => j.name) : job.needs))
+            .map((name) => config.jobs.find((j) => j.name === name))
+            .filter((j) => j?.artifacts && j !== job);
+          for (const source of sources) {
+            // Matrix jobs upload one artifact per combination
+            const withs = source.matrix ? { pattern: `${ids.get(source.name)}-*`, "merge-multiple": true } : { name: ids.get(source.name) };
+            steps.push({ name: `Artifacts of ${source.name}`, uses: "actions/download-artifact@v4", with: withs });
+            if (!needs.includes(source.name) && job.needs !== null) report.push(`artifacts of ${source.name} (not in needs)`);
+          }
+        }
+      } else if (step.kind === "run") {
+        // Credentials bound around these steps only (Jenkins withCredentials, stage environment)
+        const bound = Object.fromEntries(Object.entries(step.secrets || {}).map(([name, secret]) => [name, expr(`secrets.${secretId(secret)}`)]));
+        for (const secret of Object.values(step.secrets || {})) secrets.add(secretId(secret));
+        for (const name of referenced(`${step.run}\n${Object.values(step.env || {}).join("\n")}`)) {
+          if (defined.has(name) || bound[name] || RUNTIME_VARIABLES.has(name)) continue;
+          defined.add(name);
+          if (predefined[name]) workflowEnv[name] = expr(predefined[name]);
+          else if (PROVIDER_PREFIX[provider]?.test(name)) unmappedVariables.add(name);
+          else env[name] = projectVariable(name);
+        }
+        steps.push({
+          name: step.name || String(step.run).trim().split("\n")[0].slice(0, 60),
+          condition: step.condition || null,
+          working_directory: step.working_directory || null,
+          env: Object.keys({ ...step.env, ...bound }).length ? { ...step.env, ...bound } : null,
+          run: step.run,
+        });
+      } else if (step.kind === "cache") {
+        const uses = step.policy === "restore" ? "actions/cache/restore@v4" : step.policy === "save" ? "actions/cache/save@v4" : "actions/cache@v4";
+        const withs = { path: step.paths.map((p) => interpolate(p, env)).join("\n"), key: interpolate(step.key, env) };
+        if (step.restore_keys?.length && step.policy !== "save") withs["restore-keys"] = step.restore_keys.map((k) => interpolate(k, env)).join("\n");
+        if (!step.paths.length) report.push(`${step.name}: no paths (restore_cache without a matching save_cache)`);
+        steps.push({ name: step.name, uses, with: withs });
+      } else if (step.kind === "upload") {
+        // Artifact names are unique per workflow run: reports add their job id, matrix jobs their index
+        let artifact = /^(test-results|artifacts)$/.test(step.artifact) ? `${step.artifact}-${id}` : step.artifact;
+        for (let n = 2; uploaded.has(artifact); n++) artifact = `${artifact.replace(/-\d+$/, "")}-${n}`;
+        uploaded.add(artifact);
+        if (job.matrix) artifact += "-${{ strategy.job-index }}";
+        const withs = { name: interpolate(artifact, env), path: step.paths.map((p) => interpolate(p, env)).join("\n") };
+        if (step.retention_days) withs["retention-days"] = step.retention_days;
+        steps.push({ name: step.name, condition: step.condition || null, uses: "actions/upload-artifact@v4", with: withs });
+      } else if (step.kind === "download") {
+        const withs = step.merge ? { pattern: step.artifact, "merge-multiple": true } : { name: step.artifact };
+        if (step.path && step.path !== ".") withs.path = step.path;
+        steps.push({ name: step.name, uses: "actions/download-artifact@v4", with: withs });
+      }
+    }
+    // GitLab artifacts: uploaded once the script ran (when: on_success / on_failure / always)
+    if (job.artifacts) {
+      const when = { always: "always()", on_failure: "failure()" }[job.artifacts.when] || null;
+      const withs = { name: job.matrix ? `${id}-\${{ strategy.job-index }}` : id, path: job.artifacts.paths.map((p) => interpolate(p, env)).join("\n") };
+      if (job.artifacts.retention_days) withs["retention-days"] = job.artifacts.retention_days;
+      steps.push({ name: "Artifacts", condition: when, uses: "actions/upload-artifact@v4", with: withs });
+    }
+
+    for (const [name, secret] of Object.entries(job.secrets || {})) {
+      env[name] = expr(`secrets.${secretId(secret)}`);
+      secrets.add(secretId(secret));
+    }
+
+    // Manual jobs wait for an environment's required reviewers
+    let environment = job.environment ? { name: interpolate(job.environment.name, env), url: job.environment.url ? interpolate(job.environment.url, env) : null } : null;
+    if (job.manual) {
+      environment = environment || { name: id, url: null };
+      report.push(`manual job: add required reviewers to the "${environment.name}" environment`);
+    }
+
+    jobs.push({
+      id,
+      name: job.display_name || job.name,
+      needs: needs.map((n) => ids.get(n)),
+      condition: job.if || null,
+      runs_on: job.runs_on || "ubuntu-latest",
+      container: job.image ? interpolate(job.image, env) : null,
+      services,
+      env: Object.keys(env).length ? env : null,
+      environment,
+      continue_on_error: Boolean(job.allow_failure),
+      timeout_minutes: job.timeout_minutes || null,
+      concurrency: job.concurrency ? interpolate(job.concurrency, env) : null,
+      matrix: job.matrix || null,
+      working_directory: job.working_directory || null,
+      steps,
+      report: [...new Set(report)],
+    });
+  }
+
+  for (const name of unmappedVariables) notes.push(`$${name}: no GitHub Actions equivalent (set it in the steps that read it)`);
+
+  const env = { ...workflowEnv, ...Object.fromEntries(Object.entries(globalEnv).map(([k, v]) => [k, interpolate(v)])) };
+  return {
+    source: { provider, path: config.path },
+    env: Object.keys(env).length ? env : null,
+    jobs,
+    triggers: migrationTriggers(config, jobs, defaultBranch),
+    secrets: [...secrets].sort(),
+    vars: [...vars].sort(),
+    report: { notes: [...new Set(notes)], jobs: jobs.filter((j) => j.report.length).map((j) => ({ id: j.id, items: j.report })) },
+  };
+}
+
+/**
+ * migrationTriggers — push to the default branch plus the branches / tags the job conditions name,
+ * pull requests, the old schedules, and manual runs
+ */
+function migrationTriggers(config, jobs, defaultBranch) {
+  // Refs a job is kept away from (!startsWith(…), != …) do not need a trigger
+  const conditions = jobs
+    .flatMap((j) => [j.condition, ...j.steps.map((s) => s.condition)])
+    .filter(Boolean)
+    .join("\n")
+    .replace(/!startsWith\([^)]*\)|github\.ref != '[^']*'/g, "");
+  const branches = new Set([defaultBranch, ...(config.triggers?.branches || [])]);
+  // format('refs/heads/{0}', …) is the default branch, already listed
+  for (const m of conditions.matchAll(/'refs\/heads\/([^'{]*)'/g)) branches.add(m[1]);
+  for (const m of conditions.matchAll(/startsWith\(github\.ref, 'refs\/heads\/([^']*)'\)/g)) {
+    branches.delete(m[1]);
+    branches.add(`${m[1]}**`);
+  }
+  const tags = new Set();
+  for (const m of conditions.matchAll(/'refs\/tags\/([^']*)'/g)) tags.add(m[1]);
+  for (const m of conditions.matchAll(/startsWith\(github\.ref, 'refs\/tags\/([^']*)'\)/g)) {
+    tags.delete(m[1]);
+    tags.add(`${m[1]}**`);
+  }
+  if (tags.has("**")) {
+    tags.clear();
+    tags.add("**");
+  }
+  return {
+    branches: [...branches].filter(Boolean),
+    tags: [...tags],
+    pull_request: true,
+    schedule: config.triggers?.schedule || [],
+    workflow_dispatch: true,
+  };
+}
@@ -0,0 +1,61 @@
+// src/modules/classifier/utils/containerBuilds.js
+
+// Stages meant for local work; when one of them is last, the shippable stage must be targeted
+const DEV_STAGES = /^(dev|development|debug|test|testing|ci)$/;
+const RELEASE_STAGES = /^(prod|production|release|runtime|final|app)$/;
+
+const MULTI_PLATFORM = ["linux/amd64", "linux/arm64"];
+
+/**
+ * buildArgValue — workflow expression for an ARG without default
+ * (commit/version ARGs come from the run; anything else from a repository variable)
+ */
+function buildArgValue(name) {
+  if (/^(GIT_)?(COMMIT|SHA|REVISION|COMMIT_SHA|VCS_REF)$|^GIT_SHA$/i.test(name)) return "${{ github.sha }}";
+  if (/(^|_)VERSION$/i.test(name)) return "${{ github.ref_name }}";
+  return `\${{ vars.${name} }}`;
+}
+
+function buildTarget(dockerfile) {
+  const named = (dockerfile.stages || []).map((s) => s.name).filter(Boolean);
+  if (!DEV_STAGES.test(dockerfile.final_stage || "")) return "";
+  return named.find((n) => RELEASE_STAGES.test(n)) || "";
+}
+
+function buildPlatforms(dockerfile) {
+  const stages = dockerfile.stages || [];
+  // An explicit --platform on the shipped stage wins over everything else
+  const last = stages[stages.length - 1];
+  if (last?.platform && !last.platform.includes("$")) return [last.platform];
+  return dockerfile.multi_platform ? MULTI_PLATFORM : ["linux/amd64"];
+}
+
+/**
+ * containerBuilds — one docker/build-push-action job per Dockerfile found by the analyzer
+ */
+export function containerBuilds(dockerfiles = []) {
+  const several = dockerfiles.length > 1;
+  return dockerfiles.map((d) => ({
+    name: d.name,
+    // Job ids and image names only get a suffix when there is more than one image
+    job_suffix: several ? d.name.replace(/-/g, "_") : "",
+    image_suffix: several ? d.name : "",
+    file: d.path,
+    context: d.context || ".",
+    target: buildTarget(d),
+    platforms: buildPlatforms(d),
+    build_args: (d.required_args || []).map((name) => `${name}=${buildArgValue(name)}`),
+    ports: d.exposed_ports || [],
+    healthcheck: d.healthcheck || null,
+    warnings: d.warnings || [],
+  }));
+}
+
+/**
+ * dockerBuildCommand — the equivalent local `docker build` for a build entry
+ */
+export function dockerBuildCommand(build) {
+  const file = build.file && build.file !== "Dockerfile" ? ` -f ${build.file}` : "";
+  const target = build.target ? ` --target ${build.target}` : "";
+  return `docker build${file}${target} -t ${build.name || "app"} ${build.context || "."}`;
+}
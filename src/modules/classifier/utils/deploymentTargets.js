@@ -0,0 +1,155 @@
+// src/modules/classifier/utils/deploymentTargets.js
+import { nodePackageManager } from "./packageManagers.js";
+import { nodeVersions } from "./versionMatrix.js";
+
+const secret = (name) => `\${{ secrets.${name} }}`;
+const variable = (name) => `\${{ vars.${name} }}`;
+
+const GCP_SECRETS = ["GCP_WORKLOAD_IDENTITY_PROVIDER", "GCP_SERVICE_ACCOUNT"];
+
+// Shell values for Cloud Build substitutions that only trigger-started builds get
+const SUBSTITUTION_VALUES = {
+  COMMIT_SHA: "${GITHUB_SHA}",
+  REVISION_ID: "${GITHUB_SHA}",
+  SHORT_SHA: "${GITHUB_SHA::7}",
+  BRANCH_NAME: "${GITHUB_REF_NAME}",
+  TAG_NAME: "${GITHUB_REF_NAME}",
+  REF_NAME: "${GITHUB_REF_NAME}",
+};
+
+/**
+ * Deploy job settings per provider:
+ * - label:   display name
+ * - preview: the provider can publish a throwaway deployment per pull request
+ * - node:    the provider CLI builds the project, so the job sets up Node.js
+ * - target:  secrets / variables / env / provider-specific fields for one config
+ */
+const PROVIDERS = {
+  vercel: {
+    label: "Vercel",
+    preview: true,
+    node: true,
+    target: (config) => ({
+      secrets: ["VERCEL_TOKEN", "VERCEL_ORG_ID", "VERCEL_PROJECT_ID"],
+      env: { VERCEL_ORG_ID: secret("VERCEL_ORG_ID"), VERCEL_PROJECT_ID: secret("VERCEL_PROJECT_ID") },
+      environment_url: "${{ steps.deploy.outputs.url }}",
+      warnings: config.git_deployments
+        ? [`${config.path}: Vercel's Git integration also deploys every push — set "git": { "deploymentEnabled": false } to deploy from CI only`]
+        : [],
+    }),
+  },
+  netlify: {
+    label: "Netlify",
+    preview: true,
+    node: true,
+    target: () => ({
+      secrets: ["NETLIFY_AUTH_TOKEN", "NETLIFY_SITE_ID"],
+      env: { NETLIFY_AUTH_TOKEN: secret("NETLIFY_AUTH_TOKEN"), NETLIFY_SITE_ID: secret("NETLIFY_SITE_ID") },
+      environment_url: "${{ steps.deploy.outputs.url }}",
+    }),
+  },
+  render: {
+    label: "Render",
+    // Render builds pull request previews itself (previews.generation in render.yaml)
+    preview: false,
+    target: (config) => {
+      const hooks = (config.services || []).map((s) => ({
+        name: s.name,
+        secret: `RENDER_DEPLOY_HOOK_${String(s.name).toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`,
+      }));
+      const auto = (config.services || []).filter((s) => s.auto_deploy).map((s) => s.name);
+      return {
+        secrets: hooks.map((h) => h.secret),
+        hooks: hooks.map((h) => ({ ...h, url: secret(h.secret) })),
+        warnings: auto.length
+          ? [
+              `${config.path}: ${auto.join(", ")} ${auto.length > 1 ? "also auto-deploy" : "also auto-deploys"} on push — set autoDeployTrigger: off to deploy from CI only`,
+            ]
+          : [],
+      };
+    },
+  },
+  heroku: {
+    label: "Heroku",
+    preview: false,
+    target: (config) => ({
+      secrets: ["HEROKU_API_KEY"],
+      vars: ["HEROKU_APP_NAME"],
+      env: { HEROKU_API_KEY: secret("HEROKU_API_KEY"), HEROKU_APP_NAME: variable("HEROKU_APP_NAME") },
+      // Heroku builds from heroku.yml at the root of what is pushed; subdirectories are pushed as a subtree
+      full_history: true,
+      push_ref: config.dir === "." ? "HEAD" : `"$(git subtree split --prefix ${config.dir} HEAD)"`,
+      working_directory: "",
+    }),
+  },
+  cloudbuild: {
+    label: "Cloud Build",
+    preview: false,
+    target: (config) => ({
+      secrets: GCP_SECRETS,
+      vars: ["GCP_PROJECT_ID"],
+      id_token: true,
+      substitutions: (config.builtin_substitutions || []).map((k) => `${k}=${SUBSTITUTION_VALUES[k]}`).join(","),
+      config_name: config.path.split("/").pop(),
+    }),
+  },
+  fly: {
+    label: "Fly.io",
+    preview: false,
+    target: (config) => ({
+      secrets: ["FLY_API_TOKEN"],
+      env: { FLY_API_TOKEN: secret("FLY_API_TOKEN") },
+      environment_url: config.app ? `https://${config.app}.fly.dev` : "",
+    }),
+  },
+  appengine: {
+    label: "App Engine",
+    // Pull requests deploy an unpromoted version that receives no traffic
+    preview: true,
+    target: (config) => ({
+      secrets: GCP_SECRETS,
+      vars: ["GCP_PROJECT_ID"],
+      id_token: true,
+      config_name: config.path.split("/").pop(),
+      environment_url: "${{ steps.deploy.outputs.version_url }}",
+    }),
+  },
+};
+
+/**
+ * deploymentTargets — one deploy job (plus a preview job where supported) per deployment config
+ */
+export function deploymentTargets(deployments = [], { projects = [], runtimeVersions = {} } = {}) {
+  const configs = deployments.filter((d) => PROVIDERS[d.provider] && !d.parse_error);
+  const nodeVersion = nodeVersions(runtimeVersions.node)?.version || "20.x";
+  return configs.map((config) => {
+    const def = PROVIDERS[config.provider];
+    // Two configs of one provider (e.g. web/vercel.json and docs/vercel.json) get the directory in the job id
+    const several = configs.filter((c) => c.provider === config.provider).length > 1;
+    const suffix = several ? `_${config.dir.split("/").pop().replace(/[^A-Za-z0-9]+/g, "_")}` : "";
+    const project = def.node ? projects.find((p) => p.ecosystem === "node" && p.path === config.dir) : null;
+    return {
+      provider: config.provider,
+      label: def.label,
+      job_id: `deploy_${config.provider}${suffix}`,
+      config_file: config.path,
+      working_directory: config.dir === "." ? "" : config.dir,
+      preview: def.preview,
+      node: def.node
+        ? {
+            ...nodePackageManager(project || {}),
+            node_version: nodeVersion,
+            cache_dependency_path: project?.lockfile || "",
+            installs: Boolean(project),
+          }
+        : null,
+      steps_partial: `gha/deploy-${config.provider}`,
+      secrets: [],
+      vars: [],
+      env: null,
+      environment_url: "",
+      warnings: [],
+      ...def.target(config),
+    };
+  });
+}
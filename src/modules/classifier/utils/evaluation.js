@@ -0,0 +1,137 @@
+// src/modules/classifier/utils/evaluation.js
+
+/**
+ * valueAt — a values.json field by dotted path ("matrix.node_versions", "stacks.0.id")
+ */
+export function valueAt(obj, dotted) {
+  return String(dotted)
+    .split(".")
+    .reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), obj);
+}
+
+// Key order does not matter when comparing expected and actual values
+function canonical(v) {
+  if (Array.isArray(v)) return `[${v.map(canonical).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+function ratio(num, den) {
+  return den ? Number((num / den).toFixed(4)) : null;
+}
+
+// A label never predicted (or never expected) has no precision (or recall); it counts as 0
+function f1(precision, recall) {
+  if (precision === null && recall === null) return null;
+  const p = precision ?? 0;
+  const r = recall ?? 0;
+  return p + r ? Number(((2 * p * r) / (p + r)).toFixed(4)) : 0;
+}
+
+/**
+ * scoreResults — metrics for classified corpus examples
+ * @param {Array<{file, labels, primary, expected, values}>} results - expectations next to values.json
+ * @returns {object} { examples, primary_accuracy, labels: { micro, macro_f1 }, per_label, confusion,
+ *   field_accuracy, fields, mismatches }
+ */
+export function scoreResults(results) {
+  const perLabel = {};
+  const counts = (label) => (perLabel[label] ||= { tp: 0, fp: 0, fn: 0 });
+  const confusion = {};
+  const fields = {};
+  const mismatches = [];
+  let primaryHits = 0;
+
+  for (const r of results) {
+    const chosen = r.values?._classifier?.chosen || [];
+    const predicted = r.values?._classifier?.primary ?? chosen[0] ?? null;
+
+    // Multi-label: every chosen template against the labelled ones
+    for (const label of new Set([...r.labels, ...chosen])) {
+      const c = counts(label);
+      if (r.labels.includes(label) && chosen.includes(label)) c.tp++;
+      else if (chosen.includes(label)) c.fp++;
+      else c.fn++;
+    }
+
+    // Primary template: expected (rows) × predicted (columns)
+    const row = (confusion[r.primary ?? "(none)"] ||= {});
+    row[predicted ?? "(none)"] = (row[predicted ?? "(none)"] || 0) + 1;
+    if (predicted === r.primary) primaryHits++;
+
+    for (const [field, expected] of Object.entries(r.expected || {})) {
+      const actual = valueAt(r.values, field);
+      const f = (fields[field] ||= { checked: 0, matched: 0 });
+      f.checked++;
+      if (canonical(actual) === canonical(expected)) f.matched++;
+      else mismatches.push({ file: r.file, field, expected, actual: actual ?? null });
+    }
+  }
+
+  const per_label = {};
+  let tp = 0;
+  let fp = 0;
+  let fn = 0;
+  for (const [label, c] of Object.entries(perLabel).sort(([a], [b]) => a.localeCompare(b))) {
+    const precision = ratio(c.tp, c.tp + c.fp);
+    const recall = ratio(c.tp, c.tp + c.fn);
+    per_label[label] = { ...c, precision, recall, f1: f1(precision, recall) };
+    tp += c.tp;
+    fp += c.fp;
+    fn += c.fn;
+  }
+  const scored = Object.values(per_label).filter((l) => l.f1 !== null);
+  const microPrecision = ratio(tp, tp + fp);
+  const microRecall = ratio(tp, tp + fn);
+  const checked = Object.values(fields).reduce((s, f) => s + f.checked, 0);
+  const matched = Object.values(fields).reduce((s, f) => s + f.matched, 0);
+
+  return {
+    examples: results.length,
+    primary_accuracy: ratio(primaryHits, results.length),
+    labels: {
+      micro: { precision: microPrecision, recall: microRecall, f1: f1(microPrecision, microRecall) },
+      macro_f1: scored.length ? Number((scored.reduce((s, l) => s + l.f1, 0) / scored.length).toFixed(4)) : null,
+    },
+    per_label,
+    confusion,
+    field_accuracy: ratio(matched, checked),
+    fields: Object.fromEntries(Object.entries(fields).map(([k, f]) => [k, { ...f, accuracy: ratio(f.matched, f.checked) }])),
+    mismatches,
+  };
+}
+
+/**
+ * baselineOf — the metrics a later run must not fall below (the stored baseline file)
+ */
+export function baselineOf(report) {
+  return {
+    examples: report.examples,
+    primary_accuracy: report.primary_accuracy,
+    label_f1: report.labels.micro.f1,
+    field_accuracy: report.field_accuracy,
+    per_label_f1: Object.fromEntries(Object.entries(report.per_label).map(([label, l]) => [label, l.f1])),
+  };
+}
+
+/**
+ * regressions — every baseline metric the report falls below by more than `tolerance`
+ */
+export function regressions(report, baseline, tolerance = 0) {
+  const current = baselineOf(report);
+  const out = [];
+  const check = (metric, before, now) => {
+    if (before === null || before === undefined) return;
+    if (now === null || now === undefined || now < before - tolerance) out.push({ metric, baseline: before, current: now ?? null });
+  };
+  check("primary_accuracy", baseline.primary_accuracy, current.primary_accuracy);
+  check("label_f1", baseline.label_f1, current.label_f1);
+  check("field_accuracy", baseline.field_accuracy, current.field_accuracy);
+  for (const [label, before] of Object.entries(baseline.per_label_f1 || {})) check(`f1:${label}`, before, current.per_label_f1[label]);
+  return out;
+}
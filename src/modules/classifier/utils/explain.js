@@ -0,0 +1,190 @@
+// src/modules/classifier/utils/explain.js
+import { valueAt } from "./evaluation.js";
+
+// GitHub rejects pull request bodies above 65536 characters
+const MAX_MARKDOWN = 60000;
+
+/**
+ * createExplainer — records why values.json fields got their value; a later reason for the same
+ * field replaces the earlier one (an ecosystem plugin overriding a base default)
+ * @returns {{ explain: (field, reason) => void, scoped: (prefix) => Function, reasons: object }}
+ */
+export function createExplainer() {
+  const reasons = {};
+  const explain = (field, reason) => {
+    if (reason) reasons[field] = reason;
+  };
+  // Stack values of polyglot repositories explain themselves as stacks.<i>.values.<field>
+  const scoped = (prefix) => (field, reason) => explain(`${prefix}.${field}`, reason);
+  return { explain, scoped, reasons };
+}
+
+/**
+ * versionEvidence — where a runtime version came from: the declaring files, else the default used
+ */
+export function versionEvidence(rt, fallback) {
+  const sources = rt?.sources || [];
+  if (!sources.length) return `no version declared; default ${fallback}`;
+  return sources.map((s) => `${s.value} in ${s.file}`).join("; ");
+}
+
+/**
+ * toolEvidence — why a detected tool counts: its config file or the dependency declaring it
+ */
+export function toolEvidence(tool) {
+  const where = tool.config ? tool.config : tool.evidence === "dependency" ? "a dependency" : tool.evidence;
+  return `${tool.tool} detected from ${where}${tool.project && tool.project !== "." ? ` in ${tool.project}` : ""}`;
+}
+
+/**
+ * commandEvidence — the detected tools a command runs, as toolEvidence text ("" when none)
+ */
+export function commandEvidence(command, tools = []) {
+  if (!command) return "";
+  const runs = (t) => (t.command && command.includes(t.command)) || new RegExp(`(^|[\\s/])${t.tool.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`).test(command);
+  return tools.filter(runs).map(toolEvidence).join("; ");
+}
+
+// Fields that decide the shape of the pipeline come first in the report
+const LEADING_FIELDS = ["project_type", "layout", "language"];
+
+const round = (n) => Number(Number(n || 0).toFixed(3));
+
+// Set values only: empty strings, lists and objects, null, false and switched-off features ({ enabled: false })
+function isSet(v) {
+  if (v === null || v === undefined || v === "" || v === false) return false;
+  if (Array.isArray(v)) return v.length > 0;
+  if (typeof v === "object") return Object.keys(v).length > 0 && v.enabled !== false;
+  return true;
+}
+
+/**
+ * explainValues — the explanation report for a values.json: how the merge step scored every label
+ * (rule evidence, model scores, weights and the resulting arithmetic) and the reason behind every
+ * set field, from `_classifier` and `_explain`
+ * `_llm` adds the fields a text-generation model overrode and the overrides it ignored.
+ */
+export function explainValues(values = {}) {
+  const cls = values._classifier || {};
+  const reasons = values._explain || {};
+  const chosen = cls.chosen || [];
+
+  const labels = (cls.merged || []).map((m) => {
+    const w = m.rule_weight ?? null;
+    const entry = {
+      label: m.label,
+      chosen: chosen.includes(m.label),
+      primary: m.label === cls.primary,
+      rule: m.rule,
+      model: m.hf,
+      rule_weight: w,
+      combined: m.combined,
+      reasons: m.reasons || [],
+      formula:
+        w === null
+          ? null
+          : `${round(m.rule)} × ${round(w)} + ${round(m.hf)} × ${round(1 - w)} = ${round(m.combined)}`,
+      evidence: (cls.rules || [])
+        .filter((r) => r.label === m.label)
+        .map((r) => ({ confidence: r.confidence, reason: r.reason, ...(r.rule ? { rule: r.rule, pack: r.pack } : {}) })),
+    };
+    if ("local" in m) {
+      entry.zero_shot = m.zero_shot;
+      entry.local = m.local;
+      entry.local_weight = m.local_weight ?? null;
+      if (m.local !== null && m.local_weight !== undefined) {
+        entry.model_formula = `${round(m.zero_shot)} × ${round(1 - m.local_weight)} + ${round(m.local)} × ${round(m.local_weight)} = ${round(m.hf)}`;
+      }
+    }
+    return entry;
+  });
+
+  // Every explained field, then every other set top-level field with the default it kept
+  const fields = Object.entries(reasons)
+    .map(([field, reason]) => ({ field, value: valueAt(values, field), reason }))
+    .filter((f) => f.value !== undefined);
+  for (const [key, value] of Object.entries(values)) {
+    if (key.startsWith("_") || !isSet(value)) continue;
+    if (Object.keys(reasons).some((f) => f === key || f.startsWith(`${key}.`))) continue;
+    fields.push({ field: key, value, reason: `${values.project_type || "generic"} default` });
+  }
+  const rank = (f) => (LEADING_FIELDS.includes(f.field) ? LEADING_FIELDS.indexOf(f.field) : LEADING_FIELDS.length);
+  fields.sort((a, b) => rank(a) - rank(b));
+
+  return {
+    primary: cls.primary ?? null,
+    chosen,
+    threshold: 0.5,
+    zero_shot_model: cls.hf?.model ?? null,
+    local_model: cls.local?.model ?? null,
+    labels,
+    fields,
+    llm: values._llm ?? null,
+    rule_packs: (cls.rule_packs || []).map(({ name, scope, origin, rules, skipped }) => ({ name, scope, origin, rules, skipped: skipped?.length || 0 })),
+  };
+}
+
+const code = (v) => {
+  const text = typeof v === "string" ? v : JSON.stringify(v);
+  const short = text.length > 120 ? `${text.slice(0, 117)}...` : text;
+  return `\`${short.replace(/`/g, "'").replace(/\n/g, " ⏎ ")}\``;
+};
+const cell = (s) => String(s).replace(/\|/g, "\\|");
+
+/**
+ * explanationMarkdown — the report as Markdown for pull request descriptions and outputs/explanation.md
+ */
+export function explanationMarkdown(report, opts = {}) {
+  const { heading = "##" } = opts;
+  const lines = [`${heading} Why this pipeline`, ""];
+  lines.push(
+    `Primary template: **${report.primary ?? "none"}**. Chosen: ${report.chosen.map((c) => `\`${c}\``).join(", ") || "none"} (the primary label plus every label with a combined score of at least ${report.threshold}).`,
+    "",
+    `Each label's combined score is \`rule × rule weight + model × (1 − rule weight)\`. The model score comes from ${report.zero_shot_model ? `\`${report.zero_shot_model}\`` : "no zero-shot model"}${report.local_model ? ` blended with the local model \`${report.local_model}\`` : ""}.`,
+    ""
+  );
+
+  // Labels without any evidence only add noise
+  const scored = report.labels.filter((l) => l.rule || l.model);
+  lines.push(`${heading}# Classification`, "", "| Label | Rule | Model | Combined | Arithmetic | Why |", "|---|---|---|---|---|---|");
+  for (const l of scored) {
+    const name = l.primary ? `**${l.label}** (primary)` : l.chosen ? `**${l.label}**` : l.label;
+    const model = l.model_formula ? `${round(l.model)} (${l.model_formula})` : round(l.model);
+    lines.push(`| ${name} | ${round(l.rule)} | ${model} | ${round(l.combined)} | ${l.formula || ""} | ${cell(l.reasons.join("; "))} |`);
+  }
+  if (scored.length < report.labels.length) {
+    lines.push("", `No evidence for: ${report.labels.filter((l) => !scored.includes(l)).map((l) => l.label).join(", ")}.`);
+  }
+
+  const withEvidence = report.labels.filter((l) => l.chosen && l.evidence.length);
+  if (withEvidence.length) {
+    lines.push("", `${heading}# Rule evidence`, "");
+    for (const l of withEvidence) {
+      for (const e of l.evidence) {
+        lines.push(`- \`${l.label}\` ${e.confidence}: ${e.reason}${e.rule ? ` (rule \`${e.rule}\` from ${e.pack})` : ""}`);
+      }
+    }
+  }
+
+  lines.push("", `${heading}# Values`, "");
+  for (const f of report.fields) lines.push(`- \`${f.field}\` = ${code(f.value)}: ${f.reason}`);
+
+  if (report.llm) {
+    const { provider, model, fields, rejected } = report.llm;
+    lines.push("", `${heading}# Model overrides`, "", `\`${model}\` (${provider}) overrode ${fields.length ? fields.map((f) => `\`${f}\``).join(", ") : "nothing"}.`);
+    if (rejected.length) {
+      lines.push("", "Ignored (outside the values schema or the command policy):", "");
+      for (const r of rejected) lines.push(`- \`${r.field}\` = ${code(r.value)}: ${r.reason}`);
+    }
+  }
+
+  const packs = report.rule_packs.filter((p) => p.scope !== "builtin");
+  if (packs.length) {
+    lines.push("", `Rule packs: ${packs.map((p) => `${p.name} (${p.scope}, ${p.rules} rules${p.skipped ? `, ${p.skipped} skipped` : ""})`).join(", ")}.`);
+  }
+
+  const markdown = lines.join("\n");
+  return markdown.length > MAX_MARKDOWN
+    ? `${markdown.slice(0, MAX_MARKDOWN)}\n\n_Truncated._`
+    : markdown;
+}
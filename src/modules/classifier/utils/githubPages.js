@@ -0,0 +1,69 @@
+// src/modules/classifier/utils/githubPages.js
+import { nodePackageManager, nodeScriptCommand } from "./packageManagers.js";
+
+// Hosts that already publish the site from their own config (deployment targets, see deploymentTargets.js)
+const SITE_HOSTS = ["vercel", "netlify"];
+
+/**
+ * siteProject — the Node.js project that builds a static site: the primary one, else the
+ * shallowest project with a static site generator (e.g. docs/ or web/ next to a backend)
+ */
+export function siteProject(projects = []) {
+  // Projects come shallowest first, so the primary project wins when it has a site
+  return projects.find((p) => p.ecosystem === "node" && p.static_site) || null;
+}
+
+/**
+ * buildCommand — the site's build command with the Pages base path passed the way the generator takes it
+ */
+function buildCommand(site, packageManager) {
+  const command = nodeScriptCommand(packageManager, site.script);
+  if (!site.base?.arg) return command;
+  const value = site.base.trailing_slash ? '"$BASE_PATH/"' : '"${BASE_PATH:-/}"';
+  // npm needs "--" to forward flags to the script; the other managers pass them through
+  return `${command}${packageManager === "npm" ? " --" : ""} ${site.base.arg} ${value}`;
+}
+
+/**
+ * githubPages — build + deploy settings to publish a static site to GitHub Pages from the default
+ * branch, with pull request builds kept as artifacts. Disabled when Vercel/Netlify host the site.
+ */
+export function githubPages(project, { nodeVersion = "20.x", branch = "main", deployTargets = [] } = {}) {
+  const site = project?.static_site;
+  if (!site) return { enabled: false };
+  const hostedBy = deployTargets.find(
+    (t) => SITE_HOSTS.includes(t.provider) && (t.working_directory || ".") === project.path
+  );
+  if (hostedBy) return { enabled: false, hosted_by: hostedBy.provider };
+
+  const dir = project.path === "." ? "" : `${project.path}/`;
+  const pm = nodePackageManager(project);
+  const env = {};
+  if (site.base?.env) {
+    env[site.base.env] = `\${{ steps.pages.outputs.base_path }}${site.base.trailing_slash ? "/" : ""}`;
+  }
+  const warnings = [];
+  // configure-pages reports "/<repo>" for project sites; only the config file can apply it for these
+  if (site.base?.config && !site.base.arg && !site.base.env && !site.custom_domain) {
+    warnings.push(
+      `${site.config || `${dir}package.json`}: set ${site.base.config} from process.env.BASE_PATH — GitHub Pages serves project sites below /<repository>/`
+    );
+  }
+  return {
+    enabled: true,
+    tool: site.tool,
+    label: site.label,
+    working_directory: project.path === "." ? "" : project.path,
+    // upload-pages-artifact resolves paths from the repository root, not the working directory
+    output_dir: `${dir}${site.output_dir}`,
+    build_command: buildCommand(site, pm.package_manager),
+    env: Object.keys(env).length ? env : null,
+    node: {
+      ...pm,
+      node_version: nodeVersion,
+      cache_dependency_path: project.lockfile && project.lockfile.includes("/") ? project.lockfile : "",
+    },
+    branch,
+    warnings,
+  };
+}
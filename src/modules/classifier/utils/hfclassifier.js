@@ -3,6 +3,7 @@ import { InferenceClient } from "@huggingface/inference";
 import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
+import { findEcosystem } from "../../ecosystems/registry.js";
 
 // Root-level dotenv should be loaded by the application entrypoint.
 // Do not load module-local .env files here; rely on `process.env` instead.
@@ -31,7 +32,8 @@ function _hash(x) {
 }
 
 /**
- * classifyZeroShot — Hugging Face zero-shot classification with caching
+ * classifyZeroShot — Hugging Face zero-shot classification with caching;
+ * `opts.offline` skips the API and the cache for the keyword heuristics
  */
 export async function classifyZeroShot(summaryText, candidateLabels = [], opts = {}) {
   const model = opts.model || "facebook/bart-large-mnli";
@@ -41,6 +43,8 @@ export async function classifyZeroShot(summaryText, candidateLabels = [], opts =
     summaryText = "Repository description for zero-shot classification.";
   }
 
+  if (opts.offline) return heuristicLabels(summaryText, candidateLabels);
+
   const key = _hash({ summaryText, candidateLabels, model });
   const cached = await _readCache(key);
   if (cached) return cached;
@@ -95,16 +99,15 @@ function heuristicLabels(summaryText, candidateLabels = [], err = null) {
   for (const label of candidateLabels) {
     const l = String(label).toLowerCase();
     let score = 0;
-    // direct keyword match
-    if (text.includes(l)) score += 0.7;
-    // heuristic synonyms
-    if (l === "node" && /npm|node|package.json|express|react/.test(text)) score += 0.9;
-    if (l === "python" && /python|requirements.txt|pip|flask|django|fastapi/.test(text)) score += 0.9;
-    if (l === "java" && /maven|gradle|pom.xml|spring-boot/.test(text)) score += 0.9;
-    if (l === "docker" && /dockerfile|container|docker/.test(text)) score += 0.95;
+    // direct keyword match, as a whole word: "java" is not in "javascript", nor "go" in "cargo".
+    // A name in the summary alone (docker-compose.yml) stays below the template threshold
+    if (new RegExp(`\\b${escapeRegex(l)}\\b`).test(text)) score += 0.6;
+    // heuristic synonyms (ecosystem plugins carry their own keywords)
+    const ecosystem = findEcosystem(l);
+    if (ecosystem?.name === l && ecosystem.keywords?.test(text)) score += 0.9;
+    // The summary always has a "Has Dockerfile:" line; only its answer counts
+    if (l === "docker" && /has dockerfile: yes|\bcontainerfile\b/.test(text)) score += 0.95;
     if (l === "monorepo" && /packages\//.test(text)) score += 0.8;
-    // small boost for presence in label name
-    if (text.match(new RegExp(`\\b${escapeRegex(l)}\\b`))) score += 0.05;
 
     labelScores.push({ label, score: Math.min(1, score) });
   }
@@ -0,0 +1,128 @@
+// src/modules/classifier/utils/kubernetesDeploy.js
+
+const PRODUCTION = /^(prod|production|live)$/i;
+
+const slug = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+
+/**
+ * deployCondition — non-production environments follow the default branch; when there is more than
+ * one environment, production only rolls out from tags
+ */
+function deployCondition(name, branch, staged) {
+  const onBranch = `github.ref == 'refs/heads/${branch}'`;
+  const onTag = "startsWith(github.ref, 'refs/tags/')";
+  if (!staged) return `github.event_name == 'push' && (${onBranch} || ${onTag})`;
+  return `github.event_name == 'push' && ${PRODUCTION.test(name) ? onTag : onBranch}`;
+}
+
+/**
+ * imageFor — build (docker_build job) whose image a chart/overlay deploys: the one named like it,
+ * or the only one there is
+ */
+function imageFor(builds, name) {
+  const build = builds.find((b) => b.name === name) || (builds.length === 1 ? builds[0] : null);
+  if (!build) return null;
+  const job = `docker_build${build.job_suffix ? `_${build.job_suffix}` : ""}`;
+  return {
+    job,
+    // Same repository docker-meta pushes to
+    repository: `docker.io/\${{ secrets.DOCKER_USERNAME }}/\${{ github.event.repository.name }}${
+      build.image_suffix ? `-${build.image_suffix}` : ""
+    }`,
+    // <tag>@<digest>: readable in `kubectl describe`, immutable for the rollout
+    tag: `\${{ needs.${job}.outputs.version }}@\${{ needs.${job}.outputs.digest }}`,
+  };
+}
+
+function environmentNames(names) {
+  const unique = [...new Set(names.filter(Boolean))];
+  return unique.length ? unique : ["production"];
+}
+
+/**
+ * kubernetesDeployment — validation and per-environment rollout settings for the k8s deployment mode.
+ * Skaffold drives the rollout when present, then Helm, Kustomize and plain manifests.
+ */
+export function kubernetesDeployment(k8s, { builds = [], branch = "main" } = {}) {
+  if (!k8s?.has_kubernetes) return { enabled: false };
+  const charts = k8s.charts || [];
+  const overlays = (k8s.kustomizations || []).filter((k) => k.overlay);
+  const kustomizations = overlays.length ? overlays : k8s.kustomizations || [];
+  const manifests = k8s.manifests || [];
+
+  const tool = k8s.skaffold ? "skaffold" : charts.length ? "helm" : kustomizations.length ? "kustomize" : "manifests";
+  let envs;
+  if (tool === "skaffold") {
+    envs = environmentNames(k8s.skaffold.profiles).map((name) => ({
+      name,
+      profile: k8s.skaffold.profiles.includes(name) ? name : "",
+      artifact: k8s.skaffold.artifacts[0] || "",
+      image: imageFor(builds, k8s.skaffold.artifacts[0]?.split("/").pop()),
+    }));
+  } else if (tool === "helm") {
+    envs = environmentNames(charts.flatMap((c) => c.environments)).map((name) => ({
+      name,
+      releases: charts.map((c) => ({
+        name: c.name,
+        dir: c.dir,
+        // values.yaml is applied by Helm itself; the environment file goes on top
+        values_file: c.values_files.find((f) => /^values[.-]([\w-]+)\.ya?ml$/.exec(f.split("/").pop())?.[1].toLowerCase() === name) || "",
+        image: imageFor(builds, c.name),
+      })),
+    }));
+  } else if (tool === "kustomize") {
+    envs = kustomizations.map((k) => ({
+      name: k.environment || (kustomizations.length > 1 ? k.dir.split("/").pop() : "production"),
+      overlay: k.dir,
+      namespace: k.namespace || "",
+      image_name: k.images[0] || "",
+      // `kustomize edit set image` rewrites an image the kustomization already declares
+      image: k.images[0] ? imageFor(builds, k.images[0].split("/").pop()) : null,
+    }));
+  } else {
+    const split = manifests.filter((m) => m.environment);
+    const groups = split.length
+      ? split.map((m) => ({ name: m.environment, dirs: [m] }))
+      : [{ name: "production", dirs: manifests }];
+    envs = groups.map((g) => {
+      const deployments = g.dirs.flatMap((m) => m.deployments);
+      return {
+        name: g.name,
+        dirs: g.dirs.map((m) => m.dir),
+        namespace: g.dirs.find((m) => m.namespace)?.namespace || "",
+        deployments,
+        // `kubectl set image` only knows which workload to update when there is exactly one
+        deployment: deployments.length === 1 ? deployments[0] : "",
+        image: deployments.length === 1 ? imageFor(builds, deployments[0]) : null,
+      };
+    });
+  }
+
+  // Roll out in promotion order: everything else first, production last
+  envs.sort((a, b) => PRODUCTION.test(a.name) - PRODUCTION.test(b.name));
+  const staged = envs.length > 1;
+  return {
+    enabled: true,
+    tool,
+    charts: charts.map((c) => ({
+      name: c.name,
+      dir: c.dir,
+      has_dependencies: c.has_dependencies,
+      values_files: c.values_files.filter((f) => !/(^|\/)values\.ya?ml$/.test(f)),
+    })),
+    kustomizations: (k8s.kustomizations || []).filter((k) => k.overlay || !overlays.length).map((k) => k.dir),
+    manifest_dirs: manifests.map((m) => m.dir),
+    skaffold: k8s.skaffold ? { file: k8s.skaffold.path, dir: k8s.skaffold.dir } : null,
+    environments: envs.map((env) => ({
+      ...env,
+      job_id: `deploy_k8s_${slug(env.name)}`,
+      // An environment variable K8S_NAMESPACE overrides what the manifests declare
+      namespace: `\${{ vars.K8S_NAMESPACE || '${env.namespace || "default"}' }}`,
+      production: PRODUCTION.test(env.name),
+      condition: deployCondition(env.name, branch, staged),
+      tool,
+      steps_partial: `gha/k8s-deploy-${tool}`,
+      image_jobs: [...new Set([env.image, ...(env.releases || []).map((r) => r.image)].filter(Boolean).map((i) => i.job))],
+    })),
+  };
+}
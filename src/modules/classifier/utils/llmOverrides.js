@@ -0,0 +1,379 @@
+// src/modules/classifier/utils/llmOverrides.js
+import { valueAt } from "./evaluation.js";
+
+// "18.x", "3.11", "17", "stable", "1.75.0", "8.3.*"
+const VERSION = { type: "string", pattern: /^[\w.*+-]{1,24}$/ };
+const VERSIONS = { type: "array", items: VERSION, maxItems: 8 };
+const COMMAND = { type: "command" };
+// Repository-relative paths only
+const PATH = { type: "string", pattern: /^(?![/~])(?!.*(^|\/)\.\.(\/|$))[\w.@/*-]{1,200}$/ };
+const BRANCH = { type: "string", pattern: /^(?!-)[\w.*/-]{1,100}$/ };
+
+/**
+ * OVERRIDE_SCHEMA — the values.json fields a text-generation model may override, by dotted path;
+ * `matrix.*` covers every matrix axis the ecosystem already has. Everything else (project_type,
+ * layout, secrets, deployment, derived install / cache settings) stays deterministic.
+ */
+export const OVERRIDE_SCHEMA = {
+  node_version: VERSION,
+  python_version: VERSION,
+  java_version: VERSION,
+  go_version: VERSION,
+  dotnet_version: VERSION,
+  dotnet_versions: VERSIONS,
+  ruby_version: VERSION,
+  php_version: VERSION,
+  rust_toolchain: VERSION,
+  "matrix.*": VERSIONS,
+  install_command: COMMAND,
+  lint_command: COMMAND,
+  test_command: COMMAND,
+  coverage_command: COMMAND,
+  build_command: COMMAND,
+  vet_command: COMMAND,
+  fmt_command: COMMAND,
+  coverage_report: PATH,
+  artifact_path: PATH,
+  "triggers.branches": { type: "array", items: BRANCH, maxItems: 10 },
+  "triggers.push": { type: "boolean" },
+  "triggers.pull_request": { type: "boolean" },
+  "triggers.release_on_tag": { type: "boolean" },
+  "container.platforms": { type: "array", items: { type: "string", enum: ["linux/amd64", "linux/arm64", "linux/arm/v7"] }, maxItems: 3 },
+  "container.cache": { type: "boolean" },
+};
+
+// Objects whose fields are overridable one by one
+const GROUPS = ["matrix", "triggers", "container"];
+
+// Executables a command may start with (every && / || step); vendor/bin/* covers Composer tools.
+// Interpreters and package runners (node, php, npx, echo, ...) are left out: they run any code they
+// are handed. python only runs as `python -m <PYTHON_MODULES>`.
+const COMMAND_TOOLS = [
+  "npm", "pnpm", "yarn", "bun",
+  "pip", "pip3", "poetry", "pipenv", "uv", "pytest", "tox", "nox", "ruff", "flake8", "black", "isort", "mypy", "pylint", "coverage",
+  "mvn", "./mvnw", "gradle", "./gradlew",
+  "go", "gofmt", "golangci-lint",
+  "cargo",
+  "dotnet",
+  "bundle", "rake", "rspec", "rubocop",
+  "composer", "vendor/bin/*", "./vendor/bin/*",
+  "terraform", "tflint",
+  "make", "true",
+];
+
+const PYTHON_MODULES = ["pytest", "pip", "mypy", "ruff", "flake8", "black", "isort", "pylint", "coverage", "build", "tox", "nox", "unittest"];
+
+// Inline code never runs, even for interpreters added through LLM_ALLOWED_COMMANDS
+const INTERPRETERS = ["node", "nodejs", "bun", "deno", "python", "python3", "php", "ruby", "perl", "sh", "bash", "zsh", "pwsh"];
+const INLINE_CODE_FLAGS = ["-c", "-e", "-E", "-p", "-r", "-R", "--eval", "--print", "--command"];
+
+// Package manager subcommands; `run` (and yarn / pnpm / bun shorthands) only for scripts package.json declares
+const PACKAGE_MANAGERS = ["npm", "pnpm", "yarn", "bun"];
+const PACKAGE_MANAGER_BUILTINS = ["install", "i", "ci", "test", "t", "audit"];
+
+// Wrappers whose argument is another command, checked the same way
+const WRAPPERS = { poetry: "run", pipenv: "run", uv: "run", bundle: "exec" };
+
+// URLs and VCS specs fetch code the repository does not contain
+const REMOTE = /:\/\/|^git\+|^git@|^(github|gitlab|bitbucket):/;
+
+// A path inside the repository: ".", "./pkg", ".[dev]"
+const isLocalPath = (a) => a === "." || a.startsWith("./") || a.startsWith(".[");
+
+// Arguments after the subcommand that are not flags
+const operands = (args, sub) => args.slice(args.indexOf(sub) + 1).filter((a) => !a.startsWith("-"));
+
+// Make targets that check or build; deploy / release / install targets stay out
+const MAKE_TARGETS = ["all", "build", "test", "tests", "check", "lint", "fmt", "format", "vet", "coverage", "cover", "ci"];
+
+// pip installs the project, its requirement files and editable paths, never a named package
+function pipInstall(args) {
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (["-r", "--requirement", "-c", "--constraint", "-e", "--editable"].includes(a)) {
+      const value = args[++i];
+      if (value === undefined) return `pip install ${a} needs a value`;
+      if (["-e", "--editable"].includes(a) && !isLocalPath(value)) return `pip install ${a} ${value} is not a path in the repository`;
+    } else if (!a.startsWith("-") && !isLocalPath(a)) {
+      return `pip install ${a} installs a package the project does not declare`;
+    }
+  }
+  return null;
+}
+
+/**
+ * TOOL_RULES — per-tool checks of the arguments (sub: the first non-flag argument): subcommands that
+ * install, fetch or run code the repository does not declare, and the ones that change infrastructure
+ */
+const TOOL_RULES = {
+  pip: (args, sub) =>
+    sub === "install" ? pipInstall(args.slice(args.indexOf(sub) + 1)) : ["check", "list", "freeze"].includes(sub) ? null : `pip ${sub ?? ""} is outside the policy`.trim(),
+  uv: (args, sub) => (["tool", "pip", "add", "self"].includes(sub) ? `uv ${sub} installs packages the project does not declare` : null),
+  poetry: (args, sub) => (["add", "self", "source"].includes(sub) ? `poetry ${sub} changes the project's dependencies` : null),
+  pipenv: (args, sub) => (sub === "install" && operands(args, sub).length ? "pipenv install only installs the Pipfile" : null),
+  cargo: (args, sub) => (sub === "install" ? "cargo install builds and installs crates the project does not declare" : null),
+  dotnet: (args, sub) => (["tool", "add"].includes(sub) ? `dotnet ${sub} installs packages the project does not declare` : null),
+  composer: (args, sub) =>
+    ["require", "global", "create-project"].includes(sub) ? `composer ${sub} installs packages composer.json does not declare` : null,
+  gradle: (args) =>
+    args.some((a) => ["-I", "--init-script"].includes(a.split("=")[0]) || /^-I./.test(a)) ? "gradle init scripts run code from outside the build" : null,
+  go: (args, sub) => {
+    const rest = args.slice(args.indexOf(sub) + 1);
+    // go run fetches and runs remote modules (go run example.com/tool@latest); local packages only
+    if (sub === "run") {
+      if (rest.some((a) => a.split("=")[0] === "-exec")) return "go run -exec runs another program";
+      const target = rest.find((a) => !a.startsWith("-"));
+      if (!target || !target.startsWith(".") || target.includes("@")) return "go run only runs local packages (./...)";
+    }
+    if (sub === "get" || (sub === "install" && operands(args, sub).some((a) => !isLocalPath(a)))) return `go ${sub} fetches modules the project does not declare`;
+    return null;
+  },
+  terraform: (args, sub) => (["apply", "destroy", "import", "state"].includes(sub) ? `terraform ${sub} changes infrastructure` : null),
+  make: (args) => {
+    if (args.some((a) => a.includes("="))) return "make variable assignments are outside the policy";
+    const targets = args.filter((a) => !a.startsWith("-"));
+    const other = targets.find((t) => !MAKE_TARGETS.includes(t));
+    return other ? `make ${other} is not a build or check target (${MAKE_TARGETS.join(", ")})` : null;
+  },
+  bundle: (args, sub) => (sub === "add" ? "bundle add changes the Gemfile" : null),
+};
+TOOL_RULES.pip3 = TOOL_RULES.pip;
+TOOL_RULES["./gradlew"] = TOOL_RULES.gradle;
+
+/**
+ * commandPolicy — how model-proposed commands are checked: "allowlist" (default; COMMAND_TOOLS
+ * plus LLM_ALLOWED_COMMANDS) or "deny" (commands always stay deterministic). `scripts` are the
+ * repository's package.json scripts (undefined: not known, any script name passes).
+ */
+export function commandPolicy(env = process.env, { scripts } = {}) {
+  const mode = env.LLM_COMMAND_POLICY?.toLowerCase() === "deny" ? "deny" : "allowlist";
+  const extra = (env.LLM_ALLOWED_COMMANDS || "").split(",").map((s) => s.trim()).filter(Boolean);
+  return { mode, allow: [...COMMAND_TOOLS, ...extra], scripts };
+}
+
+const toolMatches = (tool, executable) =>
+  tool.endsWith("/*") ? executable.startsWith(tool.slice(0, -1)) && executable.length > tool.length - 1 : tool === executable;
+
+/**
+ * shellWords — a command line split into the words of each && / || step, following the shell's
+ * quoting (single quotes, double quotes, backslash escapes); `error` names the first construct
+ * outside the policy: substitution, expansion, pipes, redirection, `;`, `&`, subshells, comments
+ * @returns {{ commands?: string[][], error?: string }}
+ */
+export function shellWords(command) {
+  if (/[\n\r]/.test(command)) return { error: "multi-line script" };
+  const commands = [[]];
+  let word = null;
+  let quote = null;
+  const endWord = () => {
+    if (word !== null) commands[commands.length - 1].push(word);
+    word = null;
+  };
+  for (let i = 0; i < command.length; i++) {
+    const c = command[i];
+    if (quote === "'") {
+      if (c === "'") quote = null;
+      else word += c;
+      continue;
+    }
+    if (c === "`" || c === "$") return { error: "command substitution or variable expansion" };
+    if (c === "\\") {
+      const next = command[i + 1];
+      if (next === undefined) return { error: "trailing backslash" };
+      // Inside double quotes a backslash only escapes $ ` " and itself
+      word = (word ?? "") + (quote === '"' && !'$`"\\'.includes(next) ? c + next : next);
+      i++;
+      continue;
+    }
+    if (quote === '"') {
+      if (c === '"') quote = null;
+      else word += c;
+      continue;
+    }
+    if (c === "'" || c === '"') {
+      quote = c;
+      word = word ?? "";
+    } else if (/\s/.test(c)) {
+      endWord();
+    } else if (command.startsWith("&&", i) || command.startsWith("||", i)) {
+      endWord();
+      commands.push([]);
+      i++;
+    } else if ("|&;<>()".includes(c)) {
+      return { error: `shell operator ${c} (pipes, redirection, ;, & and subshells are outside the policy)` };
+    } else if (c === "#" && word === null) {
+      return { error: "shell comment" };
+    } else {
+      word = (word ?? "") + c;
+    }
+  }
+  if (quote) return { error: "unterminated quote" };
+  endWord();
+  return { commands };
+}
+
+const basename = (executable) => executable.split("/").pop();
+
+// Why one step (its words) breaks the policy, or null
+function checkStep(words, policy) {
+  const [executable, ...args] = words;
+  if (!executable) return "empty command in a && / || chain";
+  if (/^\w+=/.test(executable)) return "environment assignments are outside the policy";
+  if (executable.split("/").includes("..")) return `${executable} leaves the repository`;
+  const remote = args.find((a) => REMOTE.test(a));
+  if (remote) return `${remote} fetches code from outside the repository`;
+  const outside = args.find((a) => a.split(/[/=]/).includes(".."));
+  if (outside) return `${outside} leaves the repository`;
+
+  if (INTERPRETERS.includes(basename(executable))) {
+    // Interpreter options end at the script or module name
+    for (const arg of args) {
+      if (!arg.startsWith("-") || arg === "-m") break;
+      if (INLINE_CODE_FLAGS.includes(arg.split("=")[0]) || /^-[a-zA-Z]*[ce]$/.test(arg)) return `${executable} ${arg} runs inline code`;
+    }
+    if (["python", "python3"].includes(executable) && args[0] === "-m") {
+      // python -m pip install <pkg> is pip install <pkg>
+      if (!PYTHON_MODULES.includes(args[1])) return `${executable} -m ${args[1] ?? ""} is not an allowed module`;
+      const rest = args.slice(2);
+      return TOOL_RULES[args[1]]?.(rest, rest.find((a) => !a.startsWith("-"))) ?? null;
+    }
+  }
+  if (!policy.allow.some((tool) => toolMatches(tool, executable))) return `${executable} is not an allowed command`;
+
+  const sub = args.find((a) => !a.startsWith("-"));
+  const ruleError = TOOL_RULES[executable]?.(args, sub);
+  if (ruleError) return ruleError;
+  if (WRAPPERS[executable] && sub === WRAPPERS[executable]) {
+    return checkStep(args.slice(args.indexOf(sub) + 1), policy);
+  }
+  if (PACKAGE_MANAGERS.includes(executable) && sub !== undefined) {
+    const hasScript = (name) => !policy.scripts || Object.hasOwn(policy.scripts, name);
+    if (["run", "run-script"].includes(sub)) {
+      const script = args.slice(args.indexOf(sub) + 1).find((a) => !a.startsWith("-"));
+      return script && hasScript(script) ? null : `package.json has no script ${script ?? ""}`.trim();
+    }
+    // install takes the lockfile as it is: a package, path or URL argument adds code package.json does not declare
+    if (["install", "i"].includes(sub) && operands(args, sub).length) return `${executable} ${sub} ${operands(args, sub)[0]} adds a package`;
+    if (PACKAGE_MANAGER_BUILTINS.includes(sub)) return null;
+    // yarn lint / pnpm lint / bun lint run the script of that name
+    if (executable !== "npm" && policy.scripts && Object.hasOwn(policy.scripts, sub)) return null;
+    return `${executable} ${sub} is outside the policy`;
+  }
+  return null;
+}
+
+/**
+ * checkCommand — why a command breaks the policy, or null when it may run
+ */
+export function checkCommand(command, policy = commandPolicy()) {
+  if (policy.mode === "deny") return "command overrides are disabled (LLM_COMMAND_POLICY=deny)";
+  if (!command.trim()) return "empty command";
+  if (command.length > 300) return "command longer than 300 characters";
+  const { commands, error } = shellWords(command);
+  if (error) return error;
+  for (const words of commands) {
+    const err = checkStep(words, policy);
+    if (err) return err;
+  }
+  return null;
+}
+
+function schemaFor(field) {
+  if (Object.hasOwn(OVERRIDE_SCHEMA, field)) return OVERRIDE_SCHEMA[field];
+  const [group, axis] = field.split(".");
+  return axis && Object.hasOwn(OVERRIDE_SCHEMA, `${group}.*`) ? OVERRIDE_SCHEMA[`${group}.*`] : null;
+}
+
+// Why a value does not fit its schema, or null
+function typeError(value, schema, policy) {
+  switch (schema.type) {
+    case "boolean":
+      return typeof value === "boolean" ? null : "expected true or false";
+    case "command":
+      return typeof value === "string" ? checkCommand(value, policy) : "expected a command string";
+    case "string":
+      if (typeof value !== "string") return "expected a string";
+      if (schema.enum && !schema.enum.includes(value)) return `expected one of ${schema.enum.join(", ")}`;
+      return schema.pattern && !schema.pattern.test(value) ? `${JSON.stringify(value)} is not a valid value` : null;
+    case "array": {
+      if (!Array.isArray(value) || !value.length) return "expected a non-empty list";
+      if (value.length > schema.maxItems) return `expected at most ${schema.maxItems} entries`;
+      for (const item of value) {
+        const err = typeError(item, schema.items, policy);
+        if (err) return err;
+      }
+      return null;
+    }
+    default:
+      return "unsupported schema type";
+  }
+}
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Own properties only: "matrix.constructor" is not a field
+const hasField = (obj, field) => {
+  const [key, sub] = field.split(".");
+  if (!Object.hasOwn(obj, key)) return false;
+  return sub === undefined || (isPlainObject(obj[key]) && Object.hasOwn(obj[key], sub));
+};
+
+/**
+ * validateOverrides — splits a model answer into overrides that fit OVERRIDE_SCHEMA and the
+ * command policy, and rejected ones with the reason. Only fields the deterministic values already
+ * have are overridable; values equal to them are dropped as no-ops.
+ * @returns {{ overrides: { field, value }[], rejected: { field, value, reason }[] }}
+ */
+export function validateOverrides(parsed, base, policy = commandPolicy()) {
+  const overrides = [];
+  const rejected = [];
+  const entries = [];
+  for (const [key, value] of Object.entries(parsed || {})) {
+    if (GROUPS.includes(key) && isPlainObject(value)) {
+      for (const [sub, v] of Object.entries(value)) entries.push([`${key}.${sub}`, v]);
+    } else {
+      entries.push([key, value]);
+    }
+  }
+
+  for (const [field, value] of entries) {
+    const schema = schemaFor(field);
+    const reason = !schema
+      ? "not an overridable field"
+      : !hasField(base, field)
+      ? `not used by the ${base.project_type || "generic"} pipeline`
+      : typeError(value, schema, policy);
+    if (reason) rejected.push({ field, value, reason });
+    else if (JSON.stringify(value) !== JSON.stringify(valueAt(base, field))) overrides.push({ field, value });
+  }
+  return { overrides, rejected };
+}
+
+/**
+ * applyOverrides — the values with the validated overrides set (groups are copied, not mutated)
+ */
+export function applyOverrides(base, overrides) {
+  const out = { ...base };
+  for (const { field, value } of overrides) {
+    const [key, sub] = field.split(".");
+    if (sub === undefined) out[key] = value;
+    else out[key] = { ...out[key], [sub]: value };
+  }
+  return out;
+}
+
+/**
+ * overridableValues — the current value of every overridable field, shown to the model
+ */
+export function overridableValues(base) {
+  const out = {};
+  for (const field of Object.keys(OVERRIDE_SCHEMA)) {
+    if (field === "matrix.*") {
+      for (const [axis, v] of Object.entries(base.matrix || {})) out[`matrix.${axis}`] = v;
+      continue;
+    }
+    const value = valueAt(base, field);
+    if (value !== undefined) out[field] = value;
+  }
+  return out;
+}
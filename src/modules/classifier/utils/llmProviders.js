@@ -0,0 +1,99 @@
+// src/modules/classifier/utils/llmProviders.js
+import { InferenceClient } from "@huggingface/inference";
+
+/*
+ * Text-generation provider interface for parameter overrides:
+ * - name:   provider id recorded in values.json (_llm.provider)
+ * - model:  model id recorded next to it
+ * - generate(prompt, { maxTokens, temperature }): the model's raw text answer
+ * Anything with that shape can be passed as `llmProvider` to classifyFeatures (e.g. a test stub).
+ */
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/**
+ * huggingFaceProvider — Hugging Face Inference textGeneration
+ */
+export function huggingFaceProvider({ token, model }) {
+  const hf = new InferenceClient(token);
+  return {
+    name: "huggingface",
+    model,
+    async generate(prompt, { maxTokens = 600, temperature = 0.2 } = {}) {
+      const response = await hf.textGeneration({
+        model,
+        inputs: prompt,
+        provider: "hf-inference",
+        parameters: {
+          max_new_tokens: maxTokens,
+          temperature,
+        },
+      });
+      return response.generated_text || JSON.stringify(response);
+    },
+  };
+}
+
+/**
+ * openAICompatibleProvider — any /chat/completions endpoint: OpenAI, a local inference server
+ * (Ollama, vLLM, llama.cpp, LM Studio) or a stub serving canned answers
+ */
+export function openAICompatibleProvider({ baseUrl, apiKey, model, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+  return {
+    name: "openai-compatible",
+    model,
+    async generate(prompt, { maxTokens = 600, temperature = 0.2 } = {}) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt }],
+          max_tokens: maxTokens,
+          temperature,
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new Error(`${url} answered ${res.status} ${res.statusText}`);
+      const data = await res.json();
+      const text = data.choices?.[0]?.message?.content ?? data.choices?.[0]?.text;
+      if (typeof text !== "string") throw new Error(`${url} returned no completion`);
+      return text;
+    },
+  };
+}
+
+/**
+ * paramProvider — the provider configured in the environment, or null (deterministic values only).
+ * LLM_PROVIDER picks one explicitly; otherwise LLM_BASE_URL selects an OpenAI-compatible endpoint
+ * and HF_TOKEN + HF_PARAM_MODEL the Hugging Face one.
+ */
+export function paramProvider(env = process.env) {
+  const kind = env.LLM_PROVIDER?.toLowerCase() || (env.LLM_BASE_URL ? "openai" : env.HF_PARAM_MODEL ? "huggingface" : "");
+  if (!kind || kind === "none") return null;
+
+  if (kind === "openai" || kind === "openai-compatible") {
+    const model = env.LLM_MODEL;
+    if (!model) {
+      console.warn("⚠️ LLM_MODEL missing. Model parameter overrides are skipped.");
+      return null;
+    }
+    return openAICompatibleProvider({
+      baseUrl: env.LLM_BASE_URL || "https://api.openai.com/v1",
+      apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || null,
+      model,
+      timeoutMs: Number(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    });
+  }
+  if (kind === "huggingface" || kind === "hf") {
+    const model = env.HF_PARAM_MODEL || env.LLM_MODEL;
+    // No token or model → no LLM, no error
+    return env.HF_TOKEN && model ? huggingFaceProvider({ token: env.HF_TOKEN, model }) : null;
+  }
+  console.warn(`⚠️ Unknown LLM_PROVIDER "${env.LLM_PROVIDER}". Model parameter overrides are skipped.`);
+  return null;
+}
@@ -0,0 +1,214 @@
+// src/modules/classifier/utils/localModel.js
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Where `npm run train` saves the model and the classifier looks for it: models/ at the repository
+// root whatever the working directory, unless LOCAL_MODEL_PATH says otherwise
+export const DEFAULT_MODEL_PATH = process.env.LOCAL_MODEL_PATH
+  ? path.resolve(process.env.LOCAL_MODEL_PATH)
+  : fileURLToPath(new URL("../../../../models/classifier.json", import.meta.url));
+
+// The classifier runs once per repository; a missing model is reported only the first time
+let reportedMissing = false;
+
+const MODEL_TYPE = "logistic-ovr";
+
+function basename(p) {
+  return String(p).split("/").pop().toLowerCase();
+}
+
+/**
+ * dependencyNames — dependency names from manifest metadata: arrays, name → version maps, or groups of either
+ */
+export function dependencyNames(deps) {
+  if (Array.isArray(deps)) return deps.map((d) => String(d).split(/[\s<>=!~;[]/)[0]);
+  if (!deps || typeof deps !== "object") return [];
+  return Object.entries(deps).flatMap(([k, v]) => (Array.isArray(v) ? dependencyNames(v) : [k]));
+}
+
+/**
+ * featureTokens — the binary features of a feature.json the model sees: languages, file
+ * extensions, manifests and lockfiles, frameworks, runtimes, tools, dependencies and deployment flags
+ */
+export function featureTokens(features = {}) {
+  const tokens = new Set();
+  const add = (prefix, v) => v !== null && v !== undefined && v !== "" && tokens.add(`${prefix}:${String(v).toLowerCase()}`);
+
+  const comp = features.composition || {};
+  const buildDep = features.build_and_dependency || {};
+  const testing = features.testing_and_linting || {};
+  const container = features.containerization_and_deployment || {};
+
+  for (const [lang, pct] of Object.entries(comp.languages || {})) if (pct >= 5) add("lang", lang);
+  add("dominant", comp.dominant_language);
+  for (const ext of Object.keys(comp.file_types_count || {})) add("ext", ext);
+
+  for (const f of [...(buildDep.package_managers || []), ...(buildDep.lockfiles || []), ...(buildDep.build_systems || [])]) add("file", basename(f));
+  for (const d of container.dockerfiles || []) add("file", basename(d.path || "dockerfile"));
+  for (const v of buildDep.frameworks || []) add("framework", v);
+  for (const v of buildDep.runtimes || []) add("runtime", v);
+  for (const p of buildDep.projects || []) add("project", p.ecosystem);
+
+  // Per-ecosystem metadata (node_metadata, python_metadata, ...) carries dependencies and build tools
+  for (const [key, meta] of Object.entries(buildDep)) {
+    if (!key.endsWith("_metadata") || !meta || typeof meta !== "object") continue;
+    for (const field of ["dependencies", "devDependencies", "dev_dependencies", "optional_dependencies"]) {
+      for (const name of dependencyNames(meta[field])) add("dep", name);
+    }
+    for (const field of ["package_manager", "build", "build_tool"]) if (typeof meta[field] === "string") add("tool", meta[field]);
+  }
+
+  for (const v of testing.test_frameworks || []) add("test", v);
+  for (const v of testing.lint_tools || []) add("lint", v);
+  for (const v of testing.coverage_tools || []) add("coverage", v);
+
+  if (container.has_dockerfile) tokens.add("flag:docker");
+  if (container.has_docker_compose) tokens.add("flag:compose");
+  if (container.kubernetes?.has_kubernetes) tokens.add("flag:kubernetes");
+  for (const d of container.deployments || []) add("deploy", d.provider);
+  if (features.derived?.monorepo) tokens.add("flag:monorepo");
+  if ((buildDep.workspaces?.tools || []).length) tokens.add("flag:workspaces");
+  for (const t of features.derived?.recommended_templates || []) add("recommended", t);
+
+  return [...tokens];
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * trainModel — one-vs-rest logistic regression over featureTokens, trained by full-batch gradient
+ * descent with L2 regularisation and class-balanced weights (deterministic: weights start at zero)
+ * @param {Array<{features: object, labels: string[]}>} examples
+ * @param {object} opts - { epochs, learningRate, l2, minCount }
+ */
+export function trainModel(examples, opts = {}) {
+  const { epochs = 300, learningRate = 0.5, l2 = 0.01, minCount = 1 } = opts;
+  if (!examples.length) throw new Error("❌ No training examples");
+
+  const docs = examples.map((e) => featureTokens(e.features));
+  const counts = new Map();
+  for (const doc of docs) for (const t of doc) counts.set(t, (counts.get(t) || 0) + 1);
+  const vocabulary = [...counts.keys()].filter((t) => counts.get(t) >= minCount).sort();
+  const index = new Map(vocabulary.map((t, i) => [t, i]));
+  const rows = docs.map((doc) => doc.map((t) => index.get(t)).filter((i) => i !== undefined));
+  const labels = [...new Set(examples.flatMap((e) => e.labels))].sort();
+
+  const n = examples.length;
+  const weights = {};
+  const bias = {};
+  for (const label of labels) {
+    const y = examples.map((e) => (e.labels.includes(label) ? 1 : 0));
+    const positives = y.reduce((a, b) => a + b, 0);
+    // Balanced weights keep rare labels from being drowned by the rest
+    const posWeight = n / (2 * Math.max(positives, 1));
+    const negWeight = n / (2 * Math.max(n - positives, 1));
+    const w = new Float64Array(vocabulary.length);
+    let b = 0;
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      const grad = new Float64Array(vocabulary.length);
+      let gradB = 0;
+      for (let i = 0; i < n; i++) {
+        let z = b;
+        for (const j of rows[i]) z += w[j];
+        const err = (sigmoid(z) - y[i]) * (y[i] ? posWeight : negWeight);
+        for (const j of rows[i]) grad[j] += err;
+        gradB += err;
+      }
+      for (let j = 0; j < w.length; j++) w[j] -= learningRate * (grad[j] / n + l2 * w[j]);
+      b -= learningRate * (gradB / n);
+    }
+    weights[label] = Array.from(w, (v) => Number(v.toFixed(6)));
+    bias[label] = Number(b.toFixed(6));
+  }
+
+  return {
+    type: MODEL_TYPE,
+    version: 1,
+    trained_at: new Date().toISOString(),
+    examples: n,
+    options: { epochs, learningRate, l2, minCount },
+    labels,
+    vocabulary,
+    weights,
+    bias,
+  };
+}
+
+/**
+ * predict — per-label probabilities for a feature.json, in the shape of a zero-shot result
+ * ({ model, labels, scores } sorted by score); tokens the model never saw are ignored
+ */
+export function predict(model, features) {
+  const index = new Map(model.vocabulary.map((t, i) => [t, i]));
+  const row = featureTokens(features).map((t) => index.get(t)).filter((i) => i !== undefined);
+  const scored = model.labels
+    .map((label) => {
+      let z = model.bias[label] || 0;
+      for (const j of row) z += model.weights[label][j];
+      return { label, score: sigmoid(z) };
+    })
+    .sort((a, b) => b.score - a.score);
+  return {
+    model: `local-${model.type}`,
+    labels: scored.map((s) => s.label),
+    scores: scored.map((s) => Number(s.score.toFixed(4))),
+    raw: { trained_at: model.trained_at, examples: model.examples, known_tokens: row.length },
+  };
+}
+
+export async function saveModel(model, modelPath = DEFAULT_MODEL_PATH) {
+  await fs.mkdir(path.dirname(modelPath), { recursive: true });
+  await fs.writeFile(modelPath, JSON.stringify(model), "utf8");
+}
+
+/**
+ * loadModel — a model saved by saveModel, or null when there is none (or it is not ours)
+ */
+export async function loadModel(modelPath = DEFAULT_MODEL_PATH) {
+  let model;
+  try {
+    model = JSON.parse(await fs.readFile(modelPath, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`⚠️ Could not read local model ${modelPath}: ${err.message}`);
+    else if (!reportedMissing) {
+      reportedMissing = true;
+      console.log(`ℹ️ No local model at ${modelPath} — rules and zero-shot only (train one with npm run train)`);
+    }
+    return null;
+  }
+  if (model?.type !== MODEL_TYPE || !Array.isArray(model.vocabulary) || !Array.isArray(model.labels)) {
+    console.warn(`⚠️ ${modelPath} is not a ${MODEL_TYPE} model — ignoring it`);
+    return null;
+  }
+  return model;
+}
+
+/**
+ * loadCorpus — labeled feature.json files: `<dir>/labels.json` maps each feature file (relative to
+ * the directory) to its labels, e.g. { "acme-api.json": ["node", "docker"] }, or to
+ * { labels, primary, expected } where `expected` holds values.json fields the evaluation checks
+ * ({ "package_manager": "pnpm", "matrix.node_versions": ["20.x"] }); primary defaults to the first label
+ */
+export async function loadCorpus(dir) {
+  const manifest = JSON.parse(await fs.readFile(path.join(dir, "labels.json"), "utf8"));
+  const examples = [];
+  for (const [file, entry] of Object.entries(manifest)) {
+    const spec = entry && typeof entry === "object" && !Array.isArray(entry) ? entry : { labels: entry };
+    const labels = [].concat(spec.labels || []).map(String);
+    const features = JSON.parse(await fs.readFile(path.join(dir, file), "utf8"));
+    examples.push({ file, features, labels, primary: spec.primary || labels[0] || null, expected: spec.expected || {} });
+  }
+  return examples;
+}
+
+/**
+ * classifyLocal — the trained local model's scores for a feature.json, or null without a model
+ */
+export async function classifyLocal(features, opts = {}) {
+  const model = opts.model || (await loadModel(opts.modelPath));
+  return model ? predict(model, features) : null;
+}
@@ -1,9 +1,13 @@
 // src/modules/classifier/utils/mergeUtils.js
 
+// Share of the local model in the model signal: the keyword fallback counts for little next to it
+const LOCAL_WEIGHT = { hosted: 0.5, fallback: 0.75 };
+
 /**
- * Merge rule-based candidates with Hugging Face zero-shot scores.
+ * Merge rule-based candidates with Hugging Face zero-shot scores and, when a local model is trained
+ * (see localModel.js), its scores: the two model signals blend into one before weighing against rules.
  */
-export function mergeRuleAndHF(ruleCandidates = [], hfResult = {}) {
+export function mergeRuleAndHF(ruleCandidates = [], hfResult = {}, localResult = null) {
   const ruleMap = {};
   for (const c of ruleCandidates) {
     ruleMap[c.label] = Math.max(ruleMap[c.label] || 0, c.confidence || 0);
@@ -15,12 +19,21 @@ export function mergeRuleAndHF(ruleCandidates = [], hfResult = {}) {
     hfMap[label] = score;
   });
 
-  const labels = Array.from(new Set([...Object.keys(ruleMap), ...Object.keys(hfMap)]));
+  const localMap = {};
+  (localResult?.labels || []).forEach((label, i) => {
+    localMap[label] = (localResult.scores && localResult.scores[i]) || 0;
+  });
+  const localWeight = hfResult.model === "heuristic-fallback" ? LOCAL_WEIGHT.fallback : LOCAL_WEIGHT.hosted;
+
+  const labels = Array.from(new Set([...Object.keys(ruleMap), ...Object.keys(hfMap), ...Object.keys(localMap)]));
 
   const merged = labels
     .map((label) => {
       const rule = ruleMap[label] || 0;
-      const hf = hfMap[label] || 0;
+      const zeroShot = hfMap[label] || 0;
+      // Labels the local model was not trained on keep the zero-shot score alone
+      const local = label in localMap ? localMap[label] : null;
+      const hf = local === null ? zeroShot : zeroShot * (1 - localWeight) + local * localWeight;
       let ruleWeight = 0.5;
       const reasons = [];
 
@@ -39,7 +52,16 @@ export function mergeRuleAndHF(ruleCandidates = [], hfResult = {}) {
       }
 
       const combined = rule * ruleWeight + hf * (1 - ruleWeight);
-      return { label, rule, hf, combined, reasons };
+      // The weights are kept so the explanation report can show the arithmetic
+      return {
+        label,
+        rule,
+        hf,
+        ...(localResult ? { zero_shot: zeroShot, local, local_weight: localWeight } : {}),
+        rule_weight: ruleWeight,
+        combined,
+        reasons,
+      };
     })
     .sort((a, b) => b.combined - a.combined);
 
@@ -47,9 +69,11 @@ export function mergeRuleAndHF(ruleCandidates = [], hfResult = {}) {
 }
 
 /**
- * Choose one primary template (keeps downstream logic simple).
+ * chooseTemplates — the primary template first, then every other label scoring at least `threshold`
+ * (a Node frontend next to a Python service keeps both stacks). Labels stay in score order.
  */
-export function chooseTemplates(merged, _threshold = 0.5) {
+export function chooseTemplates(merged, threshold = 0.5) {
   if (!merged || !merged.length) return ["generic"];
-  return [merged[0].label];
+  const [primary, ...rest] = merged;
+  return [primary.label, ...rest.filter((m) => m.combined >= threshold).map((m) => m.label)];
 }
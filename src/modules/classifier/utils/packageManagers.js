@@ -0,0 +1,183 @@
+// src/modules/classifier/utils/packageManagers.js
+
+/**
+ * Install / run / cache settings per package manager.
+ * - install:     command run in the project directory
+ * - run:         prefix for package scripts (`<run> build`)
+ * - exec:        prefix for binaries installed by the project (`<exec> eslint .`)
+ * - setup_cache: value for the `cache:` input of setup-node / setup-python ("" → explicit cache step)
+ * - cache_paths: directories restored by the explicit cache step
+ * - lockfile:    default lockfile name, used for cache keys when the analyzer found none
+ */
+const NODE_MANAGERS = {
+  npm: {
+    install: "npm ci",
+    install_unlocked: "npm install",
+    run: "npm run",
+    test: "npm test",
+    exec: "npx",
+    setup_cache: "npm",
+    cache_paths: ["~/.npm"],
+    lockfile: "package-lock.json",
+  },
+  yarn: {
+    install: "yarn install --frozen-lockfile",
+    install_unlocked: "yarn install",
+    run: "yarn",
+    test: "yarn test",
+    exec: "yarn",
+    setup_cache: "yarn",
+    cache_paths: ["~/.cache/yarn"],
+    lockfile: "yarn.lock",
+  },
+  "yarn-berry": {
+    install: "yarn install --immutable",
+    install_unlocked: "yarn install",
+    run: "yarn run",
+    test: "yarn test",
+    exec: "yarn",
+    setup_cache: "yarn",
+    cache_paths: [".yarn/cache"],
+    lockfile: "yarn.lock",
+  },
+  pnpm: {
+    install: "pnpm install --frozen-lockfile",
+    install_unlocked: "pnpm install",
+    run: "pnpm run",
+    test: "pnpm test",
+    exec: "pnpm exec",
+    setup_cache: "pnpm",
+    cache_paths: ["~/.local/share/pnpm/store"],
+    lockfile: "pnpm-lock.yaml",
+  },
+  bun: {
+    install: "bun install --frozen-lockfile",
+    install_unlocked: "bun install",
+    run: "bun run",
+    test: "bun run test",
+    exec: "bunx",
+    setup_cache: "",
+    cache_paths: ["~/.bun/install/cache"],
+    lockfile: "bun.lockb",
+  },
+};
+
+const PYTHON_MANAGERS = {
+  pip: {
+    install: "",
+    run_prefix: "",
+    setup_cache: "pip",
+    cache_paths: ["~/.cache/pip"],
+    lockfile: "requirements.txt",
+  },
+  poetry: {
+    install: "pipx install poetry\npoetry install --no-interaction",
+    run_prefix: "poetry run ",
+    setup_cache: "",
+    cache_paths: ["~/.cache/pypoetry"],
+    lockfile: "poetry.lock",
+  },
+  pipenv: {
+    install: "pip install pipenv\npipenv install --deploy --dev",
+    run_prefix: "pipenv run ",
+    setup_cache: "",
+    cache_paths: ["~/.local/share/virtualenvs"],
+    lockfile: "Pipfile.lock",
+  },
+  uv: {
+    install: "pip install uv\nuv sync --frozen",
+    run_prefix: "uv run ",
+    setup_cache: "",
+    cache_paths: ["~/.cache/uv"],
+    lockfile: "uv.lock",
+  },
+};
+
+// pnpm-lock.yaml lockfileVersion → the pnpm major that writes it (pnpm 10 still writes 9.0)
+const PNPM_LOCKFILE_MAJORS = [
+  [/^5(\.[0-3])?$/, 6],
+  [/^5\./, 7],
+  [/^6\./, 8],
+  [/^9\./, 9],
+];
+
+// Without "packageManager" or a known lockfileVersion: the major of the current lockfile format
+const PNPM_FALLBACK_MAJOR = 9;
+
+/**
+ * pnpmMajor — the pnpm major for pnpm/action-setup, from the lockfileVersion of pnpm-lock.yaml
+ */
+export function pnpmMajor(lockfileVersion) {
+  const match = PNPM_LOCKFILE_MAJORS.find(([pattern]) => pattern.test(String(lockfileVersion ?? "")));
+  return match ? match[1] : PNPM_FALLBACK_MAJOR;
+}
+
+function cacheKey(name, lockfile) {
+  return `${name}-cache-\${{ hashFiles('${lockfile}') }}`;
+}
+
+/**
+ * nodePackageManager — values for the node templates, from the project's detected manager
+ */
+export function nodePackageManager(project = {}) {
+  const name = NODE_MANAGERS[project.package_manager] ? project.package_manager : "npm";
+  const pm = NODE_MANAGERS[name];
+  const lockfile = project.lockfile || `**/${pm.lockfile}`;
+  return {
+    package_manager: name,
+    package_manager_version: project.package_manager_version || null,
+    // pnpm/action-setup reads "packageManager" itself; without it the version has to be given
+    pnpm_version: name === "pnpm" && !project.package_manager_version ? pnpmMajor(project.lockfile_version) : null,
+    install_command: project.lockfile ? pm.install : pm.install_unlocked,
+    run_command: pm.run,
+    // setup-node's built-in cache fails without a lockfile; fall back to the explicit cache step
+    setup_cache: project.lockfile ? pm.setup_cache : "",
+    lockfile,
+    caching: {
+      paths: pm.cache_paths,
+      key: cacheKey(name, lockfile),
+      restore_key: `${name}-cache-`,
+    },
+  };
+}
+
+/**
+ * nodeScriptCommand — command running a package.json script with the given manager
+ */
+export function nodeScriptCommand(packageManager, script) {
+  const pm = NODE_MANAGERS[packageManager] || NODE_MANAGERS.npm;
+  return script === "test" ? pm.test : `${pm.run} ${script}`;
+}
+
+/**
+ * nodeExecCommand — command running a locally installed binary (jest, eslint, ...) with the given manager
+ */
+export function nodeExecCommand(packageManager, command) {
+  const pm = NODE_MANAGERS[packageManager] || NODE_MANAGERS.npm;
+  return `${pm.exec} ${command}`;
+}
+
+/**
+ * pythonPackageManager — values for the python templates, from the project's detected manager
+ */
+export function pythonPackageManager(project = {}) {
+  const name = PYTHON_MANAGERS[project.package_manager] ? project.package_manager : "pip";
+  const pm = PYTHON_MANAGERS[name];
+  // Plain pip projects without requirements.txt pin their dependencies in pyproject.toml
+  const manifests = project.manifests || [];
+  const pyprojectOnly = manifests.includes("pyproject.toml") && !manifests.includes("requirements.txt");
+  const dir = project.path && project.path !== "." ? `${project.path}/` : "";
+  const lockfile = project.lockfile || (pyprojectOnly ? `${dir}pyproject.toml` : `**/${pm.lockfile}`);
+  return {
+    package_manager: name,
+    install_command: pm.install,
+    run_prefix: pm.run_prefix,
+    setup_cache: pm.setup_cache,
+    lockfile,
+    caching: {
+      paths: pm.cache_paths,
+      key: cacheKey(name, lockfile),
+      restore_key: `${name}-cache-`,
+    },
+  };
+}
@@ -1,17 +1,20 @@
 // src/modules/classifier/utils/paramExtractor.js
-import { InferenceClient } from "@huggingface/inference";
-
-// Root-level dotenv should be loaded by the application entrypoint.
-// Rely on `process.env.HF_TOKEN` instead of a module-local .env file.
-const HF_TOKEN = process.env.HF_TOKEN || null;
-const HF_PARAM_MODEL = process.env.HF_PARAM_MODEL || null; // <= ONLY if you explicitly set one
-
-const hf = HF_TOKEN && HF_PARAM_MODEL ? new InferenceClient(HF_TOKEN) : null;
+import { listEcosystems } from "../../ecosystems/registry.js";
+import { migrateCi } from "./ciMigration.js";
+import { containerBuilds, dockerBuildCommand } from "./containerBuilds.js";
+import { deploymentTargets } from "./deploymentTargets.js";
+import { createExplainer } from "./explain.js";
+import { kubernetesDeployment } from "./kubernetesDeploy.js";
+import { applyOverrides, commandPolicy, overridableValues, validateOverrides } from "./llmOverrides.js";
+import { paramProvider } from "./llmProviders.js";
+import { polyglotStacks } from "./polyglot.js";
+import { serviceContainers } from "./serviceContainers.js";
 
 /**
- * deterministicFallback — safe, language-aware defaults
+ * deterministicFallback — safe, language-aware defaults; `explain(field, reason)` records the
+ * evidence behind each decision
  */
-function deterministicFallback(features, chosenTemplates = []) {
+function deterministicFallback(features, chosenTemplates = [], { explain, scoped } = createExplainer()) {
   if (typeof chosenTemplates === "string") chosenTemplates = [chosenTemplates];
 
   const comp = features?.composition || {};
@@ -35,8 +38,35 @@ function deterministicFallback(features, chosenTemplates = []) {
     Object.keys(langs).some((l) => l.toLowerCase() === "dockerfile") ||
     false;
 
-  const nodeMeta = features.build_and_dependency?.node_metadata || {};
-  const pythonMeta = features.build_and_dependency?.python_metadata || {};
+  const runtimeVersions = features.build_and_dependency?.runtime_versions || {};
+
+  // One image build per Dockerfile; feature.json from before Dockerfile parsing gets the root build
+  const dockerfiles = features?.containerization_and_deployment?.dockerfiles;
+  const builds = dockerfiles
+    ? containerBuilds(dockerfiles)
+    : hasDocker
+    ? containerBuilds([{ name: "app", path: "Dockerfile", context: "." }])
+    : [];
+
+  // Every manifest in the tree; the primary project per ecosystem is the root one, else the shallowest
+  const projects = features.build_and_dependency?.projects || [];
+  const primary = (ecosystem) => projects.find((p) => p.ecosystem === ecosystem) || null;
+
+  // Databases / queues the tests talk to run as service containers next to the test job
+  const { services, service_env } = serviceContainers(features?.testing_and_linting?.services);
+
+  // One deploy job per deployment config (Vercel, Netlify, Render, Heroku, Cloud Build, Fly.io, App Engine)
+  const deployTargets = deploymentTargets(features?.containerization_and_deployment?.deployments, {
+    projects,
+    runtimeVersions,
+  });
+  const defaultBranch = features?.metadata?.default_branch || "main";
+
+  // Charts / overlays / manifests roll out per environment with the image the docker_build job pushed
+  const kubernetes = kubernetesDeployment(features?.containerization_and_deployment?.kubernetes, {
+    builds,
+    branch: defaultBranch,
+  });
 
   const base = {
     project_type: "generic",
@@ -44,12 +74,33 @@ function deterministicFallback(features, chosenTemplates = []) {
     package_manager: null,
     lint_command: "",
     test_command: "",
+    coverage_command: "",
+    coverage_report: "",
     build_command: "",
     artifact_path: "",
     matrix: {},
     caching: {},
-    secrets_required: [],
-    deployment: { enabled: false, provider: "", config_file: "", mode: "" },
+    services,
+    service_env,
+    kubernetes,
+    secrets_required: [
+      ...new Set([...deployTargets.flatMap((t) => t.secrets), ...(kubernetes.enabled ? ["KUBECONFIG"] : [])]),
+    ],
+    deployment: {
+      enabled: deployTargets.length > 0,
+      provider: deployTargets[0]?.provider || (kubernetes.enabled ? "kubernetes" : ""),
+      config_file: deployTargets[0]?.config_file || "",
+      mode: kubernetes.enabled
+        ? "k8s"
+        : deployTargets.some((t) => t.preview)
+        ? "production+preview"
+        : deployTargets.length
+        ? "production"
+        : "",
+      // Production deploys run on pushes to the default branch and on tags
+      branch: defaultBranch,
+      targets: deployTargets,
+    },
     container: {
       enabled: false,
       image: "",
@@ -60,9 +111,11 @@ function deterministicFallback(features, chosenTemplates = []) {
       provenance: false,
       sbom: false,
       sign: false,
+      builds,
+      warnings: builds.flatMap((b) => b.warnings),
     },
     triggers: {
-      branches: [features?.metadata?.default_branch || "main"],
+      branches: [defaultBranch],
       push: true,
       pull_request: true,
       release_on_tag: true,
@@ -70,29 +123,80 @@ function deterministicFallback(features, chosenTemplates = []) {
     paths_filters: {},
   };
 
-  const isNodeHint =
-    dominant.includes("javascript") || detectedFiles.includes("package.json");
-  const isPythonHint =
-    dominant.includes("python") || detectedFiles.includes("requirements.txt");
-  const isJavaPom =
-    detectedFiles.includes("pom.xml") ||
-    detectedFiles.includes("build.gradle") ||
-    detectedFiles.includes("build.gradle.kts");
+  // Chosen ecosystems with files or a project in the tree are stacks; classifier scores alone are not enough
+  const plugins = listEcosystems();
+  const hasFiles = (p) => p.match(detectedFiles) || Boolean(primary(p.name));
+  const stackPlugins = chosenTemplates.map((label) => plugins.find((p) => p.name === label)).filter((p) => p && hasFiles(p));
+  // The first stack wins; otherwise the chosen ecosystem, then the first plugin (built-ins in registry order) with evidence
+  const plugin =
+    stackPlugins[0] ||
+    plugins.find((p) => p.name === chosenTemplates[0]) ||
+    plugins.find((p) => hasFiles(p) || (p.languages || []).includes(dominant));
+  const ctx = { primary, runtimeVersions, detectedFiles, hasDocker, dominant, chosenTemplates, explain };
+
+  if (dominant) explain("language", `dominant language ${dominant}`);
+  explain(
+    "triggers.branches",
+    features?.metadata?.default_branch ? `default branch ${defaultBranch} of the repository` : "default branch unknown; main"
+  );
+  for (const s of services) explain(`services.${services.indexOf(s)}`, `${s.id}: ${s.evidence.join(", ") || "detected service"}`);
+  for (const [i, t] of deployTargets.entries()) explain(`deployment.targets.${i}`, `${t.label} configuration ${t.config_file}`);
+  if (kubernetes.enabled) explain("kubernetes", `Kubernetes ${kubernetes.tool} found in the repository`);
+  if (base.secrets_required.length) explain("secrets_required", "used by the deploy jobs");
+  for (const [i, b] of builds.entries()) explain(`container.builds.${i}`, `${b.file} (context ${b.context})`);
+
+  // --- Repositories on GitLab CI / CircleCI / Jenkins / Travis: their jobs, translated ---
+  const migration = migrateCi(features?.ci_cd?.legacy_configs, { defaultBranch });
+  if (migration) {
+    const out = (plugin && plugin.params(features, base, ctx)) || { ...base };
+    explain("layout", `jobs migrated from ${migration.source.path}`);
+    out.layout = "migration";
+    out.migration = migration;
+    out.secrets_required = migration.secrets;
+    out.triggers = { ...out.triggers, branches: migration.triggers.branches };
+    return out;
+  }
 
-  const isNode =
-    chosenTemplates.includes("node") || isNodeHint;
-  const isPython =
-    chosenTemplates.includes("python") || isPythonHint;
-  const isJava =
-    chosenTemplates.includes("java") || isJavaPom;
-  const isDockerChosen = chosenTemplates.includes("docker");
+  // --- Polyglot repositories: one stack per chosen ecosystem, container jobs shared ---
+  if (stackPlugins.length > 1) {
+    const stacks = polyglotStacks(features, stackPlugins, { base, primary, ctx, scoped });
+    if (stacks.length > 1) {
+      explain("layout", `chosen ecosystems with files in the tree: ${stacks.map((s) => s.ecosystem).join(", ")}`);
+      explain("project_type", "more than one chosen ecosystem has files in the tree");
+      explain("paths_filters", "one path filter per stack");
+      const out = { ...base };
+      out.project_type = "polyglot";
+      out.layout = "polyglot";
+      out.stacks = stacks;
+      out.paths_filters = Object.fromEntries(stacks.map((s) => [s.id, s.paths]));
+      if (builds.length) {
+        out.container = {
+          ...out.container,
+          enabled: true,
+          image: `docker.io/${features.repo || "OWNER/REPO"}`,
+          registry: "docker.io",
+          cache: true,
+        };
+      }
+      out.secrets_required = [
+        ...new Set([
+          ...base.secrets_required,
+          ...stacks.flatMap((s) => s.values.secrets_required || []),
+          ...(builds.length ? ["DOCKER_USERNAME", "DOCKER_PASSWORD"] : []),
+        ]),
+      ];
+      return out;
+    }
+  }
 
   // --- Docker-only repositories ---
-  if (isDockerChosen && !isNode && !isPython && !isJava) {
+  if (!plugin && chosenTemplates.includes("docker")) {
+    explain("project_type", "docker chosen by the classifier and no ecosystem has files in the tree");
+    explain("build_command", builds.length ? "one docker build per Dockerfile" : "Dockerfile at the repository root");
     const out = { ...base };
     out.project_type = "docker";
     out.language = "docker";
-    out.build_command = "docker build -t app .";
+    out.build_command = builds.length ? builds.map(dockerBuildCommand).join(" && ") : "docker build -t app .";
     out.test_command = "";
     out.container = {
       ...out.container,
@@ -106,119 +210,46 @@ function deterministicFallback(features, chosenTemplates = []) {
     return out;
   }
 
-  // --- Node.js ---
-  if (isNode) {
-    const out = { ...base };
-    out.project_type = "node";
-    out.language = "js";
-    out.package_manager = "npm";
-    out.node_version = nodeMeta.nodeVersion || "18.x";
-
-    // Prefer real scripts if present
-    const scripts = nodeMeta.scripts || {};
-    out.lint_command =
-      scripts.lint ? "npm run lint" : "npm run lint || echo 'No lint script'";
-    out.test_command =
-      scripts.test ? "npm test" : "npm test || echo 'No tests found'";
-    out.build_command = scripts.build ? "npm run build" : "npm run build || echo 'No build script'";
-    // If there is no build script, do not upload artifacts (empty string disables the step)
-    out.artifact_path = scripts.build ? "dist/" : "";
-    out.matrix = { node_versions: ["16.x", "18.x", "20.x"] };
-
-    out.caching = {
-      paths: ["~/.npm"],
-      key: "npm-cache-${{ hashFiles('**/package-lock.json') }}",
-    };
-
-    if (hasDocker) {
-      // Prefer Docker Hub by default unless analyzer indicates GHCR or other registry references
-      const detectedRegistry = (features.containerization_and_deployment?.registry_reference) ?
-        (features.containerization_and_deployment?.registry_reference === true ? "docker.io" : "docker.io") : "docker.io";
-
-      const repoId = (features.repo || "OWNER/REPO");
-
-      out.container = {
-        ...out.container,
-        enabled: true,
-        image: `${detectedRegistry}/${repoId}`,
-        registry: detectedRegistry,
-        platforms: ["linux/amd64"],
-        cache: true,
-      };
-
-      // Secrets: Docker Hub uses username/password; GHCR typically uses GITHUB_TOKEN
-      if (detectedRegistry.includes("ghcr.io")) {
-        out.secrets_required = [...out.secrets_required, "GITHUB_TOKEN"];
-      } else {
-        out.secrets_required = [...out.secrets_required, "DOCKER_USERNAME", "DOCKER_PASSWORD"];
-      }
-    }
-    return out;
-  }
-
-  // --- Python ---
-  if (isPython) {
-    const out = { ...base };
-    out.project_type = "python";
-    out.language = "py";
-    out.package_manager = "pip";
-    out.python_version = "3.11";  // Fallback version for setup-python when no matrix
-    out.lint_command = "flake8 . || echo 'No flake8 config'";
-    out.test_command = pythonMeta.has_pytest
-      ? "pytest"
-      : "pytest || python -m unittest";
-    out.build_command = "python -m build || python setup.py sdist";
-    out.artifact_path = "dist/";
-    out.matrix = { python_versions: ["3.9", "3.10", "3.11"] };
-    out.caching = {
-      paths: ["~/.cache/pip"],
-      key: "pip-cache-${{ hashFiles('**/requirements.txt') }}",
-    };
-    // Set dependency_file if requirements.txt is detected (used by pip-install.hbs template)
-    out.dependency_file = detectedFiles.includes("requirements.txt") ? "requirements.txt" : null;
-    // Set pyproject if pyproject.toml is detected
-    out.pyproject = detectedFiles.includes("pyproject.toml");
-    return out;
-  }
-
-  // --- Java ---
-  if (isJava) {
-    const out = { ...base };
-    out.project_type = "java";
-    out.language = "java";
-    out.java_version = "17";  // Fallback Java version
-    const hasPom = detectedFiles.includes("pom.xml");
-    const hasGradle =
-      detectedFiles.includes("build.gradle") ||
-      detectedFiles.includes("build.gradle.kts");
-    out.package_manager = hasPom ? "maven" : hasGradle ? "gradle" : null;
-    out.build_command = hasPom
-      ? "mvn -B -DskipTests package"
-      : hasGradle
-      ? "./gradlew build --no-daemon -x test"
-      : "javac -d out $(find src -name '*.java' 2>/dev/null)";
-    out.test_command = hasPom
-      ? "mvn test"
-      : hasGradle
-      ? "./gradlew test"
-      : "";
-    out.artifact_path = hasPom ? "target/" : hasGradle ? "build/" : "";
-    out.matrix = { java_versions: ["11", "17"] };  // Matrix for Java versions
-    return out;
+  // --- Ecosystem plugins (src/modules/ecosystems) ---
+  if (plugin) {
+    explain(
+      "project_type",
+      plugin.name === chosenTemplates[0]
+        ? `${plugin.name} is the classifier's primary template`
+        : `${plugin.name} is the first ecosystem with evidence in the tree (primary template: ${chosenTemplates[0] || "none"})`
+    );
+    const out = plugin.params(features, base, ctx);
+    if (out) return out;
   }
 
   // Generic fallback
+  explain("project_type", "no ecosystem produced parameters; generic pipeline");
   return base;
 }
 
 /**
- * adaptiveExtract — uses LLM *only if* HF_PARAM_MODEL is set; otherwise deterministic only.
+ * commandScripts — the package.json scripts of the project the commands run in (working_directory,
+ * else the root); npm / yarn / pnpm script names in model overrides must be among them
+ */
+export function commandScripts(features, base) {
+  const dir = base.working_directory || ".";
+  const project = (features.build_and_dependency?.projects || []).find((p) => p.ecosystem === "node" && p.path === dir);
+  return project?.scripts || {};
+}
+
+/**
+ * adaptiveExtract — deterministic values, plus text-generation model overrides when a provider is
+ * configured (`opts.provider`, else LLM_PROVIDER / LLM_BASE_URL / HF_PARAM_MODEL) and not `opts.offline`.
+ * Overrides are validated against OVERRIDE_SCHEMA and the command policy; `_llm` records the
+ * fields taken from the model and the rejected ones.
  */
-export async function adaptiveExtract(features, mergedSuggestion = {}) {
+export async function adaptiveExtract(features, mergedSuggestion = {}, opts = {}) {
   const chosenTemplates = mergedSuggestion.chosen || [];
-  const base = deterministicFallback(features, chosenTemplates);
+  const explainer = createExplainer();
+  const base = { ...deterministicFallback(features, chosenTemplates, explainer), _explain: explainer.reasons };
 
-  if (!HF_TOKEN || !HF_PARAM_MODEL || !hf) {
+  const provider = opts.offline ? null : opts.provider === undefined ? paramProvider() : opts.provider;
+  if (!provider) {
     // No text-generation model configured → no LLM, no error.
     return base;
   }
@@ -234,45 +265,47 @@ ${JSON.stringify(features, null, 2)}
 Classifier hints:
 ${JSON.stringify(mergedSuggestion, null, 2)}
 
+Current values of the fields you may override:
+${JSON.stringify(overridableValues(base), null, 2)}
+
 Rules:
 - Respond with ONLY a single JSON object, no commentary.
-- Include fields ONLY if you want to override the defaults.
-- Prefer simple, safe commands (npm, pytest, mvn, etc.).
+- Include fields ONLY if you want to override the current values; any other field is ignored.
+- Nest dotted fields: {"triggers": {"branches": ["main"]}}, {"matrix": {"node_versions": ["20.x"]}}.
+- Commands must be single lines of package.json scripts or build-tool invocations joined by && or ||;
+  no pipes, redirection, variables, substitution, npx or inline code (node -e, python -c).
 `;
 
   try {
-    const response = await hf.textGeneration({
-      model: HF_PARAM_MODEL,
-      inputs: prompt,
-      provider: "hf-inference",
-      parameters: {
-        max_new_tokens: 600,
-        temperature: 0.2,
-      },
-    });
-
-    const outputText =
-      response.generated_text || JSON.stringify(response);
+    const outputText = await provider.generate(prompt, { maxTokens: 600, temperature: 0.2 });
     const jsonMatch = outputText.match(/\{[\s\S]*\}/);
     if (!jsonMatch) throw new Error("No JSON found in model output");
 
     const parsed = JSON.parse(jsonMatch[0]);
+    if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("Model output is not a JSON object");
+    }
 
-    // Merge: base is authoritative; parsed only overrides specific keys
-    const merged = {
-      ...base,
-      ...parsed,
-      container: {
-        ...base.container,
-        ...(parsed.container || {}),
-      },
-      triggers: {
-        ...base.triggers,
-        ...(parsed.triggers || {}),
+    // Base is authoritative; the model only overrides fields that pass the schema and command policy
+    const policy = commandPolicy(process.env, { scripts: commandScripts(features, base) });
+    const { overrides, rejected } = validateOverrides(parsed, base, policy);
+    for (const r of rejected) console.warn(`⚠️ Ignored model override ${r.field}: ${r.reason}`);
+    for (const o of overrides) {
+      // matrix.node_versions overridden → the reason for the whole matrix no longer holds
+      if (o.field.includes(".")) delete explainer.reasons[o.field.split(".")[0]];
+      explainer.explain(o.field, `overridden by the ${provider.name} model ${provider.model}`);
+    }
+
+    return {
+      ...applyOverrides(base, overrides),
+      _explain: explainer.reasons,
+      _llm: {
+        provider: provider.name,
+        model: provider.model,
+        fields: overrides.map((o) => o.field),
+        rejected,
       },
     };
-
-    return merged;
   } catch (err) {
     console.warn("Adaptive extraction failed, using fallback:", err.message);
     return base;
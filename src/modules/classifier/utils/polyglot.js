@@ -0,0 +1,82 @@
+// src/modules/classifier/utils/polyglot.js
+import { serviceContainers } from "./serviceContainers.js";
+
+const slug = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+
+const COMPOSE_EVIDENCE = /(^|\/)(docker-)?compose[^/]*\.ya?ml: /;
+
+function dirOf(file) {
+  return file.includes("/") ? file.slice(0, file.lastIndexOf("/")) : ".";
+}
+
+/**
+ * stackDirs — directories a stack lives in: its project, else the shallowest directories holding
+ * files its plugin recognizes (e.g. Terraform roots and modules)
+ */
+function stackDirs(plugin, project, files) {
+  if (project) return [project.path];
+  const dirs = [...new Set(files.filter((f) => plugin.match([f])).map(dirOf))].sort();
+  return dirs.filter((d) => !dirs.some((o) => o !== d && (o === "." || d.startsWith(`${o}/`))));
+}
+
+/**
+ * ownsService — services found in a project's dependencies belong to its stack; services from
+ * compose files are shared by every stack
+ */
+function ownsService(service, project) {
+  return (service.evidence || []).some(
+    (e) =>
+      COMPOSE_EVIDENCE.test(e) ||
+      (project &&
+        (e.startsWith(`${project.manifest}: `) ||
+          e.startsWith(`${project.path}: ${project.ecosystem} dependency`) ||
+          (project.path === "." && e.startsWith(`${project.ecosystem} dependency`))))
+  );
+}
+
+/**
+ * polyglotStacks — one values section per stack (chosen ecosystem plugin): what the plugin produces
+ * for its own project, with its own services and path filter. Container builds, deployments and
+ * Kubernetes rollouts stay out of the stacks; the polyglot workflow runs them once for all.
+ */
+export function polyglotStacks(features, plugins, { base, primary, ctx, scoped }) {
+  const detectedServices = features?.testing_and_linting?.services || [];
+  const ids = new Set();
+  const stacks = [];
+  for (const plugin of plugins) {
+    const project = primary(plugin.name);
+    const { services, service_env } = serviceContainers(detectedServices.filter((s) => ownsService(s, project)));
+    const values = plugin.params(
+      features,
+      {
+        ...base,
+        services,
+        service_env,
+        secrets_required: [],
+        container: { ...base.container, enabled: false, builds: [], warnings: [] },
+        deployment: { ...base.deployment, enabled: false, mode: "", targets: [] },
+        kubernetes: { enabled: false },
+      },
+      // Reasons land on the stack's own fields (stacks.<i>.values.<field>)
+      { ...ctx, hasDocker: false, ...(scoped ? { explain: scoped(`stacks.${stacks.length}.values`) } : {}) }
+    );
+    if (!values) continue;
+
+    let id = slug(project && project.path !== "." ? project.path.split("/").pop() : plugin.name);
+    if (ids.has(id)) id = `${id}_${plugin.name}`;
+    ids.add(id);
+    // detectedFiles are lowercased; project paths keep their case
+    const dirs = stackDirs(plugin, project, features.detectedFiles || []);
+    stacks.push({
+      id,
+      ecosystem: plugin.name,
+      label: plugin.runtime || plugin.name,
+      working_directory: project?.path || ".",
+      // Workflow edits re-run every stack
+      paths: [...dirs.map((d) => (d === "." ? "**" : `${d}/**`)), ".github/workflows/**"],
+      changed: `\${{ steps.filter.outputs.${id} }}`,
+      values,
+    });
+  }
+  return stacks;
+}
@@ -0,0 +1,88 @@
+// src/modules/classifier/utils/pythonCommands.js
+
+// Extras / groups that usually carry the test and lint toolchain
+const DEV_EXTRAS = ["dev", "test", "tests", "testing", "lint"];
+
+/**
+ * pythonCommands — lint/test/coverage/build commands from what the project declares and configures.
+ * Only tools the analyzer detected (testing_and_linting.tools: dependency, [tool.*], setup.cfg,
+ * tox.ini, dedicated config files) produce a command; "" means nothing was detected.
+ * @param {object} project - python project from feature.json (build_and_dependency.projects)
+ * @param {string} runPrefix - "poetry run ", "uv run ", ... ("" for pip)
+ * @param {string} packageManager - pip | poetry | pipenv | uv
+ * @param {Array} tools - detected tools of this project ({ tool, kind, config, command })
+ */
+export function pythonCommands(project = {}, runPrefix = "", packageManager = "pip", tools = null) {
+  const optional = project.optional_dependencies || {};
+  const deps = new Set([...(project.dependencies || []), ...Object.values(optional).flat()]);
+  // Older feature.json files carry no tool list; fall back to the project's own declarations
+  const configured = new Set(project.configured_tools || []);
+  const detected = tools || [];
+  const has = (tool) =>
+    tools ? detected.some((t) => t.tool === tool) : configured.has(tool) || deps.has(tool);
+  const command = (tool, fallback) => detected.find((t) => t.tool === tool)?.command || fallback;
+  const run = (cmd) => cmd.split(" && ").map((part) => `${runPrefix}${part}`).join(" && ");
+
+  // Tools we invoke but the project does not install itself
+  const toolPackages = new Set();
+  const use = (tool, cmd) => {
+    if (!deps.has(tool)) toolPackages.add(tool);
+    return run(command(tool, cmd));
+  };
+
+  /* ---------------------- Lint */
+  const lint = [];
+  if (has("ruff")) lint.push(use("ruff", "ruff check ."));
+  else if (has("flake8")) lint.push(use("flake8", "flake8 ."));
+  else if (has("pylint")) lint.push(use("pylint", "pylint $(git ls-files '*.py')"));
+  if (has("black")) lint.push(use("black", "black --check ."));
+  if (has("isort")) lint.push(use("isort", "isort --check-only ."));
+  if (has("mypy")) lint.push(use("mypy", "mypy ."));
+
+  /* ---------------------- Test & coverage */
+  let test = "";
+  let coverage = "";
+  let coverageReport = "";
+  if (has("pytest") || has("pytest-cov")) {
+    test = use("pytest", "pytest");
+    if (has("pytest-cov")) {
+      coverage = use("pytest-cov", "pytest --cov --cov-report=xml");
+    } else if (has("coverage")) {
+      coverage = use("coverage", "coverage run -m pytest && coverage xml");
+    }
+    if (coverage) coverageReport = "coverage.xml";
+  } else if (has("tox") || project.tox_envs) {
+    test = use("tox", "tox");
+  } else if (has("nox") || project.nox_sessions?.length) {
+    test = use("nox", "nox");
+  }
+
+  /* ---------------------- Build */
+  let build = "";
+  if (packageManager === "poetry" || project.build_tool === "poetry") {
+    build = "poetry build";
+  } else if (packageManager === "uv") {
+    build = "uv build";
+  } else if (project.build_backend || project.build_tool === "setuptools") {
+    toolPackages.add("build");
+    build = "python -m build";
+  }
+
+  /* ---------------------- Install (pip + pyproject without requirements.txt) */
+  let install = "";
+  const manifests = project.manifests || [];
+  if (packageManager === "pip" && !manifests.includes("requirements.txt") && manifests.includes("pyproject.toml")) {
+    const extras = Object.keys(optional).filter((k) => DEV_EXTRAS.includes(k));
+    install = extras.length ? `pip install -e ".[${extras.join(",")}]"` : "pip install -e .";
+  }
+
+  return {
+    lint_command: lint.join(" && "),
+    test_command: test,
+    coverage_command: coverage,
+    coverage_report: coverageReport,
+    build_command: build,
+    install_command: install,
+    tool_packages: [...toolPackages],
+  };
+}
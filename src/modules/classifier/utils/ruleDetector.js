@@ -1,8 +1,12 @@
 // src/modules/classifier/utils/ruleDetector.js
+import { listEcosystems } from "../../ecosystems/registry.js";
+import { evaluateRules, resolveRules, ruleContext } from "./rulePacks.js";
 
 /**
  * Rule-based detector:
- * - Uses file signals, languages, frameworks, and derived.recommended_templates
+ * - File, framework, dependency and language rules come from rule packs (see rulePacks.js):
+ *   built-in, organization and the repository's own (feature.json rule_packs)
+ * - Adds nested projects, dominant language and derived.recommended_templates hints
  * - Produces high-confidence hints for the primary pipeline type
  */
 export function runRuleDetector(features = {}) {
@@ -40,63 +44,37 @@ export function runRuleDetector(features = {}) {
   const push = (label, conf, reason) =>
     rawCandidates.push({ label, confidence: conf, reason });
 
-  // --- Very strong file-based hints ---
-  const hasPackageJson = detectedFiles.includes("package.json");
-  const hasRequirements = detectedFiles.includes("requirements.txt");
-  const hasPom = detectedFiles.includes("pom.xml");
-  const hasGradle =
-    detectedFiles.includes("build.gradle") ||
-    detectedFiles.includes("build.gradle.kts");
-  const hasGoMod = detectedFiles.includes("go.mod");
-  const hasMainTf = detectedFiles.includes("main.tf");
-
-  if (hasPackageJson) {
-    push("node", 0.97, "package.json present");
-  }
-  if (hasRequirements) {
-    push("python", 0.97, "requirements.txt present");
-  }
-  if (hasPom || hasGradle) {
-    // Only push 'java' strongly if no Node signals
-    if (!hasPackageJson) {
-      push("java", 0.95, "Java build descriptor present");
-    } else {
-      push("java", 0.6, "Java descriptor present but JS indicators stronger");
-    }
-  }
-  if (hasGoMod) {
-    push("go", 0.95, "go.mod present");
-  }
-  if (hasMainTf) {
-    push("terraform", 0.9, "main.tf present (Terraform)");
-  }
+  const projects = buildDep.projects || [];
+  const workspacePackages = buildDep.workspaces?.packages || [];
+  const plugins = listEcosystems();
 
-  if (hasDockerfile) {
-    push("docker", 0.99, "Dockerfile present");
-  }
+  // --- File, framework and dependency rules (rule packs) ---
+  const { rules, packs } = resolveRules(features.rule_packs);
+  rawCandidates.push(...evaluateRules(rules, ruleContext(features, { detectedFiles, frameworks, languages, dominant })));
 
-  // --- Framework detection ---
-  if (frameworks.some((f) => f.includes("flask") || f.includes("django") || f.includes("fastapi"))) {
-    push("python", 0.9, `Python framework detected: ${frameworks.join(", ")}`);
-  }
-  if (frameworks.includes("express") || frameworks.includes("next.js") || frameworks.includes("react")) {
-    push("node", 0.9, "Node.js ecosystem framework detected");
+  // Plugins may still ship rules in code
+  for (const plugin of plugins) {
+    for (const c of plugin.rules?.(features, { detectedFiles, frameworks, dominant, projects }) || []) {
+      push(c.label, c.confidence, c.reason);
+    }
   }
-  if (frameworks.includes("spring") || frameworks.includes("spring boot")) {
-    push("java", 0.9, "Spring framework detected");
+
+  // --- Nested projects (manifests below the repository root) ---
+  for (const { name } of plugins) {
+    const dirs = projects
+      .filter((p) => p.ecosystem === name && p.path !== ".")
+      .map((p) => p.path);
+    if (dirs.length) {
+      push(name, 0.9, `${name} project(s) in ${dirs.slice(0, 5).join(", ")}`);
+    }
   }
 
   // --- Dominant language hints (moderate) ---
   if (dominant) {
-    if (dominant.includes("javascript")) {
-      push("node", 0.7, `dominant language: ${dominant}`);
-    } else if (dominant.includes("python")) {
-      push("python", 0.7, `dominant language: ${dominant}`);
-    } else if (dominant.includes("java")) {
-      // Only give moderate weight so Node + package.json still wins if present
-      push("java", 0.6, `dominant language: ${dominant}`);
-    } else if (dominant.includes("go")) {
-      push("go", 0.6, `dominant language: ${dominant}`);
+    const byLanguage = plugins.find((p) => (p.languages || []).includes(dominant));
+    if (byLanguage) {
+      // Only moderate weight by default so a build descriptor of another ecosystem still wins
+      push(byLanguage.name, byLanguage.languageConfidence ?? 0.6, `dominant language: ${dominant}`);
     } else if (dominant.includes("dockerfile")) {
       push("docker", 0.7, "dominant language is Dockerfile");
     }
@@ -108,23 +86,13 @@ export function runRuleDetector(features = {}) {
     const t = tmpl.toLowerCase();
     if (t.includes("docker")) {
       push("docker", 0.8, `derived recommended template: ${tmpl}`);
-    } else if (t.includes("node")) {
-      push("node", 0.8, `derived recommended template: ${tmpl}`);
-    } else if (t.includes("python")) {
-      push("python", 0.8, `derived recommended template: ${tmpl}`);
-    } else if (t.includes("java")) {
-      push("java", 0.8, `derived recommended template: ${tmpl}`);
+    } else if (plugins.some((p) => t.startsWith(`${p.name}-`))) {
+      push(t.split("-")[0], 0.8, `derived recommended template: ${tmpl}`);
     } else if (t.includes("ci") || t.includes("workflow")) {
       push("generic", 0.5, `derived recommended template: ${tmpl}`);
     }
   }
 
-  // --- Polyglot detection ---
-  const langKeys = Object.keys(languages);
-  if (langKeys.length > 1) {
-    push("polyglot", 0.5, `multiple languages detected: ${langKeys.join(", ")}`);
-  }
-
   // No signals at all → generic
   if (!rawCandidates.length) {
     push("generic", 0.3, "no strong evidence; fallback to generic");
@@ -149,10 +117,12 @@ export function runRuleDetector(features = {}) {
     `Languages: ${Object.keys(languages).join(", ") || "none"}`,
     `Frameworks: ${frameworks.join(", ") || "none"}`,
     `Has Dockerfile: ${hasDockerfile ? "yes" : "no"}`,
+    `Projects: ${projects.map((p) => `${p.path} (${p.ecosystem})`).join(", ") || "none"}`,
+    `Workspace packages: ${workspacePackages.map((p) => p.path).join(", ") || "none"}`,
     `Recommended templates: ${(recommended || []).join(", ") || "none"}`,
     `Detected files sample: ${detectedFiles.slice(0, 12).join(", ") || "none"}`,
   ];
   const summary = summaryParts.join("\n");
 
-  return { candidates, summary, detectedFiles, languages };
+  return { candidates, summary, detectedFiles, languages, rulePacks: packs };
 }
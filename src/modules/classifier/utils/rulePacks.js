@@ -0,0 +1,283 @@
+// src/modules/classifier/utils/rulePacks.js
+import fsSync from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import YAML from "yaml";
+import { globToRegExp } from "../../detector/utils/glob.js";
+import { IGNORED_DIRS } from "../../detector/utils/manifests.js";
+import { valueAt } from "./evaluation.js";
+import { dependencyNames } from "./localModel.js";
+
+/*
+ * Rule packs (see README "Rule packs"): rule-detector signals as data, in YAML or JSON.
+ *
+ *   name: acme
+ *   rules:
+ *     - id: acme-internal-sdk
+ *       label: internal-sdk-service
+ *       confidence: 0.92
+ *       reason: "Acme SDK dependency: {matches}"
+ *       when: { dependency: "@acme/sdk-*" }
+ *
+ * Conditions (several keys in one `when` must all hold):
+ * - file:              glob(s) over repository paths ("package.json" is the root one, "**" spans directories)
+ * - framework:         glob(s) over build_and_dependency.frameworks
+ * - dependency:        glob(s) over the dependencies of every <ecosystem>_metadata
+ * - language:          name(s), or { name, min_share } with the share in percent
+ * - dominant_language: name(s)
+ * - feature:           { path, equals | exists | min_count } on any feature.json field
+ * - all / any:         lists of conditions; not: one condition
+ * Matching is case-insensitive. `{matches}` in the reason lists what the condition matched.
+ *
+ * Packs apply in order — built-in, organization (RULE_PACKS_DIR, then RULE_PACKS), repository
+ * (.pipeline-gen/rules.yml, .pipeline-gen/rules/*) — and a rule replaces an earlier one with the
+ * same id; `{ id, disabled: true }` removes it.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUILTIN_PACK = path.resolve(__dirname, "../rules/builtin.yml");
+
+const LABEL = /^[a-z0-9][a-z0-9._-]*$/i;
+const CONDITIONS = ["file", "framework", "dependency", "language", "dominant_language", "feature", "all", "any", "not"];
+const PACK_FILE = /\.(ya?ml|json)$/i;
+
+let orgPacks = [];
+let loading = null;
+
+const list = (v) => [].concat(v ?? []).map((s) => String(s).toLowerCase());
+const matcher = (patterns) => {
+  const res = list(patterns).map(globToRegExp);
+  return (value) => res.some((re) => re.test(value));
+};
+
+// Problems with a condition, as "<path>: <message>" strings
+function conditionErrors(when, at) {
+  if (!when || typeof when !== "object" || Array.isArray(when)) return [`${at}: must be an object`];
+  const keys = Object.keys(when);
+  if (!keys.length) return [`${at}: is empty`];
+  const errors = [];
+  for (const key of keys) {
+    const v = when[key];
+    if (!CONDITIONS.includes(key)) errors.push(`${at}: unknown condition "${key}"`);
+    else if (key === "all" || key === "any") {
+      if (!Array.isArray(v) || !v.length) errors.push(`${at}.${key}: must be a non-empty list`);
+      else v.forEach((c, i) => errors.push(...conditionErrors(c, `${at}.${key}[${i}]`)));
+    } else if (key === "not") errors.push(...conditionErrors(v, `${at}.not`));
+    else if (key === "feature") {
+      if (!v || typeof v.path !== "string") errors.push(`${at}.feature: needs a "path"`);
+      else if (!["equals", "exists", "min_count"].some((k) => k in v)) errors.push(`${at}.feature: needs "equals", "exists" or "min_count"`);
+    } else if (key === "language" && v && typeof v === "object" && !Array.isArray(v)) {
+      if (typeof v.name !== "string") errors.push(`${at}.language: needs a "name"`);
+      if ("min_share" in v && typeof v.min_share !== "number") errors.push(`${at}.language: "min_share" must be a number`);
+    } else if (!list(v).length || list(v).some((s) => !s)) errors.push(`${at}.${key}: needs a name or a list of names`);
+  }
+  return errors;
+}
+
+/**
+ * validateRule — problems with one rule (empty when it is valid)
+ */
+export function validateRule(rule) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) return ["rule must be an object"];
+  if (typeof rule.id !== "string" || !rule.id) return ['missing "id"'];
+  if (rule.disabled === true) return [];
+  const errors = [];
+  if (typeof rule.label !== "string" || !LABEL.test(rule.label)) errors.push(`"label" must match ${LABEL}`);
+  if (typeof rule.confidence !== "number" || rule.confidence < 0 || rule.confidence > 1) errors.push('"confidence" must be a number from 0 to 1');
+  if (typeof rule.reason !== "string" || !rule.reason) errors.push('missing "reason"');
+  errors.push(...conditionErrors(rule.when, "when"));
+  return errors;
+}
+
+/**
+ * parseRulePack — a pack from YAML / JSON text or an already parsed object: { name, rules } or a
+ * bare list of rules. Invalid rules are dropped and reported in `skipped`.
+ */
+export function parseRulePack(source, origin, scope) {
+  const data = typeof source === "string" ? YAML.parse(source) : source;
+  const rules = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(rules)) throw new Error(`${origin}: expected a "rules" list`);
+  // Unnamed repository packs are known by their path (.pipeline-gen/rules.yml), others by file name
+  const name = (!Array.isArray(data) && data?.name) || (scope === "repository" ? origin : path.basename(String(origin)).replace(PACK_FILE, ""));
+
+  const pack = { name: String(name), origin, scope, rules: [], skipped: [] };
+  rules.forEach((rule, i) => {
+    const errors = validateRule(rule);
+    if (errors.length) pack.skipped.push({ id: rule?.id ?? `#${i}`, errors });
+    else pack.rules.push(rule);
+  });
+  for (const s of pack.skipped) console.warn(`⚠️ Rule ${s.id} in ${origin} skipped: ${s.errors.join("; ")}`);
+  return pack;
+}
+
+async function readPack(file, scope) {
+  return parseRulePack(await fs.readFile(file, "utf8"), file, scope);
+}
+
+/**
+ * loadRulePacks — organization packs from a directory (every .yml/.yaml/.json file, by name) and/or a
+ * list of files. Defaults come from RULE_PACKS_DIR and RULE_PACKS (comma-separated).
+ */
+export async function loadRulePacks(opts = {}) {
+  const dir = opts.dir ?? process.env.RULE_PACKS_DIR ?? null;
+  const files =
+    opts.files ??
+    (process.env.RULE_PACKS || "")
+      .split(",")
+      .map((f) => f.trim())
+      .filter(Boolean);
+
+  const packs = [];
+  if (dir) {
+    const absolute = path.resolve(dir);
+    const entries = await fs.readdir(absolute, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.isFile() && PACK_FILE.test(entry.name)) packs.push(await readPack(path.join(absolute, entry.name), "organization"));
+    }
+  }
+  for (const file of files) packs.push(await readPack(path.resolve(file), "organization"));
+  if (packs.length) console.log(`🧩 Loaded ${packs.length} rule pack(s)`);
+  orgPacks = packs;
+  return packs;
+}
+
+/**
+ * ensureRulePacks — load configured organization packs once per process
+ */
+export function ensureRulePacks() {
+  if (!loading) loading = loadRulePacks();
+  return loading;
+}
+
+let builtin = null;
+function builtinPack() {
+  // Synchronous: the rule detector is synchronous and the pack ships with the code
+  if (!builtin) builtin = parseRulePack(fsSync.readFileSync(BUILTIN_PACK, "utf8"), BUILTIN_PACK, "builtin");
+  return builtin;
+}
+
+/**
+ * resolveRules — the effective rules: built-in, then organization, then the repository's own packs
+ * (feature.json rule_packs), a later rule replacing an earlier one with the same id
+ * @returns {{ rules: object[], packs: object[] }} rules carry the `pack` they came from
+ */
+export function resolveRules(repoPacks = []) {
+  const packs = [builtinPack(), ...orgPacks];
+  for (const entry of repoPacks || []) {
+    try {
+      if (entry.parse_error) throw new Error(entry.parse_error);
+      packs.push(parseRulePack(entry.pack, entry.path, "repository"));
+    } catch (err) {
+      console.warn(`⚠️ Rule pack ${entry.path} ignored: ${err.message}`);
+      packs.push({ name: entry.path, origin: entry.path, scope: "repository", rules: [], skipped: [], error: err.message });
+    }
+  }
+
+  const byId = new Map();
+  for (const pack of packs) {
+    for (const rule of pack.rules) {
+      byId.delete(rule.id); // an override moves to the position of the pack that defines it
+      if (!rule.disabled) byId.set(rule.id, { ...rule, pack: pack.name });
+    }
+  }
+  return {
+    rules: [...byId.values()],
+    packs: packs.map((p) => ({
+      name: p.name,
+      scope: p.scope,
+      origin: p.scope === "builtin" ? "builtin" : p.origin,
+      rules: p.rules.length,
+      skipped: p.skipped,
+      ...(p.error ? { error: p.error } : {}),
+    })),
+  };
+}
+
+// Display names for matched feature values: workspace packages, Terraform roots, projects
+function describe(item) {
+  if (item && typeof item === "object") return String(item.path ?? item.dir ?? item.name ?? JSON.stringify(item));
+  return String(item);
+}
+
+// null when the condition does not hold, else what it matched
+function evaluate(when, ctx) {
+  const matches = [];
+  for (const [key, v] of Object.entries(when)) {
+    let found = null;
+    if (key === "file") {
+      const test = matcher(v);
+      found = ctx.files.filter((f) => !IGNORED_DIRS.test(f) && test(f));
+    } else if (key === "framework") {
+      found = ctx.frameworks.filter(matcher(v));
+    } else if (key === "dependency") {
+      found = ctx.dependencies.filter(matcher(v));
+    } else if (key === "dominant_language") {
+      found = ctx.dominant && matcher(v)(ctx.dominant) ? [ctx.dominant] : [];
+    } else if (key === "language") {
+      const spec = v && typeof v === "object" && !Array.isArray(v) ? v : { name: v };
+      const test = matcher(spec.name);
+      found = Object.entries(ctx.languages)
+        .filter(([lang, share]) => test(lang.toLowerCase()) && (spec.min_share === undefined || Number(share) >= spec.min_share))
+        .map(([lang]) => lang);
+    } else if (key === "feature") {
+      const value = valueAt(ctx.features, v.path);
+      const items = Array.isArray(value) ? value : value && typeof value === "object" ? Object.keys(value) : value === undefined || value === null ? [] : [value];
+      const holds =
+        "equals" in v
+          ? JSON.stringify(value ?? null) === JSON.stringify(v.equals)
+          : "exists" in v
+          ? (value !== undefined && value !== null) === Boolean(v.exists)
+          : items.length >= v.min_count;
+      found = holds ? items.map(describe) : null;
+    } else if (key === "all") {
+      const results = v.map((c) => evaluate(c, ctx));
+      found = results.every(Boolean) ? results.flat() : null;
+    } else if (key === "any") {
+      const results = v.map((c) => evaluate(c, ctx)).filter(Boolean);
+      found = results.length ? results.flat() : null;
+    } else if (key === "not") {
+      found = evaluate(v, ctx) ? null : [];
+    }
+    // Name conditions hold when something matched; feature / all / any / not decide themselves
+    if (!found || (["file", "framework", "dependency", "language", "dominant_language"].includes(key) && !found.length)) return null;
+    matches.push(...found);
+  }
+  return matches;
+}
+
+/**
+ * ruleContext — what rule conditions look at, from a feature.json
+ */
+export function ruleContext(features = {}, { detectedFiles = [], frameworks = [], languages = {}, dominant = "" } = {}) {
+  const buildDep = features.build_and_dependency || {};
+  const dependencies = new Set();
+  for (const [key, meta] of Object.entries(buildDep)) {
+    if (!key.endsWith("_metadata") || !meta || typeof meta !== "object") continue;
+    for (const field of ["dependencies", "devDependencies", "dev_dependencies", "optional_dependencies"]) {
+      for (const name of dependencyNames(meta[field])) if (name) dependencies.add(name.toLowerCase());
+    }
+  }
+  return { features, files: detectedFiles, frameworks, languages, dominant, dependencies: [...dependencies] };
+}
+
+/**
+ * evaluateRules — rule-detector candidates [{ label, confidence, reason, rule, pack }] for every rule
+ * whose condition holds; `{matches}` in the reason becomes the first five matches
+ */
+export function evaluateRules(rules, ctx) {
+  const candidates = [];
+  for (const rule of rules) {
+    const matches = evaluate(rule.when, ctx);
+    if (!matches) continue;
+    const shown = [...new Set(matches)].slice(0, 5).join(", ");
+    candidates.push({
+      label: rule.label,
+      confidence: rule.confidence,
+      reason: rule.reason.replace(/\{matches\}/g, shown),
+      rule: rule.id,
+      pack: rule.pack,
+    });
+  }
+  return candidates;
+}
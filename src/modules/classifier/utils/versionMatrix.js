@@ -0,0 +1,240 @@
+// src/modules/classifier/utils/versionMatrix.js
+import semver from "semver";
+
+// Versions a generated matrix may contain, oldest first
+const NODE_CANDIDATES = ["16", "18", "20", "22", "24"];
+const PYTHON_CANDIDATES = ["3.8", "3.9", "3.10", "3.11", "3.12", "3.13"];
+const JAVA_LTS = ["8", "11", "17", "21", "25"];
+// Go supports the two most recent releases; older ones still show up as go.mod minimums
+const GO_CANDIDATES = ["1.21", "1.22", "1.23", "1.24", "1.25"];
+const RUBY_CANDIDATES = ["3.1", "3.2", "3.3", "3.4"];
+const PHP_CANDIDATES = ["8.1", "8.2", "8.3", "8.4"];
+
+const MAX_MATRIX = 3;
+
+/**
+ * pickMatrix — the oldest supported version plus the newest ones (bounds are what break),
+ * keeping the pinned version in place of the second-newest when it would be dropped
+ */
+function pickMatrix(versions, preferred = null) {
+  if (versions.length <= MAX_MATRIX) return versions;
+  const picked = [versions[0], ...versions.slice(-(MAX_MATRIX - 1))];
+  if (preferred && versions.includes(preferred) && !picked.includes(preferred)) {
+    picked.splice(1, 1, preferred);
+  }
+  return picked;
+}
+
+function coerceRange(range) {
+  try {
+    return semver.validRange(range, { loose: true });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * pep440ToSemver — translate a PEP 440 / Poetry specifier into a semver range + exclusions.
+ * ">=3.9,<3.13" → ">=3.9.0 <3.13.0"; "~=3.10" → ">=3.10.0 <4.0.0"; "!=3.10.*" → excluded 3.10
+ */
+export function pep440ToSemver(spec) {
+  const parts = [];
+  const excluded = [];
+  for (const raw of String(spec || "").split(",")) {
+    const clause = raw.trim();
+    if (!clause) continue;
+    const m = /^(~=|==|!=|>=|<=|>|<|\^|~)?\s*([\d.*]+)$/.exec(clause);
+    if (!m) continue;
+    const [, op = "==", version] = m;
+    const nums = version.split(".").filter((x) => x !== "*");
+    if (op === "!=") {
+      excluded.push(nums.slice(0, 2).join("."));
+    } else if (op === "~=") {
+      const upper = nums.length > 2 ? `${nums[0]}.${Number(nums[1]) + 1}.0` : `${Number(nums[0]) + 1}.0.0`;
+      parts.push(`>=${nums.join(".")} <${upper}`);
+    } else if (op === "==") {
+      parts.push(version.includes("*") || nums.length < 3 ? `${nums.join(".")}.x` : nums.join("."));
+    } else {
+      parts.push(`${op}${nums.join(".")}`);
+    }
+  }
+  return { range: parts.join(" ") || "*", excluded };
+}
+
+function supported(candidates, range, excluded = []) {
+  const valid = coerceRange(range);
+  if (!valid) return [];
+  return candidates.filter((c) => {
+    if (excluded.includes(c)) return false;
+    try {
+      return semver.intersects(valid, `${c}.x`, { loose: true });
+    } catch {
+      return false;
+    }
+  });
+}
+
+function major(version) {
+  const m = /(\d+)/.exec(String(version || ""));
+  return m ? m[1] : null;
+}
+
+/**
+ * nodeVersions — setup-node version and matrix from .nvmrc/.node-version/.tool-versions
+ * (pinned) and engines.node (range). Returns null when nothing was declared.
+ */
+export function nodeVersions(rt) {
+  if (!rt || (!rt.pinned && !rt.constraint)) return null;
+  const matrix = rt.constraint ? supported(NODE_CANDIDATES, rt.constraint) : [];
+  if (!matrix.length) {
+    const fallback = major(rt.pinned) || major(semver.minVersion(coerceRange(rt.constraint) || "*")?.version);
+    if (fallback && fallback !== "0") matrix.push(fallback);
+  }
+  const versions = pickMatrix(matrix, major(rt.pinned)).map((v) => `${v}.x`);
+  return {
+    version: rt.pinned || versions[versions.length - 1] || null,
+    matrix: versions,
+  };
+}
+
+/**
+ * pythonVersions — setup-python version and matrix from .python-version/runtime.txt/
+ * .tool-versions (pinned) and requires-python (range). Returns null when nothing was declared.
+ */
+export function pythonVersions(rt) {
+  if (!rt || (!rt.pinned && !rt.constraint)) return null;
+  let matrix = [];
+  if (rt.constraint) {
+    const { range, excluded } = pep440ToSemver(rt.constraint);
+    matrix = supported(PYTHON_CANDIDATES, range, excluded);
+  }
+  if (!matrix.length && rt.pinned) {
+    const m = /(\d+\.\d+)/.exec(rt.pinned);
+    if (m) matrix.push(m[1]);
+  }
+  const versions = pickMatrix(matrix, /(\d+\.\d+)/.exec(rt.pinned || "")?.[1]);
+  return {
+    version: rt.pinned || versions[versions.length - 1] || null,
+    matrix: versions,
+  };
+}
+
+/**
+ * javaVersions — toolchains pin one JDK; a source/target release supports every later LTS
+ */
+export function javaVersions(rt) {
+  if (!rt || (!rt.pinned && !rt.constraint)) return null;
+  if (rt.pinned) return { version: rt.pinned, matrix: [rt.pinned] };
+  const min = Number(major(rt.constraint));
+  const later = JAVA_LTS.filter((v) => Number(v) > min);
+  const versions = pickMatrix([String(min), ...later]);
+  return { version: String(min), matrix: versions };
+}
+
+/**
+ * goVersions — setup-go version and matrix from the go.mod toolchain/.go-version (pinned)
+ * and the go directive (minimum). Returns null when nothing was declared.
+ */
+export function goVersions(rt) {
+  if (!rt || (!rt.pinned && !rt.constraint)) return null;
+  const minor = (v) => /(\d+\.\d+)/.exec(v || "")?.[1] || null;
+  // "1.22" and "1.22.3" are both valid go directives; semver needs three components
+  const floor = minor(rt.constraint);
+  const matrix = floor ? GO_CANDIDATES.filter((c) => semver.gte(`${c}.0`, `${floor}.0`)) : [];
+  if (!matrix.length) matrix.push(minor(rt.pinned) || floor);
+  const versions = pickMatrix(matrix, minor(rt.pinned)).filter(Boolean);
+  return {
+    version: rt.pinned || versions[versions.length - 1] || null,
+    matrix: versions,
+  };
+}
+
+/**
+ * rustVersions — rust-toolchain channel when pinned; otherwise the MSRV (rust-version) and stable
+ */
+export function rustVersions(rt) {
+  if (!rt || (!rt.pinned && !rt.constraint)) return null;
+  if (rt.pinned) return { version: rt.pinned, matrix: [rt.pinned] };
+  const msrv = /(\d+\.\d+(?:\.\d+)?)/.exec(rt.constraint)?.[1];
+  return { version: "stable", matrix: msrv ? [msrv, "stable"] : ["stable"] };
+}
+
+/**
+ * dotnetVersions — SDKs to install side by side: every targeted runtime (multi-targeted
+ * projects build all of them in one run), with global.json's SDK taking the lead
+ */
+export function dotnetVersions(rt) {
+  if (!rt || (!rt.pinned && !rt.targets?.length)) return null;
+  const targets = [...(rt.targets || [])]
+    .sort((a, b) => semver.compare(semver.coerce(a), semver.coerce(b)))
+    .map((t) => `${t}.x`);
+  return {
+    version: rt.pinned || targets[targets.length - 1],
+    versions: rt.pinned ? [...new Set([...targets, rt.pinned])] : targets,
+  };
+}
+
+/**
+ * gemToSemver — RubyGems requirement to a semver range ("~> 3.2" → ">=3.2.0 <4.0.0")
+ */
+function gemToSemver(spec) {
+  return String(spec || "")
+    .split(",")
+    .map((clause) => {
+      const m = /^\s*(~>|>=|<=|>|<|=|!=)?\s*([\d.]+)\s*$/.exec(clause);
+      if (!m) return "";
+      const [, op = "=", version] = m;
+      const nums = version.split(".");
+      if (op === "~>") {
+        const upper = nums.length > 2 ? `${nums[0]}.${Number(nums[1]) + 1}.0` : `${Number(nums[0]) + 1}.0.0`;
+        return `>=${version} <${upper}`;
+      }
+      return op === "!=" ? "" : `${op === "=" ? "" : op}${version}`;
+    })
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * rubyVersions — setup-ruby version and matrix from .ruby-version/.tool-versions/Gemfile
+ * (pinned) and the Gemfile `ruby` requirement (range). Returns null when nothing was declared.
+ */
+export function rubyVersions(rt) {
+  if (!rt || (!rt.pinned && !rt.constraint)) return null;
+  const matrix = rt.constraint ? supported(RUBY_CANDIDATES, gemToSemver(rt.constraint)) : [];
+  const pinnedMinor = /(\d+\.\d+)/.exec(rt.pinned || "")?.[1] || null;
+  if (!matrix.length && pinnedMinor) matrix.push(pinnedMinor);
+  const versions = pickMatrix(matrix, pinnedMinor);
+  return {
+    version: rt.pinned || versions[versions.length - 1] || null,
+    matrix: versions,
+  };
+}
+
+/**
+ * phpVersions — setup-php version and matrix from composer.json's "php" constraint
+ * ("^8.1", ">=8.1 <8.4", "^7.4 || ^8.0") and .php-version/.tool-versions (pinned)
+ */
+export function phpVersions(rt) {
+  if (!rt || (!rt.pinned && !rt.constraint)) return null;
+  // Composer accepts "|" for OR and "," for AND; semver wants "||" and spaces
+  const range = rt.constraint ? rt.constraint.replace(/\s*\|\|?\s*/g, " || ").replace(/\s*,\s*/g, " ") : null;
+  const matrix = range ? supported(PHP_CANDIDATES, range) : [];
+  const pinnedMinor = /(\d+\.\d+)/.exec(rt.pinned || "")?.[1] || null;
+  if (!matrix.length && pinnedMinor) matrix.push(pinnedMinor);
+  const versions = pickMatrix(matrix, pinnedMinor);
+  return {
+    version: pinnedMinor || versions[versions.length - 1] || null,
+    matrix: versions,
+  };
+}
+
+/**
+ * terraformVersion — setup-terraform version: the .terraform-version/.tool-versions pin, else the
+ * newest release `required_version` allows (Terraform's "~>" works like RubyGems': "~> 1.5" → ">=1.5.0 <2.0.0")
+ */
+export function terraformVersion({ pinned, constraint } = {}) {
+  if (pinned && /^\d+\.\d+\.\d+/.test(pinned)) return pinned;
+  const range = constraint ? coerceRange(gemToSemver(constraint)) : null;
+  return range && range !== "*" ? range.replace(/\s+/g, " ") : "latest";
+}
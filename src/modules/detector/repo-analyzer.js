@@ -1,20 +1,51 @@
 import dotenv from "dotenv";
 import fs from "fs";
-import { Octokit } from "octokit";
+import { ensureEcosystemPlugins } from "../ecosystems/registry.js";
+import { analyzeDeploymentConfigs } from "./utils/deployments.js";
+import { analyzeDockerfiles } from "./utils/dockerfile.js";
+import { createGitHubSource } from "./utils/githubSource.js";
+import { analyzeKubernetes } from "./utils/kubernetes.js";
+import { analyzeLegacyCi } from "./utils/legacyCi.js";
+import { createLocalSource } from "./utils/localSource.js";
+import { analyzeProjects } from "./utils/manifests.js";
+import { detectRuntimeVersions } from "./utils/runtimeVersions.js";
+import { detectServices } from "./utils/services.js";
+import { detectTools } from "./utils/tools.js";
+import { readRulePackFiles } from "./utils/rulePackFiles.js";
+import { analyzeWorkflows } from "./utils/workflows.js";
+import { discoverWorkspaces } from "./utils/workspaces.js";
 
 dotenv.config();
 
-// Note: analyzeRepo now accepts an optional `opts` argument with an `octokit` property.
-// If not provided, fall back to a PAT-based Octokit using `GITHUB_TOKEN`.
+// Note: analyzeRepo accepts an optional `opts` argument:
+// - `source`    a ready-made source provider (see utils/githubSource.js for the shape)
+// - `localPath` analyze a local directory or bare git clone instead of the GitHub API
+// - `octokit`   authenticated client for the GitHub source; falls back to `GITHUB_TOKEN`
+// - `ref`       branch, tag or commit SHA to analyze instead of HEAD
+// A `repoUrl` that points at an existing directory is treated as `localPath`.
 
 /* ---------------------------------------------------------
     Utility helpers
 --------------------------------------------------------- */
 
-function parseRepoUrl(url) {
-  const match = url.match(/github\.com\/([^/]+)\/([^/]+)/);
-  if (!match) throw new Error("❌ Invalid GitHub URL");
-  return { owner: match[1], repo: match[2].replace(/\.git$/, "") };
+/**
+ * resolveSource — the source provider analyzeRepo reads from for the same `repoUrl` and `opts`
+ */
+export function resolveSource(repoUrl, opts = {}) {
+  if (opts.source) return opts.source;
+  if (opts.localPath) return createLocalSource(opts.localPath, opts);
+  if (repoUrl && !/github\.com\//i.test(repoUrl) && isDirectory(repoUrl)) {
+    return createLocalSource(repoUrl, opts);
+  }
+  return createGitHubSource(repoUrl, opts);
+}
+
+function isDirectory(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
 }
 
 function countFileTypes(files) {
@@ -56,35 +87,22 @@ function detectLanguages(langBytes) {
   return { percent, dominant };
 }
 
-async function getFileContent(octokit, owner, repo, path) {
-  try {
-    const { data } = await octokit.rest.repos.getContent({ owner, repo, path });
-    return Buffer.from(data.content, "base64").toString("utf-8");
-  } catch {
-    return null;
-  }
-}
-
 /* ---------------------------------------------------------
     Repo Analyzer
 --------------------------------------------------------- */
 
 export async function analyzeRepo(repoUrl, outPath, opts = {}) {
-  const { owner, repo } = parseRepoUrl(repoUrl);
-  const octokit = opts.octokit || new Octokit({ auth: process.env.GITHUB_TOKEN });
-  console.log(`🔍 Analyzing ${owner}/${repo} ...`);
+  const source = resolveSource(repoUrl, opts);
+  console.log(`🔍 Analyzing ${source.id} (${source.kind}) ...`);
 
   /* ---------------------- Base Repo Info */
-  const { data: repoInfo } = await octokit.rest.repos.get({ owner, repo });
-  const { data: langBytes } = await octokit.rest.repos.listLanguages({ owner, repo });
-  const { data: tree } = await octokit.rest.git.getTree({
-    owner,
-    repo,
-    tree_sha: "HEAD",
-    recursive: "true",
-  });
-
-  const files = tree.tree.map((t) => t.path);
+  const revision = await source.getRevision();
+  if (revision.sha) console.log(`📌 Pinned to ${revision.ref} @ ${revision.sha}${revision.dirty ? " (plus uncommitted changes)" : ""}`);
+  const repoMetadata = await source.getMetadata();
+  const langBytes = await source.listLanguages();
+  const tree = await source.listTree();
+
+  const files = tree.map((t) => t.path);
   const fileTypes = countFileTypes(files);
   const totalFiles = files.length;
 
@@ -101,8 +119,14 @@ export async function analyzeRepo(repoUrl, outPath, opts = {}) {
   const hasTests = files.some((f) => /(test|spec|__tests__)/i.test(f));
 
   /* ---------------------- Build / Dependency Detection */
-  const packageManagers = files.filter((f) =>
-    /(package\.json|requirements\.txt|pipfile|pyproject\.toml|pom\.xml|build\.gradle|build\.gradle\.kts)/i.test(f)
+  const packageManagers = files.filter(
+    (f) =>
+      /(package\.json|requirements\.txt|pipfile|pyproject\.toml|pom\.xml|build\.gradle|build\.gradle\.kts|go\.mod)/i.test(f) ||
+      /(^|\/)(Cargo\.toml|Gemfile|composer\.json|[^/]+\.(csproj|fsproj|vbproj|sln))$/.test(f)
+  );
+
+  const lockfiles = files.filter((f) =>
+    /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb?|poetry\.lock|Pipfile\.lock|uv\.lock|go\.sum|Cargo\.lock|Gemfile\.lock|composer\.lock|packages\.lock\.json)$/.test(f)
   );
 
   const buildSystems = files.filter((f) =>
@@ -112,110 +136,87 @@ export async function analyzeRepo(repoUrl, outPath, opts = {}) {
   const frameworks = [];
   const runtimes = [];
 
-  /* ---------------------- Node Metadata */
-  let node_metadata = {};
-  if (files.includes("package.json")) {
-    const pkgText = await getFileContent(octokit, owner, repo, "package.json");
-    if (pkgText) {
-      const pkg = JSON.parse(pkgText);
-      const deps = { ...pkg.dependencies, ...pkg.devDependencies };
-
-      if (deps.express) frameworks.push("Express");
-      if (deps.next) frameworks.push("Next.js");
-      if (deps.nest) frameworks.push("NestJS");
-      if (deps.react || deps["react-dom"]) frameworks.push("React");
-
-      if (Object.keys(deps).length) runtimes.push("Node.js");
-
-      node_metadata = {
-        scripts: pkg.scripts || {},
-        dependencies: deps,
-        engines: pkg.engines || {},
-        nodeVersion: pkg.engines?.node || null,
-      };
-    }
-  }
+  // Manifests are read by several detectors; fetch each file at most once
+  const fileCache = new Map();
+  const readFile = (p) => {
+    if (!fileCache.has(p)) fileCache.set(p, source.readFile(p));
+    return fileCache.get(p);
+  };
 
-  /* ---------------------- Python Metadata */
-  let python_metadata = {};
-  if (files.includes("requirements.txt")) {
-    const reqText = await getFileContent(octokit, owner, repo, "requirements.txt");
-    if (reqText) {
-      if (/flask/i.test(reqText)) frameworks.push("Flask");
-      if (/django/i.test(reqText)) frameworks.push("Django");
-      if (/fastapi/i.test(reqText)) frameworks.push("FastAPI");
-
-      runtimes.push("Python");
-
-      python_metadata = {
-        requirements_raw: reqText,
-        packages: reqText.split("\n").filter((x) => x.trim().length),
-        has_pytest: /pytest/i.test(reqText),
-      };
-    }
+  /* ---------------------- Projects (every manifest, per directory) */
+  const ecosystems = await ensureEcosystemPlugins();
+  const projects = await analyzeProjects(files, readFile, ecosystems);
+  for (const p of projects) frameworks.push(...(p.frameworks || []));
+
+  // Per-ecosystem runtime and metadata (<name>_metadata) from the ecosystem plugins
+  const ecosystemMetadata = {};
+  for (const eco of ecosystems) {
+    const inUse = eco.usesRuntime ? eco.usesRuntime({ files, projects }) : eco.match(files);
+    if (eco.runtime && inUse) runtimes.push(eco.runtime);
+    ecosystemMetadata[`${eco.name}_metadata`] = (await eco.extractMetadata({ files, readFile, projects })) || {};
   }
 
-  /* ---------------------- Java Metadata */
-  let java_metadata = {};
-  if (files.includes("pom.xml")) {
-    const pom = await getFileContent(octokit, owner, repo, "pom.xml");
-    if (pom) {
-      if (/spring-boot/i.test(pom)) frameworks.push("Spring Boot");
-      if (/quarkus/i.test(pom)) frameworks.push("Quarkus");
-      if (/micronaut/i.test(pom)) frameworks.push("Micronaut");
-
-      runtimes.push("Java");
-
-      java_metadata = {
-        build: "maven",
-        spring_boot: /spring-boot/i.test(pom),
-      };
-    }
-  }
+  /* ---------------------- Runtime Versions (version files, engines, requires-python, JDK release) */
+  const runtime_versions = await detectRuntimeVersions(files, readFile, projects);
 
-  if (files.includes("build.gradle") || files.includes("build.gradle.kts")) {
-    java_metadata = { build: "gradle" };
-    runtimes.push("Java");
+  /* ---------------------- Workspaces (npm/yarn/pnpm, Nx, Turborepo, Lerna) */
+  const rootPkgText = files.includes("package.json") ? await readFile("package.json") : null;
+  let rootPkg = null;
+  try {
+    rootPkg = rootPkgText ? JSON.parse(rootPkgText) : null;
+  } catch {
+    // malformed root package.json — no workspace declarations
   }
+  const workspaces = await discoverWorkspaces(files, readFile, rootPkg);
 
-  /* ---------------------- Testing / Linting Tools */
-  const test_frameworks = files.filter((f) =>
-    /(jest|pytest|mocha|unittest|vitest)/i.test(f)
-  );
+  /* ---------------------- Testing / Linting Tools (dependencies, manifest keys, config files) */
+  const tools = await detectTools(files, readFile, projects);
+  const toolNames = (...kinds) => [...new Set(tools.filter((t) => kinds.includes(t.kind)).map((t) => t.tool))];
 
-  const lint_tools = files.filter((f) =>
-    /(eslint|flake8|black|pylint|ruff)/i.test(f)
-  );
+  const test_frameworks = toolNames("test");
+  const lint_tools = toolNames("lint", "format", "typecheck");
+  const coverage_tools = toolNames("coverage");
 
-  const coverage_tools = files.filter((f) =>
-    /(nyc|coverage\.py|istanbul)/i.test(f)
-  );
+  /* ---------------------- Backing Services (compose services, database/queue client libraries) */
+  const { compose_files, services } = await detectServices(files, readFile, projects);
 
   /* ---------------------- Container Detection */
   const hasDockerfile =
     files.includes("Dockerfile") || files.some((f) => /dockerfile$/i.test(f));
 
+  // Per-Dockerfile build parameters (context, stages, ARGs, ports, HEALTHCHECK) and unpinned base images
+  const dockerfiles = await analyzeDockerfiles(files, readFile);
+  for (const d of dockerfiles) d.warnings.forEach((w) => console.warn(`⚠️ ${w}`));
+
   const hasCompose = files.some((f) => /(^|\/)docker-compose\.ya?ml$/i.test(f) || /(^|\/)compose\.ya?ml$/i.test(f));
   const hasRegistryRef = files.some((f) => /(ghcr\.io|docker\.io)/i.test(f));
 
-  const deploymentConfigs = files.filter((f) =>
-    /(vercel\.json|render\.yaml|heroku\.yml|netlify\.toml|cloudbuild\.yaml)/i.test(f)
-  );
+  // Vercel, Netlify, Render, Heroku, Cloud Build, Fly.io and App Engine configs with their settings
+  const deployments = await analyzeDeploymentConfigs(files, readFile);
+  for (const d of deployments) if (d.parse_error) console.warn(`⚠️ ${d.path}: ${d.parse_error}`);
+  const deploymentConfigs = deployments.map((d) => d.path);
+
+  // Helm charts, Kustomize overlays, Skaffold profiles and plain manifests with their environments
+  const kubernetes = await analyzeKubernetes(files, readFile);
 
   /* ---------------------- CI/CD Detection */
   const ciWorkflows = files.filter((f) => f.startsWith(".github/workflows/"));
   const ciTools = files.filter((f) =>
-    /(gitlab-ci\.yml|circleci\/config\.yml|jenkinsfile)/i.test(f)
+    /(gitlab-ci\.yml|circleci\/config\.yml|jenkinsfile|travis\.yml)/i.test(f)
   );
 
-  const workflowTriggers = [];
-  for (const wf of ciWorkflows) {
-    const cfg = await getFileContent(octokit, owner, repo, wf);
-    if (!cfg) continue;
-    if (/push:/i.test(cfg)) workflowTriggers.push("push");
-    if (/pull_request:/i.test(cfg)) workflowTriggers.push("pull_request");
-    if (/release:/i.test(cfg)) workflowTriggers.push("release");
-  }
+  // GitLab CI, CircleCI, Jenkins and Travis jobs to migrate, with what has no GitHub Actions counterpart
+  const legacyConfigs = await analyzeLegacyCi(files, readFile);
+  for (const c of legacyConfigs) if (c.parse_error) console.warn(`⚠️ ${c.path}: ${c.parse_error}`);
+
+  // Existing GitHub Actions workflows: jobs, steps, action versions, matrices, permissions, capabilities
+  const workflows = await analyzeWorkflows(ciWorkflows, readFile);
+  for (const wf of workflows) if (wf.parse_error) console.warn(`⚠️ ${wf.path}: ${wf.parse_error}`);
+  const workflowTriggers = [...new Set(workflows.flatMap((wf) => wf.triggers))];
+
+  /* ---------------------- Classifier rules (.pipeline-gen/rules.yml, .pipeline-gen/rules/*) */
+  const rulePacks = await readRulePackFiles(files, readFile);
+  for (const p of rulePacks) if (p.parse_error) console.warn(`⚠️ ${p.path}: ${p.parse_error}`);
 
   /* ---------------------- Security */
   const hasEnv = files.some((f) => /\.env(\.example)?$/i.test(f));
@@ -223,35 +224,35 @@ export async function analyzeRepo(repoUrl, outPath, opts = {}) {
   const hasVulnConfig = files.some((f) => /(dependabot|snyk|trivy)/i.test(f));
 
   /* ---------------------- Derived Metrics */
-  const monorepo = packageManagers.length > 1;
-  const ciRequired = ciWorkflows.length === 0;
+  // Workspace declarations are authoritative; otherwise several manifests hint at a monorepo
+  const monorepo = workspaces.tools.length
+    ? workspaces.packages.length > 1
+    : packageManagers.length > 1;
+  // Our own pipeline-gen.yml is updated in place; any other workflow with jobs is existing CI
+  const ciRequired = !workflows.some((wf) => !wf.generated && wf.jobs.length);
 
   const recommendedTemplates = [];
   if (hasDockerfile) recommendedTemplates.push("docker-build");
-  if (runtimes.includes("Node.js")) recommendedTemplates.push("node-ci");
-  if (runtimes.includes("Python")) recommendedTemplates.push("python-ci");
-  if (runtimes.includes("Java")) recommendedTemplates.push("java-ci");
+  for (const eco of ecosystems) {
+    if (eco.runtime && runtimes.includes(eco.runtime)) recommendedTemplates.push(`${eco.name}-ci`);
+  }
+  if (kubernetes.has_kubernetes) recommendedTemplates.push("k8s-deploy");
   if (ciRequired) recommendedTemplates.push("add-ci-workflow");
 
   /* ---------------------------------------------------------
     FINAL JSON
   --------------------------------------------------------- */
 
+  const uniqueFrameworks = [...new Set(frameworks)];
+
   const result = {
-    repo: `${owner}/${repo}`,
+    repo: source.id,
+
+    revision,
 
     detectedFiles: files.map((f) => f.toLowerCase()),
 
-    metadata: {
-      description: repoInfo.description,
-      topics: repoInfo.topics,
-      stars: repoInfo.stargazers_count,
-      forks: repoInfo.forks_count,
-      watchers: repoInfo.subscribers_count,
-      license: repoInfo.license ? repoInfo.license.spdx_id : "None",
-      default_branch: repoInfo.default_branch,
-      last_commit: repoInfo.pushed_at,
-    },
+    metadata: repoMetadata,
 
     composition: {
       languages: languagePercents,
@@ -266,25 +267,33 @@ export async function analyzeRepo(repoUrl, outPath, opts = {}) {
     build_and_dependency: {
       package_managers: packageManagers,
       package_manager_count: packageManagers.length,
+      lockfiles,
       build_systems: buildSystems,
-      frameworks,
+      frameworks: uniqueFrameworks,
       runtimes,
-      node_metadata,
-      python_metadata,
-      java_metadata,
+      runtime_versions,
+      projects,
+      ...ecosystemMetadata,
+      workspaces,
     },
 
     testing_and_linting: {
       test_frameworks,
       lint_tools,
       coverage_tools,
+      tools,
+      services,
     },
 
     containerization_and_deployment: {
       has_dockerfile: hasDockerfile,
+      dockerfiles,
       has_docker_compose: hasCompose,
+      compose_files,
       registry_reference: hasRegistryRef,
       deployment_configs: deploymentConfigs,
+      deployments,
+      kubernetes,
     },
 
     ci_cd: {
@@ -292,6 +301,8 @@ export async function analyzeRepo(repoUrl, outPath, opts = {}) {
       existing_ci_tools: ciTools,
       workflow_count: ciWorkflows.length,
       workflow_triggers: [...new Set(workflowTriggers)],
+      workflows,
+      legacy_configs: legacyConfigs,
     },
 
     security: {
@@ -305,6 +316,8 @@ export async function analyzeRepo(repoUrl, outPath, opts = {}) {
       ci_required: ciRequired,
       recommended_templates: recommendedTemplates,
     },
+
+    rule_packs: rulePacks,
   };
 
   fs.writeFileSync(outPath, JSON.stringify(result, null, 2));
@@ -0,0 +1,112 @@
+// src/modules/detector/utils/ciRules.js
+
+// Branch / tag / pull request rules of other CI systems as GitHub Actions expressions
+
+export const BRANCH = "startsWith(github.ref, 'refs/heads/')";
+export const TAG = "startsWith(github.ref, 'refs/tags/')";
+export const PULL_REQUEST = "github.event_name == 'pull_request'";
+export const DEFAULT_BRANCH = "github.ref == format('refs/heads/{0}', github.event.repository.default_branch)";
+
+export const quote = (s) => `'${String(s).replace(/'/g, "''")}'`;
+
+export const event = (name) => `github.event_name == ${quote(name)}`;
+
+// Exact branch / tag name
+export const refIs = (name, kind = "heads") => `github.ref == ${quote(`refs/${kind}/${name}`)}`;
+
+// && / || (or just `ops`) outside parentheses and quoted strings
+function compound(expr, ops = ["&&", "||"]) {
+  let depth = 0;
+  let quoted = false;
+  for (let i = 0; i < expr.length; i++) {
+    const c = expr[i];
+    if (c === "'") quoted = !quoted;
+    else if (quoted) continue;
+    else if (c === "(") depth++;
+    else if (c === ")") depth--;
+    else if (!depth && ops.some((op) => expr.startsWith(op, i))) return true;
+  }
+  return false;
+}
+
+// Operands of && / || keep their own grouping (a chain inside one of the same kind needs none)
+const group = (expr, op) => (compound(expr, op === "||" ? ["&&"] : ["||"]) ? `(${expr})` : expr);
+
+export function anyOf(exprs) {
+  const list = [...new Set(exprs.filter((e) => e && e !== "false"))];
+  if (list.includes("true")) return "true";
+  if (!list.length) return "false";
+  return list.length === 1 ? list[0] : list.map((e) => group(e, "||")).join(" || ");
+}
+
+export function allOf(exprs) {
+  const list = [...new Set(exprs.filter((e) => e && e !== "true"))];
+  if (list.includes("false")) return "false";
+  if (!list.length) return "true";
+  return list.length === 1 ? list[0] : list.map((e) => group(e, "&&")).join(" && ");
+}
+
+export function not(expr) {
+  if (expr === "true") return "false";
+  if (expr === "false") return "true";
+  if (compound(expr)) return `!(${expr})`;
+  if (/^[\w.]+ == /.test(expr)) return expr.replace(" == ", " != ");
+  if (/^[\w.]+ != /.test(expr)) return expr.replace(" != ", " == ");
+  return /^\w+\([^()]*\)$/.test(expr) ? `!${expr}` : `!(${expr})`;
+}
+
+/**
+ * refCondition — a branch or tag pattern as an expression over github.ref: exact names, trailing
+ * globs (`release/*`) and anchored prefix regexes (`/^release-.*$/`); null for anything else
+ */
+export function refCondition(pattern, kind = "heads") {
+  const prefix = `refs/${kind}/`;
+  const text = String(pattern).trim();
+  const regex = /^\/(.*)\/[a-z]*$/.exec(text);
+  if (regex) {
+    const m = /^\^((?:[\w.\-/]|\\[./-])*?)(\.\*|\.\+)?(\$)?$/.exec(regex[1]);
+    if (!m) return null;
+    const literal = m[1].replace(/\\([./-])/g, "$1");
+    return m[3] && !m[2] ? refIs(literal, kind) : `startsWith(github.ref, ${quote(prefix + literal)})`;
+  }
+  if (/^\*+$/.test(text)) return `startsWith(github.ref, ${quote(prefix)})`;
+  if (/^[^*?[\]]+\*{1,2}$/.test(text)) return `startsWith(github.ref, ${quote(prefix + text.replace(/\*+$/, ""))})`;
+  if (/[*?[\]]/.test(text)) return null;
+  return refIs(text, kind);
+}
+
+/**
+ * refFilters — branch names / patterns as listed in an `only` / `except` rule: a condition plus the
+ * patterns it could not translate
+ */
+export function refFilters(patterns = [], kind = "heads") {
+  const unmapped = [];
+  const conditions = [];
+  for (const p of [].concat(patterns)) {
+    const c = refCondition(p, kind);
+    if (c) conditions.push(c);
+    else unmapped.push(String(p));
+  }
+  return { condition: conditions.length ? anyOf(conditions) : null, unmapped };
+}
+
+// "1h 30m", "45 minutes", "2 hours", "3600" (seconds) → minutes
+export function durationMinutes(value) {
+  if (typeof value === "number") return Math.ceil(value / 60);
+  const text = String(value || "").toLowerCase();
+  if (/^\d+$/.test(text)) return Math.ceil(Number(text) / 60);
+  let minutes = 0;
+  for (const m of text.matchAll(/(\d+(?:\.\d+)?)\s*(d|day|days|h|hr|hrs|hour|hours|m|min|mins|minute|minutes|s|sec|secs|second|seconds|w|week|weeks)\b/g)) {
+    const n = Number(m[1]);
+    const unit = m[2][0];
+    minutes += unit === "w" ? n * 7 * 1440 : unit === "d" ? n * 1440 : unit === "h" ? n * 60 : unit === "m" ? n : n / 60;
+  }
+  return minutes ? Math.ceil(minutes) : null;
+}
+
+// "1 week", "30 days", "never" → artifact retention in days (1–90, as upload-artifact accepts)
+export function retentionDays(value) {
+  if (!value || /never/i.test(String(value))) return null;
+  const minutes = durationMinutes(value);
+  return minutes ? Math.min(90, Math.max(1, Math.ceil(minutes / 1440))) : null;
+}
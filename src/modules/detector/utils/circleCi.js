@@ -0,0 +1,350 @@
+// src/modules/detector/utils/circleCi.js
+import YAML from "yaml";
+import { allOf, anyOf, durationMinutes, event, not, refFilters, TAG } from "./ciRules.js";
+import { serviceForImage } from "./services.js";
+
+// Convenience images with a setup action equivalent: the job runs on the runner with the same toolchain
+const TOOLCHAIN_IMAGES = [
+  { image: /^(cimg|circleci)\/node$/, tool: "node" },
+  { image: /^(cimg|circleci)\/python$/, tool: "python" },
+  { image: /^(cimg|circleci)\/(openjdk|jdk)$/, tool: "java" },
+  { image: /^(cimg|circleci)\/(go|golang)$/, tool: "go" },
+  { image: /^(cimg|circleci)\/ruby$/, tool: "ruby" },
+  { image: /^(cimg|circleci)\/php$/, tool: "php" },
+  { image: /^(cimg|circleci)\/rust$/, tool: "rust" },
+  { image: /^(cimg|circleci)\/(base|buildpack-deps)$/, tool: null },
+];
+
+// Cache key templates → expressions
+const KEY_TEMPLATES = [
+  [/\{\{\s*checksum\s+"([^"]+)"\s*\}\}/g, (m, file) => `\${{ hashFiles('${file.replace(/^~\/project\//, "")}') }}`],
+  [/\{\{\s*\.Branch\s*\}\}/g, () => "${{ github.ref_name }}"],
+  [/\{\{\s*\.Revision\s*\}\}/g, () => "${{ github.sha }}"],
+  [/\{\{\s*\.BuildNum\s*\}\}/g, () => "${{ github.run_number }}"],
+  [/\{\{\s*\.Environment\.(\w+)\s*\}\}/g, (m, name) => `\${{ env.${name} }}`],
+  [/\{\{\s*arch\s*\}\}/g, () => "${{ runner.arch }}"],
+  [/\{\{\s*epoch\s*\}\}/g, () => "${{ github.run_id }}"],
+];
+
+// Pipeline values usable in any string
+const PIPELINE_VALUES = {
+  "pipeline.git.branch": "${GITHUB_REF_NAME}",
+  "pipeline.git.tag": "${GITHUB_REF_NAME}",
+  "pipeline.git.revision": "${GITHUB_SHA}",
+  "pipeline.number": "${GITHUB_RUN_NUMBER}",
+  "pipeline.project.git_url": "${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}",
+};
+
+const isObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+// The job's working directory and CircleCI's default checkout location both mean the workspace
+const relative = (path) => String(path || ".").replace(/^~\/project\/?|^\/root\/project\/?|^~\/?/, "") || ".";
+
+const repository = (image) => String(image).replace(/@.*$/, "").replace(/:[^/]*$/, "");
+
+function toolchain(image) {
+  const repo = repository(image);
+  const match = TOOLCHAIN_IMAGES.find((t) => t.image.test(repo));
+  if (!match) return null;
+  let version = /:([^@]+)/.exec(String(image))?.[1]?.replace(/-(browsers|node|browsers-legacy)$/g, "") || null;
+  if (match.tool === "node" && version === "lts") version = "lts/*";
+  if (match.tool === "node" && version === "current") version = "node";
+  return { tool: match.tool, version };
+}
+
+function defaults(parameters) {
+  return Object.fromEntries(
+    Object.entries(parameters || {})
+      .filter(([, p]) => isObject(p) && p.default !== undefined)
+      .map(([k, p]) => [k, p.default])
+  );
+}
+
+/**
+ * substitute — `<< parameters.x >>` and `<< pipeline.* >>` in every string of a job / command / executor
+ */
+function substitute(value, params, pipeline, unmapped) {
+  if (typeof value === "string") {
+    const whole = /^<<\s*parameters\.(\w+)\s*>>$/.exec(value.trim());
+    if (whole && params[whole[1]] !== undefined && typeof params[whole[1]] !== "string") return params[whole[1]];
+    return value.replace(/<<\s*([\w.-]+)\s*>>/g, (m, ref) => {
+      if (ref.startsWith("parameters.") && params[ref.slice(11)] !== undefined) return String(params[ref.slice(11)]);
+      if (ref.startsWith("pipeline.parameters.") && pipeline[ref.slice(20)] !== undefined) return String(pipeline[ref.slice(20)]);
+      if (PIPELINE_VALUES[ref]) return PIPELINE_VALUES[ref];
+      unmapped.push(`<< ${ref} >>`);
+      return m;
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => substitute(v, params, pipeline, unmapped));
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substitute(v, params, pipeline, unmapped)]));
+  }
+  return value;
+}
+
+const cacheKey = (key) => KEY_TEMPLATES.reduce((k, [pattern, replace]) => k.replace(pattern, replace), String(key));
+// Static part of a key, to pair restore_cache with save_cache
+const keyPrefix = (key) => String(key).split("{{")[0];
+
+function stepName(command) {
+  const line = String(command).trim().split("\n")[0];
+  return line.length > 60 ? `${line.slice(0, 57)}...` : line;
+}
+
+/**
+ * steps — CircleCI steps (commands expanded) in the shared step model; `ctx` collects what could not be
+ * translated
+ */
+function translateSteps(steps, ctx, depth = 0) {
+  const out = [];
+  for (const raw of [].concat(steps || [])) {
+    const [type, args] = typeof raw === "string" ? [raw, {}] : Object.entries(raw || {})[0] || [];
+    if (!type) continue;
+    const a = isObject(args) ? args : { command: args };
+    if (type === "checkout") {
+      out.push({ kind: "checkout", path: a.path ? relative(a.path) : null });
+    } else if (type === "run") {
+      const command = typeof args === "string" ? args : a.command;
+      if (!command) continue;
+      if (a.background) ctx.unmapped.push(`run: ${stepName(command)} (background)`);
+      if (a.shell && !/bash/.test(a.shell)) ctx.unmapped.push(`run shell: ${a.shell}`);
+      if (/\bcircleci\s+tests\b/.test(command)) ctx.unmapped.push("circleci tests split / glob (split tests with a matrix instead)");
+      out.push({
+        kind: "run",
+        name: a.name || stepName(command),
+        run: String(command).trim(),
+        condition: a.when === "always" ? "always()" : a.when === "on_fail" ? "failure()" : null,
+        working_directory: a.working_directory ? relative(a.working_directory) : null,
+        env: isObject(a.environment) ? Object.fromEntries(Object.entries(a.environment).map(([k, v]) => [k, String(v)])) : null,
+      });
+    } else if (type === "restore_cache") {
+      const keys = [].concat(a.keys || a.key || []).map(String);
+      out.push({ kind: "cache", name: a.name || "Restore cache", keys, key: cacheKey(keys[0] || "cache"), restore_keys: keys.slice(1).map(cacheKey), paths: [], policy: "restore" });
+    } else if (type === "save_cache") {
+      // ~/.npm and the like are in the home directory, on GitHub-hosted runners too
+      const paths = [].concat(a.paths || []).map((p) => (/^~\/(?!project(\/|$))/.test(p) ? String(p) : relative(p)));
+      // The restore step becomes one actions/cache step: restore there, save when the job succeeds
+      const restore = out.find((s) => s.kind === "cache" && s.policy === "restore" && (s.keys || []).some((k) => String(a.key).startsWith(keyPrefix(k))));
+      if (restore) Object.assign(restore, { key: cacheKey(a.key), paths, policy: null, name: "Cache" });
+      else out.push({ kind: "cache", name: a.name || "Save cache", key: cacheKey(a.key), restore_keys: [], paths, policy: "save" });
+    } else if (type === "store_artifacts") {
+      out.push({ kind: "upload", name: "Store artifacts", artifact: a.destination || relative(a.path).split("/").pop(), paths: [relative(a.path)] });
+    } else if (type === "store_test_results") {
+      out.push({ kind: "upload", name: "Store test results", artifact: "test-results", paths: [relative(a.path)], condition: "always()" });
+    } else if (type === "persist_to_workspace") {
+      const root = relative(a.root);
+      const paths = [].concat(a.paths || []).map((p) => (root === "." ? String(p) : `${root}/${p}`));
+      out.push({ kind: "upload", name: "Persist to workspace", artifact: `workspace-${ctx.name}`, paths, workspace: true });
+    } else if (type === "attach_workspace") {
+      out.push({ kind: "download", name: "Attach workspace", artifact: "workspace-*", merge: true, path: relative(a.at) });
+    } else if (type === "setup_remote_docker") {
+      ctx.remote_docker = true;
+    } else if (type === "add_ssh_keys") {
+      ctx.unmapped.push("add_ssh_keys (store the key as a secret and load it with an ssh-agent step)");
+    } else if (type === "when" || type === "unless") {
+      ctx.unmapped.push(`${type} step condition (${type === "when" ? "its" : "the"} steps were left out)`);
+    } else if (ctx.commands[type] && depth < 10) {
+      const command = ctx.commands[type];
+      const params = { ...defaults(command.parameters), ...a };
+      out.push(...translateSteps(substitute(command.steps, params, ctx.pipeline, ctx.unmapped), ctx, depth + 1));
+    } else {
+      ctx.unmapped.push(type.includes("/") ? `orb command ${type}` : `step ${type}`);
+    }
+  }
+  if (!depth) for (const step of out) delete step.keys;
+  return out;
+}
+
+function executorOf(job, config, ctx) {
+  let spec = job;
+  if (job.executor) {
+    const ref = typeof job.executor === "string" ? { name: job.executor } : job.executor;
+    const def = config.executors?.[ref.name];
+    if (!def) {
+      ctx.unmapped.push(`executor ${ref.name}${ref.name.includes("/") ? " (orb executor)" : ""}`);
+      return { runs_on: "ubuntu-latest", image: null, services: [], setup: [], env: {} };
+    }
+    const { name: _name, ...args } = ref;
+    spec = substitute(def, { ...defaults(def.parameters), ...args }, ctx.pipeline, ctx.unmapped);
+  }
+  if (spec.macos) return { runs_on: "macos-latest", image: null, services: [], setup: [], env: {} };
+  if (spec.machine) {
+    const image = isObject(spec.machine) ? String(spec.machine.image || "") : "";
+    return { runs_on: /windows/.test(image) ? "windows-latest" : "ubuntu-latest", image: null, services: [], setup: [], env: {} };
+  }
+  const [primary, ...secondary] = [].concat(spec.docker || []).filter(isObject);
+  if (!primary) return { runs_on: "ubuntu-latest", image: null, services: [], setup: [], env: {} };
+  const tool = toolchain(primary.image);
+  const services = secondary.map((s) => ({
+    alias: s.name || repository(s.image).split("/").pop(),
+    image: String(s.image),
+    // cimg/postgres, circleci/redis → the upstream image's service
+    service: serviceForImage(s.image) || serviceForImage(repository(s.image).replace(/^(cimg|circleci)\//, "")),
+    env: Object.fromEntries(Object.entries(s.environment || {}).map(([k, v]) => [k, String(v)])),
+  }));
+  if (!tool && services.length) {
+    ctx.unmapped.push("secondary containers: reachable by service name instead of localhost inside a container job");
+  }
+  return {
+    runs_on: "ubuntu-latest",
+    image: tool ? null : String(primary.image),
+    services,
+    setup: tool?.tool ? [{ tool: tool.tool, version: tool.version }] : [],
+    env: Object.fromEntries(Object.entries(primary.environment || {}).map(([k, v]) => [k, String(v)])),
+  };
+}
+
+function filterCondition(filters, tagFilters, unmapped) {
+  const branches = filters?.branches || {};
+  const tags = filters?.tags;
+  const translate = (patterns, kind) => {
+    const { condition, unmapped: rest } = refFilters(patterns, kind);
+    unmapped.push(...rest.map((p) => `filters: ${p}`));
+    return condition;
+  };
+  let branch = "true";
+  if (branches.only) branch = translate(branches.only, "heads") || "false";
+  else if (branches.ignore) branch = not(translate(branches.ignore, "heads") || "false");
+  // Without a tags filter CircleCI does not run the job for tags
+  if (!tags) return tagFilters ? allOf([not(TAG), branch]) : branch;
+  let tag = "false";
+  if (tags.only) tag = translate(tags.only, "tags") || "false";
+  else if (tags.ignore) tag = allOf([TAG, not(translate(tags.ignore, "tags") || "false")]);
+  return anyOf([allOf([not(TAG), branch]), tag]);
+}
+
+/**
+ * parseCircleCi — jobs of .circleci/config.yml as run by its workflows (requires, filters, matrix,
+ * approvals, scheduled triggers), with executors, commands and parameters expanded
+ */
+export function parseCircleCi(text, path = ".circleci/config.yml") {
+  let config;
+  try {
+    config = YAML.parse(text, { merge: true }) || {};
+  } catch (err) {
+    return { provider: "circleci", path, parse_error: String(err.message || err), stages: [], env: {}, jobs: [], unmapped: [] };
+  }
+  const unmapped = [];
+  for (const orb of Object.keys(config.orbs || {})) unmapped.push(`orb ${orb}: ${config.orbs[orb]} (its jobs and commands are not translated)`);
+  const pipeline = defaults(config.parameters);
+  for (const name of Object.keys(config.parameters || {})) {
+    if (pipeline[name] === undefined) unmapped.push(`pipeline parameter ${name} (no default)`);
+  }
+
+  // Workflow entries: [job name in the config, arguments]
+  const entries = [];
+  const workflows = Object.entries(config.workflows || {}).filter(([name, wf]) => name !== "version" && isObject(wf));
+  const scheduled = workflows.some(([, wf]) => (wf.triggers || []).some((t) => t?.schedule));
+  const tagFilters = workflows.some(([, wf]) =>
+    (wf.jobs || []).some((e) => isObject(e) && Object.values(e)[0]?.filters?.tags)
+  );
+  const schedule = [];
+  for (const [wfName, wf] of workflows) {
+    const crons = (wf.triggers || []).map((t) => t?.schedule).filter(Boolean);
+    schedule.push(...crons.map((s) => s.cron));
+    if (wf.when || wf.unless) unmapped.push(`workflow ${wfName}: ${wf.when ? "when" : "unless"} condition`);
+    for (const entry of wf.jobs || []) {
+      const [ref, args] = typeof entry === "string" ? [entry, {}] : Object.entries(entry)[0];
+      entries.push({ ref, args: isObject(args) ? args : {}, workflow: wfName, scheduled: crons.length > 0 });
+    }
+  }
+  // 2.0 configs without workflows run the `build` job
+  if (!workflows.length && config.jobs?.build) entries.push({ ref: "build", args: {}, workflow: null, scheduled: false });
+
+  const approvals = new Map();
+  const jobs = new Map();
+  for (const { ref, args, scheduled: isScheduled } of entries) {
+    const name = String(args.name || args.matrix?.alias || ref);
+    const requires = [].concat(args.requires || []).map(String);
+    if (args.type === "approval") {
+      approvals.set(name, requires);
+      continue;
+    }
+    const def = config.jobs?.[ref];
+    if (!def) {
+      unmapped.push(`${name}: ${ref.includes("/") ? "orb job" : "job"} ${ref} (not defined in this file)`);
+      continue;
+    }
+    const ctx = { name, unmapped: [], commands: config.commands || {}, pipeline, remote_docker: false };
+    const matrix = args.matrix?.parameters || null;
+    const { requires: _r, filters, context, matrix: _m, name: _n, type: _t, ...params } = args;
+    const values = {
+      ...defaults(def.parameters),
+      ...params,
+      ...Object.fromEntries(Object.keys(matrix || {}).map((k) => [k, `\${{ matrix.${k} }}`])),
+    };
+    const spec = substitute(def, values, pipeline, ctx.unmapped);
+    const executor = executorOf(spec, config, ctx);
+    if (args.matrix?.exclude) ctx.unmapped.push("matrix:exclude");
+    if (spec.parallelism > 1) ctx.unmapped.push(`parallelism: ${spec.parallelism} (split the tests with a matrix)`);
+    if (spec.resource_class) ctx.unmapped.push(`resource_class: ${spec.resource_class} (pick a runner size)`);
+    for (const c of [].concat(context || [])) ctx.unmapped.push(`context ${c} (add its variables as repository or environment secrets)`);
+
+    const run = { filter: filterCondition(filters, tagFilters, ctx.unmapped), scheduled: isScheduled };
+    const steps = translateSteps(spec.steps, ctx);
+    if (ctx.remote_docker && executor.image) ctx.unmapped.push("setup_remote_docker (Docker is not available inside a container job)");
+    const workdir = spec.working_directory ? relative(spec.working_directory) : ".";
+
+    if (jobs.has(name)) {
+      // The same job in several workflows: it runs when any of them would run it
+      const existing = jobs.get(name);
+      existing.runs.push(run);
+      existing.needs = [...new Set([...existing.needs, ...requires])];
+      continue;
+    }
+    jobs.set(name, {
+      name,
+      stage: null,
+      needs: requires,
+      dependencies: null,
+      runs_on: executor.runs_on,
+      image: executor.image,
+      services: executor.services,
+      env: {
+        ...executor.env,
+        ...Object.fromEntries(Object.entries(spec.environment || {}).map(([k, v]) => [k, String(v)])),
+      },
+      secrets: {},
+      setup: executor.setup,
+      matrix: matrix ? Object.fromEntries(Object.entries(matrix).map(([k, v]) => [k, [].concat(v).map(String)])) : null,
+      runs: [run],
+      working_directory: workdir === "." ? null : workdir,
+      environment: null,
+      manual: false,
+      allow_failure: false,
+      timeout_minutes: spec.no_output_timeout ? durationMinutes(spec.no_output_timeout) : null,
+      concurrency: null,
+      artifacts: null,
+      steps,
+      unmapped: [...new Set(ctx.unmapped)],
+    });
+  }
+
+  // Approval jobs hold back the jobs after them: those wait for the approval's own requirements
+  for (const job of jobs.values()) {
+    const held = job.needs.filter((n) => approvals.has(n));
+    if (held.length) job.manual = true;
+    job.needs = [...new Set(job.needs.flatMap((n) => approvals.get(n) || [n]))];
+    // Matrix jobs are required by their generated names (test-18, test-20) too
+    job.needs = job.needs.map((n) => (jobs.has(n) ? n : [...jobs.keys()].find((k) => n.startsWith(`${k}-`)) || n));
+    // Scheduled workflows run on the schedule event only, the others on every other event
+    const filters = [...new Set(job.runs.map((r) => r.filter))];
+    const when = (r) => (scheduled ? (r.scheduled ? event("schedule") : not(event("schedule"))) : "true");
+    const condition =
+      filters.length === 1 && job.runs.some((r) => r.scheduled) && job.runs.some((r) => !r.scheduled)
+        ? filters[0]
+        : anyOf(job.runs.map((r) => allOf([r.filter, when(r)])));
+    job.if = condition === "true" ? null : condition;
+    delete job.runs;
+  }
+
+  return {
+    provider: "circleci",
+    path,
+    stages: [],
+    env: {},
+    triggers: schedule.length ? { schedule } : null,
+    jobs: [...jobs.values()],
+    unmapped,
+  };
+}
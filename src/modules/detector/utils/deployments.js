@@ -0,0 +1,136 @@
+// src/modules/detector/utils/deployments.js
+import { parse as parseToml } from "smol-toml";
+import YAML from "yaml";
+import { IGNORED_DIRS } from "./manifests.js";
+
+function dirOf(file) {
+  return file.includes("/") ? file.slice(0, file.lastIndexOf("/")) : ".";
+}
+
+const BUILTIN_SUBSTITUTIONS = ["COMMIT_SHA", "SHORT_SHA", "REVISION_ID", "BRANCH_NAME", "TAG_NAME", "REF_NAME"];
+
+/**
+ * Deployment configs per provider:
+ * - file:    config file name
+ * - format:  json / toml / yaml
+ * - extract: provider settings the deploy job needs (null → the file is not a config for this provider)
+ */
+const DEPLOY_CONFIGS = [
+  {
+    provider: "vercel",
+    file: /(^|\/)vercel\.json$/,
+    format: "json",
+    extract: (doc) => ({
+      framework: doc.framework || null,
+      build_command: doc.buildCommand || null,
+      output_directory: doc.outputDirectory || null,
+      // Vercel's own Git integration deploys every push unless switched off
+      git_deployments: doc.github?.enabled !== false && doc.git?.deploymentEnabled !== false,
+    }),
+  },
+  {
+    provider: "netlify",
+    file: /(^|\/)netlify\.toml$/,
+    format: "toml",
+    extract: (doc) => ({
+      base: doc.build?.base || null,
+      build_command: doc.build?.command || null,
+      publish: doc.build?.publish || null,
+    }),
+  },
+  {
+    provider: "render",
+    file: /(^|\/)render\.ya?ml$/,
+    format: "yaml",
+    extract: (doc) =>
+      Array.isArray(doc.services)
+        ? {
+            services: doc.services.map((s) => ({
+              name: s.name,
+              type: s.type || null,
+              runtime: s.runtime || s.env || null,
+              auto_deploy: s.autoDeploy !== false && s.autoDeployTrigger !== "off",
+            })),
+            previews: doc.previews?.generation || (doc.previewsEnabled ? "automatic" : null),
+          }
+        : null,
+  },
+  {
+    provider: "heroku",
+    file: /(^|\/)heroku\.yml$/,
+    format: "yaml",
+    extract: (doc) => ({
+      docker: Object.keys(doc.build?.docker || {}),
+      processes: Object.keys(doc.run || {}),
+    }),
+  },
+  {
+    provider: "cloudbuild",
+    file: /(^|\/)cloudbuild\.ya?ml$/,
+    format: "yaml",
+    extract: (doc) =>
+      Array.isArray(doc.steps)
+        ? {
+            images: doc.images || [],
+            substitutions: Object.keys(doc.substitutions || {}),
+            // Only trigger-started builds get these; a submitted build has to pass them in
+            builtin_substitutions: BUILTIN_SUBSTITUTIONS.filter((k) =>
+              new RegExp(`\\$\\{?${k}\\b`).test(JSON.stringify(doc))
+            ),
+          }
+        : null,
+  },
+  {
+    provider: "fly",
+    file: /(^|\/)fly\.toml$/,
+    format: "toml",
+    extract: (doc) => ({
+      app: doc.app || null,
+      primary_region: doc.primary_region || null,
+      dockerfile: doc.build?.dockerfile || null,
+      internal_port: doc.http_service?.internal_port || null,
+    }),
+  },
+  {
+    // app.yaml is a common name (k8s/app.yaml is a manifest); App Engine's sits at the root and has a top-level runtime
+    provider: "appengine",
+    file: /^app\.ya?ml$/,
+    format: "yaml",
+    extract: (doc) =>
+      doc.runtime ? { runtime: doc.runtime, service: doc.service || "default", flexible: doc.env === "flex" } : null,
+  },
+];
+
+// A multi-document YAML file (Kubernetes manifests) is no provider's config: undefined
+function parse(format, text) {
+  if (format === "json") return JSON.parse(text);
+  if (format === "toml") return parseToml(text);
+  const docs = YAML.parseAllDocuments(text);
+  const failed = docs.find((d) => d.errors.length);
+  if (failed) throw failed.errors[0];
+  return docs.length > 1 ? undefined : docs[0]?.toJS();
+}
+
+/**
+ * analyzeDeploymentConfigs — provider, location and settings of every deployment config in the tree
+ */
+export async function analyzeDeploymentConfigs(files, readFile) {
+  const out = [];
+  for (const file of files) {
+    if (IGNORED_DIRS.test(file)) continue;
+    const def = DEPLOY_CONFIGS.find((d) => d.file.test(file));
+    if (!def) continue;
+    const text = await readFile(file);
+    if (text === null || text === undefined) continue;
+    let settings;
+    try {
+      const doc = parse(def.format, text);
+      settings = doc === undefined ? null : def.extract(doc || {});
+    } catch (err) {
+      out.push({ provider: def.provider, path: file, dir: dirOf(file), parse_error: String(err.message || err) });
+      continue;
+    }
+    if (settings) out.push({ provider: def.provider, path: file, dir: dirOf(file), ...settings });
+  }
+  return out;
+}
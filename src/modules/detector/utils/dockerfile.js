@@ -0,0 +1,245 @@
+// src/modules/detector/utils/dockerfile.js
+import { IGNORED_DIRS } from "./manifests.js";
+
+// Dockerfile, Dockerfile.dev, api.Dockerfile, Containerfile
+const DOCKERFILE = /(^|\/)((Dockerfile|Containerfile)(\.[^/]+)?|[^/]+\.(Dockerfile|dockerfile|Containerfile))$/;
+
+// Dev containers are editor environments, not images the pipeline should ship
+const SKIPPED_DIRS = /(^|\/)\.devcontainer\//;
+
+// ARGs BuildKit fills in on its own
+const PREDEFINED_ARGS = new Set([
+  "TARGETPLATFORM",
+  "TARGETOS",
+  "TARGETARCH",
+  "TARGETVARIANT",
+  "BUILDPLATFORM",
+  "BUILDOS",
+  "BUILDARCH",
+  "BUILDVARIANT",
+  "HTTP_PROXY",
+  "HTTPS_PROXY",
+  "FTP_PROXY",
+  "NO_PROXY",
+  "ALL_PROXY",
+]);
+
+/**
+ * instructions — logical lines (continuations joined, comments dropped) as { op, args }
+ */
+function instructions(text) {
+  const out = [];
+  let current = "";
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line.startsWith("#") || (!current && !line)) continue;
+    if (line.endsWith("\\")) {
+      current += `${line.slice(0, -1)} `;
+      continue;
+    }
+    current += line;
+    const m = /^(\w+)\s*(.*)$/.exec(current.trim());
+    if (m) out.push({ op: m[1].toUpperCase(), args: m[2].trim() });
+    current = "";
+  }
+  return out;
+}
+
+// Leading --flag=value options of COPY/ADD/FROM/HEALTHCHECK
+function splitFlags(args) {
+  const flags = {};
+  let rest = args;
+  let m;
+  while ((m = /^--([\w-]+)(?:=(\S+))?\s*/.exec(rest))) {
+    flags[m[1]] = m[2] ?? true;
+    rest = rest.slice(m[0].length);
+  }
+  return { flags, rest };
+}
+
+function words(args) {
+  if (args.startsWith("[")) {
+    try {
+      return JSON.parse(args);
+    } catch {
+      // not valid JSON — fall back to shell form
+    }
+  }
+  return args.split(/\s+/).filter(Boolean);
+}
+
+function substitute(value, vars) {
+  return value.replace(/\$\{?(\w+)\}?/g, (match, name) => vars[name] ?? match);
+}
+
+/**
+ * isUnpinned — no tag and no digest, or the floating :latest tag
+ */
+function isUnpinned(image) {
+  if (image.includes("@sha256:")) return false;
+  const last = image.split("/").pop();
+  return !last.includes(":") || last.endsWith(":latest");
+}
+
+/**
+ * parseDockerfile — stages, base images, ARGs, EXPOSEd ports, HEALTHCHECK and COPY sources
+ */
+export function parseDockerfile(text) {
+  const stages = [];
+  const args = [];
+  const globalArgs = {};
+  const exposed = [];
+  const copySources = [];
+  let healthcheck = null;
+
+  for (const { op, args: rest } of instructions(text)) {
+    if (op === "ARG") {
+      const m = /^(\w+)(?:=(.*))?$/.exec(rest);
+      if (!m) continue;
+      const value = m[2] === undefined ? null : m[2].replace(/^["']|["']$/g, "");
+      if (!args.some((a) => a.name === m[1])) args.push({ name: m[1], default: value });
+      // ARGs before the first FROM are the only ones FROM lines can use
+      if (!stages.length && value !== null) globalArgs[m[1]] = value;
+    } else if (op === "FROM") {
+      const { flags, rest: from } = splitFlags(rest);
+      const [image = "", as, name] = from.split(/\s+/);
+      const resolved = substitute(image, globalArgs);
+      const stageRef = stages.some((s) => s.name && s.name === resolved.toLowerCase());
+      stages.push({
+        name: as && as.toUpperCase() === "AS" && name ? name.toLowerCase() : null,
+        image: resolved,
+        platform: typeof flags.platform === "string" ? flags.platform : null,
+        from_stage: stageRef,
+      });
+    } else if (op === "EXPOSE") {
+      for (const port of words(rest)) {
+        const m = /^(\d+)(?:\/(tcp|udp))?$/i.exec(port);
+        if (m && !exposed.includes(Number(m[1]))) exposed.push(Number(m[1]));
+      }
+    } else if (op === "HEALTHCHECK") {
+      const { flags, rest: check } = splitFlags(rest);
+      if (/^NONE$/i.test(check)) {
+        healthcheck = null;
+      } else {
+        const cmd = /^CMD\s+(.*)$/i.exec(check)?.[1] || check;
+        const parts = words(cmd);
+        healthcheck = {
+          command: cmd.startsWith("[") ? parts.filter((p) => p !== "CMD-SHELL").join(" ") : cmd,
+          interval: flags.interval || null,
+          timeout: flags.timeout || null,
+          retries: flags.retries ? Number(flags.retries) : null,
+        };
+      }
+    } else if (op === "COPY" || op === "ADD") {
+      const { flags, rest: paths } = splitFlags(rest);
+      if (flags.from) continue;
+      const list = words(paths);
+      for (const src of list.slice(0, -1)) {
+        if (!/^[a-z]+:\/\//i.test(src) && !src.startsWith("$")) copySources.push(src.replace(/^\.\//, ""));
+      }
+    }
+  }
+
+  const external = stages.filter((s) => !s.from_stage && s.image.toLowerCase() !== "scratch");
+  const baseImages = [...new Set(external.map((s) => s.image))];
+  // Images still containing ${VAR} depend on build args; they are not flagged
+  const unpinned = baseImages.filter((img) => !img.includes("$") && isUnpinned(img));
+  return {
+    stages: stages.map(({ from_stage, ...s }) => s),
+    base_images: baseImages,
+    final_stage: stages.length ? stages[stages.length - 1].name : null,
+    args,
+    exposed_ports: exposed,
+    healthcheck,
+    copy_sources: [...new Set(copySources)],
+    // --platform=$BUILDPLATFORM / TARGET* args mean the Dockerfile cross-builds on purpose
+    multi_platform:
+      stages.some((s) => /\$\{?BUILDPLATFORM/.test(s.platform || "")) ||
+      args.some((a) => ["TARGETPLATFORM", "TARGETARCH", "TARGETOS"].includes(a.name)),
+    unpinned_images: unpinned,
+  };
+}
+
+/**
+ * requiredBuildArgs — ARGs the build has to be given (no default, not set by BuildKit)
+ */
+function requiredBuildArgs(parsed) {
+  return parsed.args.filter((a) => a.default === null && !PREDEFINED_ARGS.has(a.name.toUpperCase())).map((a) => a.name);
+}
+
+function dirOf(file) {
+  return file.includes("/") ? file.slice(0, file.lastIndexOf("/")) : ".";
+}
+
+function exists(files, base, src) {
+  const path = (base === "." ? src : `${base}/${src}`).replace(/\/+$/, "");
+  // COPY sources may be globs (package*.json) or directories
+  const pattern = path
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]");
+  const re = new RegExp(`^${pattern}(/|$)`);
+  return files.some((f) => re.test(f));
+}
+
+/**
+ * buildContext — directory the COPY/ADD sources resolve against: the Dockerfile's own
+ * directory, or the repository root for Dockerfiles kept together under e.g. docker/
+ */
+function buildContext(file, parsed, files, dockerfiles) {
+  const dir = dirOf(file);
+  if (dir === ".") return ".";
+  const sources = parsed.copy_sources.filter((s) => s && s !== ".");
+  const hits = (base) => sources.filter((s) => exists(files, base, s)).length;
+  if (sources.length) {
+    const local = hits(dir);
+    const root = hits(".");
+    if (root > local) return ".";
+    if (local > 0) return dir;
+  }
+  // Nothing to go by: a directory collecting several Dockerfiles is not itself the context
+  return dockerfiles.filter((f) => dirOf(f) === dir).length > 1 ? "." : dir;
+}
+
+/**
+ * imageName — short name per Dockerfile: api.Dockerfile → api, Dockerfile.dev → dev, services/api/Dockerfile → api
+ */
+function imageName(file) {
+  const base = file.split("/").pop();
+  const m = /^(.+)\.(Dockerfile|dockerfile|Containerfile)$/.exec(base) || /^(?:Dockerfile|Containerfile)\.(.+)$/.exec(base);
+  const name = m ? m[1] : dirOf(file) === "." ? "app" : dirOf(file).split("/").pop();
+  return name.toLowerCase().replace(/[^a-z0-9-]+/g, "-").replace(/^-+|-+$/g, "") || "app";
+}
+
+/**
+ * analyzeDockerfiles — parse every Dockerfile in the tree (vendored and dev-container ones excluded)
+ */
+export async function analyzeDockerfiles(files, readFile) {
+  const dockerfiles = files.filter(
+    (f) => DOCKERFILE.test(f) && !f.endsWith(".dockerignore") && !IGNORED_DIRS.test(f) && !SKIPPED_DIRS.test(f)
+  );
+  const out = [];
+  const names = new Set();
+  for (const file of dockerfiles) {
+    const text = await readFile(file);
+    if (text === null || text === undefined) continue;
+    const parsed = parseDockerfile(text);
+    if (!parsed.stages.length) continue;
+    const warnings = parsed.unpinned_images.map(
+      (img) => `${file}: base image "${img}" is not pinned (uses :latest) — pin a version tag or digest`
+    );
+    // Two services/*/Dockerfile.prod would both be "prod"; keep names unique for job ids
+    let name = imageName(file);
+    for (let i = 2; names.has(name); i++) name = `${imageName(file)}-${i}`;
+    names.add(name);
+    out.push({
+      path: file,
+      name,
+      context: buildContext(file, parsed, files, dockerfiles),
+      ...parsed,
+      required_args: requiredBuildArgs(parsed),
+      warnings,
+    });
+  }
+  return out;
+}
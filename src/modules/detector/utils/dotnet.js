@@ -0,0 +1,68 @@
+// src/modules/detector/utils/dotnet.js
+
+// Package references that mark a test project, and the runner they belong to
+const TEST_PACKAGES = [
+  ["xunit", "xunit"],
+  ["nunit", "nunit"],
+  ["MSTest.TestFramework", "mstest"],
+  ["MSTest", "mstest"],
+];
+
+function tagValues(xml, tag) {
+  const re = new RegExp(`<${tag}>\\s*([^<]+?)\\s*</${tag}>`, "g");
+  const out = [];
+  let m;
+  while ((m = re.exec(xml))) out.push(m[1]);
+  return out;
+}
+
+/**
+ * parseMsbuildProject — target frameworks, package references and SDK of a .csproj/.fsproj/.vbproj
+ */
+export function parseMsbuildProject(text) {
+  const xml = String(text || "");
+  const targets = [
+    ...tagValues(xml, "TargetFramework"),
+    ...tagValues(xml, "TargetFrameworks").flatMap((v) => v.split(";")),
+  ]
+    .map((t) => t.trim())
+    .filter(Boolean);
+  const packages = [];
+  const re = /<PackageReference\s+Include="([^"]+)"/g;
+  let m;
+  while ((m = re.exec(xml))) packages.push(m[1]);
+  const sdk = /<Project\s+Sdk="([^"]+)"/.exec(xml)?.[1] || null;
+  const testRunner = TEST_PACKAGES.find(([name]) => packages.includes(name))?.[1] || null;
+  return {
+    sdk,
+    target_frameworks: [...new Set(targets)],
+    packages,
+    is_test_project:
+      Boolean(testRunner) || packages.includes("Microsoft.NET.Test.Sdk") || /<IsTestProject>\s*true/i.test(xml),
+    test_runner: testRunner,
+    coverage: packages.includes("coverlet.collector") ? "coverlet" : null,
+  };
+}
+
+/**
+ * parseSolution — project paths referenced by a .sln (forward slashes, relative to the solution)
+ */
+export function parseSolution(text) {
+  const projects = [];
+  const re = /^Project\("[^"]*"\)\s*=\s*"[^"]*",\s*"([^"]+\.(?:cs|fs|vb)proj)"/gm;
+  let m;
+  while ((m = re.exec(String(text || "")))) projects.push(m[1].replace(/\\/g, "/"));
+  return { projects };
+}
+
+/**
+ * parseGlobalJson — pinned SDK version and roll-forward policy from global.json
+ */
+export function parseGlobalJson(text) {
+  try {
+    const doc = JSON.parse(text);
+    return { version: doc.sdk?.version || null, roll_forward: doc.sdk?.rollForward || null };
+  } catch {
+    return { version: null, roll_forward: null };
+  }
+}
@@ -0,0 +1,86 @@
+// src/modules/detector/utils/githubSource.js
+import { Octokit } from "octokit";
+
+/**
+ * parseRepoUrl — extract owner/repo from a GitHub URL
+ */
+export function parseRepoUrl(url) {
+  const match = url.match(/github\.com\/([^/]+)\/([^/]+)/);
+  if (!match) throw new Error("❌ Invalid GitHub URL");
+  return { owner: match[1], repo: match[2].replace(/\.git$/, "") };
+}
+
+/**
+ * createGitHubSource — source provider backed by the GitHub REST API.
+ * If no `octokit` is given, fall back to a PAT-based Octokit using `GITHUB_TOKEN`.
+ * `opts.ref` (branch, tag or commit SHA) pins the tree and every file read; defaults to HEAD.
+ */
+export function createGitHubSource(repoUrl, opts = {}) {
+  const { owner, repo } = parseRepoUrl(repoUrl);
+  const octokit = opts.octokit || new Octokit({ auth: process.env.GITHUB_TOKEN });
+  const ref = (opts.ref || "HEAD").replace(/^refs\/(heads|tags)\//, "");
+
+  // Resolve the ref to a commit SHA once so the tree and all reads agree
+  let shaPromise = null;
+  function resolveSha() {
+    if (!shaPromise) {
+      shaPromise = octokit.rest.repos
+        .getCommit({ owner, repo, ref })
+        .then(({ data }) => data.sha);
+    }
+    return shaPromise;
+  }
+
+  return {
+    kind: "github",
+    id: `${owner}/${repo}`,
+
+    async getRevision() {
+      return { ref: opts.ref || "HEAD", sha: await resolveSha() };
+    },
+
+    async getMetadata() {
+      const { data: repoInfo } = await octokit.rest.repos.get({ owner, repo });
+      return {
+        description: repoInfo.description,
+        topics: repoInfo.topics,
+        stars: repoInfo.stargazers_count,
+        forks: repoInfo.forks_count,
+        watchers: repoInfo.subscribers_count,
+        license: repoInfo.license ? repoInfo.license.spdx_id : "None",
+        default_branch: repoInfo.default_branch,
+        last_commit: repoInfo.pushed_at,
+      };
+    },
+
+    // Language bytes are only available for the default branch via the API
+    async listLanguages() {
+      const { data: langBytes } = await octokit.rest.repos.listLanguages({ owner, repo });
+      return langBytes;
+    },
+
+    async listTree() {
+      const { data: tree } = await octokit.rest.git.getTree({
+        owner,
+        repo,
+        tree_sha: await resolveSha(),
+        recursive: "true",
+      });
+      return tree.tree.map((t) => ({ path: t.path, type: t.type, size: t.size || 0 }));
+    },
+
+    async readFile(path) {
+      try {
+        const { data } = await octokit.rest.repos.getContent({
+          owner,
+          repo,
+          path,
+          ref: await resolveSha(),
+        });
+        return Buffer.from(data.content, "base64").toString("utf-8");
+      } catch {
+        return null;
+      }
+    },
+  };
+}
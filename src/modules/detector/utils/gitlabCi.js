@@ -0,0 +1,501 @@
+// src/modules/detector/utils/gitlabCi.js
+import YAML from "yaml";
+import {
+  allOf,
+  anyOf,
+  BRANCH,
+  DEFAULT_BRANCH,
+  durationMinutes,
+  event,
+  not,
+  PULL_REQUEST,
+  quote,
+  refCondition,
+  refIs,
+  retentionDays,
+  TAG,
+} from "./ciRules.js";
+import { serviceForImage } from "./services.js";
+
+// !reference [.setup, script] → { reference: [".setup", "script"] }, resolved once the file is loaded
+const REFERENCE = {
+  tag: "!reference",
+  collection: "seq",
+  identify: () => false,
+  resolve: (seq) => ({ reference: seq.items.map((item) => String(item.value ?? item)) }),
+};
+
+// Top-level keywords; every other key not starting with "." is a job
+const KEYWORDS = new Set([
+  "image",
+  "services",
+  "stages",
+  "types",
+  "before_script",
+  "after_script",
+  "variables",
+  "cache",
+  "include",
+  "workflow",
+  "default",
+  "spec",
+]);
+
+// Keywords `default:` (or the legacy top-level form) gives every job that does not set them
+const DEFAULTS = ["image", "services", "before_script", "after_script", "cache", "artifacts", "timeout", "tags", "retry"];
+
+// Job keywords translated below; the others are reported
+const TRANSLATED = new Set([
+  "stage",
+  "script",
+  "before_script",
+  "after_script",
+  "image",
+  "services",
+  "variables",
+  "cache",
+  "artifacts",
+  "rules",
+  "only",
+  "except",
+  "when",
+  "needs",
+  "dependencies",
+  "environment",
+  "allow_failure",
+  "timeout",
+  "parallel",
+  "extends",
+  "resource_group",
+  "tags",
+  "inherit",
+  "retry",
+  // No effect on what the job does
+  "interruptible",
+  "coverage",
+]);
+
+// GitLab hands every job variable to the service containers too; each keeps the ones meant for it
+const SERVICE_ENV = {
+  postgres: /^(POSTGRES|PG)_/,
+  mysql: /^(MYSQL|MARIADB)_/,
+  mongodb: /^MONGO_/,
+  redis: /^REDIS_/,
+  rabbitmq: /^RABBITMQ_/,
+};
+
+const isObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+// Hashes merge key by key; arrays and scalars from `b` replace those of `a` (GitLab's extends semantics)
+function deepMerge(a, b) {
+  if (!isObject(a) || !isObject(b)) return b === undefined ? a : b;
+  const out = { ...a };
+  for (const [k, v] of Object.entries(b)) out[k] = deepMerge(a[k], v);
+  return out;
+}
+
+function deref(doc, value, depth = 0) {
+  if (depth > 10) return value;
+  if (Array.isArray(value)) return value.map((v) => deref(doc, v, depth + 1));
+  if (isObject(value)) {
+    if (Array.isArray(value.reference) && Object.keys(value).length === 1) {
+      return deref(doc, value.reference.reduce((node, key) => node?.[key], doc), depth + 1);
+    }
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, deref(doc, v, depth + 1)]));
+  }
+  return value;
+}
+
+function expand(doc, job, unmapped, seen = new Set()) {
+  let merged = {};
+  for (const parent of [].concat(job.extends || [])) {
+    if (seen.has(parent) || !isObject(doc[parent])) {
+      unmapped.push(`extends: ${parent} (not defined in this file)`);
+      continue;
+    }
+    merged = deepMerge(merged, expand(doc, doc[parent], unmapped, new Set([...seen, parent])));
+  }
+  const { extends: _extends, ...own } = job;
+  return deepMerge(merged, own);
+}
+
+// Script entries may be strings, nested lists (from !reference) or multi-line blocks
+const commands = (value) => [].concat(value ?? []).flat(10).filter((c) => c !== null && c !== undefined).map(String);
+
+function variables(vars) {
+  return Object.fromEntries(
+    Object.entries(isObject(vars) ? vars : {}).map(([k, v]) => [k, isObject(v) ? String(v.value ?? "") : String(v ?? "")])
+  );
+}
+
+const imageName = (image) => (isObject(image) ? image.name : image) || null;
+
+// postgres:16 → postgres, bitnami/redis:7 → bitnami-redis (GitLab's default host names)
+const defaultAlias = (image) => image.replace(/@.*$/, "").replace(/:[^/]*$/, "").replace(/\//g, "-");
+
+function services(list, env) {
+  return [].concat(list || []).map((s) => {
+    const image = String(isObject(s) ? s.name : s);
+    const alias = (isObject(s) && s.alias && String(s.alias).split(/[,\s]+/)[0]) || defaultAlias(image);
+    const service = serviceForImage(image);
+    const own = SERVICE_ENV[service] || new RegExp(`^${alias.toUpperCase().replace(/\W/g, "_")}_`);
+    const shared = Object.entries(env).filter(([k, v]) => own.test(k) && !v.includes("$"));
+    return { alias, image, service, env: { ...Object.fromEntries(shared), ...variables(s.variables) } };
+  });
+}
+
+function caches(value, unmapped) {
+  return [].concat(value || []).filter((c) => isObject(c) && c.paths).map((c) => {
+    const key = isObject(c.key)
+      ? `${c.key.prefix ? `${c.key.prefix}-` : ""}\${{ hashFiles(${[].concat(c.key.files || []).map((f) => `'${f}'`).join(", ")}) }}`
+      : String(c.key ?? "default");
+    if (c.untracked) unmapped.push("cache:untracked (list the untracked paths under cache:paths)");
+    return {
+      kind: "cache",
+      name: "Cache",
+      key,
+      restore_keys: [].concat(c.fallback_keys || []).map(String),
+      paths: [].concat(c.paths).map(String),
+      // pull-only jobs restore, push-only jobs save
+      policy: c.policy === "pull" ? "restore" : c.policy === "push" ? "save" : null,
+    };
+  });
+}
+
+function artifacts(value, unmapped) {
+  if (!isObject(value)) return null;
+  const reports = isObject(value.reports) ? value.reports : {};
+  const paths = [
+    ...[].concat(value.paths || []),
+    ...[].concat(reports.junit || []),
+    ...(reports.coverage_report?.path ? [reports.coverage_report.path] : []),
+  ].map(String);
+  for (const report of Object.keys(reports)) {
+    if (report === "dotenv") unmapped.push("artifacts:reports:dotenv (pass the variables as job outputs)");
+    else if (!["junit", "coverage_report"].includes(report)) unmapped.push(`artifacts:reports:${report}`);
+  }
+  if (value.exclude) unmapped.push("artifacts:exclude");
+  if (value.untracked) unmapped.push("artifacts:untracked");
+  if (!paths.length) return null;
+  return { paths, retention_days: retentionDays(value.expire_in), when: value.when || "on_success" };
+}
+
+/* ---------------------------------------------------------
+    rules:if / only:variables expressions
+--------------------------------------------------------- */
+
+const TOKEN = /\s*(\(|\)|&&|\|\||==|!=|=~|!~|\$\{?\w+\}?|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\/(?:[^/\\]|\\.)*\/[a-z]*|null\b)/y;
+
+function tokenize(text) {
+  const source = String(text).trim();
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let m;
+  while (TOKEN.lastIndex < source.length && (m = TOKEN.exec(source))) tokens.push(m[1]);
+  return tokens.length && TOKEN.lastIndex >= source.length ? tokens : null;
+}
+
+const varName = (token) => /^\$\{?(\w+)\}?$/.exec(token || "")?.[1] || null;
+const unquote = (token) => token.slice(1, -1).replace(/\\(.)/g, "$1");
+
+// `if: $VAR` — true when the variable is set
+function isSet(name) {
+  if (name === "CI_COMMIT_TAG") return TAG;
+  if (name === "CI_COMMIT_BRANCH") return BRANCH;
+  if (/^CI_(MERGE_REQUEST_(ID|IID|TARGET_BRANCH_NAME|SOURCE_BRANCH_NAME)|EXTERNAL_PULL_REQUEST_IID)$/.test(name)) return PULL_REQUEST;
+  return null;
+}
+
+const PIPELINE_SOURCES = {
+  merge_request_event: PULL_REQUEST,
+  external_pull_request_event: PULL_REQUEST,
+  push: event("push"),
+  schedule: event("schedule"),
+  web: event("workflow_dispatch"),
+};
+
+function compare(name, op, value) {
+  const negate = op === "!=" || op === "!~";
+  const apply = (expr) => (expr && negate ? not(expr) : expr);
+  if (value === "null") {
+    const set = isSet(name);
+    return set && (negate ? set : not(set));
+  }
+  const other = varName(value);
+  if (other) {
+    if (other !== "CI_DEFAULT_BRANCH" || op[1] !== "=") return null;
+    if (name === "CI_COMMIT_BRANCH" || name === "CI_COMMIT_REF_NAME") return apply(DEFAULT_BRANCH);
+    if (name === "CI_MERGE_REQUEST_TARGET_BRANCH_NAME") return apply("github.base_ref == github.event.repository.default_branch");
+    return null;
+  }
+  const regex = value.startsWith("/");
+  const text = regex ? value : unquote(value);
+  switch (name) {
+    case "CI_COMMIT_BRANCH":
+      return apply(regex ? refCondition(text) : refIs(text));
+    case "CI_COMMIT_TAG":
+      return apply(regex ? refCondition(text, "tags") : refIs(text, "tags"));
+    case "CI_COMMIT_REF_NAME": {
+      if (!regex) return apply(`github.ref_name == ${quote(text)}`);
+      const heads = refCondition(text);
+      const tags = refCondition(text, "tags");
+      return heads && tags ? apply(anyOf([heads, tags])) : null;
+    }
+    case "CI_MERGE_REQUEST_TARGET_BRANCH_NAME":
+      return regex ? null : apply(`github.base_ref == ${quote(text)}`);
+    case "CI_MERGE_REQUEST_SOURCE_BRANCH_NAME":
+      return regex ? null : apply(`github.head_ref == ${quote(text)}`);
+    case "CI_PIPELINE_SOURCE":
+      return regex ? null : apply(PIPELINE_SOURCES[text] || null);
+    default:
+      return null;
+  }
+}
+
+/**
+ * gitlabExpression — a rules:if expression as a GitHub Actions expression; null when it tests
+ * anything but the ref, the pipeline source or merge request branches
+ */
+export function gitlabExpression(text) {
+  const tokens = tokenize(text);
+  if (!tokens) return null;
+  let i = 0;
+  const or = () => {
+    const parts = [and()];
+    while (tokens[i] === "||") {
+      i++;
+      parts.push(and());
+    }
+    return parts.includes(null) ? null : anyOf(parts);
+  };
+  const and = () => {
+    const parts = [primary()];
+    while (tokens[i] === "&&") {
+      i++;
+      parts.push(primary());
+    }
+    return parts.includes(null) ? null : allOf(parts);
+  };
+  const primary = () => {
+    if (tokens[i] === "(") {
+      i++;
+      const expr = or();
+      return tokens[i++] === ")" ? expr : null;
+    }
+    let lhs = tokens[i++];
+    if (!["==", "!=", "=~", "!~"].includes(tokens[i])) return varName(lhs) ? isSet(varName(lhs)) : null;
+    const op = tokens[i++];
+    let rhs = tokens[i++];
+    // "main" == $CI_COMMIT_BRANCH
+    if (!varName(lhs) && varName(rhs)) [lhs, rhs] = [rhs, lhs];
+    return varName(lhs) && rhs ? compare(varName(lhs), op, rhs) : null;
+  };
+  const expr = or();
+  return i === tokens.length ? expr : null;
+}
+
+function rulesCondition(rules, job) {
+  // First matching rule decides: fold from the last one
+  let expr = "false";
+  for (const rule of [...rules].reverse()) {
+    if (!isObject(rule)) continue;
+    let c = "true";
+    if (rule.if) {
+      c = gitlabExpression(rule.if);
+      if (c === null) {
+        job.unmapped.push(`rules:if ${rule.if}`);
+        c = "false";
+      }
+    }
+    if (rule.changes || rule.exists) {
+      job.unmapped.push(`rules:${rule.changes ? "changes" : "exists"} (the job runs whatever files changed)`);
+    }
+    if (rule.variables) job.unmapped.push("rules:variables");
+    if (rule.when === "never") {
+      expr = allOf([not(c), expr]);
+      continue;
+    }
+    expr = anyOf([c, expr]);
+    if (rule.when === "manual") job.manual = true;
+    if (rule.when === "delayed") job.unmapped.push("rules:when delayed");
+    if (rule.allow_failure) job.allow_failure = true;
+  }
+  return expr;
+}
+
+function refsCondition(refs, job, key) {
+  const conditions = [];
+  for (const ref of [].concat(refs || [])) {
+    const r = String(ref);
+    const named = {
+      branches: BRANCH,
+      tags: TAG,
+      merge_requests: PULL_REQUEST,
+      external_pull_requests: PULL_REQUEST,
+      pushes: event("push"),
+      schedules: event("schedule"),
+      web: event("workflow_dispatch"),
+    }[r];
+    const c = named || (["api", "triggers", "pipelines", "chat"].includes(r) ? null : refCondition(r));
+    if (c) conditions.push(c);
+    else job.unmapped.push(`${key}: ${r}`);
+  }
+  return anyOf(conditions);
+}
+
+function onlyExcept(value, job, key) {
+  if (!isObject(value)) return refsCondition(value, job, key);
+  const parts = [];
+  if (value.refs) parts.push(refsCondition(value.refs, job, key));
+  if (value.variables) {
+    const vars = [].concat(value.variables).map((v) => gitlabExpression(v));
+    if (vars.includes(null)) job.unmapped.push(`${key}:variables`);
+    else parts.push(anyOf(vars));
+  }
+  if (value.changes) job.unmapped.push(`${key}:changes (the job runs whatever files changed)`);
+  if (value.kubernetes) job.unmapped.push(`${key}:kubernetes`);
+  return parts.length ? allOf(parts) : key === "only" ? "true" : "false";
+}
+
+// parallel: 3 → CI_NODE_INDEX 1..3; parallel:matrix → one include entry per combination
+function parallelMatrix(parallel, env) {
+  if (typeof parallel === "number") {
+    env.CI_NODE_INDEX = "${{ matrix.ci_node_index }}";
+    env.CI_NODE_TOTAL = String(parallel);
+    return { include: Array.from({ length: parallel }, (_, i) => ({ ci_node_index: i + 1 })) };
+  }
+  const include = [];
+  for (const entry of [].concat(parallel?.matrix || [])) {
+    let combos = [{}];
+    for (const [k, v] of Object.entries(entry || {})) {
+      combos = combos.flatMap((c) => [].concat(v).map((value) => ({ ...c, [k]: String(value) })));
+    }
+    include.push(...combos);
+  }
+  for (const k of new Set(include.flatMap(Object.keys))) env[k] = `\${{ matrix.${k} }}`;
+  return include.length ? { include } : null;
+}
+
+/**
+ * parseGitlabCi — jobs of a .gitlab-ci.yml (extends, !reference, default: and YAML anchors
+ * resolved) in the shared CI model of legacyCi.js, branch rules as GitHub Actions expressions
+ */
+export function parseGitlabCi(text, path = ".gitlab-ci.yml") {
+  let raw;
+  try {
+    raw = YAML.parse(text, { merge: true, customTags: [REFERENCE] }) || {};
+  } catch (err) {
+    return { provider: "gitlab", path, parse_error: String(err.message || err), stages: [], env: {}, jobs: [], unmapped: [] };
+  }
+  const doc = deref(raw, raw);
+  const unmapped = [];
+  for (const include of [].concat(doc.include || [])) {
+    unmapped.push(`include: ${isObject(include) ? Object.values(include).flat().join(" ") : include} (included jobs are not translated)`);
+  }
+
+  const stages = [".pre", ...[].concat(doc.stages || doc.types || ["build", "test", "deploy"]).map(String), ".post"];
+  const env = variables(doc.variables);
+  const defaults = {};
+  for (const key of DEFAULTS) {
+    const value = isObject(doc.default) && doc.default[key] !== undefined ? doc.default[key] : doc[key];
+    if (value !== undefined && !(key === "image" && value === null)) defaults[key] = value;
+  }
+
+  let workflow = "true";
+  if (Array.isArray(doc.workflow?.rules)) {
+    const holder = { unmapped: [] };
+    workflow = rulesCondition(doc.workflow.rules, holder);
+    unmapped.push(...holder.unmapped.map((u) => `workflow:${u}`));
+    // Nothing translatable: the pipeline-wide filter is dropped rather than disabling every job
+    if (workflow === "false") workflow = "true";
+  }
+
+  const jobs = [];
+  for (const [name, value] of Object.entries(doc)) {
+    if (KEYWORDS.has(name) || name.startsWith(".") || !isObject(value)) continue;
+    const job = { name, unmapped: [] };
+    const spec = expand(doc, value, job.unmapped);
+    if (spec.trigger) {
+      unmapped.push(`${name}: trigger (downstream pipelines are not translated)`);
+      continue;
+    }
+    if (spec.when === "never") continue;
+
+    const inherit = spec.inherit || {};
+    const inherited =
+      inherit.default === false
+        ? {}
+        : Array.isArray(inherit.default)
+        ? Object.fromEntries(Object.entries(defaults).filter(([key]) => inherit.default.includes(key)))
+        : defaults;
+    const s = { ...inherited, ...spec };
+    if (inherit.variables === false) job.unmapped.push("inherit:variables false (global variables still apply)");
+
+    for (const key of Object.keys(spec)) if (!TRANSLATED.has(key)) job.unmapped.push(`${key}`);
+    if (s.tags) job.unmapped.push(`tags: ${[].concat(s.tags).join(", ")} (runner tags — use the matching runs-on labels on self-hosted runners)`);
+    if (s.retry) job.unmapped.push(`retry: ${isObject(s.retry) ? s.retry.max : s.retry}`);
+    if (isObject(s.image) && s.image.entrypoint) job.unmapped.push("image:entrypoint");
+    if (isObject(s.environment) && s.environment.action === "stop") job.unmapped.push("environment:action stop");
+    if (name === "pages") job.unmapped.push("pages (GitLab Pages publishes public/ — deploy it with actions/deploy-pages)");
+
+    job.env = variables(s.variables);
+    const allEnv = { ...env, ...job.env };
+    const git = { strategy: allEnv.GIT_STRATEGY, submodules: allEnv.GIT_SUBMODULE_STRATEGY, depth: allEnv.GIT_DEPTH };
+    const conditions = [workflow];
+    if (s.rules) conditions.push(rulesCondition([].concat(s.rules), job));
+    else {
+      if (s.only) conditions.push(onlyExcept(s.only, job, "only"));
+      if (s.except) conditions.push(not(onlyExcept(s.except, job, "except")));
+    }
+    if (s.when === "manual") job.manual = true;
+    if (s.when === "always") conditions.push("always()");
+    if (s.when === "on_failure") conditions.push("failure()");
+    if (s.when === "delayed") job.unmapped.push(`when: delayed (start_in ${s.start_in || "?"})`);
+
+    const condition = allOf(conditions);
+    if (condition === "false") {
+      unmapped.push(`${name}: never runs once its rules are translated`);
+      continue;
+    }
+
+    job.stage = String(s.stage || "test");
+    job.needs =
+      s.needs === undefined
+        ? null
+        : [].concat(s.needs).map((n) => {
+            if (isObject(n) && (n.project || n.pipeline)) {
+              job.unmapped.push(`needs: ${n.project || n.pipeline} (cross-pipeline)`);
+              return null;
+            }
+            return String(isObject(n) ? n.job : n);
+          }).filter(Boolean);
+    job.dependencies = s.dependencies ? [].concat(s.dependencies).map(String) : null;
+    job.runs_on = "ubuntu-latest";
+    job.image = imageName(s.image);
+    job.services = services(s.services, allEnv);
+    job.secrets = {};
+    job.setup = [];
+    job.matrix = s.parallel ? parallelMatrix(s.parallel, job.env) : null;
+    job.if = condition === "true" ? null : condition;
+    job.environment = s.environment ? (isObject(s.environment) ? { name: s.environment.name, url: s.environment.url || null } : { name: String(s.environment), url: null }) : null;
+    job.allow_failure = Boolean(job.allow_failure || s.allow_failure);
+    job.timeout_minutes = s.timeout ? durationMinutes(s.timeout) : null;
+    job.concurrency = s.resource_group ? String(s.resource_group) : null;
+    job.artifacts = artifacts(s.artifacts, job.unmapped);
+
+    const script = [...commands(s.before_script), ...commands(s.script)];
+    job.steps = [
+      ...(git.strategy === "none"
+        ? []
+        : [{ kind: "checkout", submodules: git.submodules === "recursive" ? "recursive" : git.submodules === "normal" ? true : null, fetch_depth: git.depth ? Number(git.depth) : null }]),
+      ...caches(s.cache, job.unmapped),
+      ...(script.length ? [{ kind: "run", name: "Script", run: script.join("\n") }] : []),
+      ...(commands(s.after_script).length
+        ? [{ kind: "run", name: "After script", run: commands(s.after_script).join("\n"), condition: "always()" }]
+        : []),
+    ];
+    jobs.push(job);
+  }
+
+  return { provider: "gitlab", path, stages, env, jobs, unmapped };
+}
@@ -0,0 +1,59 @@
+// src/modules/detector/utils/glob.js
+
+/**
+ * globToRegExp — minimal glob support for workspace and config patterns.
+ * Handles `**`, `*`, `?` and `{a,b}`; a trailing `/` or `/**` also matches the directory itself.
+ */
+export function globToRegExp(glob) {
+  let g = String(glob).trim().replace(/^\.\//, "").replace(/\/+$/, "");
+  let re = "";
+  for (let i = 0; i < g.length; i++) {
+    const c = g[i];
+    if (c === "*") {
+      if (g[i + 1] === "*") {
+        // `**/` matches zero or more directories
+        if (g[i + 2] === "/") {
+          re += "(?:.*/)?";
+          i += 2;
+        } else {
+          re += ".*";
+          i += 1;
+        }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "{") {
+      const end = g.indexOf("}", i);
+      if (end === -1) {
+        re += "\\{";
+        continue;
+      }
+      re += `(?:${g.slice(i + 1, end).split(",").map(escapeRegex).join("|")})`;
+      i = end;
+    } else {
+      re += escapeRegex(c);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * matchesAny — true if `path` matches at least one positive pattern and no `!negated` one
+ */
+export function matchesAny(path, patterns = []) {
+  let matched = false;
+  for (const p of patterns) {
+    if (p.startsWith("!")) {
+      if (globToRegExp(p.slice(1)).test(path)) return false;
+    } else if (!matched && globToRegExp(p).test(path)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,590 @@
+// src/modules/detector/utils/jenkinsfile.js
+import { allOf, anyOf, durationMinutes, event, not, PULL_REQUEST, quote, refCondition, TAG } from "./ciRules.js";
+
+// Groovy tokens: comments and whitespace are dropped, newlines end statements
+const TOKEN =
+  /[ \t\r]+|\\\n|(\n)|\/\/[^\n]*|\/\*[\s\S]*?\*\/|('''[\s\S]*?'''|"""[\s\S]*?"""|'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*")|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|(\d+(?:\.\d+)?)|(==|!=|&&|\|\||->|[{}()[\],:;=]|[^\s\w])/y;
+
+// Installation names in `tools {}` → setup tool (the version is read from the name: nodejs 'node-18')
+const TOOLS = { nodejs: "node", jdk: "java", go: "go", python: "python" };
+
+// Steps without an effect on a fresh GitHub-hosted runner
+const IGNORED_STEPS = new Set(["cleanWs", "deleteDir", "timestamps", "ansiColor", "milestone", "lock"]);
+
+// Control flow of scripted pipelines
+const GROOVY = new Set(["if", "else", "for", "while", "try", "catch", "finally", "def", "switch"]);
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let m;
+  while (TOKEN.lastIndex < text.length && (m = TOKEN.exec(text))) {
+    if (m[1]) tokens.push({ type: "nl" });
+    else if (m[2]) tokens.push({ type: "str", value: stringValue(m[2]) });
+    else if (m[3]) tokens.push({ type: "word", value: m[3] });
+    else if (m[4]) tokens.push({ type: "num", value: Number(m[4]) });
+    else if (m[5]) tokens.push({ type: "punct", value: m[5] });
+  }
+  return tokens;
+}
+
+// Groovy string literal → text; "${env.X}" and "${params.X}" interpolations become shell variables
+function stringValue(raw) {
+  const triple = raw.startsWith("'''") || raw.startsWith('"""');
+  let body = raw.slice(triple ? 3 : 1, triple ? -3 : -1);
+  if (triple) {
+    // Multi-line scripts lose the indentation of the Jenkinsfile around them
+    const lines = body.replace(/^[ \t]*\n|\n[ \t]*$/g, "").split("\n");
+    const indent = Math.min(...lines.filter((l) => l.trim()).map((l) => /^[ \t]*/.exec(l)[0].length));
+    body = lines.map((l) => l.slice(Number.isFinite(indent) ? indent : 0)).join("\n");
+  }
+  if (raw[0] === "'") return body.replace(/\\(['\\])/g, "$1");
+  return body
+    .replace(/\$\{(?:env|params)\.(\w+)\}/g, "${$1}")
+    .replace(/\\\$/g, "$")
+    .replace(/\\(["\\])/g, "$1");
+}
+
+const isPunct = (token, value) => token?.type === "punct" && token.value === value;
+
+/**
+ * parse — Groovy statements as a tree: `name args { block }` calls and `NAME = value` assignments
+ */
+function parse(tokens) {
+  let i = 0;
+  const block = () => {
+    const statements = [];
+    while (i < tokens.length && !isPunct(tokens[i], "}")) {
+      const token = tokens[i];
+      if (token.type === "nl" || isPunct(token, ";")) {
+        i++;
+        continue;
+      }
+      if (token.type !== "word") {
+        skipStatement();
+        continue;
+      }
+      i++;
+      if (isPunct(tokens[i], "=")) {
+        i++;
+        statements.push({ name: token.value, assign: collect() });
+        continue;
+      }
+      const args = collect();
+      let body = null;
+      if (isPunct(tokens[i], "{")) {
+        i++;
+        body = block();
+        i++;
+      }
+      statements.push({ name: token.value, args, block: body });
+    }
+    return statements;
+  };
+  // Argument tokens up to the end of the statement or the opening brace of its block
+  const collect = () => {
+    const out = [];
+    let depth = 0;
+    while (i < tokens.length) {
+      const t = tokens[i];
+      if (t.type === "punct" && "([".includes(t.value)) depth++;
+      if (t.type === "punct" && ")]".includes(t.value)) depth--;
+      if (depth <= 0 && (isPunct(t, "{") || isPunct(t, "}") || isPunct(t, ";"))) break;
+      if (depth <= 0 && t.type === "nl") {
+        const last = out[out.length - 1];
+        if (!(last?.type === "punct" && [",", ":", "=", "+", "&&", "||", "("].includes(last.value))) break;
+      }
+      if (t.type === "punct" && t.value === "{" && depth > 0) {
+        // A closure inside the arguments: kept as one opaque token
+        let nested = 0;
+        do {
+          if (isPunct(tokens[i], "{")) nested++;
+          if (isPunct(tokens[i], "}")) nested--;
+          i++;
+        } while (i < tokens.length && nested > 0);
+        out.push({ type: "closure" });
+        continue;
+      }
+      if (t.type !== "nl") out.push(t);
+      i++;
+    }
+    return out;
+  };
+  const skipStatement = () => {
+    const rest = collect();
+    if (!rest.length) i++;
+    if (isPunct(tokens[i], "{")) {
+      i++;
+      block();
+      i++;
+    }
+  };
+  return block();
+}
+
+// Top-level comma-separated parts of a token list
+function split(tokens) {
+  const parts = [[]];
+  let depth = 0;
+  for (const t of tokens) {
+    if (t.type === "punct" && "([".includes(t.value)) depth++;
+    if (t.type === "punct" && ")]".includes(t.value)) depth--;
+    if (!depth && isPunct(t, ",")) parts.push([]);
+    else parts[parts.length - 1].push(t);
+  }
+  return parts.filter((p) => p.length);
+}
+
+function value(tokens) {
+  if (tokens.length === 1) {
+    const t = tokens[0];
+    if (t.type === "word" && (t.value === "true" || t.value === "false")) return t.value === "true";
+    return t.value ?? null;
+  }
+  if (isPunct(tokens[0], "[") && isPunct(tokens[tokens.length - 1], "]")) return split(tokens.slice(1, -1)).map(value);
+  if (tokens[0]?.type === "word" && isPunct(tokens[1], "(") && isPunct(tokens[tokens.length - 1], ")")) {
+    return { call: tokens[0].value, ...args(tokens.slice(1)) };
+  }
+  return { raw: tokens.map((t) => (t.type === "str" ? quote(t.value) : t.value ?? "{…}")).join(" ") };
+}
+
+// `('x', name: 'y')` or `'x'` → { positional: ["x"], named: { name: "y" } }
+function args(tokens) {
+  const inner = isPunct(tokens[0], "(") && isPunct(tokens[tokens.length - 1], ")") ? tokens.slice(1, -1) : tokens;
+  const positional = [];
+  const named = {};
+  for (const part of split(inner)) {
+    if (["word", "str"].includes(part[0].type) && isPunct(part[1], ":")) named[part[0].value] = value(part.slice(2));
+    else positional.push(value(part));
+  }
+  return { positional, named };
+}
+
+const first = (statement) => {
+  const a = args(statement.args || []);
+  return a.positional[0] ?? Object.values(a.named)[0];
+};
+
+const find = (statements, name) => (statements || []).find((s) => s.name === name);
+
+const text = (v) => (v === null || v === undefined ? "" : typeof v === "object" ? v.raw || v.call || "" : String(v));
+
+const slug = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "job";
+
+function stepName(command) {
+  const line = String(command).trim().split("\n")[0];
+  return line.length > 60 ? `${line.slice(0, 57)}...` : line;
+}
+
+// cron('H 2 * * 1-5') → "0 2 * * 1-5" (H picks a fixed value; H/15 keeps the interval)
+function cron(spec) {
+  return String(spec)
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => line.split(/\s+/).map((field) => field.replace(/^H\(\d+-\d+\)/, "0").replace(/^H\//, "*/").replace(/^H$/, "0")).join(" "));
+}
+
+/**
+ * whenCondition — a declarative `when {}` block as a GitHub Actions expression; null for the
+ * conditions that need the Groovy runtime (expression, changeset, equals over variables)
+ */
+function whenCondition(statements, unmapped) {
+  const parts = [];
+  for (const s of statements || []) {
+    const arg = first(s);
+    let c = null;
+    switch (s.name) {
+      case "branch":
+        c = refCondition(text(arg));
+        break;
+      case "tag":
+        c = arg === undefined ? TAG : refCondition(text(arg), "tags");
+        break;
+      case "buildingTag":
+        c = TAG;
+        break;
+      case "changeRequest":
+        c = PULL_REQUEST;
+        break;
+      case "environment": {
+        const a = args(s.args).named;
+        c = a.name ? `env.${text(a.name)} == ${quote(text(a.value))}` : null;
+        break;
+      }
+      case "triggeredBy":
+        c = /Timer/.test(text(arg)) ? event("schedule") : null;
+        break;
+      case "not": {
+        const inner = whenCondition(s.block, unmapped);
+        c = inner && not(inner);
+        break;
+      }
+      case "allOf":
+        c = whenCondition(s.block, unmapped);
+        break;
+      case "anyOf": {
+        const inner = (s.block || []).map((b) => whenCondition([b], unmapped));
+        c = inner.includes(null) ? null : anyOf(inner);
+        break;
+      }
+      case "beforeAgent":
+      case "beforeInput":
+      case "beforeOptions":
+        continue;
+      default:
+        c = null;
+    }
+    if (c === null) {
+      unmapped.push(`when ${s.name}${s.block ? " {…}" : arg !== undefined ? ` ${text(arg)}` : ""}`);
+      return null;
+    }
+    parts.push(c);
+  }
+  return allOf(parts);
+}
+
+// environment {} → plain values plus credentials() bindings (into `secrets`: the job's for the
+// pipeline block, the stage's steps' for a stage block)
+function environment(statements, job, secrets = job.secrets) {
+  const env = {};
+  for (const s of statements || []) {
+    if (!s.assign) continue;
+    const v = value(s.assign);
+    if (v?.call === "credentials") {
+      secrets[s.name] = slug(text(v.positional[0])).replace(/-/g, "_").toUpperCase();
+    } else {
+      env[s.name] = typeof v === "object" && v !== null ? text(v) : String(v);
+      if (v?.raw) job.unmapped.push(`environment ${s.name} = ${v.raw} (Groovy expression)`);
+    }
+  }
+  return env;
+}
+
+// withCredentials([string(credentialsId: 'x', variable: 'TOKEN'), usernamePassword(...)]) bindings,
+// variable → secret, for the steps inside the block only
+function bindCredentials(statement, job) {
+  const secrets = {};
+  const bindings = [].concat(args(statement.args).positional[0] || []);
+  for (const b of bindings) {
+    if (!b?.call) continue;
+    const id = slug(text(b.named.credentialsId)).replace(/-/g, "_").toUpperCase();
+    const vars = ["variable", "usernameVariable", "passwordVariable", "keyFileVariable"].map((k) => b.named[k]).filter(Boolean);
+    if (b.call === "usernamePassword" && vars.length === 2) {
+      secrets[text(b.named.usernameVariable)] = `${id}_USR`;
+      secrets[text(b.named.passwordVariable)] = `${id}_PSW`;
+    } else if (b.call === "string" && vars.length) {
+      secrets[text(vars[0])] = id;
+    } else {
+      job.unmapped.push(`withCredentials ${b.call} ${text(b.named.credentialsId)} (store it as a secret)`);
+    }
+  }
+  return secrets;
+}
+
+/**
+ * steps — declarative steps (and the block steps wrapping them: dir, withEnv, withCredentials,
+ * timeout, retry) in the shared step model
+ */
+function translateSteps(statements, job, scope = {}) {
+  const out = [];
+  for (const s of statements || []) {
+    const a = args(s.args || []);
+    const arg = a.positional[0];
+    const run = (command, name) =>
+      out.push({
+        kind: "run",
+        name: name || stepName(command),
+        run: String(command).trim(),
+        working_directory: scope.dir || null,
+        env: scope.env && Object.keys(scope.env).length ? scope.env : null,
+        secrets: scope.secrets && Object.keys(scope.secrets).length ? scope.secrets : null,
+      });
+    switch (s.name) {
+      case "sh": {
+        const command = text(a.named.script ?? arg);
+        if (a.named.returnStdout || a.named.returnStatus) job.unmapped.push("sh returnStdout / returnStatus (result used by Groovy)");
+        if (command) run(command, a.named.label ? text(a.named.label) : null);
+        break;
+      }
+      case "echo":
+        run(`echo ${JSON.stringify(text(arg))}`);
+        break;
+      case "checkout":
+        if (text(arg) === "scm") out.push({ kind: "checkout" });
+        else job.unmapped.push("checkout of another repository (add an actions/checkout step with its repository)");
+        break;
+      case "git":
+        job.unmapped.push(`git ${text(a.named.url ?? arg)} (check out other repositories with actions/checkout)`);
+        break;
+      case "dir":
+        out.push(...translateSteps(s.block, job, { ...scope, dir: [scope.dir, text(arg)].filter(Boolean).join("/") }));
+        break;
+      case "withEnv": {
+        const vars = Object.fromEntries([].concat(arg || []).map((e) => String(text(e)).split(/=(.*)/s).slice(0, 2)));
+        out.push(...translateSteps(s.block, job, { ...scope, env: { ...scope.env, ...vars } }));
+        break;
+      }
+      case "withCredentials":
+        out.push(...translateSteps(s.block, job, { ...scope, secrets: { ...scope.secrets, ...bindCredentials(s, job) } }));
+        break;
+      case "timeout":
+      case "retry":
+      case "catchError":
+      case "warnError":
+        job.unmapped.push(`${s.name}(${text(arg ?? a.named.time ?? "")}) around steps (the steps run without it)`);
+        out.push(...translateSteps(s.block, job, scope));
+        break;
+      case "junit":
+        out.push({ kind: "upload", name: "Test results", artifact: "test-results", paths: [text(a.named.testResults ?? arg)], condition: "always()" });
+        break;
+      case "archiveArtifacts":
+        out.push({ kind: "upload", name: "Archive artifacts", artifact: "artifacts", paths: text(a.named.artifacts ?? arg).split(",").map((p) => p.trim()) });
+        break;
+      case "stash":
+        out.push({ kind: "upload", name: `Stash ${text(a.named.name ?? arg)}`, artifact: text(a.named.name ?? arg), paths: text(a.named.includes || "**").split(",").map((p) => p.trim()) });
+        break;
+      case "unstash":
+        out.push({ kind: "download", name: `Unstash ${text(arg)}`, artifact: text(arg), path: scope.dir || "." });
+        break;
+      case "input":
+        job.manual = true;
+        break;
+      case "script":
+        job.unmapped.push("script {} block (Groovy logic — rewrite it as shell steps)");
+        break;
+      case "bat":
+      case "powershell":
+      case "pwsh":
+        job.unmapped.push(`${s.name} ${stepName(text(a.named.script ?? arg))} (Windows step — run it on windows-latest)`);
+        break;
+      default:
+        if (GROOVY.has(s.name)) job.unmapped.push(`Groovy ${s.name} (rewrite it as shell steps)`);
+        else if (!IGNORED_STEPS.has(s.name) && !s.assign) job.unmapped.push(`step ${s.name}`);
+    }
+  }
+  return out;
+}
+
+const POST = { always: "always()", cleanup: "always()", success: "success()", failure: "failure()", unstable: "failure()", aborted: "cancelled()" };
+
+function postSteps(post, job, scope = {}) {
+  const out = [];
+  for (const s of post?.block || []) {
+    if (!POST[s.name]) {
+      job.unmapped.push(`post ${s.name}`);
+      continue;
+    }
+    for (const step of translateSteps(s.block, job, scope)) out.push({ ...step, condition: POST[s.name] });
+  }
+  return out;
+}
+
+function agentOf(agent, job) {
+  if (!agent) return;
+  const arg = first(agent);
+  const docker = find(agent.block, "docker");
+  if (docker) {
+    const spec = docker.block ? find(docker.block, "image") : docker;
+    job.image = text(first(spec));
+    if (docker.block && find(docker.block, "args")) job.unmapped.push(`docker args ${text(first(find(docker.block, "args")))}`);
+    return;
+  }
+  if (find(agent.block, "dockerfile")) job.unmapped.push("agent dockerfile (build the image in an earlier job and use it as the container)");
+  const label = find(agent.block, "label") || find(agent.block, "node");
+  if (label) job.unmapped.push(`agent label ${text(first(label) ?? first(find(label.block, "label") || {}))} (use the matching runs-on labels on self-hosted runners)`);
+  if (find(agent.block, "kubernetes")) job.unmapped.push("agent kubernetes (pod templates are not translated)");
+  if (arg && arg !== "any" && arg !== "none") job.unmapped.push(`agent ${text(arg)}`);
+}
+
+function newJob(name) {
+  return {
+    name,
+    stage: null,
+    needs: [],
+    dependencies: null,
+    runs_on: "ubuntu-latest",
+    image: null,
+    services: [],
+    env: {},
+    secrets: {},
+    setup: [],
+    matrix: null,
+    if: null,
+    environment: null,
+    manual: false,
+    allow_failure: false,
+    timeout_minutes: null,
+    concurrency: null,
+    artifacts: null,
+    steps: [],
+    unmapped: [],
+  };
+}
+
+/**
+ * stageSteps — a stage (nested stages and parallel branches run one after another) as steps of `job`,
+ * each gated on the stage's `when`; the stage's environment and credentials reach its own steps
+ * (and its nested stages') only
+ */
+function stageSteps(stage, job, outer = "true", inherited = {}) {
+  const name = text(first(stage));
+  const when = find(stage.block, "when");
+  let condition = outer;
+  if (when) {
+    const c = whenCondition(when.block, job.unmapped);
+    condition = c === null ? outer : allOf([outer, c]);
+  }
+  if (find(stage.block, "agent")) job.unmapped.push(`stage ${name}: agent (runs in the job's container)`);
+  if (find(stage.block, "input")) job.manual = true;
+  if (find(stage.block, "options")) job.unmapped.push(`stage ${name}: options`);
+  const secrets = { ...inherited.secrets };
+  const scope = { env: { ...inherited.env, ...environment(find(stage.block, "environment")?.block, job, secrets) }, secrets };
+
+  // Scripted pipelines put the steps straight into the stage
+  const declarative = (stage.block || []).some((child) => ["steps", "stages", "parallel", "matrix"].includes(child.name));
+  const steps = declarative ? [] : translateSteps(stage.block, job, scope);
+  for (const child of declarative ? stage.block : []) {
+    if (child.name === "steps") steps.push(...translateSteps(child.block, job, scope));
+    if (child.name === "stages" || child.name === "parallel") {
+      if (child.name === "parallel") job.unmapped.push(`stage ${name}: parallel stages (they run one after another)`);
+      for (const nested of (child.block || []).filter((s) => s.name === "stage")) steps.push(...stageSteps(nested, job, condition, scope));
+    }
+    if (child.name === "matrix") job.unmapped.push(`stage ${name}: matrix`);
+  }
+  steps.push(...postSteps(find(stage.block, "post"), job, scope));
+  // Steps are named after their stage; nested stages already carry theirs
+  const runs = steps.filter((s) => s.kind === "run" && !s.stage);
+  if (runs.length === 1) runs[0].name = name;
+  else for (const s of runs) s.name = `${name}: ${s.name}`;
+  return steps.map((s) => {
+    const c = allOf([condition, s.condition || "true"]);
+    return { ...s, stage: true, condition: c === "true" ? null : c };
+  });
+}
+
+function pipelineJob(pipeline, unmapped) {
+  const job = newJob("build");
+  const agent = find(pipeline, "agent");
+  agentOf(agent, job);
+  job.env = environment(find(pipeline, "environment")?.block, job);
+
+  for (const tool of find(pipeline, "tools")?.block || []) {
+    const name = text(first(tool));
+    if (TOOLS[tool.name]) job.setup.push({ tool: TOOLS[tool.name], version: /(\d+(?:\.\d+)*)/.exec(name)?.[1] || null });
+    else job.unmapped.push(`tools ${tool.name} ${name}${/maven|gradle/.test(tool.name) ? " (preinstalled on GitHub-hosted runners)" : ""}`);
+  }
+
+  let checkout = true;
+  for (const option of find(pipeline, "options")?.block || []) {
+    const a = args(option.args || []);
+    if (option.name === "timeout") {
+      const time = Number(a.named.time ?? a.positional[0]);
+      const unit = text(a.named.unit || "MINUTES").toLowerCase();
+      job.timeout_minutes = durationMinutes(`${time} ${unit}`);
+    } else if (option.name === "disableConcurrentBuilds") {
+      job.concurrency = "${{ github.workflow }}-${{ github.ref }}";
+    } else if (option.name === "skipDefaultCheckout") {
+      checkout = false;
+    } else if (!["timestamps", "ansiColor", "buildDiscarder"].includes(option.name)) {
+      job.unmapped.push(`options ${option.name}`);
+    }
+  }
+
+  const triggers = { schedule: [] };
+  for (const trigger of find(pipeline, "triggers")?.block || []) {
+    if (trigger.name === "cron") triggers.schedule.push(...cron(text(first(trigger))));
+    else if (trigger.name === "pollSCM") unmapped.push("triggers pollSCM (the push trigger replaces polling)");
+    else unmapped.push(`triggers ${trigger.name}`);
+  }
+
+  for (const param of find(pipeline, "parameters")?.block || []) {
+    const a = args(param.args || []).named;
+    if (!a.name) continue;
+    const fallback = param.name === "choice" ? [].concat(a.choices || [])[0] : a.defaultValue;
+    job.env[text(a.name)] = fallback === undefined ? "" : String(text(fallback));
+    unmapped.push(`parameters ${text(a.name)} (a workflow_dispatch input; the default is used)`);
+  }
+  if (find(pipeline, "libraries")) unmapped.push("libraries (shared library steps are not translated)");
+
+  const stages = (find(pipeline, "stages")?.block || []).filter((s) => s.name === "stage");
+  return { job, stages, checkout, triggers, agentNone: text(first(agent || {})) === "none" };
+}
+
+function finish(job, steps, checkout) {
+  job.steps = [...(checkout ? [{ kind: "checkout" }] : []), ...steps.filter((s) => s.kind !== "checkout")].map(({ stage: _s, ...s }) => s);
+  job.unmapped = [...new Set(job.unmapped)];
+  return job;
+}
+
+/**
+ * parseJenkinsfile — a declarative pipeline as one job whose steps are the stages in order (the
+ * stages share the workspace, as on one Jenkins agent); with `agent none` and an agent per stage,
+ * one job per stage. Scripted pipelines keep their sh steps and report the rest.
+ */
+export function parseJenkinsfile(content, path = "Jenkinsfile") {
+  let tree;
+  try {
+    tree = parse(tokenize(String(content)));
+  } catch (err) {
+    return { provider: "jenkins", path, parse_error: String(err.message || err), stages: [], env: {}, jobs: [], unmapped: [] };
+  }
+  const unmapped = [];
+  const pipeline = find(tree, "pipeline");
+
+  if (!pipeline) {
+    // Scripted pipeline: node { stage('x') { sh '...' } }
+    const job = newJob("build");
+    job.unmapped.push("scripted pipeline (Groovy control flow is not translated)");
+    const node = find(tree, "node") || { block: tree };
+    const steps = [];
+    for (const s of node.block || []) {
+      if (s.name === "stage") {
+        steps.push(...stageSteps(s, job));
+      } else {
+        steps.push(...translateSteps([s], job));
+      }
+    }
+    // Scripted pipelines check out only where they call `checkout scm`
+    const checkout = steps.some((s) => s.kind === "checkout");
+    return { provider: "jenkins", path, stages: [], env: {}, triggers: null, jobs: [finish(job, steps, checkout)], unmapped };
+  }
+
+  const { job, stages, checkout, triggers, agentNone } = pipelineJob(pipeline.block, unmapped);
+  const post = find(pipeline.block, "post");
+  const jobs = [];
+  if (agentNone && stages.some((s) => find(s.block, "agent"))) {
+    // Each stage on its own agent: separate jobs, in order, sharing files through stash / unstash
+    let previous = null;
+    for (const stage of stages) {
+      const stageJob = { ...newJob(slug(text(first(stage)))), env: { ...job.env }, secrets: { ...job.secrets }, setup: [...job.setup] };
+      stageJob.timeout_minutes = job.timeout_minutes;
+      stageJob.concurrency = job.concurrency;
+      stageJob.unmapped = [...job.unmapped];
+      agentOf(find(stage.block, "agent"), stageJob);
+      const when = find(stage.block, "when");
+      const steps = stageSteps({ ...stage, block: (stage.block || []).filter((s) => s.name !== "when" && s.name !== "agent") }, stageJob);
+      if (when) {
+        const c = whenCondition(when.block, stageJob.unmapped);
+        if (c && c !== "true") stageJob.if = c;
+      }
+      stageJob.needs = previous ? [previous] : [];
+      previous = stageJob.name;
+      jobs.push(finish(stageJob, steps, checkout));
+    }
+    if (post) unmapped.push("pipeline post (add the steps to the last job)");
+  } else {
+    const steps = stages.flatMap((stage) => stageSteps(stage, job));
+    jobs.push(finish(job, [...steps, ...postSteps(post, job)], checkout));
+  }
+
+  return {
+    provider: "jenkins",
+    path,
+    stages: [],
+    env: {},
+    triggers: triggers.schedule.length ? triggers : null,
+    jobs,
+    unmapped,
+  };
+}
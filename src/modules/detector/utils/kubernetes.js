@@ -0,0 +1,176 @@
+// src/modules/detector/utils/kubernetes.js
+import YAML from "yaml";
+import { IGNORED_DIRS } from "./manifests.js";
+
+// Upper bound on YAML files opened to look for plain manifests (each one is an API call on GitHub)
+const MAX_MANIFEST_READS = 200;
+
+// Directories plain manifests usually live in; without any, only root-level YAML is read
+const MANIFEST_DIRS = /(^|\/)(k8s|kube|kubernetes|manifests|deploy|deployment|deployments|\.k8s)\//i;
+
+// CI configs, compose files and the like are YAML too — never Kubernetes manifests
+const NOT_MANIFESTS = /(^|\/)(\.github|\.gitlab|\.circleci)\/|(^|\/)(docker-)?compose[^/]*\.ya?ml$|(^|\/)(Chart|values[^/]*|kustomization|skaffold|\.gitlab-ci|\.travis|render|cloudbuild|heroku|pnpm-lock|mkdocs|\.pre-commit-config)\.ya?ml$|^app\.ya?ml$/i;
+
+const PRODUCTION = /^(prod|production|live)$/i;
+
+function dirOf(file) {
+  return file.includes("/") ? file.slice(0, file.lastIndexOf("/")) : ".";
+}
+
+function parseAll(text) {
+  try {
+    return YAML.parseAllDocuments(text || "").map((d) => d.toJSON()).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function parseOne(text) {
+  try {
+    return YAML.parse(text || "") || {};
+  } catch {
+    return null;
+  }
+}
+
+// values-staging.yaml, values.prod.yaml → staging, prod
+function valuesEnvironment(file) {
+  const m = /^values[.-]([\w-]+)\.ya?ml$/.exec(file.split("/").pop());
+  return m ? m[1].toLowerCase() : null;
+}
+
+/**
+ * analyzeCharts — Helm charts (Chart.yaml) with their per-environment values files
+ */
+async function analyzeCharts(files, readFile) {
+  const charts = [];
+  for (const file of files.filter((f) => /(^|\/)Chart\.ya?ml$/.test(f))) {
+    const doc = parseOne(await readFile(file));
+    if (!doc) continue;
+    const dir = dirOf(file);
+    // Sub-charts vendored under charts/ are linted with their parent
+    if (/(^|\/)charts\/[^/]+$/.test(dir) && charts.some((c) => dir.startsWith(`${c.dir}/charts/`))) continue;
+    const valuesFiles = files.filter((f) => dirOf(f) === dir && /^values[^/]*\.ya?ml$/.test(f.split("/").pop()));
+    charts.push({
+      path: file,
+      dir,
+      name: doc.name || dir.split("/").pop(),
+      version: doc.version || null,
+      app_version: doc.appVersion ? String(doc.appVersion) : null,
+      has_dependencies: Array.isArray(doc.dependencies) && doc.dependencies.length > 0,
+      values_files: valuesFiles,
+      environments: valuesFiles.map(valuesEnvironment).filter(Boolean),
+    });
+  }
+  return charts;
+}
+
+/**
+ * analyzeKustomizations — kustomization dirs; overlays (those building on another kustomization)
+ * name an environment after their directory
+ */
+async function analyzeKustomizations(files, readFile) {
+  const out = [];
+  for (const file of files.filter((f) => /(^|\/)(kustomization\.ya?ml|Kustomization)$/.test(f))) {
+    const doc = parseOne(await readFile(file));
+    if (!doc) continue;
+    const dir = dirOf(file);
+    const refs = [...(doc.resources || []), ...(doc.bases || []), ...(doc.components || [])].map(String);
+    const overlay = refs.some((r) => r.startsWith("../")) || /(^|\/)overlays\//.test(dir);
+    out.push({
+      path: file,
+      dir,
+      overlay,
+      environment: overlay ? dir.split("/").pop().toLowerCase() : null,
+      namespace: doc.namespace || null,
+      images: (doc.images || []).map((i) => i?.name).filter(Boolean),
+    });
+  }
+  return out;
+}
+
+/**
+ * analyzeSkaffold — skaffold.yaml profiles and the images it builds
+ */
+async function analyzeSkaffold(files, readFile) {
+  const file = files.find((f) => /(^|\/)skaffold\.ya?ml$/.test(f));
+  if (!file) return null;
+  const docs = parseAll(await readFile(file));
+  return {
+    path: file,
+    dir: dirOf(file),
+    profiles: docs.flatMap((d) => (d.profiles || []).map((p) => p?.name)).filter(Boolean),
+    artifacts: docs.flatMap((d) => (d.build?.artifacts || []).map((a) => a?.image)).filter(Boolean),
+    deployer: docs.map((d) => (d.deploy?.helm ? "helm" : d.deploy?.kubectl || d.manifests ? "kubectl" : null)).find(Boolean) || null,
+  };
+}
+
+/**
+ * analyzeManifests — plain manifests (apiVersion + kind) outside charts and kustomizations,
+ * grouped by directory with the workloads they define
+ */
+async function analyzeManifests(files, readFile, skipDirs) {
+  const yamlFiles = files.filter(
+    (f) => /\.ya?ml$/i.test(f) && !NOT_MANIFESTS.test(f) && !skipDirs.some((d) => d === "." || f.startsWith(`${d}/`))
+  );
+  const preferred = yamlFiles.filter((f) => MANIFEST_DIRS.test(f));
+  const candidates = (preferred.length ? preferred : yamlFiles.filter((f) => dirOf(f) === ".")).slice(
+    0,
+    MAX_MANIFEST_READS
+  );
+  const dirs = new Map();
+  for (const file of candidates) {
+    const docs = parseAll(await readFile(file)).filter((d) => d.apiVersion && d.kind);
+    if (!docs.length) continue;
+    const dir = dirOf(file);
+    if (!dirs.has(dir)) dirs.set(dir, { dir, files: [], kinds: [], deployments: [], namespace: null });
+    const entry = dirs.get(dir);
+    entry.files.push(file);
+    for (const d of docs) {
+      if (!entry.kinds.includes(d.kind)) entry.kinds.push(d.kind);
+      if (d.kind === "Deployment" && d.metadata?.name) entry.deployments.push(d.metadata.name);
+      if (!entry.namespace && d.metadata?.namespace) entry.namespace = d.metadata.namespace;
+    }
+  }
+  return [...dirs.values()].map((d) => ({ ...d, environment: envFromDir(d.dir) }));
+}
+
+// k8s/staging, deploy/overlays/prod → environment; k8s → none
+function envFromDir(dir) {
+  const last = dir.split("/").pop().toLowerCase();
+  return /^(dev|develop|development|test|testing|qa|stage|staging|preprod|uat|prod|production|live)$/.test(last)
+    ? last
+    : null;
+}
+
+/**
+ * analyzeKubernetes — Helm charts, Kustomize overlays, Skaffold profiles and plain manifests,
+ * plus the environments they imply (values-<env>.yaml, overlays/<env>, profiles, k8s/<env>)
+ */
+export async function analyzeKubernetes(files, readFile) {
+  const visible = files.filter((f) => !IGNORED_DIRS.test(f));
+  const charts = await analyzeCharts(visible, readFile);
+  const kustomizations = await analyzeKustomizations(visible, readFile);
+  const skaffold = await analyzeSkaffold(visible, readFile);
+  const manifests = await analyzeManifests(visible, readFile, [
+    ...charts.map((c) => c.dir),
+    ...kustomizations.map((k) => k.dir),
+  ]);
+
+  const environments = [
+    ...charts.flatMap((c) => c.environments),
+    ...kustomizations.map((k) => k.environment),
+    ...(skaffold?.profiles || []).map((p) => p.toLowerCase()),
+    ...manifests.map((m) => m.environment),
+  ].filter(Boolean);
+
+  return {
+    has_kubernetes: Boolean(charts.length || kustomizations.length || skaffold || manifests.length),
+    charts,
+    kustomizations,
+    skaffold,
+    manifests,
+    environments: [...new Set(environments)],
+    production_environments: [...new Set(environments)].filter((e) => PRODUCTION.test(e)),
+  };
+}
@@ -0,0 +1,34 @@
+// src/modules/detector/utils/legacyCi.js
+import { parseCircleCi } from "./circleCi.js";
+import { parseGitlabCi } from "./gitlabCi.js";
+import { parseJenkinsfile } from "./jenkinsfile.js";
+import { parseTravis } from "./travisCi.js";
+
+/**
+ * CI systems a repository may be migrating from:
+ * - file:  config location (repository root only; nested copies belong to vendored projects)
+ * - parse: (text, path, files) → { provider, stages, env, triggers, jobs, unmapped, parse_error? }
+ */
+const LEGACY_CI = [
+  { file: /^\.gitlab-ci\.ya?ml$/, parse: parseGitlabCi },
+  { file: /^\.circleci\/config\.ya?ml$/, parse: parseCircleCi },
+  { file: /^Jenkinsfile$/, parse: parseJenkinsfile },
+  { file: /^\.travis\.ya?ml$/, parse: parseTravis },
+];
+
+/**
+ * analyzeLegacyCi — the GitLab CI, CircleCI, Jenkins and Travis configs of the repository, each as
+ * jobs in one provider-neutral model (stages, scripts, images, services, caches, variables, branch
+ * rules) plus the constructs that have no counterpart
+ */
+export async function analyzeLegacyCi(files, readFile) {
+  const out = [];
+  for (const def of LEGACY_CI) {
+    const file = files.find((f) => def.file.test(f));
+    if (!file) continue;
+    const text = await readFile(file);
+    if (text === null || text === undefined) continue;
+    out.push(def.parse(text, file, files));
+  }
+  return out;
+}
@@ -0,0 +1,228 @@
+// src/modules/detector/utils/localSource.js
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+// Directories never worth walking when the checkout is not a git work tree
+const SKIP_DIRS = new Set([".git", "node_modules", ".venv", "venv", "__pycache__", ".tox", ".idea"]);
+
+// Extension → language name, using the same names GitHub's linguist reports
+const EXTENSION_LANGUAGES = {
+  js: "JavaScript",
+  mjs: "JavaScript",
+  cjs: "JavaScript",
+  jsx: "JavaScript",
+  ts: "TypeScript",
+  tsx: "TypeScript",
+  mts: "TypeScript",
+  cts: "TypeScript",
+  vue: "Vue",
+  svelte: "Svelte",
+  py: "Python",
+  ipynb: "Jupyter Notebook",
+  java: "Java",
+  kt: "Kotlin",
+  kts: "Kotlin",
+  scala: "Scala",
+  groovy: "Groovy",
+  go: "Go",
+  rs: "Rust",
+  rb: "Ruby",
+  php: "PHP",
+  cs: "C#",
+  fs: "F#",
+  vb: "Visual Basic .NET",
+  c: "C",
+  h: "C",
+  cc: "C++",
+  cpp: "C++",
+  cxx: "C++",
+  hpp: "C++",
+  swift: "Swift",
+  dart: "Dart",
+  sh: "Shell",
+  bash: "Shell",
+  ps1: "PowerShell",
+  tf: "HCL",
+  hcl: "HCL",
+  html: "HTML",
+  htm: "HTML",
+  css: "CSS",
+  scss: "SCSS",
+  sass: "Sass",
+  less: "Less",
+};
+
+const FILENAME_LANGUAGES = {
+  dockerfile: "Dockerfile",
+  makefile: "Makefile",
+};
+
+function languageFor(filePath) {
+  const base = path.posix.basename(filePath).toLowerCase();
+  if (FILENAME_LANGUAGES[base]) return FILENAME_LANGUAGES[base];
+  if (base.endsWith(".dockerfile") || base.startsWith("dockerfile.")) return "Dockerfile";
+  const ext = base.includes(".") ? base.split(".").pop() : "";
+  return EXTENSION_LANGUAGES[ext] || null;
+}
+
+async function git(cwd, args) {
+  const { stdout } = await execFileAsync("git", args, { cwd, maxBuffer: 64 * 1024 * 1024 });
+  return stdout;
+}
+
+async function tryGit(cwd, args) {
+  try {
+    return (await git(cwd, args)).trim();
+  } catch {
+    return null;
+  }
+}
+
+// Add every parent directory of `blobs` as a tree entry, mirroring the recursive GitHub tree
+function withDirectories(blobs) {
+  const dirs = new Set();
+  for (const b of blobs) {
+    const parts = b.path.split("/");
+    for (let i = 1; i < parts.length; i++) dirs.add(parts.slice(0, i).join("/"));
+  }
+  return [
+    ...[...dirs].map((d) => ({ path: d, type: "tree", size: 0 })),
+    ...blobs,
+  ].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+async function walk(root, rel = "") {
+  const out = [];
+  const entries = await fs.readdir(path.join(root, rel), { withFileTypes: true });
+  for (const e of entries) {
+    const p = rel ? `${rel}/${e.name}` : e.name;
+    if (e.isDirectory()) {
+      if (SKIP_DIRS.has(e.name)) continue;
+      out.push(...(await walk(root, p)));
+    } else if (e.isFile()) {
+      const { size } = await fs.stat(path.join(root, p));
+      out.push({ path: p, type: "blob", size });
+    }
+  }
+  return out;
+}
+
+/**
+ * createLocalSource — source provider for a local directory, git work tree or bare clone.
+ * - bare clone, or any git checkout with `opts.ref` → files are read from git objects at the ref
+ * - git work tree   → tracked + untracked (non-ignored) files, read from disk
+ * - plain directory → recursive walk, skipping vendored/tooling directories
+ */
+export function createLocalSource(dir, opts = {}) {
+  const root = path.resolve(dir);
+  const rev = opts.ref || "HEAD";
+  let modePromise = null;
+
+  // Lazily determine how to read the checkout: "objects", "worktree" or "fs"
+  function mode() {
+    if (!modePromise) {
+      modePromise = (async () => {
+        const bare = await tryGit(root, ["rev-parse", "--is-bare-repository"]);
+        if (bare === "true") return "objects";
+        const inside = await tryGit(root, ["rev-parse", "--is-inside-work-tree"]);
+        if (inside !== "true") {
+          if (opts.ref) throw new Error(`❌ Cannot analyze ref ${opts.ref}: ${root} is not a git repository`);
+          return "fs";
+        }
+        return opts.ref ? "objects" : "worktree";
+      })();
+    }
+    return modePromise;
+  }
+
+  async function listBlobs() {
+    const m = await mode();
+    if (m === "objects") {
+      const out = await git(root, ["ls-tree", "-r", "-l", "--full-tree", rev]);
+      return out
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+          const [meta, p] = line.split("\t");
+          const [, type, , size] = meta.split(/\s+/);
+          return { path: p, type, size: Number(size) || 0 };
+        })
+        .filter((b) => b.type === "blob");
+    }
+    if (m === "worktree") {
+      const out = await git(root, ["ls-files", "-z", "--cached", "--others", "--exclude-standard"]);
+      const blobs = [];
+      for (const p of new Set(out.split("\0").filter(Boolean))) {
+        try {
+          const { size } = await fs.stat(path.join(root, p));
+          blobs.push({ path: p, type: "blob", size });
+        } catch {
+          // deleted in the work tree but still in the index
+        }
+      }
+      return blobs;
+    }
+    return walk(root);
+  }
+
+  let blobsPromise = null;
+  const blobs = () => (blobsPromise ||= listBlobs());
+
+  return {
+    kind: "local",
+    id: path.basename(root).replace(/\.git$/, ""),
+
+    async getRevision() {
+      const m = await mode();
+      if (m === "fs") return { ref: null, sha: null };
+      const sha = await tryGit(root, ["rev-parse", "--verify", `${rev}^{commit}`]);
+      if (!sha) throw new Error(`❌ Unknown ref: ${rev}`);
+      if (m === "objects") return { ref: rev, sha };
+      // Work tree files are read from disk: with uncommitted changes the analysis is not of `sha` alone
+      const status = await tryGit(root, ["status", "--porcelain", "--untracked-files=all"]);
+      return { ref: rev, sha, dirty: Boolean(status) };
+    },
+
+    async getMetadata() {
+      const m = await mode();
+      const branch = m === "fs" ? null : await tryGit(root, ["symbolic-ref", "--short", "HEAD"]);
+      const lastCommit = m === "fs" ? null : await tryGit(root, ["log", "-1", "--format=%cI", rev]);
+      return {
+        description: null,
+        topics: [],
+        stars: 0,
+        forks: 0,
+        watchers: 0,
+        license: "None",
+        default_branch: branch || "main",
+        last_commit: lastCommit || null,
+      };
+    },
+
+    async listLanguages() {
+      const bytes = {};
+      for (const b of await blobs()) {
+        const lang = languageFor(b.path);
+        if (lang) bytes[lang] = (bytes[lang] || 0) + b.size;
+      }
+      return bytes;
+    },
+
+    async listTree() {
+      return withDirectories(await blobs());
+    },
+
+    async readFile(filePath) {
+      try {
+        if ((await mode()) === "objects") return await git(root, ["show", `${rev}:${filePath}`]);
+        return await fs.readFile(path.join(root, filePath), "utf8");
+      } catch {
+        return null;
+      }
+    },
+  };
+}
@@ -0,0 +1,438 @@
+// src/modules/detector/utils/manifests.js
+import { parseMsbuildProject, parseSolution } from "./dotnet.js";
+import { parseComposerJson } from "./php.js";
+import { parseNoxfile, parsePyproject, parseSetupCfg, parseToxIni, requirementName } from "./python.js";
+import { parseGemfile } from "./ruby.js";
+import { parseCargoToml } from "./rust.js";
+import { detectStaticSite } from "./staticSite.js";
+
+// Manifests that mark a directory as a project, per ecosystem (file names or name patterns)
+export const MANIFESTS = {
+  node: ["package.json"],
+  python: ["requirements.txt", "pyproject.toml", "setup.py", "setup.cfg", "Pipfile"],
+  java: ["pom.xml", "build.gradle", "build.gradle.kts"],
+  go: ["go.mod"],
+  rust: ["Cargo.toml"],
+  dotnet: [/\.sln$/, /\.(cs|fs|vb)proj$/],
+  ruby: ["Gemfile"],
+  php: ["composer.json"],
+};
+
+export function isManifest(name, patterns) {
+  return patterns.some((m) => (typeof m === "string" ? m === name : m.test(name)));
+}
+
+// Lockfiles → package manager, in precedence order when several coexist
+const NODE_LOCKFILES = [
+  ["pnpm-lock.yaml", "pnpm"],
+  ["bun.lockb", "bun"],
+  ["bun.lock", "bun"],
+  ["yarn.lock", "yarn"],
+  ["package-lock.json", "npm"],
+  ["npm-shrinkwrap.json", "npm"],
+];
+const PYTHON_LOCKFILES = [
+  ["uv.lock", "uv"],
+  ["poetry.lock", "poetry"],
+  ["Pipfile.lock", "pipenv"],
+];
+
+// Vendored / generated trees whose manifests are not the repository's own projects
+export const IGNORED_DIRS = /(^|\/)(node_modules|bower_components|vendor|\.venv|venv|site-packages|\.tox|target)\//;
+
+// Upper bound on manifests read per repository (each one is an API call on GitHub)
+const MAX_PROJECTS = 100;
+
+function dirOf(file) {
+  const i = file.lastIndexOf("/");
+  return i === -1 ? "." : file.slice(0, i);
+}
+
+function join(dir, name) {
+  return dir === "." ? name : `${dir}/${name}`;
+}
+
+function depth(dir) {
+  return dir === "." ? 0 : dir.split("/").length;
+}
+
+/**
+ * findLockfile — nearest lockfile in `dir` or one of its ancestors (workspace packages
+ * share the root lockfile). Returns [repo-relative path, package manager] or null.
+ */
+function findLockfile(files, dir, table) {
+  let current = dir;
+  while (true) {
+    for (const [name, manager] of table) {
+      if (files.includes(join(current, name))) return [join(current, name), manager];
+    }
+    if (current === ".") return null;
+    current = dirOf(current);
+  }
+}
+
+async function nodeProject(dir, names, readFile, files) {
+  const text = await readFile(join(dir, "package.json"));
+  if (!text) return null;
+  let pkg;
+  try {
+    pkg = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const frameworks = [];
+  if (deps.express) frameworks.push("Express");
+  if (deps.next) frameworks.push("Next.js");
+  if (deps.nest) frameworks.push("NestJS");
+  if (deps.react || deps["react-dom"]) frameworks.push("React");
+
+  // "packageManager": "pnpm@9.1.0" (corepack) wins over lockfile guessing
+  const lock = findLockfile(files, dir, NODE_LOCKFILES);
+  const declared = /^(npm|yarn|pnpm|bun)@([^+\s]+)/.exec(pkg.packageManager || "");
+  const packageManager = declared?.[1] || lock?.[1] || "npm";
+  // Yarn 2+ ("berry") is identified by its version or a .yarnrc.yml next to the lockfile
+  const yarnBerry =
+    packageManager === "yarn" &&
+    (declared ? !declared[2].startsWith("1.") : files.includes(join(lock ? dirOf(lock[0]) : dir, ".yarnrc.yml")));
+  // Without "packageManager", the lockfile format tells which pnpm major wrote pnpm-lock.yaml
+  const pnpmLock = packageManager === "pnpm" && !declared && lock?.[1] === "pnpm" ? (await readFile(lock[0])) || "" : "";
+  const lockfileVersion = /^lockfileVersion:\s*['"]?(\d+(?:\.\d+)?)/m.exec(pnpmLock)?.[1] || null;
+
+  return {
+    manifest: join(dir, "package.json"),
+    frameworks,
+    scripts: pkg.scripts || {},
+    dependencies: deps,
+    engines: pkg.engines || {},
+    nodeVersion: pkg.engines?.node || null,
+    volta_node: pkg.volta?.node || null,
+    package_manager: yarnBerry ? "yarn-berry" : packageManager,
+    package_manager_version: declared?.[2] || null,
+    lockfile: lock && lock[1] === packageManager ? lock[0] : null,
+    lockfile_version: lockfileVersion,
+    // Vite, CRA, Next.js export, Astro, Docusaurus, ...: generator and output directory
+    static_site: await detectStaticSite(dir, pkg, readFile, files),
+  };
+}
+
+async function pythonProject(dir, names, readFile, files) {
+  const manifest = MANIFESTS.python.find((m) => names.includes(m));
+  const lock = findLockfile(files, dir, PYTHON_LOCKFILES);
+  const out = {
+    manifest: join(dir, manifest),
+    frameworks: [],
+    scripts: {},
+    // A Pipfile without its lock is still a pipenv project
+    package_manager: lock?.[1] || (names.includes("Pipfile") ? "pipenv" : "pip"),
+    lockfile: lock?.[0] || null,
+  };
+
+  const dependencies = [];
+  const optional = {};
+  const tools = new Set();
+  const addOptional = (extras = {}) => {
+    for (const [k, v] of Object.entries(extras)) optional[k] = [...(optional[k] || []), ...v];
+  };
+
+  if (names.includes("requirements.txt")) {
+    const reqText = await readFile(join(dir, "requirements.txt"));
+    if (reqText) {
+      out.requirements_raw = reqText;
+      out.packages = reqText.split("\n").filter((x) => x.trim().length);
+      dependencies.push(...out.packages.map(requirementName).filter(Boolean));
+    }
+  }
+
+  if (names.includes("pyproject.toml")) {
+    const text = await readFile(join(dir, "pyproject.toml"));
+    if (text) {
+      const py = parsePyproject(text);
+      out.pyproject = py;
+      dependencies.push(...(py.dependencies || []));
+      addOptional(py.optional_dependencies);
+      (py.tools || []).forEach((t) => tools.add(t));
+      out.requires_python = py.requires_python || null;
+      out.build_backend = py.build_backend || null;
+      out.build_tool = py.build_tool || null;
+      if (py.build_tool === "poetry" && out.package_manager === "pip") out.package_manager = "poetry";
+    }
+  }
+
+  if (files.includes(join(dir, "setup.cfg"))) {
+    const text = await readFile(join(dir, "setup.cfg"));
+    if (text) {
+      const cfg = parseSetupCfg(text);
+      out.setup_cfg = cfg;
+      dependencies.push(...cfg.dependencies);
+      addOptional(cfg.optional_dependencies);
+      cfg.tools.forEach((t) => tools.add(t));
+      out.requires_python ||= cfg.requires_python;
+    }
+  }
+  if (names.includes("setup.py") && !out.build_tool) out.build_tool = "setuptools";
+
+  if (files.includes(join(dir, "tox.ini"))) {
+    const tox = parseToxIni((await readFile(join(dir, "tox.ini"))) || "");
+    out.tox_envs = tox.envs;
+    tox.tools.forEach((t) => tools.add(t));
+  } else if (out.pyproject?.tox_in_pyproject) {
+    out.tox_envs = [];
+  }
+  if (files.includes(join(dir, "noxfile.py"))) {
+    out.nox_sessions = parseNoxfile((await readFile(join(dir, "noxfile.py"))) || "").sessions;
+  }
+  if (files.includes(join(dir, "pytest.ini"))) tools.add("pytest");
+  if (files.includes(join(dir, ".flake8"))) tools.add("flake8");
+  if (files.some((f) => f === join(dir, "ruff.toml") || f === join(dir, ".ruff.toml"))) tools.add("ruff");
+
+  const allDeps = new Set([...dependencies, ...Object.values(optional).flat()]);
+  if (allDeps.has("flask")) out.frameworks.push("Flask");
+  if (allDeps.has("django")) out.frameworks.push("Django");
+  if (allDeps.has("fastapi")) out.frameworks.push("FastAPI");
+
+  out.dependencies = [...new Set(dependencies)];
+  out.optional_dependencies = optional;
+  // Tools configured in pyproject/setup.cfg/tox.ini or dedicated files
+  out.configured_tools = [...tools];
+  out.has_pytest = allDeps.has("pytest") || tools.has("pytest");
+  return out;
+}
+
+async function javaProject(dir, names, readFile) {
+  const frameworks = [];
+  if (names.includes("pom.xml")) {
+    const pom = await readFile(join(dir, "pom.xml"));
+    if (!pom) return null;
+    if (/spring-boot/i.test(pom)) frameworks.push("Spring Boot");
+    if (/quarkus/i.test(pom)) frameworks.push("Quarkus");
+    if (/micronaut/i.test(pom)) frameworks.push("Micronaut");
+    return {
+      manifest: join(dir, "pom.xml"),
+      frameworks,
+      scripts: {},
+      build: "maven",
+      spring_boot: /spring-boot/i.test(pom),
+    };
+  }
+  const manifest = names.includes("build.gradle") ? "build.gradle" : "build.gradle.kts";
+  return { manifest: join(dir, manifest), frameworks, scripts: {}, build: "gradle" };
+}
+
+/**
+ * parseGoMod — module path, go/toolchain directives, requirements and (Go 1.24+) tool directives
+ */
+export function parseGoMod(text) {
+  const out = { module: null, go: null, toolchain: null, requires: [], tools: [] };
+  // Single-line directives and ( ... ) blocks share the same entry syntax
+  const entries = [];
+  const re = /^\s*(module|go|toolchain|require|tool|replace|exclude)\s+(?:\(([^)]*)\)|(.+))$/gm;
+  let m;
+  while ((m = re.exec(String(text)))) {
+    const lines = m[2] !== undefined ? m[2].split(/\r?\n/) : [m[3]];
+    for (const line of lines) {
+      const value = line.replace(/\/\/.*$/, "").trim();
+      if (value) entries.push([m[1], value]);
+    }
+  }
+  for (const [directive, value] of entries) {
+    if (directive === "module") out.module = value.replace(/^"|"$/g, "");
+    else if (directive === "go") out.go = value;
+    else if (directive === "toolchain") out.toolchain = value.replace(/^go/, "");
+    else if (directive === "require") out.requires.push(value.split(/\s+/)[0]);
+    else if (directive === "tool") out.tools.push(value);
+  }
+  return out;
+}
+
+// Module path prefixes → framework names
+const GO_FRAMEWORKS = [
+  ["github.com/gin-gonic/gin", "Gin"],
+  ["github.com/labstack/echo", "Echo"],
+  ["github.com/gofiber/fiber", "Fiber"],
+  ["github.com/go-chi/chi", "Chi"],
+  ["github.com/gorilla/mux", "Gorilla"],
+  ["google.golang.org/grpc", "gRPC"],
+];
+
+async function goProject(dir, names, readFile, files) {
+  const text = await readFile(join(dir, "go.mod"));
+  if (!text) return null;
+  const mod = parseGoMod(text);
+  const prefix = dir === "." ? "" : `${dir}/`;
+  const own = files.filter((f) => f.startsWith(prefix) && f.endsWith(".go") && !IGNORED_DIRS.test(f));
+  // Directories with a main package are candidates for binaries (cmd/<name>/main.go by convention)
+  const mains = [...new Set(own.filter((f) => /(^|\/)main\.go$/.test(f)).map(dirOf))];
+  return {
+    manifest: join(dir, "go.mod"),
+    frameworks: GO_FRAMEWORKS.filter(([path]) => mod.requires.some((r) => r.startsWith(path))).map(([, name]) => name),
+    scripts: {},
+    module: mod.module,
+    go_version: mod.go,
+    toolchain: mod.toolchain,
+    requires: mod.requires,
+    go_tools: mod.tools,
+    has_tests: own.some((f) => f.endsWith("_test.go")),
+    main_packages: mains,
+    lockfile: files.includes(join(dir, "go.sum")) ? join(dir, "go.sum") : null,
+    package_manager: "go",
+  };
+}
+
+async function rustProject(dir, names, readFile, files) {
+  const text = await readFile(join(dir, "Cargo.toml"));
+  if (!text) return null;
+  const cargo = parseCargoToml(text);
+  if (cargo.parse_error) return null;
+  const prefix = dir === "." ? "" : `${dir}/`;
+  // Workspace members share the Cargo.lock at the workspace root
+  const lock = findLockfile(files, dir, [["Cargo.lock", "cargo"]]);
+  return {
+    manifest: join(dir, "Cargo.toml"),
+    frameworks: cargo.frameworks,
+    scripts: {},
+    crate: cargo.name,
+    edition: cargo.edition,
+    rust_version: cargo.rust_version,
+    workspace_members: cargo.workspace_members,
+    dependencies: [...cargo.dependencies, ...cargo.dev_dependencies],
+    features: cargo.features,
+    // src/main.rs or [[bin]] targets produce binaries worth uploading
+    has_binary: files.includes(`${prefix}src/main.rs`) || cargo.bins.length > 0,
+    lockfile: lock?.[0] || null,
+    package_manager: "cargo",
+  };
+}
+
+async function dotnetProject(dir, names, readFile, files) {
+  // A solution is the entry point for everything it references; otherwise the project files here
+  const solution = names.find((n) => n.endsWith(".sln")) || null;
+  let projectFiles = names.filter((n) => !n.endsWith(".sln")).map((n) => join(dir, n));
+  if (solution) {
+    const sln = parseSolution((await readFile(join(dir, solution))) || "");
+    projectFiles = sln.projects.map((p) => join(dir, p)).filter((p) => files.includes(p));
+  }
+  const parsed = [];
+  for (const file of projectFiles) {
+    const text = await readFile(file);
+    if (text) parsed.push({ path: file, ...parseMsbuildProject(text) });
+  }
+  const packages = new Set(parsed.flatMap((p) => p.packages));
+  const frameworks = [];
+  if (parsed.some((p) => /Microsoft\.NET\.Sdk\.Web/.test(p.sdk || ""))) frameworks.push("ASP.NET Core");
+  if (packages.has("Microsoft.AspNetCore.Components.WebAssembly")) frameworks.push("Blazor");
+  const lock = findLockfile(files, dir, [["packages.lock.json", "nuget"]]);
+  return {
+    manifest: join(dir, solution || names[0]),
+    frameworks,
+    scripts: {},
+    solution: solution ? join(dir, solution) : null,
+    project_files: parsed.map((p) => ({
+      path: p.path,
+      target_frameworks: p.target_frameworks,
+      is_test_project: p.is_test_project,
+    })),
+    target_frameworks: [...new Set(parsed.flatMap((p) => p.target_frameworks))],
+    test_projects: parsed.filter((p) => p.is_test_project).map((p) => p.path),
+    test_runner: parsed.find((p) => p.test_runner)?.test_runner || null,
+    dependencies: [...packages],
+    lockfile: lock?.[0] || null,
+    package_manager: "nuget",
+  };
+}
+
+async function rubyProject(dir, names, readFile, files) {
+  const text = await readFile(join(dir, "Gemfile"));
+  if (!text) return null;
+  const gemfile = parseGemfile(text);
+  return {
+    manifest: join(dir, "Gemfile"),
+    frameworks: gemfile.frameworks,
+    scripts: {},
+    gems: gemfile.gems,
+    dev_gems: gemfile.dev_gems,
+    dependencies: [...gemfile.gems, ...gemfile.dev_gems],
+    gemfile_ruby: gemfile.ruby_version,
+    gemspec: gemfile.gemspec,
+    has_rakefile: files.includes(join(dir, "Rakefile")),
+    lockfile: files.includes(join(dir, "Gemfile.lock")) ? join(dir, "Gemfile.lock") : null,
+    package_manager: "bundler",
+  };
+}
+
+async function phpProject(dir, names, readFile, files) {
+  const text = await readFile(join(dir, "composer.json"));
+  if (!text) return null;
+  const composer = parseComposerJson(text);
+  if (composer.parse_error) return null;
+  return {
+    manifest: join(dir, "composer.json"),
+    frameworks: composer.frameworks,
+    scripts: composer.scripts,
+    type: composer.type,
+    php_constraint: composer.php,
+    extensions: composer.extensions,
+    dependencies: [...composer.packages, ...composer.dev_packages],
+    lockfile: files.includes(join(dir, "composer.lock")) ? join(dir, "composer.lock") : null,
+    package_manager: "composer",
+  };
+}
+
+const EXTRACTORS = {
+  node: nodeProject,
+  python: pythonProject,
+  java: javaProject,
+  go: goProject,
+  rust: rustProject,
+  dotnet: dotnetProject,
+  ruby: rubyProject,
+  php: phpProject,
+};
+
+/**
+ * analyzeProjects — find every manifest in the tree and extract metadata per directory.
+ * Returns one entry per (directory, ecosystem), root first, then by depth and path.
+ * Ecosystem plugins that declare `manifests` + `extractProject` take part as well.
+ */
+export async function analyzeProjects(files, readFile, plugins = []) {
+  const manifestsByEcosystem = { ...MANIFESTS };
+  const extractors = { ...EXTRACTORS };
+  for (const plugin of plugins) {
+    if (!plugin.manifests) continue;
+    manifestsByEcosystem[plugin.name] = plugin.manifests;
+    extractors[plugin.name] = plugin.extractProject;
+  }
+
+  const byDir = new Map();
+  for (const f of files) {
+    if (IGNORED_DIRS.test(f)) continue;
+    const name = f.split("/").pop();
+    for (const [ecosystem, manifests] of Object.entries(manifestsByEcosystem)) {
+      if (!isManifest(name, manifests)) continue;
+      const key = `${ecosystem}:${dirOf(f)}`;
+      if (!byDir.has(key)) byDir.set(key, { ecosystem, path: dirOf(f), names: [] });
+      byDir.get(key).names.push(name);
+    }
+  }
+
+  const found = [...byDir.values()].sort(
+    (a, b) => depth(a.path) - depth(b.path) || a.path.localeCompare(b.path)
+  );
+  if (found.length > MAX_PROJECTS) {
+    console.warn(`⚠️ ${found.length} manifests found — only the first ${MAX_PROJECTS} are analyzed`);
+  }
+
+  const projects = [];
+  for (const { ecosystem, path, names } of found.slice(0, MAX_PROJECTS)) {
+    const meta = await extractors[ecosystem](path, names, readFile, files);
+    if (meta) projects.push({ path, ecosystem, ...meta, manifests: names });
+  }
+  return projects;
+}
+
+/**
+ * primaryProject — the root project of an ecosystem, else the shallowest one
+ */
+export function primaryProject(projects, ecosystem) {
+  return projects.find((p) => p.ecosystem === ecosystem) || null;
+}
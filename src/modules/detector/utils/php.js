@@ -0,0 +1,41 @@
+// src/modules/detector/utils/php.js
+
+// Composer packages that identify the application framework
+const PHP_FRAMEWORKS = [
+  ["laravel/framework", "Laravel"],
+  ["symfony/framework-bundle", "Symfony"],
+  ["slim/slim", "Slim"],
+  ["cakephp/cakephp", "CakePHP"],
+  ["yiisoft/yii2", "Yii"],
+];
+
+/**
+ * parseComposerJson — requirements, PHP constraint, extensions and scripts of composer.json
+ */
+export function parseComposerJson(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    return { parse_error: String(err.message || err) };
+  }
+  const require = doc.require || {};
+  const requireDev = doc["require-dev"] || {};
+  const packages = Object.keys(require).filter((k) => k.includes("/"));
+  const devPackages = Object.keys(requireDev).filter((k) => k.includes("/"));
+  // Composer scripts are strings or arrays of commands
+  const scripts = {};
+  for (const [name, cmd] of Object.entries(doc.scripts || {})) {
+    scripts[name] = Array.isArray(cmd) ? cmd.join(" && ") : String(cmd);
+  }
+  return {
+    name: doc.name || null,
+    type: doc.type || "library",
+    php: require.php || null,
+    extensions: Object.keys(require).filter((k) => k.startsWith("ext-")).map((k) => k.slice(4)),
+    packages,
+    dev_packages: devPackages,
+    scripts,
+    frameworks: PHP_FRAMEWORKS.filter(([name]) => packages.includes(name)).map(([, name]) => name),
+  };
+}
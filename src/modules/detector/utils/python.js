@@ -0,0 +1,177 @@
+// src/modules/detector/utils/python.js
+import { parse as parseToml } from "smol-toml";
+
+// Tools whose configuration can live in pyproject.toml / setup.cfg / tox.ini
+const CONFIGURABLE_TOOLS = ["pytest", "ruff", "black", "isort", "mypy", "coverage", "pylint", "flake8"];
+
+// Known build backends → friendly names
+const BUILD_BACKENDS = {
+  "poetry.core.masonry.api": "poetry",
+  "poetry.masonry.api": "poetry",
+  "hatchling.build": "hatch",
+  "setuptools.build_meta": "setuptools",
+  "setuptools.build_meta:__legacy__": "setuptools",
+  "flit_core.buildapi": "flit",
+  "pdm.backend": "pdm",
+  "pdm.pep517.api": "pdm",
+  "maturin": "maturin",
+  "scikit_build_core.build": "scikit-build-core",
+};
+
+/**
+ * requirementName — normalized distribution name of a PEP 508 requirement string
+ */
+export function requirementName(req) {
+  const m = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)/.exec(String(req));
+  return m ? m[1].toLowerCase().replace(/[._]+/g, "-") : null;
+}
+
+function names(list = []) {
+  return list.map(requirementName).filter(Boolean);
+}
+
+// Poetry dependency tables are { name: constraint } with a "python" pseudo-dependency
+function poetryNames(table = {}) {
+  return Object.keys(table)
+    .filter((k) => k.toLowerCase() !== "python")
+    .map(requirementName);
+}
+
+/**
+ * parsePyproject — PEP 621, Poetry, Hatch and [tool.*] sections of pyproject.toml
+ */
+export function parsePyproject(text) {
+  let doc;
+  try {
+    doc = parseToml(text);
+  } catch (err) {
+    return { parse_error: String(err.message || err) };
+  }
+  const project = doc.project || {};
+  const tool = doc.tool || {};
+  const poetry = tool.poetry || {};
+
+  const dependencies = [...names(project.dependencies), ...poetryNames(poetry.dependencies)];
+
+  // optional-dependencies / poetry groups / legacy dev-dependencies, keyed by extra or group name
+  const optional = {};
+  for (const [extra, list] of Object.entries(project["optional-dependencies"] || {})) {
+    optional[extra] = names(list);
+  }
+  for (const [group, def] of Object.entries(poetry.group || {})) {
+    optional[group] = poetryNames(def.dependencies);
+  }
+  if (poetry["dev-dependencies"]) optional.dev = poetryNames(poetry["dev-dependencies"]);
+  // PEP 735 dependency groups (uv, pdm)
+  for (const [group, list] of Object.entries(doc["dependency-groups"] || {})) {
+    optional[group] = names(list.filter((x) => typeof x === "string"));
+  }
+
+  const backend = doc["build-system"]?.["build-backend"] || null;
+  const hatchScripts = {};
+  for (const [env, def] of Object.entries(tool.hatch?.envs || {})) {
+    for (const [name, cmd] of Object.entries(def.scripts || {})) {
+      hatchScripts[`${env}:${name}`] = Array.isArray(cmd) ? cmd.join(" && ") : String(cmd);
+    }
+  }
+
+  return {
+    name: project.name || poetry.name || null,
+    requires_python: project["requires-python"] || poetry.dependencies?.python || null,
+    dependencies,
+    optional_dependencies: optional,
+    build_backend: backend,
+    build_tool: backend ? BUILD_BACKENDS[backend] || backend : null,
+    // [tool.pytest.ini_options] is how pytest is configured from pyproject.toml
+    tools: CONFIGURABLE_TOOLS.filter((t) => tool[t] !== undefined),
+    hatch_scripts: hatchScripts,
+    tox_in_pyproject: Boolean(tool.tox?.legacy_tox_ini || tool.tox?.env_list),
+    scripts: project.scripts || poetry.scripts || {},
+  };
+}
+
+/**
+ * parseIni — tiny INI reader for setup.cfg / tox.ini (sections → raw key/value strings)
+ */
+export function parseIni(text) {
+  const sections = {};
+  let current = null;
+  let lastKey = null;
+  for (const raw of String(text).split(/\r?\n/)) {
+    if (/^\s*[#;]/.test(raw) || !raw.trim()) continue;
+    const header = /^\s*\[([^\]]+)\]\s*$/.exec(raw);
+    if (header) {
+      current = sections[header[1].trim()] = {};
+      lastKey = null;
+      continue;
+    }
+    if (!current) continue;
+    // Indented lines continue the previous value (multi-line lists)
+    if (/^\s+/.test(raw) && lastKey) {
+      current[lastKey] += `\n${raw.trim()}`;
+      continue;
+    }
+    const kv = /^\s*([^=:]+?)\s*[=:]\s*(.*)$/.exec(raw);
+    if (kv) {
+      lastKey = kv[1];
+      current[lastKey] = kv[2];
+    }
+  }
+  return sections;
+}
+
+function iniList(value = "") {
+  return value
+    .split(/[\n,]/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+/**
+ * parseSetupCfg — install_requires, python_requires and tool sections from setup.cfg
+ */
+export function parseSetupCfg(text) {
+  const ini = parseIni(text);
+  const options = ini.options || {};
+  const optional = {};
+  for (const [extra, list] of Object.entries(ini["options.extras_require"] || {})) {
+    optional[extra] = names(iniList(list));
+  }
+  const tools = [];
+  if (ini["tool:pytest"]) tools.push("pytest");
+  if (ini.flake8) tools.push("flake8");
+  if (ini.mypy) tools.push("mypy");
+  if (ini.isort) tools.push("isort");
+  if (ini["coverage:run"] || ini["coverage:report"]) tools.push("coverage");
+  return {
+    requires_python: options.python_requires || null,
+    dependencies: names(iniList(options.install_requires)),
+    optional_dependencies: optional,
+    tools,
+  };
+}
+
+/**
+ * parseToxIni — env list and tool sections from tox.ini
+ */
+export function parseToxIni(text) {
+  const ini = parseIni(text);
+  const tox = ini.tox || {};
+  const tools = [];
+  if (ini.pytest) tools.push("pytest");
+  if (ini.flake8) tools.push("flake8");
+  if (ini.isort) tools.push("isort");
+  if (ini["coverage:run"]) tools.push("coverage");
+  return { envs: iniList(tox.envlist || tox.env_list), tools };
+}
+
+/**
+ * parseNoxfile — session names declared with @nox.session
+ */
+export function parseNoxfile(text) {
+  const sessions = [];
+  const re = /@nox\.session[^\n]*\n\s*def\s+([A-Za-z_][A-Za-z0-9_]*)/g;
+  let m;
+  while ((m = re.exec(String(text)))) sessions.push(m[1]);
+  return { sessions };
+}
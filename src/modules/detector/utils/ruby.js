@@ -0,0 +1,49 @@
+// src/modules/detector/utils/ruby.js
+
+// Gems that identify the application framework
+const RUBY_FRAMEWORKS = [
+  ["rails", "Rails"],
+  ["sinatra", "Sinatra"],
+  ["hanami", "Hanami"],
+];
+
+/**
+ * parseGemfile — gems (with their group), the `ruby` directive and whether a gemspec is used
+ */
+export function parseGemfile(text) {
+  const gems = [];
+  const devGems = [];
+  let ruby = null;
+  let group = [];
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    if (!line) continue;
+    const groupOpen = /^group\s+(.+?)\s+do$/.exec(line);
+    if (groupOpen) {
+      group = groupOpen[1].split(",").map((g) => g.trim().replace(/^:/, ""));
+      continue;
+    }
+    if (line === "end") {
+      group = [];
+      continue;
+    }
+    const gem = /^gem\s+["']([^"']+)["']/.exec(line);
+    if (gem) {
+      // group: :test / group: [:development, :test] on the gem line itself
+      const inline = /group:\s*\[?([^\]]+)\]?/.exec(line)?.[1] || "";
+      const groups = [...group, ...inline.split(",").map((g) => g.trim().replace(/^:/, "")).filter(Boolean)];
+      (groups.some((g) => g === "development" || g === "test") ? devGems : gems).push(gem[1]);
+      continue;
+    }
+    const version = /^ruby\s+["']([^"']+)["']/.exec(line);
+    if (version) ruby = version[1];
+  }
+  const all = [...gems, ...devGems];
+  return {
+    gems,
+    dev_gems: devGems,
+    ruby_version: ruby,
+    gemspec: /^\s*gemspec\b/m.test(String(text || "")),
+    frameworks: RUBY_FRAMEWORKS.filter(([name]) => all.includes(name)).map(([, name]) => name),
+  };
+}
@@ -0,0 +1,23 @@
+// src/modules/detector/utils/rulePackFiles.js
+import YAML from "yaml";
+
+// The repository's own classifier rules: .pipeline-gen/rules.yml or one pack per file in .pipeline-gen/rules/
+const RULE_PACK_FILE = /^\.pipeline-gen\/(rules\.(ya?ml|json)|rules\/[^/]+\.(ya?ml|json))$/i;
+
+/**
+ * readRulePackFiles — the repository's rule packs as [{ path, pack }] (or { path, parse_error }),
+ * validated later by the classifier together with the built-in and organization packs
+ */
+export async function readRulePackFiles(files, readFile) {
+  const out = [];
+  for (const file of files.filter((f) => RULE_PACK_FILE.test(f)).sort()) {
+    const text = await readFile(file);
+    if (text === null || text === undefined) continue;
+    try {
+      out.push({ path: file, pack: YAML.parse(text) });
+    } catch (err) {
+      out.push({ path: file, parse_error: err.message.split("\n")[0].replace(/:$/, "") });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,239 @@
+// src/modules/detector/utils/runtimeVersions.js
+import { parseGlobalJson } from "./dotnet.js";
+import { parseRustToolchain } from "./rust.js";
+
+function join(dir, name) {
+  return !dir || dir === "." ? name : `${dir}/${name}`;
+}
+
+function firstLine(text) {
+  return (text || "").split(/\r?\n/).map((l) => l.trim()).find((l) => l && !l.startsWith("#")) || null;
+}
+
+// .tool-versions (asdf / mise): "nodejs 20.11.0", "python 3.12.1 3.11.7", "java temurin-17.0.9+9"
+function parseToolVersions(text) {
+  const out = {};
+  for (const line of (text || "").split(/\r?\n/)) {
+    const [tool, ...versions] = line.replace(/#.*/, "").trim().split(/\s+/);
+    if (tool && versions.length) out[tool] = versions[0];
+  }
+  return out;
+}
+
+// Maven: <maven.compiler.release>, <maven.compiler.source>, <java.version>, compiler plugin <release>
+function javaFromPom(pom) {
+  const patterns = [
+    /<maven\.compiler\.release>\s*([\d.]+)\s*</,
+    /<release>\s*([\d.]+)\s*<\/release>/,
+    /<java\.version>\s*([\d.]+)\s*</,
+    /<maven\.compiler\.source>\s*([\d.]+)\s*</,
+  ];
+  for (const re of patterns) {
+    const m = re.exec(pom);
+    if (m) return { value: m[1], kind: "release" };
+  }
+  return null;
+}
+
+// Gradle: toolchains pin an exact JDK; source/targetCompatibility is a minimum release
+function javaFromGradle(gradle) {
+  const toolchain =
+    /JavaLanguageVersion\.of\(\s*(\d+)\s*\)/.exec(gradle) || /jvmToolchain\(\s*(\d+)\s*\)/.exec(gradle);
+  if (toolchain) return { value: toolchain[1], kind: "toolchain" };
+  const compat =
+    /sourceCompatibility\s*=\s*(?:JavaVersion\.VERSION_)?['"]?([\d._]+)['"]?/.exec(gradle) ||
+    /targetCompatibility\s*=\s*(?:JavaVersion\.VERSION_)?['"]?([\d._]+)['"]?/.exec(gradle);
+  if (compat) return { value: compat[1].replace(/^1_/, "1.").replace(/_/g, "."), kind: "release" };
+  return null;
+}
+
+/**
+ * detectRuntimeVersions — pinned versions (version files) and supported ranges (manifests)
+ * for the primary project of each ecosystem, looking in the project directory and the root.
+ * Each runtime: { pinned, constraint, sources: [{ file, value }] }
+ */
+export async function detectRuntimeVersions(files, readFile, projects = []) {
+  const primary = (eco) => projects.find((p) => p.ecosystem === eco) || null;
+  const dirsFor = (project) => [...new Set([project?.path || ".", "."])];
+
+  const read = async (path) => (files.includes(path) ? readFile(path) : null);
+  const toolVersions = {};
+  for (const dir of [".", ...projects.map((p) => p.path)]) {
+    const text = await read(join(dir, ".tool-versions"));
+    if (text && !toolVersions[dir]) toolVersions[dir] = parseToolVersions(text);
+  }
+
+  const result = {};
+
+  /* ---------------------- Node */
+  const nodeProject = primary("node");
+  if (nodeProject) {
+    const sources = [];
+    for (const dir of dirsFor(nodeProject)) {
+      for (const f of [".nvmrc", ".node-version"]) {
+        const v = firstLine(await read(join(dir, f)));
+        if (v) sources.push({ file: join(dir, f), value: v.replace(/^v/, "") });
+      }
+      if (toolVersions[dir]?.nodejs) sources.push({ file: join(dir, ".tool-versions"), value: toolVersions[dir].nodejs });
+    }
+    if (nodeProject.volta_node) sources.push({ file: nodeProject.manifest, value: nodeProject.volta_node });
+    const engines = nodeProject.engines?.node || null;
+    if (engines) sources.push({ file: nodeProject.manifest, value: engines, kind: "range" });
+    result.node = {
+      pinned: sources.find((s) => s.kind !== "range")?.value || null,
+      constraint: engines,
+      sources,
+    };
+  }
+
+  /* ---------------------- Python */
+  const pythonProject = primary("python");
+  if (pythonProject) {
+    const sources = [];
+    for (const dir of dirsFor(pythonProject)) {
+      const pv = firstLine(await read(join(dir, ".python-version")));
+      if (pv) sources.push({ file: join(dir, ".python-version"), value: pv });
+      // Heroku-style runtime.txt: "python-3.11.4"
+      const rt = firstLine(await read(join(dir, "runtime.txt")));
+      if (rt && /^python-/.test(rt)) sources.push({ file: join(dir, "runtime.txt"), value: rt.replace(/^python-/, "") });
+      if (toolVersions[dir]?.python) sources.push({ file: join(dir, ".tool-versions"), value: toolVersions[dir].python });
+    }
+    const requires = pythonProject.requires_python || null;
+    if (requires) sources.push({ file: pythonProject.manifest, value: requires, kind: "range" });
+    result.python = {
+      pinned: sources.find((s) => s.kind !== "range")?.value || null,
+      constraint: requires,
+      sources,
+    };
+  }
+
+  /* ---------------------- Java */
+  const javaProject = primary("java");
+  if (javaProject) {
+    const sources = [];
+    const manifest = javaProject.manifest;
+    const text = await read(manifest);
+    const declared = text ? (javaProject.build === "maven" ? javaFromPom(text) : javaFromGradle(text)) : null;
+    if (declared) sources.push({ file: manifest, value: declared.value, kind: declared.kind });
+    for (const dir of dirsFor(javaProject)) {
+      const jv = firstLine(await read(join(dir, ".java-version")));
+      if (jv) sources.push({ file: join(dir, ".java-version"), value: jv, kind: "toolchain" });
+      if (toolVersions[dir]?.java) {
+        sources.push({ file: join(dir, ".tool-versions"), value: toolVersions[dir].java, kind: "toolchain" });
+      }
+    }
+    // "temurin-17.0.9+9" / "1.8" / "17.0.2" → major release
+    const major = (v) => {
+      const m = /(\d+)(?:\.(\d+))?/.exec(v || "");
+      if (!m) return null;
+      return m[1] === "1" && m[2] ? m[2] : m[1];
+    };
+    const pinned = sources.find((s) => s.kind === "toolchain");
+    const release = sources.find((s) => s.kind === "release");
+    result.java = {
+      pinned: pinned ? major(pinned.value) : null,
+      constraint: release ? `>=${major(release.value)}` : null,
+      sources,
+    };
+  }
+
+  /* ---------------------- Go */
+  const goProject = primary("go");
+  if (goProject) {
+    const sources = [];
+    // go.mod "toolchain go1.23.1" selects the toolchain; "go 1.22" is the minimum language version
+    if (goProject.toolchain) sources.push({ file: goProject.manifest, value: goProject.toolchain });
+    for (const dir of dirsFor(goProject)) {
+      const gv = firstLine(await read(join(dir, ".go-version")));
+      if (gv) sources.push({ file: join(dir, ".go-version"), value: gv.replace(/^go/, "") });
+      if (toolVersions[dir]?.golang) sources.push({ file: join(dir, ".tool-versions"), value: toolVersions[dir].golang });
+    }
+    if (goProject.go_version) sources.push({ file: goProject.manifest, value: goProject.go_version, kind: "range" });
+    result.go = {
+      pinned: sources.find((s) => s.kind !== "range")?.value || null,
+      constraint: goProject.go_version ? `>=${goProject.go_version}` : null,
+      sources,
+    };
+  }
+
+  /* ---------------------- Rust */
+  const rustProject = primary("rust");
+  if (rustProject) {
+    const sources = [];
+    for (const dir of dirsFor(rustProject)) {
+      for (const f of ["rust-toolchain.toml", "rust-toolchain"]) {
+        const text = await read(join(dir, f));
+        const channel = text ? parseRustToolchain(text).channel : null;
+        if (channel) sources.push({ file: join(dir, f), value: channel });
+      }
+    }
+    // rust-version is the MSRV: the oldest toolchain the crate promises to build with
+    if (rustProject.rust_version) sources.push({ file: rustProject.manifest, value: rustProject.rust_version, kind: "range" });
+    result.rust = {
+      pinned: sources.find((s) => s.kind !== "range")?.value || null,
+      constraint: rustProject.rust_version ? `>=${rustProject.rust_version}` : null,
+      sources,
+    };
+  }
+
+  /* ---------------------- .NET */
+  const dotnetProject = primary("dotnet");
+  if (dotnetProject) {
+    const sources = [];
+    for (const dir of dirsFor(dotnetProject)) {
+      const text = await read(join(dir, "global.json"));
+      const sdk = text ? parseGlobalJson(text).version : null;
+      if (sdk) sources.push({ file: join(dir, "global.json"), value: sdk });
+    }
+    // net8.0 / net6.0-windows → 8.0 / 6.0; netstandard and .NET Framework monikers need no extra SDK
+    const targets = (dotnetProject.target_frameworks || [])
+      .map((t) => /^net(\d+\.\d+)/.exec(t)?.[1])
+      .filter(Boolean);
+    for (const t of [...new Set(targets)]) sources.push({ file: dotnetProject.manifest, value: t, kind: "target" });
+    result.dotnet = {
+      pinned: sources.find((s) => !s.kind)?.value || null,
+      constraint: null,
+      targets: [...new Set(targets)],
+      sources,
+    };
+  }
+
+  /* ---------------------- Ruby */
+  const rubyProject = primary("ruby");
+  if (rubyProject) {
+    const sources = [];
+    for (const dir of dirsFor(rubyProject)) {
+      const rv = firstLine(await read(join(dir, ".ruby-version")));
+      if (rv) sources.push({ file: join(dir, ".ruby-version"), value: rv.replace(/^ruby-/, "") });
+      if (toolVersions[dir]?.ruby) sources.push({ file: join(dir, ".tool-versions"), value: toolVersions[dir].ruby });
+    }
+    // Gemfile `ruby "3.2.2"` pins; `ruby "~> 3.2"` / ">= 3.1" is a range
+    const declared = rubyProject.gemfile_ruby;
+    const isRange = declared && /[~<>^]/.test(declared);
+    if (declared) sources.push({ file: rubyProject.manifest, value: declared, ...(isRange ? { kind: "range" } : {}) });
+    result.ruby = {
+      pinned: sources.find((s) => s.kind !== "range")?.value || null,
+      constraint: isRange ? declared : null,
+      sources,
+    };
+  }
+
+  /* ---------------------- PHP */
+  const phpProject = primary("php");
+  if (phpProject) {
+    const sources = [];
+    for (const dir of dirsFor(phpProject)) {
+      const pv = firstLine(await read(join(dir, ".php-version")));
+      if (pv) sources.push({ file: join(dir, ".php-version"), value: pv });
+      if (toolVersions[dir]?.php) sources.push({ file: join(dir, ".tool-versions"), value: toolVersions[dir].php });
+    }
+    if (phpProject.php_constraint) sources.push({ file: phpProject.manifest, value: phpProject.php_constraint, kind: "range" });
+    result.php = {
+      pinned: sources.find((s) => s.kind !== "range")?.value || null,
+      constraint: phpProject.php_constraint || null,
+      sources,
+    };
+  }
+
+  return result;
+}
@@ -0,0 +1,63 @@
+// src/modules/detector/utils/rust.js
+import { parse as parseToml } from "smol-toml";
+
+// Crates that identify the kind of service
+const RUST_FRAMEWORKS = [
+  ["actix-web", "Actix Web"],
+  ["axum", "Axum"],
+  ["rocket", "Rocket"],
+  ["warp", "Warp"],
+  ["tonic", "Tonic"],
+];
+
+function crateNames(table = {}) {
+  return Object.keys(table || {});
+}
+
+/**
+ * parseCargoToml — [package], [workspace], targets and dependency tables of a Cargo.toml
+ */
+export function parseCargoToml(text) {
+  let doc;
+  try {
+    doc = parseToml(text);
+  } catch (err) {
+    return { parse_error: String(err.message || err) };
+  }
+  const pkg = doc.package || {};
+  const workspace = doc.workspace || null;
+  // Members declare `rust-version.workspace = true` to inherit [workspace.package]
+  const inherited = (value, key) =>
+    value && typeof value === "object" && value.workspace ? workspace?.package?.[key] ?? null : value ?? null;
+  const dependencies = [...crateNames(doc.dependencies), ...crateNames(workspace?.dependencies)];
+  const devDependencies = crateNames(doc["dev-dependencies"]);
+
+  return {
+    name: pkg.name || null,
+    edition: inherited(pkg.edition, "edition") || workspace?.package?.edition || null,
+    rust_version: inherited(pkg["rust-version"], "rust-version") || workspace?.package?.["rust-version"] || null,
+    workspace_members: workspace ? workspace.members || [] : null,
+    dependencies,
+    dev_dependencies: devDependencies,
+    bins: (doc.bin || []).map((b) => b.name).filter(Boolean),
+    features: Object.keys(doc.features || {}),
+    frameworks: RUST_FRAMEWORKS.filter(([crate]) => dependencies.includes(crate)).map(([, name]) => name),
+  };
+}
+
+/**
+ * parseRustToolchain — channel from rust-toolchain.toml ([toolchain] channel) or legacy rust-toolchain
+ */
+export function parseRustToolchain(text) {
+  const body = String(text || "");
+  if (/^\s*\[toolchain\]/m.test(body)) {
+    try {
+      const doc = parseToml(body);
+      return { channel: doc.toolchain?.channel || null, components: doc.toolchain?.components || [] };
+    } catch {
+      return { channel: null, components: [] };
+    }
+  }
+  const channel = body.split(/\r?\n/).map((l) => l.trim()).find(Boolean) || null;
+  return { channel, components: [] };
+}
@@ -0,0 +1,196 @@
+// src/modules/detector/utils/services.js
+import YAML from "yaml";
+import { IGNORED_DIRS } from "./manifests.js";
+
+/**
+ * Backing services the tests may need:
+ * - images: compose image names (registry and tag stripped) that provide the service
+ * - deps:   client libraries per ecosystem (go entries also match module sub-paths, e.g. pgx/v5)
+ * - java:   pattern over the build file text (dependencies are not parsed for Java)
+ */
+const SERVICES = [
+  {
+    service: "postgres",
+    images: /^(postgres|postgis\/postgis|timescale\/timescaledb(-ha)?|bitnami\/postgresql)$/,
+    deps: {
+      node: ["pg", "pg-promise", "postgres", "slonik"],
+      python: ["psycopg2", "psycopg2-binary", "psycopg", "psycopg-binary", "asyncpg", "pg8000"],
+      go: ["github.com/lib/pq", "github.com/jackc/pgx"],
+      rust: ["tokio-postgres", "postgres"],
+      dotnet: ["Npgsql", "Npgsql.EntityFrameworkCore.PostgreSQL"],
+      ruby: ["pg"],
+      php: [],
+    },
+    java: /org\.postgresql|<artifactId>postgresql<\/artifactId>/,
+  },
+  {
+    service: "mysql",
+    images: /^(mysql|mariadb|bitnami\/mysql|bitnami\/mariadb)$/,
+    deps: {
+      node: ["mysql", "mysql2"],
+      python: ["mysql-connector-python", "mysql-connector", "mysqlclient", "pymysql", "aiomysql"],
+      go: ["github.com/go-sql-driver/mysql"],
+      rust: ["mysql", "mysql_async"],
+      dotnet: ["MySql.Data", "MySqlConnector", "Pomelo.EntityFrameworkCore.MySql"],
+      ruby: ["mysql2"],
+      php: [],
+    },
+    java: /mysql-connector|mariadb-java-client/,
+  },
+  {
+    service: "mongodb",
+    images: /^(mongo|mongodb\/mongodb-community-server|bitnami\/mongodb)$/,
+    deps: {
+      node: ["mongoose", "mongodb"],
+      python: ["pymongo", "motor", "mongoengine"],
+      go: ["go.mongodb.org/mongo-driver"],
+      rust: ["mongodb"],
+      dotnet: ["MongoDB.Driver"],
+      ruby: ["mongoid", "mongo"],
+      php: ["mongodb/mongodb"],
+    },
+    java: /mongodb-driver|spring-boot-starter-data-mongodb/,
+  },
+  {
+    service: "redis",
+    images: /^(redis|redis\/redis-stack(-server)?|valkey\/valkey|bitnami\/redis)$/,
+    deps: {
+      node: ["redis", "ioredis", "bull", "bullmq"],
+      python: ["redis", "aioredis", "rq"],
+      go: ["github.com/redis/go-redis", "github.com/go-redis/redis", "github.com/gomodule/redigo"],
+      rust: ["redis"],
+      dotnet: ["StackExchange.Redis"],
+      ruby: ["redis", "sidekiq"],
+      php: ["predis/predis"],
+    },
+    java: /jedis|lettuce-core|spring-boot-starter-data-redis/,
+  },
+  {
+    service: "rabbitmq",
+    images: /^(rabbitmq|bitnami\/rabbitmq)$/,
+    deps: {
+      node: ["amqplib", "amqp-connection-manager"],
+      python: ["pika", "aio-pika", "kombu"],
+      go: ["github.com/rabbitmq/amqp091-go", "github.com/streadway/amqp"],
+      rust: ["lapin"],
+      dotnet: ["RabbitMQ.Client"],
+      ruby: ["bunny"],
+      php: ["php-amqplib/php-amqplib"],
+    },
+    java: /amqp-client|spring-boot-starter-amqp/,
+  },
+];
+
+const COMPOSE_FILE = /(^|\/)(docker-)?compose(\.[\w-]+)?\.ya?ml$/;
+
+// "docker.io/library/postgres:16-alpine" → "postgres"
+function imageRepository(image) {
+  return String(image)
+    .replace(/@.*$/, "")
+    .replace(/:[^/]*$/, "")
+    .replace(/^(docker\.io\/)?(library\/)?/, "")
+    .toLowerCase();
+}
+
+/**
+ * serviceForImage — the backing service an image provides ("postgres:16-alpine" → "postgres"), or null
+ */
+export function serviceForImage(image) {
+  return SERVICES.find((s) => s.images.test(imageRepository(image)))?.service || null;
+}
+
+// Compose accepts a map or a list of KEY=VALUE strings
+function environment(env) {
+  if (Array.isArray(env)) {
+    return Object.fromEntries(
+      env.map((e) => String(e).split("=")).filter(([k, ...v]) => k && v.length).map(([k, ...v]) => [k, v.join("=")])
+    );
+  }
+  return Object.fromEntries(
+    Object.entries(env || {}).filter(([, v]) => v !== null && v !== undefined).map(([k, v]) => [k, String(v)])
+  );
+}
+
+// "5432:5432", "127.0.0.1:5433:5432/tcp", 5432, { target: 5432 } → container port
+function containerPort(port) {
+  if (typeof port === "number") return port;
+  if (port && typeof port === "object") return Number(port.target) || null;
+  const m = /(\d+)(?:\/\w+)?$/.exec(String(port));
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * parseCompose — services of a compose file with their image, environment and ports
+ */
+export function parseCompose(text) {
+  let doc;
+  try {
+    doc = YAML.parse(text);
+  } catch (err) {
+    return { parse_error: String(err.message || err), services: [] };
+  }
+  const services = Object.entries(doc?.services || {}).map(([name, svc]) => ({
+    name,
+    image: svc?.image || null,
+    build: Boolean(svc?.build),
+    environment: environment(svc?.environment),
+    ports: (svc?.ports || []).map(containerPort).filter(Boolean),
+  }));
+  return { services };
+}
+
+function declaredDeps(project) {
+  if (project.ecosystem === "node") return Object.keys(project.dependencies || {});
+  if (project.ecosystem === "python") {
+    return [...(project.dependencies || []), ...Object.values(project.optional_dependencies || {}).flat()].map((d) =>
+      d.toLowerCase()
+    );
+  }
+  if (project.ecosystem === "go") return project.requires || [];
+  return project.dependencies || [];
+}
+
+/**
+ * detectServices — backing services from compose files (image-based) and database/queue clients
+ * in every project's dependencies. Compose entries keep their image, environment and ports.
+ */
+export async function detectServices(files, readFile, projects = []) {
+  const found = new Map();
+  const add = (service, evidence, compose = null) => {
+    if (!found.has(service)) found.set(service, { service, image: null, environment: {}, ports: [], evidence: [] });
+    const entry = found.get(service);
+    entry.evidence.push(evidence);
+    if (compose && !entry.image) {
+      entry.image = compose.image;
+      entry.environment = compose.environment;
+      entry.ports = compose.ports;
+    }
+  };
+
+  const composeFiles = files.filter((f) => COMPOSE_FILE.test(f) && !IGNORED_DIRS.test(f));
+  for (const file of composeFiles) {
+    const { services } = parseCompose((await readFile(file)) || "");
+    for (const svc of services) {
+      if (!svc.image) continue;
+      const service = serviceForImage(svc.image);
+      if (service) add(service, `${file}: ${svc.name}`, svc);
+    }
+  }
+
+  for (const project of projects) {
+    const buildText = project.ecosystem === "java" ? await readFile(project.manifest) : null;
+    const declared = declaredDeps(project);
+    for (const def of SERVICES) {
+      if (project.ecosystem === "java") {
+        if (def.java.test(buildText || "")) add(def.service, `${project.manifest}: ${def.service} client`);
+        continue;
+      }
+      // Go modules also match their sub-paths (github.com/jackc/pgx/v5)
+      const matches = (d, n) => d === n || (project.ecosystem === "go" && d.startsWith(`${n}/`));
+      const dep = (def.deps[project.ecosystem] || []).find((n) => declared.some((d) => matches(d, n)));
+      if (dep) add(def.service, `${project.path === "." ? "" : `${project.path}: `}${project.ecosystem} dependency ${dep}`);
+    }
+  }
+
+  return { compose_files: composeFiles, services: [...found.values()] };
+}
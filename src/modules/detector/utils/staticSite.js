@@ -0,0 +1,235 @@
+// src/modules/detector/utils/staticSite.js
+
+function join(dir, name) {
+  return !dir || dir === "." ? name : `${dir}/${name}`;
+}
+
+const CONFIG_EXTENSIONS = ["js", "mjs", "cjs", "ts", "mts", "cts"];
+
+// First existing <name>.{js,mjs,ts,...} in the project directory
+async function readConfig(dir, name, readFile, files) {
+  for (const ext of CONFIG_EXTENSIONS) {
+    const path = join(dir, `${name}.${ext}`);
+    if (files.includes(path)) return { path, text: (await readFile(path)) || "" };
+  }
+  return null;
+}
+
+// outDir: "build" → "build"; computed values (path.resolve(...), template strings) fall back to the default
+function option(text, key) {
+  return new RegExp(`\\b${key}\\s*:\\s*["'\`]([^"'\`$]+)["'\`]`).exec(text || "")?.[1] ?? null;
+}
+
+const clean = (path) => path.replace(/^\.\//, "").replace(/\/+$/, "") || ".";
+
+// Script that runs a tool's build ("vite build", "ng build"), to append CLI flags to
+const scriptRunning = (scripts, pattern) => Object.entries(scripts).find(([, s]) => pattern.test(s))?.[0] || null;
+
+/**
+ * Static site generators and SPA bundlers, most specific first. detect() returns null when the
+ * project does not build a static site (Next.js without `output: "export"`, Astro in server mode), else:
+ * - output_dir: build output, relative to the project
+ * - script:     package.json script that builds the site (default "build")
+ * - base:       how the Pages base path ("/<repo>") reaches the build —
+ *               { arg } CLI flag for the build script, { env } variable the tool reads,
+ *               { config } option only the config file sets (the workflow exports BASE_PATH for it)
+ * bin: the tool's executable; CLI flags are only appended when the build script ends with it
+ */
+const GENERATORS = [
+  {
+    tool: "next",
+    label: "Next.js static export",
+    deps: ["next"],
+    async detect({ dir, scripts, readFile, files }) {
+      const config = await readConfig(dir, "next.config", readFile, files);
+      // `next export` was removed in Next.js 14; older projects still call it from a script
+      const legacy = Object.values(scripts).find((s) => /\bnext export\b/.test(s));
+      if (!/\boutput\s*:\s*["'`]export["'`]/.test(config?.text || "") && !legacy) return null;
+      return {
+        config: config?.path || null,
+        output_dir: /\bnext export\b.*?(?:-o|--outdir)\s+(\S+)/.exec(legacy || "")?.[1] || "out",
+        base: { config: "basePath" },
+      };
+    },
+  },
+  {
+    tool: "astro",
+    bin: "astro",
+    label: "Astro",
+    deps: ["astro"],
+    async detect({ dir, readFile, files }) {
+      const config = await readConfig(dir, "astro.config", readFile, files);
+      if (/\boutput\s*:\s*["'`]server["'`]/.test(config?.text || "")) return null;
+      return { config: config?.path || null, output_dir: option(config?.text, "outDir") || "dist", base: { arg: "--base", config: "base" } };
+    },
+  },
+  {
+    tool: "docusaurus",
+    label: "Docusaurus",
+    deps: ["@docusaurus/core"],
+    async detect({ dir, readFile, files }) {
+      const config = await readConfig(dir, "docusaurus.config", readFile, files);
+      return { config: config?.path || null, output_dir: "build", base: { config: "baseUrl" } };
+    },
+  },
+  {
+    tool: "gatsby",
+    label: "Gatsby",
+    deps: ["gatsby"],
+    async detect({ dir, readFile, files }) {
+      const config = await readConfig(dir, "gatsby-config", readFile, files);
+      // pathPrefix only applies to builds run with --prefix-paths
+      return { config: config?.path || null, output_dir: "public", base: { config: "pathPrefix" } };
+    },
+  },
+  {
+    tool: "nuxt",
+    label: "Nuxt (nuxt generate)",
+    deps: ["nuxt"],
+    async detect({ scripts }) {
+      const script = scriptRunning(scripts, /\bnuxi? generate\b/);
+      if (!script) return null;
+      return { script, output_dir: ".output/public", base: { env: "NUXT_APP_BASE_URL", trailing_slash: true } };
+    },
+  },
+  {
+    tool: "sveltekit",
+    label: "SvelteKit (adapter-static)",
+    deps: ["@sveltejs/adapter-static"],
+    async detect({ dir, readFile, files }) {
+      const config = await readConfig(dir, "svelte.config", readFile, files);
+      return {
+        config: config?.path || null,
+        output_dir: option(config?.text, "pages") || "build",
+        base: { config: "paths.base" },
+      };
+    },
+  },
+  {
+    tool: "vitepress",
+    bin: "vitepress",
+    label: "VitePress",
+    deps: ["vitepress"],
+    async detect({ scripts }) {
+      const script = scriptRunning(scripts, /\bvitepress build\b/);
+      if (!script) return null;
+      const root = /\bvitepress build\s+([^\s-]\S*)/.exec(scripts[script])?.[1];
+      return { script, output_dir: root ? `${clean(root)}/.vitepress/dist` : ".vitepress/dist", base: { arg: "--base", config: "base" } };
+    },
+  },
+  {
+    tool: "angular",
+    bin: "ng",
+    label: "Angular",
+    deps: ["@angular/core"],
+    async detect({ dir, readFile, files }) {
+      const path = join(dir, "angular.json");
+      if (!files.includes(path)) return null;
+      let workspace;
+      try {
+        workspace = JSON.parse((await readFile(path)) || "{}");
+      } catch {
+        return null;
+      }
+      const names = Object.keys(workspace.projects || {});
+      const name = workspace.defaultProject || names.find((n) => workspace.projects[n].projectType === "application") || names[0];
+      const build = workspace.projects?.[name]?.architect?.build || {};
+      const outputPath = build.options?.outputPath;
+      const base = clean((typeof outputPath === "object" ? outputPath.base : outputPath) || `dist/${name}`);
+      // The application builder (Angular 17+) writes the site to <outputPath>/browser
+      const browser = typeof outputPath === "object" ? outputPath.browser ?? "browser" : "browser";
+      return {
+        config: path,
+        output_dir: /:application$/.test(build.builder || "") && browser ? `${base}/${browser}` : base,
+        base: { arg: "--base-href", config: "baseHref", trailing_slash: true },
+      };
+    },
+  },
+  {
+    tool: "eleventy",
+    bin: "eleventy",
+    label: "Eleventy",
+    deps: ["@11ty/eleventy"],
+    async detect({ dir, readFile, files }) {
+      const config = (await readConfig(dir, ".eleventy", readFile, files)) || (await readConfig(dir, "eleventy.config", readFile, files));
+      return { config: config?.path || null, output_dir: option(config?.text, "output") || "_site", base: { arg: "--pathprefix", config: "pathPrefix" } };
+    },
+  },
+  {
+    tool: "cra",
+    label: "Create React App",
+    deps: ["react-scripts"],
+    async detect() {
+      return { output_dir: "build", base: { env: "PUBLIC_URL" } };
+    },
+  },
+  {
+    tool: "vue-cli",
+    label: "Vue CLI",
+    deps: ["@vue/cli-service"],
+    async detect({ dir, readFile, files }) {
+      const config = await readConfig(dir, "vue.config", readFile, files);
+      return { config: config?.path || null, output_dir: option(config?.text, "outputDir") || "dist", base: { config: "publicPath" } };
+    },
+  },
+  {
+    tool: "vite",
+    bin: "vite",
+    label: "Vite",
+    deps: ["vite"],
+    async detect({ dir, readFile, files }) {
+      const config = await readConfig(dir, "vite.config", readFile, files);
+      // Vite library mode builds a package, not a site
+      if (/\blib\s*:\s*\{/.test(config?.text || "")) return null;
+      if (!files.includes(join(dir, "index.html")) && !config) return null;
+      return { config: config?.path || null, output_dir: option(config?.text, "outDir") || "dist", base: { arg: "--base", config: "base", trailing_slash: true } };
+    },
+  },
+  {
+    tool: "parcel",
+    bin: "parcel",
+    label: "Parcel",
+    deps: ["parcel"],
+    async detect({ scripts }) {
+      const build = scripts.build || "";
+      if (!/\bparcel build\b/.test(build)) return null;
+      return {
+        output_dir: /--dist-dir\s+(\S+)/.exec(build)?.[1] || "dist",
+        base: { arg: "--public-url", config: "publicUrl", trailing_slash: true },
+      };
+    },
+  },
+];
+
+/**
+ * detectStaticSite — the static site generator / SPA bundler a Node.js project builds with and
+ * where its output lands; null for servers, libraries and SSR-only frameworks
+ */
+export async function detectStaticSite(dir, pkg, readFile, files) {
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const scripts = pkg.scripts || {};
+  for (const generator of GENERATORS) {
+    if (!generator.deps.some((d) => deps[d])) continue;
+    const site = await generator.detect({ dir, scripts, readFile, files });
+    if (!site) continue;
+    const script = site.script || "build";
+    if (!scripts[script]) continue;
+    // `npm run build -- --base x` appends to the last command of the script only
+    const last = scripts[script].split(/&&|;|\|\|/).pop();
+    const base =
+      site.base.arg && !new RegExp(`\\b${generator.bin}\\b`).test(last)
+        ? { config: site.base.config, trailing_slash: site.base.trailing_slash }
+        : site.base;
+    return {
+      tool: generator.tool,
+      label: generator.label,
+      script,
+      output_dir: clean(site.output_dir),
+      config: site.config || null,
+      base,
+      // A CNAME serves the site from a custom domain root, so no base path is needed
+      custom_domain: ["CNAME", "public/CNAME", "static/CNAME"].some((f) => files.includes(join(dir, f))),
+    };
+  }
+  return null;
+}
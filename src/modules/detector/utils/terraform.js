@@ -0,0 +1,176 @@
+// src/modules/detector/utils/terraform.js
+import { IGNORED_DIRS } from "./manifests.js";
+
+// Provider plugins and modules downloaded by `terraform init`
+const TERRAFORM_CACHE = /(^|\/)\.terraform\//;
+
+// Directory names that hold reusable modules rather than root configurations
+const MODULE_DIRS = /(^|\/)modules\//;
+
+const ENVIRONMENT = /^(dev|develop|development|test|testing|qa|stage|staging|preprod|uat|prod|production|live)$/;
+
+// Subdirectories of a root that keep per-environment variable and backend files
+const ENV_FILE_DIRS = /^(env|envs|environments|vars|tfvars|config)$/;
+
+function dirOf(file) {
+  return file.includes("/") ? file.slice(0, file.lastIndexOf("/")) : ".";
+}
+
+// "envs/prod" + "../../modules/vpc" → "modules/vpc"
+function resolve(dir, relative) {
+  const parts = dir === "." ? [] : dir.split("/");
+  for (const part of relative.replace(/\/+$/, "").split("/")) {
+    if (part === "..") parts.pop();
+    else if (part && part !== ".") parts.push(part);
+  }
+  return parts.join("/") || ".";
+}
+
+// Comments go first so that commented-out blocks do not count; "//" inside strings (URLs) stays
+function stripComments(text) {
+  return (text || "").replace(/\/\*[\s\S]*?\*\//g, "").replace(/^\s*(#|\/\/).*$/gm, "");
+}
+
+/**
+ * blocks — bodies of the HCL blocks whose header matches `header` (e.g. /\bmodule\s+"([\w-]+)"\s*\{/g),
+ * found by brace matching from the header's opening brace
+ */
+function blocks(text, header) {
+  const out = [];
+  for (const m of text.matchAll(header)) {
+    let depth = 1;
+    let i = m.index + m[0].length;
+    const start = i;
+    while (i < text.length && depth) {
+      if (text[i] === "{") depth++;
+      else if (text[i] === "}") depth--;
+      i++;
+    }
+    out.push({ labels: m.slice(1), body: text.slice(start, i - 1) });
+  }
+  return out;
+}
+
+const attribute = (body, name) => new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`).exec(body)?.[1] ?? null;
+
+/**
+ * parseTerraform — settings of one configuration file: required_version, backend (or HCP Terraform
+ * `cloud` block), providers and module calls
+ */
+export function parseTerraform(text) {
+  const hcl = stripComments(text);
+  const out = { required_version: null, backend: null, providers: [], modules: [] };
+  for (const { body } of blocks(hcl, /(?:^|\n)\s*terraform\s*\{/g)) {
+    out.required_version = out.required_version || attribute(body, "required_version");
+    const backend = /\bbackend\s+"([\w-]+)"\s*\{/.exec(body)?.[1];
+    if (backend) out.backend = backend;
+    else if (/(?:^|\n)\s*cloud\s*\{/.test(body)) out.backend = "cloud";
+    for (const { body: providers } of blocks(body, /\brequired_providers\s*\{/g)) {
+      for (const m of providers.matchAll(/(?:^|\n)\s*([\w-]+)\s*=\s*\{/g)) out.providers.push(m[1]);
+    }
+  }
+  for (const m of hcl.matchAll(/(?:^|\n)\s*provider\s+"([\w-]+)"/g)) out.providers.push(m[1]);
+  for (const { labels, body } of blocks(hcl, /(?:^|\n)\s*module\s+"([\w-]+)"\s*\{/g)) {
+    out.modules.push({ name: labels[0], source: attribute(body, "source") });
+  }
+  out.providers = [...new Set(out.providers)];
+  return out;
+}
+
+// Variable / backend files of a root: next to it or in env/, envs/, environments/, vars/ below it
+function rootFiles(files, dir, pattern) {
+  return files.filter((f) => {
+    if (!pattern.test(f.split("/").pop())) return false;
+    const fileDir = dirOf(f);
+    if (fileDir === dir) return true;
+    const parent = dirOf(fileDir);
+    return parent === dir && ENV_FILE_DIRS.test(fileDir.split("/").pop());
+  });
+}
+
+// staging.tfvars, prod.tfbackend, backend-prod.hcl, envs/qa.tfvars → staging, prod, prod, qa
+function fileEnvironment(file) {
+  const tokens = file.split("/").pop().toLowerCase().split(/[.\-_]/);
+  return tokens.find((t) => ENVIRONMENT.test(t)) || null;
+}
+
+/**
+ * analyzeTerraform — Terraform root configurations (where `terraform init/plan/apply` run) and
+ * the local modules they call, with backends, required_version, variable files per environment,
+ * tflint configuration and the pinned CLI version (.terraform-version / .tool-versions)
+ */
+export async function analyzeTerraform(files, readFile) {
+  const visible = files.filter((f) => !IGNORED_DIRS.test(f) && !TERRAFORM_CACHE.test(f));
+  const tfFiles = visible.filter((f) => /\.tf$/.test(f));
+  if (!tfFiles.length) return { has_terraform: false, roots: [], modules: [] };
+
+  const dirs = new Map();
+  for (const file of tfFiles) {
+    const dir = dirOf(file);
+    if (!dirs.has(dir)) {
+      dirs.set(dir, { dir, files: [], required_version: null, backend: null, providers: [], module_calls: [] });
+    }
+    const entry = dirs.get(dir);
+    const parsed = parseTerraform(await readFile(file));
+    entry.files.push(file);
+    entry.required_version = entry.required_version || parsed.required_version;
+    entry.backend = entry.backend || parsed.backend;
+    entry.providers = [...new Set([...entry.providers, ...parsed.providers])];
+    entry.module_calls.push(...parsed.modules);
+  }
+
+  // A directory another configuration calls through a local source ("./modules/vpc") is a module
+  const called = new Set();
+  for (const entry of dirs.values()) {
+    for (const { source } of entry.module_calls) {
+      if (source && /^\.\.?\//.test(source)) called.add(resolve(entry.dir, source));
+    }
+  }
+  const isRoot = (entry) => Boolean(entry.backend) || (!called.has(entry.dir) && !MODULE_DIRS.test(`${entry.dir}/`));
+
+  const roots = [];
+  const modules = [];
+  for (const entry of [...dirs.values()].sort((a, b) => a.dir.localeCompare(b.dir))) {
+    if (!isRoot(entry)) {
+      modules.push(entry.dir);
+      continue;
+    }
+    // terraform.tfvars and *.auto.tfvars load by themselves; any other .tfvars selects an environment
+    const varFiles = rootFiles(visible, entry.dir, /\.tfvars(\.json)?$/).filter(
+      (f) => !/(^|\/)terraform\.tfvars(\.json)?$|\.auto\.tfvars(\.json)?$/.test(f) || dirOf(f) !== entry.dir
+    );
+    const backendFiles = rootFiles(visible, entry.dir, /\.tfbackend$|(^|[.\-_])backend([.\-_][\w-]+)?\.hcl$/);
+    const lastSegment = entry.dir.split("/").pop().toLowerCase();
+    roots.push({
+      dir: entry.dir,
+      backend: entry.backend,
+      required_version: entry.required_version,
+      providers: entry.providers,
+      modules: entry.module_calls.map((m) => m.source).filter(Boolean),
+      has_lockfile: visible.includes(entry.dir === "." ? ".terraform.lock.hcl" : `${entry.dir}/.terraform.lock.hcl`),
+      // envs/staging, live/prod → one environment per root directory
+      environment: ENVIRONMENT.test(lastSegment) ? lastSegment : null,
+      var_files: varFiles.map((file) => ({ file, environment: fileEnvironment(file) })),
+      backend_config_files: backendFiles.map((file) => ({ file, environment: fileEnvironment(file) })),
+    });
+  }
+
+  const firstLine = async (file) =>
+    visible.includes(file)
+      ? (await readFile(file) || "").split(/\r?\n/).map((l) => l.trim()).find((l) => l && !l.startsWith("#")) || null
+      : null;
+  const pinnedFile = await firstLine(".terraform-version");
+  const toolVersions = visible.includes(".tool-versions") ? await readFile(".tool-versions") : "";
+  const pinnedTool = /^\s*terraform\s+([^\s#]+)/m.exec(toolVersions || "")?.[1] || null;
+
+  return {
+    has_terraform: roots.length > 0,
+    roots,
+    modules,
+    // The first root's constraint applies repository-wide; they rarely differ
+    required_version: roots.find((r) => r.required_version)?.required_version || null,
+    pinned_version: pinnedFile || pinnedTool,
+    tflint_config: visible.find((f) => /(^|\/)\.tflint\.hcl$/.test(f)) || null,
+    tests: visible.filter((f) => /\.tftest\.(hcl|json)$/.test(f)),
+  };
+}
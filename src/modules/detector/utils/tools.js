@@ -0,0 +1,232 @@
+// src/modules/detector/utils/tools.js
+
+/**
+ * Tool catalog per ecosystem:
+ * - kind:    test | lint | format | typecheck | coverage
+ * - deps:    dependency names that declare the tool
+ * - configs: config file patterns (relative to the project directory)
+ * - keys:    package.json keys that hold inline configuration (node only)
+ * - command: canonical invocation, without package-manager runner prefix
+ * - report:  coverage report location (coverage tools only)
+ */
+const NODE_TOOLS = [
+  { tool: "jest", kind: "test", deps: ["jest"], configs: [/^jest\.config\.[cm]?[jt]s(on)?$/], keys: ["jest"], command: "jest --ci" },
+  { tool: "vitest", kind: "test", deps: ["vitest"], configs: [/^vitest\.config\.[cm]?[jt]s$/, /^vitest\.workspace\.[cm]?[jt]s$/], command: "vitest run" },
+  { tool: "mocha", kind: "test", deps: ["mocha"], configs: [/^\.mocharc(\.[cm]?js|\.json|\.ya?ml)?$/], keys: ["mocha"], command: "mocha" },
+  { tool: "ava", kind: "test", deps: ["ava"], configs: [/^ava\.config\.[cm]?js$/], keys: ["ava"], command: "ava" },
+  { tool: "playwright", kind: "test", deps: ["@playwright/test"], configs: [/^playwright\.config\.[cm]?[jt]s$/], command: "playwright test" },
+  { tool: "cypress", kind: "test", deps: ["cypress"], configs: [/^cypress\.config\.[cm]?[jt]s$/, /^cypress\.json$/], command: "cypress run" },
+  { tool: "eslint", kind: "lint", deps: ["eslint"], configs: [/^\.eslintrc(\.[cm]?js|\.json|\.ya?ml)?$/, /^eslint\.config\.[cm]?[jt]s$/], keys: ["eslintConfig"], command: "eslint ." },
+  { tool: "biome", kind: "lint", deps: ["@biomejs/biome"], configs: [/^biome\.jsonc?$/], command: "biome ci ." },
+  { tool: "standard", kind: "lint", deps: ["standard"], keys: ["standard"], command: "standard" },
+  { tool: "xo", kind: "lint", deps: ["xo"], keys: ["xo"], command: "xo" },
+  { tool: "prettier", kind: "format", deps: ["prettier"], configs: [/^\.prettierrc(\.[cm]?js|\.json|\.ya?ml|\.toml)?$/, /^prettier\.config\.[cm]?js$/], keys: ["prettier"], command: "prettier --check ." },
+  { tool: "typescript", kind: "typecheck", deps: ["typescript"], configs: [/^tsconfig\.json$/], command: "tsc --noEmit" },
+  { tool: "nyc", kind: "coverage", deps: ["nyc"], configs: [/^\.nycrc(\.json|\.ya?ml)?$/], keys: ["nyc"], command: "nyc --reporter=lcov", report: "coverage/" },
+  { tool: "c8", kind: "coverage", deps: ["c8"], configs: [/^\.c8rc(\.json)?$/], keys: ["c8"], command: "c8 --reporter=lcov", report: "coverage/" },
+];
+
+const PYTHON_TOOLS = [
+  { tool: "pytest", kind: "test", deps: ["pytest"], configs: [/^pytest\.ini$/, /^conftest\.py$/], sections: ["pytest"], command: "pytest" },
+  { tool: "tox", kind: "test", deps: ["tox"], configs: [/^tox\.ini$/], command: "tox" },
+  { tool: "nox", kind: "test", deps: ["nox"], configs: [/^noxfile\.py$/], command: "nox" },
+  { tool: "ruff", kind: "lint", deps: ["ruff"], configs: [/^\.?ruff\.toml$/], sections: ["ruff"], command: "ruff check ." },
+  { tool: "flake8", kind: "lint", deps: ["flake8"], configs: [/^\.flake8$/], sections: ["flake8"], command: "flake8 ." },
+  { tool: "pylint", kind: "lint", deps: ["pylint"], configs: [/^\.?pylintrc$/], sections: ["pylint"], command: "pylint $(git ls-files '*.py')" },
+  { tool: "black", kind: "format", deps: ["black"], sections: ["black"], command: "black --check ." },
+  { tool: "isort", kind: "format", deps: ["isort"], configs: [/^\.isort\.cfg$/], sections: ["isort"], command: "isort --check-only ." },
+  { tool: "mypy", kind: "typecheck", deps: ["mypy"], configs: [/^mypy\.ini$/, /^\.mypy\.ini$/], sections: ["mypy"], command: "mypy ." },
+  { tool: "pytest-cov", kind: "coverage", deps: ["pytest-cov"], command: "pytest --cov --cov-report=xml", report: "coverage.xml" },
+  { tool: "coverage", kind: "coverage", deps: ["coverage"], configs: [/^\.coveragerc$/], sections: ["coverage"], command: "coverage run -m pytest && coverage xml", report: "coverage.xml" },
+];
+
+// Java tools are declared as build plugins/dependencies, so they are matched in the build file text
+const JAVA_TOOLS = [
+  { tool: "junit", kind: "test", pattern: /junit/i, maven: "mvn -B test", gradle: "./gradlew test" },
+  { tool: "checkstyle", kind: "lint", pattern: /checkstyle/i, configs: [/^checkstyle\.xml$/, /^config\/checkstyle\/checkstyle\.xml$/], maven: "mvn -B checkstyle:check", gradle: "./gradlew checkstyleMain" },
+  { tool: "spotbugs", kind: "lint", pattern: /spotbugs/i, maven: "mvn -B spotbugs:check", gradle: "./gradlew spotbugsMain" },
+  { tool: "pmd", kind: "lint", pattern: /maven-pmd-plugin|id\s*\(?\s*['"]pmd['"]|apply plugin:\s*['"]pmd['"]/i, maven: "mvn -B pmd:check", gradle: "./gradlew pmdMain" },
+  { tool: "spotless", kind: "format", pattern: /spotless/i, maven: "mvn -B spotless:check", gradle: "./gradlew spotlessCheck" },
+  { tool: "jacoco", kind: "coverage", pattern: /jacoco/i, maven: "mvn -B verify jacoco:report", gradle: "./gradlew test jacocoTestReport", report: { maven: "target/site/jacoco/", gradle: "build/reports/jacoco/" } },
+];
+
+/*
+ * Toolchain-centric ecosystems: tools are built in (always, or when the project field named by
+ * `builtin` is truthy), declared as dependencies (`deps`, matched by name or module path prefix)
+ * or opted into with a config file.
+ */
+const GO_TOOLS = [
+  { tool: "go test", kind: "test", builtin: "has_tests", command: "go test -race -cover ./..." },
+  { tool: "go vet", kind: "lint", builtin: true, command: "go vet ./..." },
+  { tool: "golangci-lint", kind: "lint", configs: [/^\.golangci\.(ya?ml|toml|json)$/], deps: ["github.com/golangci/golangci-lint"], command: "golangci-lint run" },
+  { tool: "staticcheck", kind: "lint", configs: [/^staticcheck\.conf$/], deps: ["honnef.co/go/tools"], command: "staticcheck ./..." },
+  { tool: "go cover", kind: "coverage", builtin: "has_tests", command: "go test -race -covermode=atomic -coverprofile=coverage.out ./...", report: "coverage.out" },
+];
+
+const RUST_TOOLS = [
+  { tool: "cargo test", kind: "test", builtin: true, command: "cargo test --all-features" },
+  { tool: "cargo-nextest", kind: "test", configs: [/^\.config\/nextest\.toml$/], command: "cargo nextest run --all-features" },
+  { tool: "clippy", kind: "lint", builtin: true, configs: [/^\.?clippy\.toml$/], command: "cargo clippy --all-targets --all-features -- -D warnings" },
+  { tool: "rustfmt", kind: "format", builtin: true, configs: [/^\.?rustfmt\.toml$/], command: "cargo fmt --all -- --check" },
+  { tool: "cargo-deny", kind: "lint", configs: [/^deny\.toml$/], command: "cargo deny check" },
+  { tool: "tarpaulin", kind: "coverage", configs: [/^\.?tarpaulin\.toml$/], command: "cargo tarpaulin --out Xml", report: "cobertura.xml" },
+];
+
+const DOTNET_TOOLS = [
+  { tool: "dotnet test", kind: "test", builtin: "test_projects", command: "dotnet test --no-build --configuration Release" },
+  { tool: "dotnet format", kind: "format", configs: [/^\.editorconfig$/], command: "dotnet format --verify-no-changes" },
+  { tool: "coverlet", kind: "coverage", deps: ["coverlet.collector"], command: 'dotnet test --no-build --configuration Release --collect:"XPlat Code Coverage" --results-directory coverage', report: "coverage/" },
+];
+
+const RUBY_TOOLS = [
+  { tool: "rspec", kind: "test", deps: ["rspec", "rspec-core", "rspec-rails"], configs: [/^\.rspec$/], command: "bundle exec rspec" },
+  { tool: "minitest", kind: "test", deps: ["minitest"], configs: [/^test\/test_helper\.rb$/], command: "bundle exec rake test" },
+  { tool: "rubocop", kind: "lint", deps: ["rubocop"], configs: [/^\.rubocop\.ya?ml$/], command: "bundle exec rubocop" },
+  { tool: "standard", kind: "lint", deps: ["standard"], configs: [/^\.standard\.ya?ml$/], command: "bundle exec standardrb" },
+  { tool: "brakeman", kind: "lint", deps: ["brakeman"], command: "bundle exec brakeman --no-pager" },
+  { tool: "simplecov", kind: "coverage", deps: ["simplecov"], configs: [/^\.simplecov$/], report: "coverage/" },
+];
+
+const PHP_TOOLS = [
+  { tool: "phpunit", kind: "test", deps: ["phpunit/phpunit"], configs: [/^phpunit\.xml(\.dist)?$/], command: "vendor/bin/phpunit" },
+  { tool: "pest", kind: "test", deps: ["pestphp/pest"], configs: [/^tests\/Pest\.php$/], command: "vendor/bin/pest" },
+  { tool: "phpstan", kind: "lint", deps: ["phpstan/phpstan", "larastan/larastan"], configs: [/^phpstan\.neon(\.dist)?$/], command: "vendor/bin/phpstan analyse --no-progress" },
+  { tool: "psalm", kind: "lint", deps: ["vimeo/psalm"], configs: [/^psalm\.xml(\.dist)?$/], command: "vendor/bin/psalm --no-progress" },
+  { tool: "phpcs", kind: "lint", deps: ["squizlabs/php_codesniffer"], configs: [/^\.?phpcs\.xml(\.dist)?$/], command: "vendor/bin/phpcs" },
+  { tool: "php-cs-fixer", kind: "format", deps: ["friendsofphp/php-cs-fixer"], configs: [/^\.php-cs-fixer(\.dist)?\.php$/], command: "vendor/bin/php-cs-fixer fix --dry-run --diff" },
+  { tool: "pint", kind: "format", deps: ["laravel/pint"], configs: [/^pint\.json$/], command: "vendor/bin/pint --test" },
+];
+
+function configFile(project, files, patterns = []) {
+  const prefix = project.path === "." ? "" : `${project.path}/`;
+  for (const f of files) {
+    if (!f.startsWith(prefix)) continue;
+    const rel = f.slice(prefix.length);
+    if (patterns.some((re) => re.test(rel))) return f;
+  }
+  return null;
+}
+
+function nodeTools(project, files, pkg) {
+  const deps = project.dependencies || {};
+  const out = [];
+  for (const def of NODE_TOOLS) {
+    const dep = def.deps.find((d) => deps[d]);
+    const key = (def.keys || []).find((k) => pkg && pkg[k] !== undefined);
+    const config = configFile(project, files, def.configs) || (key ? `${project.manifest}#${key}` : null);
+    // A config file alone (e.g. tsconfig.json without typescript) is not enough for tools run via npx
+    if (!dep && !key && !(config && def.kind !== "typecheck")) continue;
+    out.push({ tool: def.tool, kind: def.kind, config, command: def.command, evidence: dep ? "dependency" : "config" });
+  }
+  // jest/vitest collect coverage themselves when asked to
+  const jestCoverage = pkg?.jest?.collectCoverage || deps["@vitest/coverage-v8"] || deps["@vitest/coverage-istanbul"];
+  if (jestCoverage && !out.some((t) => t.kind === "coverage")) {
+    const runner = deps.vitest ? "vitest" : "jest";
+    out.push({
+      tool: runner,
+      kind: "coverage",
+      config: deps.vitest ? null : `${project.manifest}#jest`,
+      command: runner === "vitest" ? "vitest run --coverage" : "jest --ci --coverage",
+      report: "coverage/",
+      evidence: "config",
+    });
+  }
+  return out;
+}
+
+function pythonTools(project, files) {
+  const optional = project.optional_dependencies || {};
+  const deps = new Set([...(project.dependencies || []), ...Object.values(optional).flat()]);
+  const configured = new Set(project.configured_tools || []);
+  const out = [];
+  for (const def of PYTHON_TOOLS) {
+    const dep = def.deps.find((d) => deps.has(d));
+    const config =
+      configFile(project, files, def.configs) ||
+      ((def.sections || []).some((s) => configured.has(s)) ? project.manifest : null);
+    if (!dep && !config) continue;
+    out.push({
+      tool: def.tool,
+      kind: def.kind,
+      config,
+      command: def.command,
+      evidence: dep ? "dependency" : "config",
+      ...(def.report ? { report: def.report } : {}),
+    });
+  }
+  return out;
+}
+
+function javaTools(project, files, buildText) {
+  const out = [];
+  for (const def of JAVA_TOOLS) {
+    const config = configFile(project, files, def.configs);
+    if (!def.pattern.test(buildText || "") && !config) continue;
+    const build = project.build === "maven" ? "maven" : "gradle";
+    out.push({
+      tool: def.tool,
+      kind: def.kind,
+      config: config || project.manifest,
+      command: def[build],
+      evidence: config ? "config" : "build-file",
+      ...(def.report ? { report: def.report[build] } : {}),
+    });
+  }
+  return out;
+}
+
+function declaredTools(project, files, defs, declared = []) {
+  const out = [];
+  for (const def of defs) {
+    const config = configFile(project, files, def.configs);
+    const dep = (def.deps || []).find((d) => declared.some((m) => m === d || m.startsWith(`${d}/`)));
+    const field = def.builtin && def.builtin !== true ? project[def.builtin] : null;
+    const builtin = def.builtin === true || (Array.isArray(field) ? field.length > 0 : Boolean(field));
+    if (!builtin && !config && !dep) continue;
+    out.push({
+      tool: def.tool,
+      kind: def.kind,
+      config: config || (dep ? project.manifest : null),
+      command: def.command || null,
+      evidence: config ? "config" : dep ? "dependency" : "toolchain",
+      ...(def.report ? { report: def.report } : {}),
+    });
+  }
+  return out;
+}
+
+/**
+ * detectTools — test, lint, format, typecheck and coverage tools per project, from
+ * manifest contents and config files. Returns [{ tool, kind, project, ecosystem, config, command, evidence }].
+ */
+export async function detectTools(files, readFile, projects = []) {
+  const tools = [];
+  for (const project of projects) {
+    let found = [];
+    if (project.ecosystem === "node") {
+      let pkg = null;
+      try {
+        pkg = JSON.parse((await readFile(project.manifest)) || "null");
+      } catch {
+        pkg = null;
+      }
+      found = nodeTools(project, files, pkg);
+    } else if (project.ecosystem === "python") {
+      found = pythonTools(project, files);
+    } else if (project.ecosystem === "java") {
+      found = javaTools(project, files, await readFile(project.manifest));
+    } else if (project.ecosystem === "go") {
+      found = declaredTools(project, files, GO_TOOLS, [...(project.go_tools || []), ...(project.requires || [])]);
+    } else if (project.ecosystem === "rust") {
+      found = declaredTools(project, files, RUST_TOOLS);
+    } else if (project.ecosystem === "dotnet") {
+      found = declaredTools(project, files, DOTNET_TOOLS, project.dependencies);
+    } else if (project.ecosystem === "ruby") {
+      found = declaredTools(project, files, RUBY_TOOLS, project.dependencies);
+    } else if (project.ecosystem === "php") {
+      found = declaredTools(project, files, PHP_TOOLS, project.dependencies);
+    }
+    tools.push(...found.map((t) => ({ ...t, project: project.path, ecosystem: project.ecosystem })));
+  }
+  return tools;
+}
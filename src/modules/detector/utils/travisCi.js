@@ -0,0 +1,515 @@
+// src/modules/detector/utils/travisCi.js
+import YAML from "yaml";
+import { allOf, anyOf, event, not, PULL_REQUEST, quote, refCondition, refFilters, refIs, TAG } from "./ciRules.js";
+import { serviceForImage } from "./services.js";
+
+// Language version keys → setup tool
+const VERSION_KEYS = {
+  node_js: "node",
+  python: "python",
+  rvm: "ruby",
+  go: "go",
+  jdk: "java",
+  php: "php",
+  rust: "rust",
+  dotnet: "dotnet",
+};
+
+const LANGUAGE_TOOLS = {
+  node_js: "node",
+  python: "python",
+  ruby: "ruby",
+  go: "go",
+  java: "java",
+  php: "php",
+  rust: "rust",
+  csharp: "dotnet",
+};
+
+// Travis services → service containers (Travis runs them on localhost without passwords)
+const SERVICES = {
+  postgresql: { alias: "postgres", image: "postgres:16", env: { POSTGRES_HOST_AUTH_METHOD: "trust", POSTGRES_DB: "postgres" } },
+  mysql: { alias: "mysql", image: "mysql:8", env: { MYSQL_ALLOW_EMPTY_PASSWORD: "yes" } },
+  mariadb: { alias: "mariadb", image: "mariadb:11", env: { MARIADB_ALLOW_EMPTY_ROOT_PASSWORD: "yes" } },
+  redis: { alias: "redis", image: "redis:7", env: {} },
+  "redis-server": { alias: "redis", image: "redis:7", env: {} },
+  mongodb: { alias: "mongodb", image: "mongo:7", env: {} },
+  rabbitmq: { alias: "rabbitmq", image: "rabbitmq:3", env: {} },
+  memcached: { alias: "memcached", image: "memcached:1", env: {} },
+  elasticsearch: { alias: "elasticsearch", image: "elasticsearch:8.13.4", env: { "discovery.type": "single-node", "xpack.security.enabled": "false" } },
+};
+
+// Package manager caches: cache: npm / cache: { pip: true }
+const CACHES = {
+  npm: { paths: ["~/.npm"], files: "**/package-lock.json" },
+  yarn: { paths: ["~/.cache/yarn"], files: "**/yarn.lock" },
+  pip: { paths: ["~/.cache/pip"], files: "**/requirements*.txt" },
+  bundler: { paths: ["vendor/bundle"], files: "**/Gemfile.lock" },
+  cargo: { paths: ["~/.cargo/registry", "target"], files: "**/Cargo.lock" },
+  composer: { paths: ["~/.composer/cache"], files: "**/composer.lock" },
+  gradle: { paths: ["~/.gradle/caches", "~/.gradle/wrapper"], files: "**/*.gradle*" },
+  maven: { paths: ["~/.m2/repository"], files: "**/pom.xml" },
+};
+
+const OS = { linux: "ubuntu-latest", osx: "macos-latest", windows: "windows-latest" };
+
+// Phases in the order Travis runs them
+const PHASES = ["before_install", "install", "before_script", "script"];
+
+// Keys translated below (or without an effect on GitHub-hosted runners); the others are reported
+const TRANSLATED = new Set([
+  "language",
+  ...Object.keys(VERSION_KEYS),
+  ...PHASES,
+  "after_success",
+  "after_failure",
+  "after_script",
+  "before_cache",
+  "services",
+  "env",
+  "cache",
+  "os",
+  "dist",
+  "sudo",
+  "group",
+  "arch",
+  "addons",
+  "git",
+  "branches",
+  "if",
+  "stage",
+  "stages",
+  "name",
+  "jobs",
+  "matrix",
+  "import",
+  "version",
+  "notifications",
+  "deploy",
+  "before_deploy",
+  "after_deploy",
+]);
+
+const isObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+const list = (value) => [].concat(value ?? []).filter((v) => v !== null && v !== undefined);
+
+// "A=1 B='x y'" → { A: "1", B: "x y" }; encrypted entries are reported
+function envEntry(entry, unmapped) {
+  if (isObject(entry)) {
+    if (!entry.secure) return Object.fromEntries(Object.entries(entry).map(([k, v]) => [k, String(v)]));
+    unmapped.push("encrypted env variable (add it as a repository secret)");
+    return {};
+  }
+  const vars = {};
+  for (const m of String(entry).matchAll(/(\w+)=("(?:[^"\\]|\\.)*"|'[^']*'|\S*)/g)) {
+    vars[m[1]] = /^["']/.test(m[2]) ? m[2].slice(1, -1) : m[2];
+  }
+  return vars;
+}
+
+const envList = (value, unmapped) => list(value).map((e) => envEntry(e, unmapped));
+
+// Travis installs and tests without explicit phases for most languages
+function defaultPhases(language, files) {
+  const has = (name) => files.some((f) => f === name || f.endsWith(`/${name}`));
+  switch (language) {
+    case "node_js":
+      return {
+        install: has("yarn.lock") ? "yarn --frozen-lockfile" : has("package-lock.json") ? "npm ci" : "npm install",
+        script: has("yarn.lock") ? "yarn test" : "npm test",
+      };
+    case "python":
+      return { install: has("requirements.txt") ? "pip install -r requirements.txt" : null, script: null };
+    case "ruby":
+      return { install: has("Gemfile") ? "bundle install --jobs=3 --retry=3" : null, script: "bundle exec rake" };
+    case "go":
+      return { install: "go mod download", script: has("Makefile") ? "make" : "go test -v ./..." };
+    case "java":
+      if (has("gradlew") || has("build.gradle") || has("build.gradle.kts")) {
+        const gradle = has("gradlew") ? "./gradlew" : "gradle";
+        return { install: `${gradle} assemble`, script: `${gradle} check` };
+      }
+      return has("pom.xml") ? { install: "mvn install -DskipTests=true -Dmaven.javadoc.skip=true -B -V", script: "mvn test -B" } : {};
+    case "php":
+      return { install: has("composer.json") ? "composer install" : null, script: "phpunit" };
+    case "rust":
+      return { install: null, script: "cargo build --verbose\ncargo test --verbose" };
+    default:
+      return {};
+  }
+}
+
+// jdk: openjdk11 / oraclejdk8 → 11 / 8
+const toolVersion = (tool, version) => {
+  const v = String(version);
+  if (tool === "java") return v.replace(/^(open|oracle)jdk/, "");
+  if (tool === "node" && /^(node|stable)$/.test(v)) return "node";
+  if (tool === "node" && v === "lts/*") return "lts/*";
+  return v;
+};
+
+const IF_TOKEN = /\s*(\(|\)|,|!=|=~|=|\/(?:[^/\\]|\\.)*\/|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[\w./*-]+)/y;
+
+function ifTokens(text) {
+  const source = String(text).trim();
+  const tokens = [];
+  IF_TOKEN.lastIndex = 0;
+  let m;
+  while (IF_TOKEN.lastIndex < source.length && (m = IF_TOKEN.exec(source))) tokens.push(m[1]);
+  return tokens.length && IF_TOKEN.lastIndex >= source.length ? tokens : null;
+}
+
+const TYPES = { push: event("push"), pull_request: PULL_REQUEST, cron: event("schedule"), api: event("workflow_dispatch") };
+
+// The pushed branch, or the target branch of a pull request (Travis' `branch`)
+const TARGET_BRANCH = "(github.base_ref || github.ref_name)";
+
+function ifTerm(attr, op, value) {
+  const negate = op === "!=";
+  const apply = (expr) => (expr && negate ? not(expr) : expr);
+  const regex = op === "=~";
+  const literal = value && /^["'/]/.test(value) ? value.slice(1, -1) : value;
+  switch (attr) {
+    case "branch": {
+      if (!regex) return apply(`${TARGET_BRANCH} == ${quote(literal)}`);
+      const prefix = /^\^((?:[\w.\-/]|\\[./-])*)/.exec(literal)?.[1]?.replace(/\\([./-])/g, "$1");
+      return prefix ? `startsWith(${TARGET_BRANCH}, ${quote(prefix)})` : null;
+    }
+    case "tag":
+      return regex ? refCondition(`/${literal}/`, "tags") : apply(refIs(literal, "tags"));
+    case "type":
+      return regex ? null : apply(TYPES[literal] || null);
+    case "repo":
+      return regex ? null : apply(`github.repository == ${quote(literal)}`);
+    case "fork":
+      return regex ? null : apply(`github.event.pull_request.head.repo.fork == ${literal === "true"}`);
+    default:
+      return null;
+  }
+}
+
+/**
+ * travisCondition — a Travis `if:` condition (branch, tag, type, repo, fork with AND / OR / NOT, IN and
+ * IS present / blank) as a GitHub Actions expression; null for anything else
+ */
+export function travisCondition(text) {
+  const tokens = ifTokens(text);
+  if (!tokens) return null;
+  let i = 0;
+  const upper = (t) => String(t || "").toUpperCase();
+  const or = () => {
+    const parts = [and()];
+    while (upper(tokens[i]) === "OR") {
+      i++;
+      parts.push(and());
+    }
+    return parts.includes(null) ? null : anyOf(parts);
+  };
+  const and = () => {
+    const parts = [unary()];
+    while (upper(tokens[i]) === "AND") {
+      i++;
+      parts.push(unary());
+    }
+    return parts.includes(null) ? null : allOf(parts);
+  };
+  const unary = () => {
+    if (upper(tokens[i]) === "NOT") {
+      i++;
+      const expr = unary();
+      return expr && not(expr);
+    }
+    if (tokens[i] === "(") {
+      i++;
+      const expr = or();
+      return tokens[i++] === ")" ? expr : null;
+    }
+    const attr = String(tokens[i++] || "").toLowerCase();
+    const op = upper(tokens[i]);
+    if (op === "IS") {
+      i++;
+      const negate = upper(tokens[i]) === "NOT" && ++i;
+      const blank = String(tokens[i++]).toLowerCase() === "blank";
+      const present = attr === "tag" ? TAG : attr === "pull_request" ? PULL_REQUEST : null;
+      return present && (blank !== Boolean(negate) ? not(present) : present);
+    }
+    if (op === "IN" || (op === "NOT" && upper(tokens[i + 1]) === "IN")) {
+      i += op === "NOT" ? 2 : 1;
+      if (tokens[i++] !== "(") return null;
+      const values = [];
+      while (tokens[i] && tokens[i] !== ")") {
+        if (tokens[i] !== ",") values.push(tokens[i]);
+        i++;
+      }
+      i++;
+      const terms = values.map((v) => ifTerm(attr, "=", v));
+      if (terms.includes(null)) return null;
+      return op === "NOT" ? not(anyOf(terms)) : anyOf(terms);
+    }
+    if (!["=", "!=", "=~"].includes(tokens[i])) return null;
+    i++;
+    return ifTerm(attr, op, tokens[i++]);
+  };
+  const expr = or();
+  return i === tokens.length ? expr : null;
+}
+
+function caches(cache, unmapped) {
+  const steps = [];
+  const entries = typeof cache === "string" ? { [cache]: true } : Array.isArray(cache) ? Object.fromEntries(cache.map((c) => (isObject(c) ? Object.entries(c)[0] : [c, true]))) : cache || {};
+  for (const [type, enabled] of Object.entries(entries)) {
+    if (!enabled) continue;
+    if (type === "directories") {
+      const paths = list(enabled).map(String);
+      steps.push({ kind: "cache", name: "Cache directories", key: "${{ runner.os }}-travis-${{ github.sha }}", restore_keys: ["${{ runner.os }}-travis-"], paths, policy: null });
+    } else if (CACHES[type]) {
+      const { paths, files } = CACHES[type];
+      steps.push({ kind: "cache", name: `Cache ${type}`, key: `\${{ runner.os }}-${type}-\${{ hashFiles('${files}') }}`, restore_keys: [`\${{ runner.os }}-${type}-`], paths, policy: null });
+    } else if (!["timeout", "edge"].includes(type)) {
+      unmapped.push(`cache: ${type}`);
+    }
+  }
+  return steps;
+}
+
+/**
+ * travisJob — one job from the root keys overridden by a jobs.include entry (or the root alone)
+ */
+function travisJob(spec, { name, stage, files, axes }) {
+  const unmapped = [];
+  const language = String(spec.language || "ruby");
+  for (const key of Object.keys(spec)) if (!TRANSLATED.has(key)) unmapped.push(key);
+  for (const key of ["deploy", "before_deploy", "after_deploy"]) {
+    if (!spec[key]) continue;
+    const providers = key === "deploy" ? list(spec.deploy).map((d) => (isObject(d) ? d.provider : d)).join(", ") : null;
+    unmapped.push(providers ? `deploy: ${providers} (use the provider's GitHub Action)` : key);
+  }
+
+  const env = {};
+  const matrix = {};
+  const setup = [];
+  const tool = LANGUAGE_TOOLS[language];
+  for (const [key, setupTool] of Object.entries(VERSION_KEYS)) {
+    const versions = list(spec[key]);
+    if (!versions.length || (setupTool !== tool && key !== "jdk")) continue;
+    if (versions.length > 1 && axes) {
+      matrix[setupTool] = versions.map((v) => toolVersion(setupTool, v));
+      setup.push({ tool: setupTool, version: `\${{ matrix.${setupTool} }}` });
+    } else {
+      setup.push({ tool: setupTool, version: toolVersion(setupTool, versions[0]) });
+    }
+  }
+  if (tool && !setup.some((s) => s.tool === tool)) setup.push({ tool, version: null });
+
+  const osList = list(spec.os).map(String);
+  let runs_on = OS[osList[0]] || "ubuntu-latest";
+  if (osList.length > 1 && axes) {
+    matrix.os = osList.map((o) => OS[o] || "ubuntu-latest");
+    runs_on = "${{ matrix.os }}";
+  }
+
+  const envSpec = isObject(spec.env) ? spec.env : { jobs: spec.env };
+  // Encrypted global variables are reported once for the whole file
+  Object.assign(env, ...envList(envSpec.global, []));
+  const combos = envList(envSpec.jobs || envSpec.matrix, unmapped).filter((e) => Object.keys(e).length);
+  if (combos.length > 1 && axes) {
+    matrix.env = combos;
+    for (const k of new Set(combos.flatMap(Object.keys))) env[k] = `\${{ matrix.env.${k} }}`;
+  } else if (combos.length) {
+    Object.assign(env, combos[0]);
+  }
+
+  const postgresVersion = spec.addons?.postgresql;
+  const services = [];
+  for (const s of list(spec.services).map(String)) {
+    const def = SERVICES[s];
+    if (!def) {
+      if (s === "xvfb") unmapped.push("services: xvfb (run the command with xvfb-run)");
+      else if (s !== "docker") unmapped.push(`services: ${s}`);
+      continue;
+    }
+    const image = s === "postgresql" && postgresVersion ? `postgres:${postgresVersion}` : def.image;
+    services.push({ alias: def.alias, image, service: serviceForImage(image), env: { ...def.env } });
+  }
+  // Travis' psql / mysql clients reached the local server over its socket; service containers listen on TCP
+  if (services.some((s) => s.alias === "postgres")) env.PGHOST = env.PGHOST || "localhost";
+  if (services.some((s) => s.alias === "mysql" || s.alias === "mariadb")) unmapped.push("mysql clients: connect with -h 127.0.0.1 (no local socket)");
+
+  const steps = [];
+  const git = spec.git || {};
+  const submodules = git.submodules !== false && files.includes(".gitmodules") ? "recursive" : null;
+  steps.push({ kind: "checkout", submodules, fetch_depth: git.depth === false ? 0 : git.depth ? Number(git.depth) : null });
+  for (const [key, value] of Object.entries(spec.addons || {})) {
+    if (key === "apt" || key === "apt_packages") {
+      const packages = list(isObject(value) ? value.packages : value).map(String);
+      if (isObject(value) && value.sources) unmapped.push("addons.apt.sources");
+      if (packages.length) steps.push({ kind: "run", name: "Install apt packages", run: `sudo apt-get update\nsudo apt-get install -y ${packages.join(" ")}` });
+    } else if (key !== "postgresql") {
+      unmapped.push(`addons.${key}`);
+    }
+  }
+  steps.push(...caches(spec.cache, unmapped));
+
+  const defaults = defaultPhases(language, files);
+  for (const phase of PHASES) {
+    const value = spec[phase] !== undefined ? spec[phase] : defaults[phase];
+    if (value === "skip" || value === false) continue;
+    const commands = list(value).map(String);
+    if (commands.length) steps.push({ kind: "run", name: phase.replace(/_/g, " ").replace(/^./, (c) => c.toUpperCase()), run: commands.join("\n") });
+  }
+  const after = [
+    ["after_success", "success()"],
+    ["after_failure", "failure()"],
+    ["after_script", "always()"],
+  ];
+  for (const [phase, condition] of after) {
+    const commands = list(spec[phase]).map(String);
+    if (commands.length) steps.push({ kind: "run", name: phase.replace(/_/g, " ").replace(/^./, (c) => c.toUpperCase()), run: commands.join("\n"), condition });
+  }
+
+  let condition = "true";
+  if (spec.if) {
+    condition = travisCondition(spec.if);
+    if (condition === null) {
+      unmapped.push(`if: ${spec.if}`);
+      condition = "true";
+    }
+  }
+
+  return {
+    name,
+    stage,
+    needs: null,
+    dependencies: null,
+    runs_on,
+    image: null,
+    services,
+    env,
+    secrets: {},
+    setup,
+    matrix: Object.keys(matrix).length ? matrix : null,
+    if: condition === "true" ? null : condition,
+    environment: null,
+    manual: false,
+    allow_failure: false,
+    timeout_minutes: null,
+    concurrency: null,
+    artifacts: null,
+    steps,
+    unmapped,
+  };
+}
+
+// allow_failures entries match jobs by any of their keys (name, env, language version, os)
+function matches(matcher, job, spec) {
+  if (!isObject(matcher)) return false;
+  return Object.entries(matcher).every(([key, value]) => {
+    if (key === "name") return job.name === String(value);
+    if (key === "stage") return job.stage === String(value);
+    return JSON.stringify(list(spec[key]).map(String)) === JSON.stringify(list(value).map(String));
+  });
+}
+
+const slug = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "job";
+
+/**
+ * parseTravis — jobs of a .travis.yml: the root build matrix (language versions × os × env) and the
+ * jobs.include entries grouped by stage, with branch filters and `if:` conditions translated
+ */
+export function parseTravis(text, path = ".travis.yml", files = []) {
+  let doc;
+  try {
+    doc = YAML.parse(text, { merge: true }) || {};
+  } catch (err) {
+    return { provider: "travis", path, parse_error: String(err.message || err), stages: [], env: {}, jobs: [], unmapped: [] };
+  }
+  const unmapped = [];
+  if (doc.import) unmapped.push("import (shared configs are not translated)");
+  if (list(isObject(doc.env) ? doc.env.global : []).some((e) => isObject(e) && e.secure)) {
+    unmapped.push("encrypted env variables (add them as repository secrets)");
+  }
+  if (doc.notifications) unmapped.push("notifications (use a notification action or GitHub's own notifications)");
+
+  const matrixSpec = isObject(doc.jobs) ? doc.jobs : isObject(doc.matrix) ? doc.matrix : {};
+  const include = list(matrixSpec.include).filter(isObject);
+  const { jobs: _j, matrix: _m, stages: _s, ...root } = doc;
+
+  const stageDefs = list(doc.stages).map((s) => (isObject(s) ? s : { name: s }));
+  const stageIf = Object.fromEntries(stageDefs.filter((s) => s.if).map((s) => [String(s.name).toLowerCase(), s.if]));
+  const stages = stageDefs.map((s) => String(s.name).toLowerCase());
+
+  // Root matrix: a job unless jobs.include replaces it (no versions or env combinations at the root)
+  const jobs = [];
+  const specs = new Map();
+  const hasAxes = Object.keys(VERSION_KEYS).some((k) => list(root[k]).length) || (!isObject(root.env) && list(root.env).length > 0) || list(root.env?.jobs || root.env?.matrix).length > 0;
+  if (!include.length || hasAxes) {
+    const job = travisJob(root, { name: "test", stage: "test", files, axes: true });
+    jobs.push(job);
+    specs.set(job, root);
+  }
+  let stage = "test";
+  const used = new Set(jobs.map((j) => j.name));
+  for (const [index, entry] of include.entries()) {
+    stage = String(entry.stage || stage).toLowerCase();
+    let name = slug(entry.name || `${stage}-${index + 1}`);
+    while (used.has(name)) name = `${name}-${index + 1}`;
+    used.add(name);
+    const spec = { ...root, ...entry };
+    // An include entry sets its own script; the env / versions of the root matrix do not multiply it
+    for (const key of Object.keys(VERSION_KEYS)) if (entry[key] === undefined && Array.isArray(root[key])) spec[key] = root[key][0];
+    if (entry.env === undefined && root.env) spec.env = isObject(root.env) ? { global: root.env.global } : undefined;
+    const job = travisJob(spec, { name, stage, files, axes: false });
+    if (entry.name) job.display_name = String(entry.name);
+    jobs.push(job);
+    specs.set(job, spec);
+  }
+  for (const s of jobs.map((j) => j.stage)) if (!stages.includes(s)) stages.push(s);
+
+  for (const job of jobs) {
+    if (stageIf[job.stage]) {
+      const c = travisCondition(stageIf[job.stage]);
+      if (c === null) job.unmapped.push(`stage if: ${stageIf[job.stage]}`);
+      else job.if = allOf([c, job.if || "true"]) === "true" ? null : allOf([c, job.if || "true"]);
+    }
+    if (list(matrixSpec.allow_failures).some((m) => matches(m, job, specs.get(job)))) job.allow_failure = true;
+  }
+  if (matrixSpec.exclude) unmapped.push("jobs.exclude (drop the combinations from the matrix)");
+
+  // Build-level filters apply to every job
+  const build = [];
+  if (doc.if) {
+    const c = travisCondition(doc.if);
+    if (c === null) unmapped.push(`if: ${doc.if}`);
+    else build.push(c);
+  }
+  const branches = isObject(doc.branches) ? doc.branches : doc.branches ? { only: doc.branches } : null;
+  const triggers = {};
+  if (branches?.only) {
+    const patterns = list(branches.only).map(String);
+    const { condition, unmapped: rest } = refFilters(patterns);
+    unmapped.push(...rest.map((p) => `branches.only: ${p}`));
+    triggers.branches = patterns.filter((p) => !p.startsWith("/"));
+    if (condition) build.push(anyOf([PULL_REQUEST, TAG, condition]));
+  } else if (branches?.except) {
+    const { condition, unmapped: rest } = refFilters(list(branches.except).map(String));
+    unmapped.push(...rest.map((p) => `branches.except: ${p}`));
+    if (condition) build.push(not(condition));
+  }
+  if (build.length) {
+    for (const job of jobs) {
+      const c = allOf([...build, job.if || "true"]);
+      job.if = c === "true" ? null : c;
+    }
+  }
+
+  return {
+    provider: "travis",
+    path,
+    stages,
+    env: {},
+    triggers: Object.keys(triggers).length ? triggers : null,
+    jobs,
+    unmapped,
+  };
+}
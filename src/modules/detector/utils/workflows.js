@@ -0,0 +1,239 @@
+// src/modules/detector/utils/workflows.js
+import YAML from "yaml";
+
+// The workflow this app proposes; found in a repository it is ours to update, not existing CI
+export const GENERATED_WORKFLOW = ".github/workflows/pipeline-gen.yml";
+
+// What a workflow can do for a repository, in the order proposals list them
+export const CAPABILITIES = ["test", "lint", "build", "coverage", "cache", "security", "container", "deploy"];
+
+/**
+ * Capabilities per action (owner/repo[/path] without version); prefixes match sub-actions
+ * such as github/codeql-action/analyze
+ */
+const ACTION_CAPABILITIES = [
+  { action: /^actions\/cache(\/(restore|save))?$|^Swatinem\/rust-cache$|^gradle\/(actions\/setup-gradle|gradle-build-action)$/i, capability: "cache" },
+  { action: /^(github\/codeql-action|actions\/dependency-review-action|aquasecurity\/trivy-action|snyk\/actions|ossf\/scorecard-action|anchore\/scan-action|securego\/gosec|pypa\/gh-action-pip-audit|returntocorp\/semgrep-action|semgrep\/semgrep-action|zaproxy\/)/i, capability: "security" },
+  { action: /^(codecov\/codecov-action|coverallsapp\/github-action|py-cov-action\/)/i, capability: "coverage" },
+  { action: /^(golangci\/golangci-lint-action|github\/super-linter|super-linter\/super-linter|wearerequired\/lint-action|reviewdog\/|hadolint\/hadolint-action|rhysd\/actionlint)/i, capability: "lint" },
+  { action: /^docker\/build-push-action$|^redhat-actions\/buildah-build$/i, capability: "container" },
+  { action: /deploy|^azure\/k8s-deploy$|^helm\/|^superfly\/flyctl-actions/i, capability: "deploy" },
+];
+
+/**
+ * Capabilities per shell command; `name` also matches the step name (a `make ci` step called
+ * "Run tests" still tests)
+ */
+const RUN_CAPABILITIES = [
+  {
+    capability: "test",
+    name: /\btests?\b/i,
+    run: /\b(npm|pnpm|yarn|bun)\s+(run\s+)?test\b|\b(jest|vitest|mocha|ava|pytest|tox|nox|phpunit|pest|rspec|minitest|ctest)\b|\bgo test\b|\bcargo (test|nextest)\b|\bdotnet test\b|\bmvnw?\b[^\n]*\b(test|verify|install)\b|\bgradlew?\b[^\n]*\b(test|check|build)\b|\bpython3? -m (unittest|pytest)\b|\b(rake|deno|mix|make) test\b|\bbundle exec rake\b/i,
+  },
+  {
+    capability: "lint",
+    name: /\blint(ing)?\b/i,
+    run: /\b(eslint|flake8|ruff|pylint|mypy|golangci-lint|go vet|staticcheck|clippy|rubocop|phpcs|phpstan|psalm|checkstyle|spotless|tflint)\b|\b(npm|pnpm|yarn|bun)\s+(run\s+)?lint\b|\bblack --check\b|\bprettier (--check|-c)\b|\bcargo fmt\b[^\n]*--check|\bdotnet format\b[^\n]*--verify-no-changes|\bterraform fmt\b[^\n]*-check/i,
+  },
+  {
+    capability: "build",
+    run: /\b(npm|pnpm|yarn|bun)\s+(run\s+)?build\b|\bgo build\b|\bcargo build\b|\bdotnet (build|publish)\b|\bmvnw?\b[^\n]*\b(package|install|verify)\b|\bgradlew?\b[^\n]*\b(build|assemble)\b|\btsc\b|\bpython3? -m build\b|\b(poetry|uv) build\b/i,
+  },
+  {
+    capability: "coverage",
+    run: /--cov\b|--coverage\b|\bcoverage (run|xml|report|html)\b|\bjacoco|\btarpaulin\b|\bllvm-cov\b|XPlat Code Coverage|-coverprofile\b|\bc8\b|\bnyc\b|\bsimplecov\b/i,
+  },
+  {
+    capability: "security",
+    run: /\b(npm|pnpm|yarn) audit\b|\bpip-audit\b|\bsafety check\b|\bbandit\b|\bgosec\b|\bgovulncheck\b|\bcargo (audit|deny)\b|\bbundle(r)?[- ]audit\b|\bcomposer audit\b|\bdependency-check\b|\btrivy\b|\bgrype\b|\bsnyk\b|\bsemgrep\b|\bbrakeman\b/i,
+  },
+  {
+    capability: "container",
+    run: /\bdocker (buildx )?build\b|\bdocker compose build\b|\bbuildah bud\b|\bkaniko\b|\bjib(Build|DockerBuild)?\b/i,
+  },
+  {
+    capability: "deploy",
+    run: /\bkubectl (apply|rollout|set image)\b|\bhelm (upgrade|install)\b|\bterraform apply\b|\b(vercel|netlify|flyctl|fly|firebase|serverless|sls|wrangler)( \S+)* deploy\b|\bvercel\b[^\n]*--prod\b|\bgcloud (app|run|functions) deploy\b|\baz webapp\b|\baws (ecs update-service|s3 sync|cloudformation deploy)\b|\bgit push heroku\b/i,
+  },
+];
+
+// Setup actions whose own inputs turn dependency caching on
+const CACHE_INPUTS = {
+  "actions/setup-node": "cache",
+  "actions/setup-python": "cache",
+  "actions/setup-java": "cache",
+  "actions/setup-dotnet": "cache",
+  "ruby/setup-ruby": "bundler-cache",
+  "oven-sh/setup-bun": "cache",
+};
+
+/**
+ * parseUses — `owner/repo[/path]@ref` → { action, version }; local (./) and docker:// references
+ * have no version
+ */
+export function parseUses(uses) {
+  const value = String(uses || "").trim();
+  if (!value) return null;
+  if (value.startsWith("./") || value.startsWith("docker://")) return { action: value, version: null };
+  const at = value.lastIndexOf("@");
+  return at > 0 ? { action: value.slice(0, at), version: value.slice(at + 1) } : { action: value, version: null };
+}
+
+/**
+ * stepCapabilities — what one step contributes (test, lint, cache, security, ...), from its action,
+ * the action's caching inputs, its shell command and its name
+ */
+export function stepCapabilities(step) {
+  const out = new Set();
+  const ref = parseUses(step.uses);
+  if (ref) {
+    for (const def of ACTION_CAPABILITIES) if (def.action.test(ref.action)) out.add(def.capability);
+    const input = CACHE_INPUTS[ref.action];
+    const cache = input ? step.with?.[input] : undefined;
+    if (cache !== undefined && cache !== false && cache !== "false" && cache !== "") out.add("cache");
+    // setup-go caches by default since v4
+    if (ref.action === "actions/setup-go" && step.with?.cache !== false && majorOf(ref.version) >= 4) out.add("cache");
+  }
+  const run = typeof step.run === "string" ? commandsOf(step.run) : "";
+  if (run) {
+    for (const def of RUN_CAPABILITIES) {
+      if (def.run.test(run) || (def.name && def.name.test(step.name || ""))) out.add(def.capability);
+    }
+  }
+  return CAPABILITIES.filter((c) => out.has(c));
+}
+
+// `npm run lint || echo 'No lint script'` passes whether or not anything ran
+const PLACEHOLDER = /\|\|\s*(echo|true)\b/;
+
+/**
+ * commandsOf — the lines of a run script that do something, without placeholders guarded by `|| echo`
+ */
+function commandsOf(run) {
+  return run
+    .split("\n")
+    .filter((line) => !PLACEHOLDER.test(line))
+    .join("\n")
+    .trim();
+}
+
+/**
+ * isPlaceholder — a run step whose every command is guarded by `|| echo`
+ */
+export function isPlaceholder(step) {
+  return typeof step.run === "string" && step.run.trim() !== "" && !commandsOf(step.run);
+}
+
+/**
+ * majorOf — the major version of an action ref (v4, v4.1.2, 4) or null for branches and SHAs
+ */
+export function majorOf(version) {
+  const m = String(version || "").match(/^v?(\d+)(\.\d+){0,2}$/);
+  return m ? Number(m[1]) : null;
+}
+
+// `on:` as a string, a list or a map → the event names and the push / pull_request filters
+function parseTriggers(on) {
+  if (typeof on === "string") return { triggers: [on], branches: [], tags: [], schedule: [] };
+  if (Array.isArray(on)) return { triggers: on.map(String), branches: [], tags: [], schedule: [] };
+  if (!on || typeof on !== "object") return { triggers: [], branches: [], tags: [], schedule: [] };
+  const branches = new Set();
+  for (const event of ["push", "pull_request", "pull_request_target"]) {
+    for (const b of [].concat(on[event]?.branches || [])) branches.add(String(b));
+  }
+  return {
+    triggers: Object.keys(on),
+    branches: [...branches],
+    tags: [].concat(on.push?.tags || []).map(String),
+    schedule: [].concat(on.schedule || []).map((s) => s?.cron).filter(Boolean),
+  };
+}
+
+function parseStep(raw) {
+  const step = {
+    name: raw.name ? String(raw.name) : null,
+    uses: raw.uses ? String(raw.uses) : null,
+    action: null,
+    version: null,
+    run: typeof raw.run === "string" ? raw.run : null,
+    with: raw.with && typeof raw.with === "object" ? raw.with : null,
+    condition: raw.if !== undefined ? String(raw.if) : null,
+  };
+  const ref = parseUses(step.uses);
+  if (ref) Object.assign(step, ref);
+  step.capabilities = stepCapabilities(step);
+  return step;
+}
+
+function parseJob(id, raw) {
+  const strategy = raw.strategy && typeof raw.strategy === "object" ? raw.strategy : {};
+  const steps = Array.isArray(raw.steps) ? raw.steps.filter((s) => s && typeof s === "object").map(parseStep) : [];
+  // Reusable workflow calls have no steps; their version is tracked like an action's
+  const ref = raw.uses ? parseUses(raw.uses) : null;
+  const capabilities = new Set(steps.flatMap((s) => s.capabilities));
+  if (raw.environment) capabilities.add("deploy");
+  return {
+    id,
+    name: raw.name ? String(raw.name) : null,
+    runs_on: raw["runs-on"] ?? null,
+    needs: [].concat(raw.needs || []).map(String),
+    condition: raw.if !== undefined ? String(raw.if) : null,
+    permissions: raw.permissions ?? null,
+    environment: typeof raw.environment === "object" ? raw.environment?.name ?? null : raw.environment ?? null,
+    matrix: strategy.matrix ?? null,
+    services: raw.services && typeof raw.services === "object" ? Object.keys(raw.services) : [],
+    container: typeof raw.container === "object" ? raw.container?.image ?? null : raw.container ?? null,
+    uses: ref?.action ?? null,
+    version: ref?.version ?? null,
+    steps,
+    capabilities: CAPABILITIES.filter((c) => capabilities.has(c)),
+  };
+}
+
+/**
+ * parseWorkflow — one GitHub Actions workflow as triggers, permissions and jobs (runner, needs,
+ * matrix, services, steps with their actions and versions), plus the capabilities its steps cover
+ */
+export function parseWorkflow(text, path) {
+  const base = { path, generated: path === GENERATED_WORKFLOW };
+  let doc;
+  try {
+    doc = YAML.parse(text);
+  } catch (err) {
+    return { ...base, name: null, triggers: [], jobs: [], actions: [], capabilities: [], parse_error: err.message };
+  }
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return { ...base, name: null, triggers: [], jobs: [], actions: [], capabilities: [], parse_error: "not a workflow" };
+  }
+
+  const jobs = doc.jobs && typeof doc.jobs === "object" ? Object.entries(doc.jobs).filter(([, j]) => j && typeof j === "object").map(([id, j]) => parseJob(id, j)) : [];
+  const actions = [];
+  for (const job of jobs) {
+    if (job.uses) actions.push({ action: job.uses, version: job.version, job: job.id });
+    for (const step of job.steps) if (step.action) actions.push({ action: step.action, version: step.version, job: job.id });
+  }
+  const capabilities = new Set(jobs.flatMap((j) => j.capabilities));
+
+  return {
+    ...base,
+    name: doc.name ? String(doc.name) : null,
+    ...parseTriggers(doc.on),
+    permissions: doc.permissions ?? null,
+    jobs,
+    actions,
+    capabilities: CAPABILITIES.filter((c) => capabilities.has(c)),
+  };
+}
+
+/**
+ * analyzeWorkflows — every workflow under .github/workflows, parsed (see parseWorkflow)
+ */
+export async function analyzeWorkflows(files, readFile) {
+  const out = [];
+  for (const file of files.filter((f) => /^\.github\/workflows\/[^/]+\.ya?ml$/.test(f))) {
+    const text = await readFile(file);
+    if (text === null || text === undefined) continue;
+    out.push(parseWorkflow(text, file));
+  }
+  return out;
+}
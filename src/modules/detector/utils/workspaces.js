@@ -0,0 +1,92 @@
+// src/modules/detector/utils/workspaces.js
+import YAML from "yaml";
+import { matchesAny } from "./glob.js";
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+function dirOf(file) {
+  const i = file.lastIndexOf("/");
+  return i === -1 ? "." : file.slice(0, i);
+}
+
+/**
+ * discoverWorkspaces — read npm/yarn/pnpm workspaces, Nx, Turborepo and Lerna declarations
+ * and list every workspace package with its own scripts and dependencies.
+ * @param {string[]} files - repository file paths
+ * @param {(path: string) => Promise<string|null>} readFile - source reader
+ * @param {object|null} rootPkg - parsed root package.json, if any
+ */
+export async function discoverWorkspaces(files, readFile, rootPkg = null) {
+  const tools = [];
+  const patterns = [];
+  let turboTasks = [];
+
+  // npm / yarn / bun: "workspaces": [...] or { "packages": [...] }
+  const ws = rootPkg?.workspaces;
+  const pkgPatterns = Array.isArray(ws) ? ws : ws?.packages || [];
+  if (pkgPatterns.length) {
+    tools.push(files.includes("yarn.lock") ? "yarn-workspaces" : "npm-workspaces");
+    patterns.push(...pkgPatterns);
+  }
+
+  if (files.includes("pnpm-workspace.yaml")) {
+    try {
+      const doc = YAML.parse((await readFile("pnpm-workspace.yaml")) || "") || {};
+      tools.push("pnpm-workspaces");
+      patterns.push(...(doc.packages || []));
+    } catch {
+      tools.push("pnpm-workspaces");
+    }
+  }
+
+  if (files.includes("lerna.json")) {
+    const lerna = parseJson(await readFile("lerna.json")) || {};
+    tools.push("lerna");
+    // Lerna defaults to packages/* and defers to package-manager workspaces when asked to
+    if (!lerna.useWorkspaces || !pkgPatterns.length) patterns.push(...(lerna.packages || ["packages/*"]));
+  }
+
+  if (files.includes("turbo.json")) {
+    const turbo = parseJson(await readFile("turbo.json")) || {};
+    tools.push("turborepo");
+    turboTasks = Object.keys(turbo.tasks || turbo.pipeline || {});
+  }
+
+  // Nx: every project.json is a project, plus package-manager workspaces if declared
+  const nxProjectDirs = [];
+  if (files.includes("nx.json")) {
+    tools.push("nx");
+    for (const f of files) {
+      if (/(^|\/)project\.json$/.test(f) && !f.includes("node_modules/")) nxProjectDirs.push(dirOf(f));
+    }
+  }
+
+  if (!tools.length) return { tools, patterns, packages: [], turbo_tasks: [] };
+
+  const packageDirs = files
+    .filter((f) => /(^|\/)package\.json$/.test(f) && f !== "package.json" && !f.includes("node_modules/"))
+    .map(dirOf)
+    .filter((d) => matchesAny(d, patterns));
+
+  const packages = [];
+  for (const dir of [...new Set([...packageDirs, ...nxProjectDirs])].sort()) {
+    const pkg = packageDirs.includes(dir) ? parseJson(await readFile(`${dir}/package.json`)) || {} : {};
+    const project = nxProjectDirs.includes(dir) ? parseJson(await readFile(`${dir}/project.json`)) || {} : null;
+    packages.push({
+      name: pkg.name || project?.name || dir.split("/").pop(),
+      path: dir,
+      private: Boolean(pkg.private),
+      scripts: pkg.scripts || {},
+      dependencies: { ...pkg.dependencies, ...pkg.devDependencies },
+      ...(project ? { nx_targets: Object.keys(project.targets || {}) } : {}),
+    });
+  }
+
+  return { tools, patterns: [...new Set(patterns)], packages, turbo_tasks: turboTasks };
+}
@@ -0,0 +1,77 @@
+// src/modules/ecosystems/builtin/dotnet.js
+import { toolEvidence, versionEvidence } from "../../classifier/utils/explain.js";
+import { dotnetVersions } from "../../classifier/utils/versionMatrix.js";
+import { MANIFESTS, primaryProject } from "../../detector/utils/manifests.js";
+import { hasManifest, projectDir, projectTools } from "../utils/projects.js";
+
+function params(features, base, { primary, runtimeVersions, explain = () => {} }) {
+  const out = { ...base };
+  out.project_type = "dotnet";
+  out.language = "csharp";
+  out.package_manager = "nuget";
+  const dotnetProject = primary("dotnet");
+  const dir = projectDir(dotnetProject);
+  if (dir) out.working_directory = dotnetProject.path;
+  // Multi-targeted projects need every targeted SDK installed in the same job
+  const dotnetRt = dotnetVersions(runtimeVersions.dotnet);
+  out.dotnet_version = dotnetRt?.version || "8.0.x";
+  out.dotnet_versions = dotnetRt?.versions.length ? dotnetRt.versions : [out.dotnet_version];
+  explain("dotnet_version", versionEvidence(runtimeVersions.dotnet, out.dotnet_version));
+  if (out.dotnet_versions.length > 1) explain("dotnet_versions", "multi-targeted projects (TargetFrameworks)");
+  // A solution next to project files must be named explicitly, or dotnet refuses to pick one
+  const target = dotnetProject?.solution ? ` ${dotnetProject.solution.split("/").pop()}` : "";
+  out.install_command = `dotnet restore${target}${dotnetProject?.lockfile ? " --locked-mode" : ""}`;
+  out.build_command = `dotnet build${target} --no-restore --configuration Release`;
+  const solution = dotnetProject?.solution ? `solution ${dotnetProject.solution}` : "project file";
+  explain("install_command", `${solution}${dotnetProject?.lockfile ? `; ${dotnetProject.lockfile} (--locked-mode)` : ""}`);
+  explain("build_command", solution);
+
+  const tools = projectTools(features, dotnetProject) || [];
+  const tool = (name) => tools.find((t) => t.tool === name);
+  const withTarget = (command) => command.replace(/^dotnet (test|format)/, `dotnet $1${target}`);
+  out.test_command = tool("dotnet test") ? withTarget(tool("dotnet test").command) : "";
+  if (out.test_command && tool("coverlet")) {
+    out.coverage_command = withTarget(tool("coverlet").command);
+    out.coverage_report = `${dir}${tool("coverlet").report}`;
+  }
+  out.lint_command = tool("dotnet format") ? withTarget(tool("dotnet format").command) : "";
+  explain("test_command", out.test_command ? toolEvidence(tool("dotnet test")) : "no test project found");
+  explain("coverage_command", out.coverage_command ? toolEvidence(tool("coverlet")) : "");
+  explain("lint_command", out.lint_command ? toolEvidence(tool("dotnet format")) : "");
+  // setup-dotnet caches NuGet packages only with packages.lock.json
+  out.setup_cache = Boolean(dotnetProject?.lockfile);
+  out.cache_dependency_path = dotnetProject?.lockfile ? `${dir}**/packages.lock.json` : "";
+  explain("caching", out.setup_cache ? `setup-dotnet cache keyed on ${dotnetProject.lockfile}` : "no packages.lock.json; NuGet cache keyed on the project files");
+  out.caching = out.setup_cache
+    ? {}
+    : {
+        paths: ["~/.nuget/packages"],
+        key: `nuget-cache-\${{ hashFiles('${dir}**/*.csproj', '${dir}**/*.fsproj') }}`,
+        restore_key: "nuget-cache-",
+      };
+  return out;
+}
+
+export default {
+  name: "dotnet",
+  aliases: ["csharp"],
+  runtime: ".NET",
+  languages: ["c#", "f#"],
+  keywords: /\.csproj|\.sln|\(dotnet\)|c#|asp\.net/,
+
+  match: (files) => hasManifest(files, MANIFESTS.dotnet),
+
+  extractMetadata({ projects }) {
+    const p = primaryProject(projects, "dotnet");
+    return p
+      ? {
+          path: p.path,
+          solution: p.solution,
+          target_frameworks: p.target_frameworks,
+          test_projects: p.test_projects,
+        }
+      : {};
+  },
+
+  params,
+};
@@ -0,0 +1,79 @@
+// src/modules/ecosystems/builtin/go.js
+import { toolEvidence, versionEvidence } from "../../classifier/utils/explain.js";
+import { goVersions } from "../../classifier/utils/versionMatrix.js";
+import { MANIFESTS, primaryProject } from "../../detector/utils/manifests.js";
+import { hasManifest, projectDir, projectTools } from "../utils/projects.js";
+
+function params(features, base, { primary, runtimeVersions, explain = () => {} }) {
+  const out = { ...base };
+  out.project_type = "go";
+  out.language = "go";
+  out.package_manager = "go";
+  const goProject = primary("go");
+  const dir = projectDir(goProject);
+  if (dir) out.working_directory = goProject.path;
+  // go.mod "toolchain" / .go-version pin setup-go; the go directive is the matrix floor
+  const goRt = goVersions(runtimeVersions.go);
+  out.go_version = goRt?.version || "stable";
+  out.matrix = { go_versions: goRt?.matrix.length ? goRt.matrix : ["stable"] };
+  explain("go_version", versionEvidence(runtimeVersions.go, out.go_version));
+  explain("matrix", goRt?.matrix.length ? `from ${versionEvidence(runtimeVersions.go)}` : "no go directive; stable");
+  // setup-go keys its module/build cache on go.sum
+  out.setup_cache = Boolean(goProject?.lockfile);
+  out.cache_dependency_path = goProject?.lockfile || "";
+  explain("setup_cache", goProject?.lockfile ? `setup-go caches modules keyed on ${goProject.lockfile}` : "no go.sum; no module cache");
+
+  const tools = projectTools(features, goProject) || [];
+  const tool = (name) => tools.find((t) => t.tool === name);
+  out.vet_command = "go vet ./...";
+  // golangci-lint runs in its own job through the official action
+  out.golangci_lint = Boolean(tool("golangci-lint"));
+  if (out.golangci_lint) explain("golangci_lint", toolEvidence(tool("golangci-lint")));
+  const staticcheck = tool("staticcheck");
+  out.lint_command = staticcheck
+    ? (goProject?.go_tools || []).some((t) => t.includes("staticcheck"))
+      ? "go tool staticcheck ./..."
+      : "go run honnef.co/go/tools/cmd/staticcheck@latest ./..."
+    : "";
+  explain("lint_command", staticcheck ? toolEvidence(staticcheck) : "");
+  const hasTests = goProject ? goProject.has_tests : true;
+  explain("test_command", hasTests ? (tool("go test") ? toolEvidence(tool("go test")) : "_test.go files in the module") : "no _test.go files");
+  out.test_command = hasTests ? tool("go test")?.command || "go test -race -cover ./..." : "";
+  if (hasTests && tool("go cover")) {
+    out.coverage_command = tool("go cover").command;
+    out.coverage_report = `${dir}${tool("go cover").report}`;
+    explain("coverage_command", toolEvidence(tool("go cover")));
+  }
+  // Main packages build into bin/ (`go build -o dir` writes one binary per main package)
+  const mains = goProject?.main_packages || [];
+  out.build_command = mains.length ? "go build -o bin/ ./..." : "go build ./...";
+  explain("build_command", mains.length ? `main packages in ${mains.slice(0, 5).join(", ")}` : "no main package; compile check only");
+  out.artifact_path = mains.length ? `${dir}bin/` : "";
+  return out;
+}
+
+export default {
+  name: "go",
+  aliases: ["golang"],
+  runtime: "Go",
+  languages: ["go"],
+  keywords: /go\.mod|golang|\(go\)/,
+
+  match: (files) => hasManifest(files, MANIFESTS.go),
+
+  extractMetadata({ projects }) {
+    const p = primaryProject(projects, "go");
+    return p
+      ? {
+          path: p.path,
+          module: p.module,
+          go_version: p.go_version,
+          toolchain: p.toolchain,
+          main_packages: p.main_packages,
+          has_tests: p.has_tests,
+        }
+      : {};
+  },
+
+  params,
+};
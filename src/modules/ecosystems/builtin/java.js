@@ -0,0 +1,70 @@
+// src/modules/ecosystems/builtin/java.js
+import { commandEvidence, toolEvidence, versionEvidence } from "../../classifier/utils/explain.js";
+import { javaVersions } from "../../classifier/utils/versionMatrix.js";
+import { MANIFESTS, primaryProject } from "../../detector/utils/manifests.js";
+import { hasManifest, projectDir, projectTools } from "../utils/projects.js";
+
+function params(features, base, { primary, runtimeVersions, detectedFiles, explain = () => {} }) {
+  const out = { ...base };
+  out.project_type = "java";
+  out.language = "java";
+  // Toolchains pin one JDK; a compiler release supports it and later LTS releases
+  const javaRt = javaVersions(runtimeVersions.java);
+  out.java_version = javaRt?.version || "17";  // Fallback Java version
+  explain("java_version", versionEvidence(runtimeVersions.java, out.java_version));
+  const javaProject = primary("java");
+  const dir = projectDir(javaProject);
+  if (dir) out.working_directory = javaProject.path;
+  const hasPom = javaProject ? javaProject.build === "maven" : detectedFiles.includes("pom.xml");
+  const hasGradle = javaProject
+    ? javaProject.build === "gradle"
+    : detectedFiles.includes("build.gradle") || detectedFiles.includes("build.gradle.kts");
+  out.package_manager = hasPom ? "maven" : hasGradle ? "gradle" : null;
+  const descriptor = hasPom ? `${dir}pom.xml` : hasGradle ? `Gradle build in ${javaProject?.path || "."}` : "";
+  explain("package_manager", descriptor || "no build descriptor");
+  explain("build_command", descriptor ? `${descriptor}; tests run in their own step` : "no build descriptor; plain javac");
+  explain("test_command", descriptor ? `${out.package_manager} test task` : "no build descriptor; no test runner");
+  out.build_command = hasPom
+    ? "mvn -B -DskipTests package"
+    : hasGradle
+    ? "./gradlew build --no-daemon -x test"
+    : "javac -d out $(find src -name '*.java' 2>/dev/null)";
+  out.test_command = hasPom
+    ? "mvn test"
+    : hasGradle
+    ? "./gradlew test"
+    : "";
+  out.artifact_path = hasPom ? `${dir}target/` : hasGradle ? `${dir}build/` : "";
+  // Build plugins (checkstyle, spotbugs, pmd, jacoco) add lint and coverage goals
+  const tools = projectTools(features, javaProject) || [];
+  out.lint_command = tools.filter((t) => t.kind === "lint").map((t) => t.command).join(" && ");
+  explain("lint_command", commandEvidence(out.lint_command, tools));
+  const coverageTool = tools.find((t) => t.kind === "coverage");
+  if (coverageTool) {
+    out.coverage_command = coverageTool.command;
+    out.coverage_report = `${dir}${coverageTool.report}`;
+    explain("coverage_command", toolEvidence(coverageTool));
+  }
+  out.matrix = { java_versions: javaRt?.matrix.length ? javaRt.matrix : ["11", "17"] };  // Matrix for Java versions
+  explain("matrix", javaRt?.matrix.length ? `LTS releases from ${versionEvidence(runtimeVersions.java)}` : "no Java release declared; default matrix");
+  return out;
+}
+
+export default {
+  name: "java",
+  runtime: "Java",
+  languages: ["java"],
+  keywords: /maven|gradle|pom.xml|spring-boot/,
+
+  match: (files) => hasManifest(files, MANIFESTS.java),
+
+  extractMetadata({ projects }) {
+    const p = primaryProject(projects, "java");
+    if (!p) return {};
+    return p.build === "maven"
+      ? { path: p.path, build: "maven", spring_boot: p.spring_boot }
+      : { path: p.path, build: p.build };
+  },
+
+  params,
+};
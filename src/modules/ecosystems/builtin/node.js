@@ -0,0 +1,221 @@
+// src/modules/ecosystems/builtin/node.js
+import { toolEvidence, versionEvidence } from "../../classifier/utils/explain.js";
+import { githubPages, siteProject } from "../../classifier/utils/githubPages.js";
+import { nodeExecCommand, nodePackageManager, nodeScriptCommand } from "../../classifier/utils/packageManagers.js";
+import { nodeVersions } from "../../classifier/utils/versionMatrix.js";
+import { MANIFESTS, primaryProject } from "../../detector/utils/manifests.js";
+import { hasManifest, projectDir, projectTools } from "../utils/projects.js";
+
+// npm init's placeholder test script fails on purpose; it is not a test suite
+const PLACEHOLDER_TEST = /no test specified/i;
+
+/**
+ * nodeWorkspacePackages — per-package commands for npm/yarn/pnpm/Nx workspaces.
+ * A package gets a command only when it declares the script (or Nx target) itself.
+ */
+function nodeWorkspacePackages(workspaces = {}, packageManager = "npm") {
+  return (workspaces.packages || []).map((p) => {
+    const command = (script) => {
+      if (p.scripts?.[script]) return nodeScriptCommand(packageManager, script);
+      if ((p.nx_targets || []).includes(script)) return nodeExecCommand(packageManager, `nx run ${p.name}:${script}`);
+      return "";
+    };
+    return {
+      name: p.name,
+      path: p.path,
+      lint_command: command("lint"),
+      test_command: command("test"),
+      build_command: command("build"),
+    };
+  });
+}
+
+function params(features, base, { primary, runtimeVersions, hasDocker, explain = () => {} }) {
+  const out = { ...base };
+  out.project_type = "node";
+  out.language = "js";
+  const nodeMeta = features.build_and_dependency?.node_metadata || {};
+  // Version files pin setup-node; engines.node bounds the matrix
+  const nodeRt = nodeVersions(runtimeVersions.node);
+  out.node_version = nodeRt?.version || nodeMeta.nodeVersion || "18.x";
+  explain("node_version", versionEvidence(runtimeVersions.node, out.node_version));
+
+  const nodeProject = primary("node");
+  const dir = projectDir(nodeProject);
+  if (dir) out.working_directory = nodeProject.path;
+
+  // Lockfile-driven manager: install/run commands, setup-node cache and cache key
+  const { package_manager, package_manager_version, pnpm_version, install_command, run_command, setup_cache, lockfile, caching } =
+    nodePackageManager(nodeProject || nodeMeta);
+  Object.assign(out, { package_manager, package_manager_version, pnpm_version, install_command, run_command, setup_cache });
+  const manifest = `${dir}package.json`;
+  explain(
+    "package_manager",
+    package_manager_version
+      ? `packageManager ${package_manager}@${package_manager_version} in ${manifest}`
+      : nodeProject?.lockfile
+      ? `lockfile ${nodeProject.lockfile}`
+      : "no lockfile or packageManager field; npm"
+  );
+  explain("install_command", nodeProject?.lockfile ? `frozen install from ${nodeProject.lockfile}` : "no lockfile; unlocked install");
+  explain("setup_cache", setup_cache ? `setup-node caches ${package_manager} with ${nodeProject.lockfile}` : "");
+  explain("run_command", `${package_manager} runs the package.json scripts`);
+  explain(
+    "pnpm_version",
+    !pnpm_version
+      ? ""
+      : nodeProject?.lockfile_version
+      ? `lockfileVersion ${nodeProject.lockfile_version} in ${nodeProject.lockfile}`
+      : `no packageManager field or lockfileVersion; pnpm ${pnpm_version}`
+  );
+  // setup-node looks for the lockfile at the root unless told otherwise
+  if (nodeProject?.lockfile && nodeProject.lockfile.includes("/")) {
+    out.cache_dependency_path = nodeProject.lockfile;
+  }
+
+  // Prefer real scripts if present, then tools detected from dependencies/config files
+  const scripts = nodeMeta.scripts || {};
+  const tools = projectTools(features, nodeProject) || [];
+  const tool = (kind) => tools.find((t) => t.kind === kind);
+  const run = (script) => nodeScriptCommand(package_manager, script);
+  const exec = (command) => nodeExecCommand(package_manager, command);
+  const hasTests = scripts.test && !PLACEHOLDER_TEST.test(scripts.test);
+  const guarded = "guarded so the step passes";
+  explain(
+    "lint_command",
+    scripts.lint ? `scripts.lint exists in ${manifest}` : tool("lint") ? toolEvidence(tool("lint")) : `no lint script or lint tool; ${guarded}`
+  );
+  explain(
+    "test_command",
+    hasTests
+      ? `scripts.test exists in ${manifest}`
+      : tool("test")
+      ? toolEvidence(tool("test"))
+      : scripts.test
+      ? `scripts.test in ${manifest} is npm's placeholder; ${guarded}`
+      : `no test script or test tool; ${guarded}`
+  );
+  out.lint_command = scripts.lint
+    ? run("lint")
+    : tool("lint")
+    ? exec(tool("lint").command)
+    : `${run("lint")} || echo 'No lint script'`;
+  out.test_command = hasTests
+    ? run("test")
+    : tool("test")
+    ? exec(tool("test").command)
+    : `${run("test")} || echo 'No tests found'`;
+  // Coverage replaces the plain test run: a coverage script, a coverage wrapper around the tests, or jest/vitest --coverage
+  const coverageScript = ["test:coverage", "coverage", "test:cov"].find((s) => scripts[s]);
+  const coverageTool = tool("coverage");
+  if (coverageScript) {
+    out.coverage_command = run(coverageScript);
+  } else if (coverageTool && ["nyc", "c8"].includes(coverageTool.tool)) {
+    out.coverage_command = hasTests || tool("test") ? `${exec(coverageTool.command)} ${out.test_command}` : "";
+  } else if (coverageTool) {
+    out.coverage_command = exec(coverageTool.command);
+  }
+  if (out.coverage_command) out.coverage_report = `${dir}${coverageTool?.report || "coverage/"}`;
+  explain(
+    "coverage_command",
+    coverageScript ? `scripts["${coverageScript}"] exists in ${manifest}` : out.coverage_command ? toolEvidence(coverageTool) : ""
+  );
+  out.build_command = scripts.build ? run("build") : `${run("build")} || echo 'No build script'`;
+  // If there is no build script, do not upload artifacts (empty string disables the step)
+  const site = nodeProject?.static_site;
+  out.artifact_path = scripts.build ? `${dir}${site?.script === "build" ? site.output_dir : "dist"}/` : "";
+  explain("build_command", scripts.build ? `scripts.build exists in ${manifest}` : `no build script in ${manifest}; ${guarded}`);
+  if (out.artifact_path) explain("artifact_path", site?.script === "build" ? `${site.label} output directory` : "build output (dist/)");
+  out.matrix = { node_versions: nodeRt?.matrix.length ? nodeRt.matrix : ["16.x", "18.x", "20.x"] };
+  explain("matrix", nodeRt?.matrix.length ? `supported releases within ${versionEvidence(runtimeVersions.node)}` : "no engines.node range; default matrix");
+
+  out.caching = caching;
+  explain("caching", `${package_manager} cache keyed on ${lockfile}`);
+
+  // Static sites go to GitHub Pages from the default branch unless Vercel/Netlify already host them
+  out.pages = githubPages(siteProject(features.build_and_dependency?.projects), {
+    nodeVersion: out.node_version,
+    branch: base.deployment.branch,
+    deployTargets: base.deployment.targets,
+  });
+
+  // Workspaces → one matrix entry per package, each gated on its own path filter
+  const packages = nodeWorkspacePackages(features.build_and_dependency?.workspaces, package_manager);
+  if (packages.length > 1) {
+    explain("layout", `${packages.length} workspace packages (${(features.build_and_dependency.workspaces.tools || []).join(", ")})`);
+    out.layout = "monorepo";
+    out.workspace_tools = features.build_and_dependency.workspaces.tools || [];
+    out.packages = packages;
+    explain("workspace_tools", "workspace and task-runner configuration in the tree");
+    explain("packages", "scripts / Nx targets each workspace package declares itself");
+    explain("paths_filters", `one path filter per package, plus ${lockfile}`);
+    out.paths_filters = Object.fromEntries(
+      packages.map((p) => [p.path, [`${p.path}/**`, lockfile]])
+    );
+    // Nx computes the affected projects itself; the path filters are for the other workspace tools
+    if (out.workspace_tools.includes("nx")) {
+      out.nx_affected_command = exec("nx affected -t lint test build");
+      explain("nx_affected_command", "nx.json in the repository; Nx runs the targets of the affected projects");
+    }
+  }
+
+  if (hasDocker) {
+    explain("container", "Dockerfile in the repository; image pushed to Docker Hub");
+    // Prefer Docker Hub by default unless analyzer indicates GHCR or other registry references
+    const detectedRegistry = (features.containerization_and_deployment?.registry_reference) ?
+      (features.containerization_and_deployment?.registry_reference === true ? "docker.io" : "docker.io") : "docker.io";
+
+    const repoId = (features.repo || "OWNER/REPO");
+
+    out.container = {
+      ...out.container,
+      enabled: true,
+      image: `${detectedRegistry}/${repoId}`,
+      registry: detectedRegistry,
+      platforms: ["linux/amd64"],
+      cache: true,
+    };
+
+    // Secrets: Docker Hub uses username/password; GHCR typically uses GITHUB_TOKEN
+    explain("secrets_required", "registry login for the image push");
+    if (detectedRegistry.includes("ghcr.io")) {
+      out.secrets_required = [...out.secrets_required, "GITHUB_TOKEN"];
+    } else {
+      out.secrets_required = [...out.secrets_required, "DOCKER_USERNAME", "DOCKER_PASSWORD"];
+    }
+  }
+  return out;
+}
+
+export default {
+  name: "node",
+  aliases: ["js", "nodejs"],
+  runtime: "Node.js",
+  languages: ["javascript"],
+  languageConfidence: 0.7,
+  keywords: /npm|node|package.json|express|react/,
+
+  match: (files) => hasManifest(files, MANIFESTS.node),
+
+  // A package.json that only carries tooling config does not make a Node.js project
+  usesRuntime: ({ projects }) =>
+    projects.some((p) => p.ecosystem === "node" && Object.keys(p.dependencies).length),
+
+  extractMetadata({ projects }) {
+    const p = primaryProject(projects, "node");
+    return p
+      ? {
+          path: p.path,
+          scripts: p.scripts,
+          dependencies: p.dependencies,
+          engines: p.engines,
+          nodeVersion: p.nodeVersion,
+          package_manager: p.package_manager,
+          lockfile: p.lockfile,
+          static_site: p.static_site,
+        }
+      : {};
+  },
+
+  params,
+};
@@ -0,0 +1,71 @@
+// src/modules/ecosystems/builtin/php.js
+import { commandEvidence, toolEvidence, versionEvidence } from "../../classifier/utils/explain.js";
+import { phpVersions } from "../../classifier/utils/versionMatrix.js";
+import { MANIFESTS, primaryProject } from "../../detector/utils/manifests.js";
+import { hasManifest, projectDir, projectTools } from "../utils/projects.js";
+
+function params(features, base, { primary, runtimeVersions, explain = () => {} }) {
+  const out = { ...base };
+  out.project_type = "php";
+  out.language = "php";
+  out.package_manager = "composer";
+  const phpProject = primary("php");
+  const dir = projectDir(phpProject);
+  if (dir) out.working_directory = phpProject.path;
+  const phpRt = phpVersions(runtimeVersions.php);
+  out.php_version = phpRt?.version || "8.3";
+  out.matrix = { php_versions: phpRt?.matrix.length ? phpRt.matrix : ["8.3"] };
+  out.php_extensions = phpProject?.extensions || [];
+  explain("php_version", versionEvidence(runtimeVersions.php, out.php_version));
+  explain("matrix", phpRt?.matrix.length ? `supported releases within ${versionEvidence(runtimeVersions.php)}` : "no PHP constraint declared");
+  if (out.php_extensions.length) explain("php_extensions", `ext-* requirements in ${dir}composer.json`);
+  out.install_command = "composer install --prefer-dist --no-progress --no-interaction";
+  const composerLock = phpProject?.lockfile || `${dir}composer.json`;
+  explain("caching", `Composer cache keyed on ${composerLock}`);
+  out.caching = {
+    key: `composer-cache-\${{ hashFiles('${composerLock}') }}`,
+    restore_key: "composer-cache-",
+  };
+
+  // composer.json scripts are the project's own entry points; then detected tools
+  const scripts = phpProject?.scripts || {};
+  const tools = projectTools(features, phpProject) || [];
+  const lintScript = ["lint", "analyse", "analyze", "cs"].find((s) => scripts[s]);
+  out.lint_command = lintScript
+    ? `composer ${lintScript}`
+    : tools.filter((t) => t.kind === "lint" || t.kind === "format").map((t) => t.command).join(" && ");
+  const testTool = tools.find((t) => t.kind === "test");
+  out.test_command = scripts.test ? "composer test" : testTool?.command || "";
+  const script = (name) => `scripts.${name} exists in ${dir}composer.json`;
+  explain("lint_command", lintScript ? script(lintScript) : commandEvidence(out.lint_command, tools));
+  explain("test_command", scripts.test ? script("test") : testTool ? toolEvidence(testTool) : "no test script or test tool");
+  const coverageScript = ["test:coverage", "coverage", "test-coverage"].find((s) => scripts[s]);
+  if (coverageScript) {
+    out.coverage_command = `composer ${coverageScript}`;
+  } else if (testTool) {
+    out.coverage_command = `${testTool.command} --coverage-clover coverage.xml`;
+    out.coverage_report = `${dir}coverage.xml`;
+  }
+  explain("coverage_command", coverageScript ? script(coverageScript) : testTool ? `${toolEvidence(testTool)}; Clover report` : "");
+  // setup-php only loads a coverage driver when asked to
+  out.php_coverage = out.coverage_command ? "pcov" : "none";
+  return out;
+}
+
+export default {
+  name: "php",
+  runtime: "PHP",
+  languages: ["php"],
+  keywords: /composer\.json|\(php\)|laravel|symfony|\bphp\b/,
+
+  match: (files) => hasManifest(files, MANIFESTS.php),
+
+  extractMetadata({ projects }) {
+    const p = primaryProject(projects, "php");
+    return p
+      ? { path: p.path, type: p.type, php_constraint: p.php_constraint, extensions: p.extensions, scripts: p.scripts }
+      : {};
+  },
+
+  params,
+};
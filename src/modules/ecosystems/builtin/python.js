@@ -0,0 +1,111 @@
+// src/modules/ecosystems/builtin/python.js
+import { commandEvidence, versionEvidence } from "../../classifier/utils/explain.js";
+import { pythonPackageManager } from "../../classifier/utils/packageManagers.js";
+import { pythonCommands } from "../../classifier/utils/pythonCommands.js";
+import { pythonVersions } from "../../classifier/utils/versionMatrix.js";
+import { MANIFESTS, primaryProject } from "../../detector/utils/manifests.js";
+import { hasManifest, projectDir, projectTools } from "../utils/projects.js";
+
+function params(features, base, { primary, runtimeVersions, detectedFiles, explain = () => {} }) {
+  const out = { ...base };
+  out.project_type = "python";
+  out.language = "py";
+  const pythonMeta = features.build_and_dependency?.python_metadata || {};
+
+  const pythonProject = primary("python");
+  const dir = projectDir(pythonProject);
+  if (dir) out.working_directory = pythonProject.path;
+  const pythonManifests = pythonProject?.manifests || [];
+
+  // Lockfile-driven manager: pip, poetry, pipenv or uv
+  const { package_manager, install_command, run_prefix, setup_cache, lockfile, caching } =
+    pythonPackageManager(pythonProject || pythonMeta);
+  Object.assign(out, { package_manager, install_command, run_prefix });
+  // .python-version & co. pin setup-python; requires-python bounds the matrix
+  const pythonRt = pythonVersions(runtimeVersions.python);
+  out.python_version = pythonRt?.version || "3.11";  // Fallback version for setup-python when no matrix
+  explain("python_version", versionEvidence(runtimeVersions.python, out.python_version));
+  explain("install_command", pythonProject?.lockfile ? `locked install from ${pythonProject.lockfile}` : `${package_manager} install`);
+  explain(
+    "package_manager",
+    pythonProject?.lockfile ? `lockfile ${pythonProject.lockfile}` : `no lockfile; ${package_manager} (${pythonManifests.join(", ") || "no manifest"})`
+  );
+
+  // Commands come from declared/configured tools; "" lets the template fall back to its guarded probes
+  const tools = projectTools(features, pythonProject);
+  const commands = pythonCommands(pythonProject || pythonMeta, run_prefix, package_manager, tools);
+  out.lint_command = commands.lint_command;
+  out.test_command = commands.test_command;
+  out.coverage_command = commands.coverage_command;
+  if (commands.coverage_report) out.coverage_report = `${dir}${commands.coverage_report}`;
+  out.build_command = commands.build_command;
+  if (commands.install_command) out.install_command = commands.install_command;
+  out.tool_packages = commands.tool_packages;
+  const nothing = "no tool detected; the template probes for one";
+  explain("lint_command", commandEvidence(out.lint_command, tools || []) || nothing);
+  explain("test_command", commandEvidence(out.test_command, tools || []) || nothing);
+  explain("coverage_command", commandEvidence(out.coverage_command, tools || []));
+  explain(
+    "build_command",
+    out.build_command ? `${pythonProject?.build_backend ? `build backend ${pythonProject.build_backend}` : package_manager} project` : "no build backend declared"
+  );
+  if (commands.install_command) explain("install_command", "pyproject.toml without requirements.txt: editable install with the dev extras");
+  if (out.tool_packages.length) explain("tool_packages", "tools the commands run but the project does not install");
+  out.artifact_path = `${dir}dist/`;
+  out.matrix = {
+    python_versions: pythonRt?.matrix.length ? pythonRt.matrix : ["3.9", "3.10", "3.11"],
+  };
+  explain("matrix", pythonRt?.matrix.length ? `supported releases within ${versionEvidence(runtimeVersions.python)}` : "no requires-python; default matrix");
+  out.caching = caching;
+  explain("caching", `${package_manager} cache keyed on ${lockfile}`);
+  // Set dependency_file if requirements.txt is detected (used by pip-install.hbs template).
+  // It is relative to working_directory; cache_dependency_path is the repo-relative twin.
+  const hasRequirements = pythonProject
+    ? pythonManifests.includes("requirements.txt")
+    : detectedFiles.includes("requirements.txt");
+  out.dependency_file = hasRequirements ? "requirements.txt" : null;
+  if (hasRequirements && dir) out.cache_dependency_path = `${dir}requirements.txt`;
+  // setup-python's pip cache needs a requirements file; everything else uses the explicit cache step
+  out.setup_cache = setup_cache && hasRequirements ? setup_cache : "";
+  // Set pyproject if pyproject.toml is detected
+  out.pyproject = pythonProject
+    ? pythonManifests.includes("pyproject.toml")
+    : detectedFiles.includes("pyproject.toml");
+  return out;
+}
+
+export default {
+  name: "python",
+  aliases: ["py"],
+  runtime: "Python",
+  languages: ["python"],
+  languageConfidence: 0.7,
+  keywords: /python|requirements.txt|pip|flask|django|fastapi/,
+
+  match: (files) => hasManifest(files, MANIFESTS.python),
+
+  extractMetadata({ projects }) {
+    const p = primaryProject(projects, "python");
+    return p
+      ? {
+          path: p.path,
+          package_manager: p.package_manager,
+          lockfile: p.lockfile,
+          ...(p.requirements_raw === undefined
+            ? {}
+            : { requirements_raw: p.requirements_raw, packages: p.packages }),
+          dependencies: p.dependencies,
+          optional_dependencies: p.optional_dependencies,
+          requires_python: p.requires_python || null,
+          build_backend: p.build_backend || null,
+          build_tool: p.build_tool || null,
+          configured_tools: p.configured_tools,
+          tox_envs: p.tox_envs || null,
+          nox_sessions: p.nox_sessions || null,
+          has_pytest: p.has_pytest,
+        }
+      : {};
+  },
+
+  params,
+};
@@ -0,0 +1,60 @@
+// src/modules/ecosystems/builtin/ruby.js
+import { commandEvidence, toolEvidence, versionEvidence } from "../../classifier/utils/explain.js";
+import { rubyVersions } from "../../classifier/utils/versionMatrix.js";
+import { MANIFESTS, primaryProject } from "../../detector/utils/manifests.js";
+import { hasManifest, projectDir, projectTools } from "../utils/projects.js";
+
+function params(features, base, { primary, runtimeVersions, explain = () => {} }) {
+  const out = { ...base };
+  out.project_type = "ruby";
+  out.language = "ruby";
+  out.package_manager = "bundler";
+  const rubyProject = primary("ruby");
+  const dir = projectDir(rubyProject);
+  if (dir) out.working_directory = rubyProject.path;
+  const rubyRt = rubyVersions(runtimeVersions.ruby);
+  out.ruby_version = rubyRt?.version || "3.3";
+  out.matrix = { ruby_versions: rubyRt?.matrix.length ? rubyRt.matrix : ["3.3"] };
+  explain("ruby_version", versionEvidence(runtimeVersions.ruby, out.ruby_version));
+  explain("matrix", rubyRt?.matrix.length ? `supported releases within ${versionEvidence(runtimeVersions.ruby)}` : "no Ruby version declared");
+
+  const tools = projectTools(features, rubyProject) || [];
+  const tool = (kind) => tools.find((t) => t.kind === kind);
+  const rails = (rubyProject?.frameworks || []).includes("Rails");
+  out.lint_command = tools.filter((t) => t.kind === "lint").map((t) => t.command).join(" && ");
+  out.test_command = tool("test")
+    ? rails && tool("test").tool === "minitest"
+      ? "bin/rails test"
+      : tool("test").command
+    : rubyProject?.has_rakefile
+    ? "bundle exec rake"
+    : "";
+  explain("lint_command", commandEvidence(out.lint_command, tools));
+  explain(
+    "test_command",
+    tool("test")
+      ? `${toolEvidence(tool("test"))}${out.test_command === "bin/rails test" ? "; Rails app" : ""}`
+      : out.test_command
+      ? "Rakefile default task"
+      : "no test framework detected"
+  );
+  // SimpleCov hooks into the test run; there is no separate coverage command
+  if (out.test_command && tool("coverage")) out.coverage_report = `${dir}${tool("coverage").report}`;
+  return out;
+}
+
+export default {
+  name: "ruby",
+  runtime: "Ruby",
+  languages: ["ruby"],
+  keywords: /gemfile|\(ruby\)|\brails\b|\bruby\b/,
+
+  match: (files) => hasManifest(files, MANIFESTS.ruby),
+
+  extractMetadata({ projects }) {
+    const p = primaryProject(projects, "ruby");
+    return p ? { path: p.path, gems: p.gems, dev_gems: p.dev_gems, gemspec: p.gemspec } : {};
+  },
+
+  params,
+};
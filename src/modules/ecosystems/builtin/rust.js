@@ -0,0 +1,75 @@
+// src/modules/ecosystems/builtin/rust.js
+import { commandEvidence, versionEvidence } from "../../classifier/utils/explain.js";
+import { rustVersions } from "../../classifier/utils/versionMatrix.js";
+import { MANIFESTS, primaryProject } from "../../detector/utils/manifests.js";
+import { hasManifest, projectDir, projectTools } from "../utils/projects.js";
+
+function params(features, base, { primary, runtimeVersions, explain = () => {} }) {
+  const out = { ...base };
+  out.project_type = "rust";
+  out.language = "rust";
+  out.package_manager = "cargo";
+  const rustProject = primary("rust");
+  const dir = projectDir(rustProject);
+  if (dir) out.working_directory = rustProject.path;
+  // rust-toolchain pins one channel; rust-version (MSRV) is checked next to stable
+  const rustRt = rustVersions(runtimeVersions.rust);
+  out.rust_toolchain = rustRt?.version || "stable";
+  out.matrix = { rust_versions: rustRt?.matrix.length ? rustRt.matrix : ["stable"] };
+  explain("rust_toolchain", versionEvidence(runtimeVersions.rust, out.rust_toolchain));
+  explain("matrix", rustRt?.matrix.length > 1 ? `MSRV from ${versionEvidence(runtimeVersions.rust)}, plus stable` : "");
+  // Swatinem/rust-cache keys on Cargo.lock and caches target/ per workspace
+  out.cache_workspaces = dir ? `${rustProject.path} -> target` : "";
+
+  const tools = projectTools(features, rustProject) || [];
+  const tool = (name) => tools.find((t) => t.tool === name);
+  const workspace = rustProject?.workspace_members ? " --workspace" : "";
+  const locked = rustProject?.lockfile ? " --locked" : "";
+  const scoped = (command) => command.replace(/^cargo (\S+)/, `cargo $1${workspace}`);
+  out.fmt_command = tool("rustfmt")?.command || "cargo fmt --all -- --check";
+  out.lint_command = scoped(tool("clippy")?.command || "cargo clippy --all-targets --all-features -- -D warnings");
+  if (tool("cargo-deny")) out.lint_command += ` && ${tool("cargo-deny").command}`;
+  out.test_command = `${scoped((tool("cargo-nextest") || tool("cargo test"))?.command || "cargo test --all-features")}${locked}`;
+  out.install_tools = tools.filter((t) => ["cargo-nextest", "cargo-deny", "tarpaulin"].includes(t.tool)).map((t) =>
+    t.tool === "tarpaulin" ? "cargo-tarpaulin" : t.tool
+  );
+  if (tool("tarpaulin")) {
+    out.coverage_command = `${scoped(tool("tarpaulin").command)}`;
+    out.coverage_report = `${dir}${tool("tarpaulin").report}`;
+  }
+  out.build_command = `cargo build --release${workspace}${locked}`;
+  const flags = `${workspace ? "workspace members in Cargo.toml" : "single crate"}${locked ? `, ${rustProject.lockfile} committed (--locked)` : ""}`;
+  explain("lint_command", `${commandEvidence(out.lint_command, tools) || "clippy (rustup component)"}; ${flags}`);
+  explain("test_command", `${commandEvidence(out.test_command, tools) || "cargo test"}; ${flags}`);
+  explain("build_command", flags);
+  explain("coverage_command", commandEvidence(out.coverage_command, tools));
+  out.artifact_path =
+    rustProject?.has_binary && rustProject.crate ? `${dir}target/release/${rustProject.crate}` : "";
+  if (out.artifact_path) explain("artifact_path", `binary crate ${rustProject.crate}`);
+  return out;
+}
+
+export default {
+  name: "rust",
+  runtime: "Rust",
+  languages: ["rust"],
+  keywords: /cargo\.toml|\(rust\)|\brust\b/,
+
+  match: (files) => hasManifest(files, MANIFESTS.rust),
+
+  extractMetadata({ projects }) {
+    const p = primaryProject(projects, "rust");
+    return p
+      ? {
+          path: p.path,
+          crate: p.crate,
+          edition: p.edition,
+          rust_version: p.rust_version,
+          workspace_members: p.workspace_members,
+          has_binary: p.has_binary,
+        }
+      : {};
+  },
+
+  params,
+};
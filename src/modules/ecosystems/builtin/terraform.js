@@ -0,0 +1,148 @@
+// src/modules/ecosystems/builtin/terraform.js
+import { terraformVersion } from "../../classifier/utils/versionMatrix.js";
+import { IGNORED_DIRS } from "../../detector/utils/manifests.js";
+import { analyzeTerraform } from "../../detector/utils/terraform.js";
+
+const PRODUCTION = /^(prod|production|live)$/i;
+
+// Cloud credentials the plan/apply jobs need, from the providers and the state backend
+const CREDENTIALS = {
+  aws: { providers: ["aws"], backends: ["s3"], secrets: ["AWS_ROLE_ARN"], vars: ["AWS_REGION"] },
+  google: {
+    providers: ["google", "google-beta"],
+    backends: ["gcs"],
+    secrets: ["GCP_WORKLOAD_IDENTITY_PROVIDER", "GCP_SERVICE_ACCOUNT"],
+    vars: [],
+  },
+  azure: {
+    providers: ["azurerm", "azuread", "azapi"],
+    backends: ["azurerm"],
+    secrets: ["AZURE_CLIENT_ID", "AZURE_TENANT_ID", "AZURE_SUBSCRIPTION_ID"],
+    vars: [],
+  },
+  // HCP Terraform / Terraform Enterprise runs the plan remotely with its own credentials
+  hcp: { providers: [], backends: ["cloud", "remote"], secrets: ["TF_API_TOKEN"], vars: [] },
+};
+
+// Path of a repository file as seen from a root's working directory
+function relativeTo(dir, file) {
+  return dir === "." ? file : file.slice(dir.length + 1);
+}
+
+/**
+ * rootRuns — one plan/apply run per root and environment: envs/<env> roots are one environment each,
+ * a root with <env>.tfvars / <env>.tfbackend files runs once per environment file
+ */
+function rootRuns(root) {
+  const envs = root.environment
+    ? [root.environment]
+    : [...new Set([...root.var_files, ...root.backend_config_files].map((f) => f.environment).filter(Boolean))];
+  const shared = (list) => list.filter((f) => !f.environment);
+  const forEnv = (list, env) => list.filter((f) => f.environment === env || !f.environment);
+  return (envs.length ? envs : [null]).map((env) => {
+    const varFiles = env ? forEnv(root.var_files, env) : shared(root.var_files);
+    const backendFiles = env ? forEnv(root.backend_config_files, env) : shared(root.backend_config_files);
+    const init = [
+      "-input=false",
+      ...(root.has_lockfile ? ["-lockfile=readonly"] : []),
+      ...backendFiles.map((f) => `-backend-config=${relativeTo(root.dir, f.file)}`),
+    ];
+    return {
+      name: [root.dir === "." ? "root" : root.dir, ...(env && !root.environment ? [env] : [])].join(" · "),
+      dir: root.dir,
+      environment: env || "production",
+      init_args: init.join(" "),
+      plan_args: varFiles.map((f) => `-var-file=${relativeTo(root.dir, f.file)}`).join(" "),
+    };
+  });
+}
+
+function params(features, base, { detectedFiles, explain = () => {} }) {
+  let meta = features.build_and_dependency?.terraform_metadata || {};
+  // feature.json from before Terraform analysis: the configuration at the root, if there is one
+  if (!meta.roots?.length && detectedFiles.some((f) => /^[^/]+\.tf$/.test(f))) {
+    meta = { roots: [{ dir: ".", providers: [], var_files: [], backend_config_files: [] }], modules: [] };
+  }
+  if (!meta.roots?.length) return null;
+
+  const out = { ...base };
+  out.project_type = "terraform";
+  out.language = "hcl";
+  out.package_manager = null;
+
+  const providers = meta.roots.flatMap((r) => r.providers || []);
+  const backends = meta.roots.map((r) => r.backend).filter(Boolean);
+  const credentials = Object.fromEntries(
+    Object.entries(CREDENTIALS).map(([name, c]) => [
+      name,
+      c.providers.some((p) => providers.includes(p)) || c.backends.some((b) => backends.includes(b)),
+    ])
+  );
+  const used = Object.entries(CREDENTIALS).filter(([name]) => credentials[name]);
+
+  // Promotion order: everything else first, production last
+  const promotion = (runs) => runs.sort((a, b) => PRODUCTION.test(a.environment) - PRODUCTION.test(b.environment));
+  const runs = promotion(meta.roots.flatMap(rootRuns));
+  // Applying a root without a backend would leave its state on the runner
+  const applied = promotion(meta.roots.filter((r) => r.backend).flatMap(rootRuns));
+  const local = meta.roots.filter((r) => !r.backend).map((r) => r.dir);
+
+  const toolsDirs = [...meta.roots.map((r) => r.dir), ...(meta.modules || [])];
+  const tflintConfig = meta.tflint_config && !IGNORED_DIRS.test(meta.tflint_config) ? meta.tflint_config : null;
+  // --recursive resolves a relative --config per module directory; an absolute path applies the root config everywhere
+  const tflintArgs = tflintConfig ? ` --config "$GITHUB_WORKSPACE/${tflintConfig}"` : "";
+  // terraform test runs in the configuration directory; tests/ is where it looks by default
+  const testDirs = [
+    ...new Set((meta.tests || []).map((t) => (t.includes("/") ? t.slice(0, t.lastIndexOf("/")) : ".").replace(/(^|\/)tests$/, "") || ".")),
+  ];
+
+  out.terraform = {
+    version: terraformVersion({ pinned: meta.pinned_version, constraint: meta.required_version }),
+    branch: base.deployment.branch,
+    fmt_command: "terraform fmt -check -recursive -diff",
+    validate_dirs: toolsDirs,
+    tflint_init_command: tflintConfig ? `tflint --init${tflintArgs}` : "",
+    tflint_command: `tflint --recursive --format compact${tflintArgs}`,
+    test_dirs: testDirs,
+    plan_runs: runs,
+    apply_runs: applied,
+    apply_enabled: applied.length > 0,
+    credentials,
+    hcp: credentials.hcp,
+    id_token: credentials.aws || credentials.google || credentials.azure,
+    secrets: used.flatMap(([, c]) => c.secrets),
+    vars: used.flatMap(([, c]) => c.vars),
+    warnings: local.length
+      ? [`${local.join(", ")}: no backend block found — planned on pull requests but never applied (state would stay on the runner)`]
+      : [],
+  };
+  explain(
+    "terraform.version",
+    meta.pinned_version ? `pinned ${meta.pinned_version}` : meta.required_version ? `required_version ${meta.required_version}` : "no version declared; latest"
+  );
+  explain("terraform.plan_runs", `root modules ${meta.roots.map((r) => r.dir).join(", ")}`);
+  explain("terraform.apply_runs", applied.length ? "roots with a backend block" : "no root declares a backend; nothing is applied");
+  if (used.length) explain("terraform.credentials", `providers / backends: ${[...new Set([...providers, ...backends])].join(", ")}`);
+  if (tflintConfig) explain("terraform.tflint_command", `config ${tflintConfig}`);
+  out.lint_command = out.terraform.tflint_command;
+  explain("lint_command", "tflint over every root and local module");
+  if (out.terraform.secrets.length) explain("secrets_required", "cloud credentials the providers / backends need");
+  out.test_command = testDirs.length ? "terraform test" : "";
+  explain("test_command", testDirs.length ? `.tftest.hcl files in ${testDirs.join(", ")}` : "no .tftest.hcl files");
+  out.secrets_required = [...new Set([...base.secrets_required, ...out.terraform.secrets])];
+  return out;
+}
+
+export default {
+  name: "terraform",
+  aliases: ["tf", "hcl", "iac"],
+  runtime: "Terraform",
+  languages: ["hcl"],
+  keywords: /terraform|\.tf\b|\bhcl\b/,
+
+  match: (files) => files.some((f) => /\.tf$/i.test(f) && !IGNORED_DIRS.test(f) && !/(^|\/)\.terraform\//.test(f)),
+
+  extractMetadata: ({ files, readFile }) => analyzeTerraform(files, readFile),
+
+  params,
+};
@@ -0,0 +1,136 @@
+// src/modules/ecosystems/registry.js
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import dotnet from "./builtin/dotnet.js";
+import go from "./builtin/go.js";
+import java from "./builtin/java.js";
+import node from "./builtin/node.js";
+import php from "./builtin/php.js";
+import python from "./builtin/python.js";
+import ruby from "./builtin/ruby.js";
+import rust from "./builtin/rust.js";
+import terraform from "./builtin/terraform.js";
+
+/*
+ * Ecosystem plugin interface (see README "Ecosystem plugins"):
+ * - name:            label used by the classifier, values.project_type and templates/<name>/
+ * - match(files):    true when the repository contains this ecosystem (repo-relative paths)
+ * - extractMetadata({ files, readFile, projects }): stored as build_and_dependency.<name>_metadata
+ * - params(features, base, ctx): values.json for the templates (null to decline)
+ *                    ctx.explain(field, reason) records why a field got its value (explanation report)
+ * Optional:
+ * - runtime:         runtime name reported in build_and_dependency.runtimes ("Node.js")
+ * - usesRuntime({ files, projects }): whether that runtime is in use (default: match(files))
+ * - languages:       lowercased GitHub linguist names that hint at the ecosystem when dominant
+ * - languageConfidence: rule confidence for that hint (default 0.6)
+ * - rules(features, ctx): rule-detector candidates [{ label, confidence, reason }] computed in code;
+ *                    file / framework / dependency rules belong in a rule pack (classifier/rules/)
+ * - keywords:        RegExp over the rule summary, used by the heuristic zero-shot fallback
+ * - aliases:         other project_type values rendered with this ecosystem's templates
+ * - manifests + extractProject(dir, names, readFile, files): take part in per-directory project discovery
+ * - templatesDir:    absolute directory with basic-layout.hbs / intermediate.hbs (+ partials/)
+ */
+
+// Built-ins, in the order they claim a repository when the classifier did not choose one
+// (Terraform last: infrastructure next to an application does not make it a Terraform repository)
+const BUILTINS = [node, python, java, go, rust, dotnet, ruby, php, terraform];
+
+const plugins = new Map(BUILTINS.map((p) => [p.name, p]));
+let loading = null;
+
+function validatePlugin(plugin, origin) {
+  if (!plugin || typeof plugin.name !== "string" || !plugin.name) {
+    throw new Error(`❌ Invalid ecosystem plugin from ${origin}: missing "name"`);
+  }
+  for (const fn of ["match", "extractMetadata", "params"]) {
+    if (typeof plugin[fn] !== "function") {
+      throw new Error(`❌ Invalid ecosystem plugin "${plugin.name}" from ${origin}: "${fn}" must be a function`);
+    }
+  }
+  if (plugin.rules !== undefined && typeof plugin.rules !== "function") {
+    throw new Error(`❌ Invalid ecosystem plugin "${plugin.name}" from ${origin}: "rules" must be a function`);
+  }
+  if (plugin.manifests && typeof plugin.extractProject !== "function") {
+    throw new Error(`❌ Invalid ecosystem plugin "${plugin.name}" from ${origin}: "manifests" needs "extractProject"`);
+  }
+}
+
+/**
+ * registerEcosystem — add (or replace, by name) an ecosystem plugin
+ */
+export function registerEcosystem(plugin, origin = "code") {
+  validatePlugin(plugin, origin);
+  if (plugins.has(plugin.name)) console.warn(`⚠️ Ecosystem plugin "${plugin.name}" from ${origin} replaces the existing one`);
+  plugins.set(plugin.name, plugin);
+}
+
+/**
+ * listEcosystems — registered plugins, built-ins first
+ */
+export function listEcosystems() {
+  return [...plugins.values()];
+}
+
+/**
+ * findEcosystem — plugin by name or alias (e.g. "js" → node)
+ */
+export function findEcosystem(name) {
+  const key = String(name || "").toLowerCase();
+  return plugins.get(key) || listEcosystems().find((p) => (p.aliases || []).includes(key)) || null;
+}
+
+async function importPlugins(specifier, origin) {
+  const mod = await import(specifier);
+  const exported = mod.default ?? mod.plugins ?? mod.plugin;
+  const list = Array.isArray(exported) ? exported : [exported];
+  for (const plugin of list) registerEcosystem(plugin, origin);
+  return list.length;
+}
+
+/**
+ * loadEcosystemPlugins — register in-house plugins from a directory (every .js/.mjs file) and/or
+ * a list of modules (package names or paths). Defaults come from ECOSYSTEM_PLUGINS_DIR and
+ * ECOSYSTEM_PLUGINS (comma-separated). Each module default-exports a plugin or an array of plugins.
+ */
+export async function loadEcosystemPlugins(opts = {}) {
+  const dir = opts.dir ?? process.env.ECOSYSTEM_PLUGINS_DIR ?? null;
+  const modules =
+    opts.modules ??
+    (process.env.ECOSYSTEM_PLUGINS || "")
+      .split(",")
+      .map((m) => m.trim())
+      .filter(Boolean);
+
+  let count = 0;
+  if (dir) {
+    const absolute = path.resolve(dir);
+    const entries = await fs.readdir(absolute, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (!entry.isFile() || !/\.m?js$/.test(entry.name)) continue;
+      const file = path.join(absolute, entry.name);
+      count += await importPlugins(pathToFileURL(file).href, file);
+    }
+  }
+  for (const spec of modules) {
+    // Relative paths are resolved from the working directory, bare names through node_modules
+    const isPath = spec.startsWith(".") || path.isAbsolute(spec);
+    count += await importPlugins(isPath ? pathToFileURL(path.resolve(spec)).href : spec, spec);
+  }
+  if (count) console.log(`🧩 Loaded ${count} ecosystem plugin(s)`);
+  return listEcosystems();
+}
+
+/**
+ * ensureEcosystemPlugins — load configured plugins once per process; a failed load is not kept, so
+ * the next call tries again (after the plugin or its configuration is fixed)
+ */
+export function ensureEcosystemPlugins() {
+  if (!loading) {
+    loading = loadEcosystemPlugins().catch((err) => {
+      loading = null;
+      throw err;
+    });
+  }
+  return loading;
+}
@@ -0,0 +1,28 @@
+// src/modules/ecosystems/utils/projects.js
+import { IGNORED_DIRS, isManifest } from "../../detector/utils/manifests.js";
+
+/**
+ * hasManifest — true when any file (outside vendored trees) is named like one of the patterns.
+ * Names are compared case-insensitively: feature.json keeps detectedFiles lowercased.
+ */
+export function hasManifest(files, patterns) {
+  const lowered = patterns.map((p) => (typeof p === "string" ? p.toLowerCase() : p));
+  return files.some((f) => !IGNORED_DIRS.test(f) && isManifest(f.split("/").pop().toLowerCase(), lowered));
+}
+
+/**
+ * projectDir — path prefix ("" for the root) to turn project-relative paths into repo paths
+ */
+export function projectDir(project) {
+  return project && project.path && project.path !== "." ? `${project.path}/` : "";
+}
+
+/**
+ * projectTools — detected test/lint/coverage tools of one project (null for feature.json without a tool list)
+ */
+export function projectTools(features, project) {
+  const tools = features?.testing_and_linting?.tools;
+  if (!Array.isArray(tools)) return null;
+  const path = project?.path || ".";
+  return tools.filter((t) => t.project === path);
+}
@@ -0,0 +1,64 @@
+// src/modules/renderer/check.js
+import YAML from "yaml";
+import { classifyFeatures } from "../classifier/run.js";
+import { loadCorpus } from "../classifier/utils/localModel.js";
+import { renderValues } from "./render.js";
+
+const LAYOUTS = ["basic-layout.hbs", "intermediate.hbs"];
+
+/**
+ * checkTemplates — classify every feature.json of a corpus offline, render it with each layout, parse
+ * the workflow and check that every job's needs exist; returns the renders that fail as
+ * [{ file, layout, project_type, error }]
+ * @param {string} corpusDir - directory with labels.json (see loadCorpus)
+ * @param {object} opts - { only: project types to check (default: all) }
+ */
+export async function checkTemplates(corpusDir, opts = {}) {
+  const { only = [] } = opts;
+  const failures = [];
+  let checked = 0;
+  for (const e of await loadCorpus(corpusDir)) {
+    const values = await classifyFeatures(e.features, { offline: true, modelPath: null, log: () => {} });
+    if (only.length && !only.includes(values.project_type)) continue;
+    for (const layout of LAYOUTS) {
+      checked++;
+      try {
+        const doc = YAML.parseDocument(await renderValues(values, layout), { uniqueKeys: true });
+        if (doc.errors.length) throw doc.errors[0];
+        const jobs = doc.toJS()?.jobs;
+        if (!jobs) throw new Error("workflow has no jobs");
+        // GitHub rejects a workflow whose jobs need a job it does not define
+        for (const [id, job] of Object.entries(jobs)) {
+          if (job && Object.hasOwn(job, "needs") && !job.needs) throw new Error(`job ${id} has an empty needs`);
+          const missing = [].concat(job?.needs || []).filter((n) => !Object.hasOwn(jobs, n));
+          if (missing.length) throw new Error(`job ${id} needs missing job(s) ${missing.join(", ")}`);
+        }
+      } catch (err) {
+        failures.push({ file: e.file, layout, project_type: values.project_type, error: err.message.split("\n")[0] });
+      }
+    }
+  }
+  return { checked, failures };
+}
+
+// node src/modules/renderer/check.js <corpusDir> [--only python,node]
+if (process.argv[1] && process.argv[1].endsWith("check.js")) {
+  const args = process.argv.slice(2);
+  const i = args.indexOf("--only");
+  const only = i === -1 ? [] : args[i + 1].split(",").map((s) => s.trim()).filter(Boolean);
+  const corpusDir = args.filter((a, j) => !a.startsWith("--") && args[j - 1] !== "--only").pop();
+  if (!corpusDir) {
+    console.error("Usage: node src/modules/renderer/check.js <corpusDir> [--only python,node]");
+    process.exit(1);
+  }
+
+  try {
+    const { checked, failures } = await checkTemplates(corpusDir, { only });
+    for (const f of failures) console.error(`❌ ${f.file} (${f.project_type}, ${f.layout}): ${f.error}`);
+    if (failures.length) process.exit(1);
+    console.log(`✅ ${checked} rendered workflows parse as YAML`);
+  } catch (err) {
+    console.error("❌ Template check failed:", err.message);
+    process.exit(1);
+  }
+}
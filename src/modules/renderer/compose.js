@@ -0,0 +1,68 @@
+// src/modules/renderer/compose.js
+import YAML from "yaml";
+
+const EXPRESSION = /^\$\{\{\s*([\s\S]*?)\s*\}\}$/;
+
+/**
+ * stackJobs — the jobs of one stack's rendered workflow, ready to sit next to the other stacks':
+ * renamed <id>_<job> (with needs and needs.<job>.outputs references following), workflow-level env
+ * moved into each job, and entry jobs gated on the `changes` job's path filter for the stack
+ */
+export function stackJobs(workflow, stack) {
+  const doc = YAML.parseDocument(workflow);
+  const jobs = doc.get("jobs");
+  if (!YAML.isMap(jobs)) return [];
+  const names = new Set(jobs.items.map((pair) => String(pair.key.value ?? pair.key)));
+  const rename = (name) => (names.has(name) ? `${stack.id}_${name}` : name);
+  const workflowEnv = doc.get("env");
+
+  for (const pair of jobs.items) {
+    pair.key = doc.createNode(rename(String(pair.key.value ?? pair.key)));
+    const job = pair.value;
+    if (!YAML.isMap(job)) continue;
+
+    YAML.visit(job, {
+      Scalar(_, node) {
+        if (typeof node.value === "string") {
+          node.value = node.value.replace(/\bneeds\.([\w-]+)(?=\.)/g, (m, name) => `needs.${rename(name)}`);
+        }
+      },
+    });
+
+    const needs = job.get("needs");
+    if (YAML.isSeq(needs)) {
+      needs.items = needs.items.map((n) => doc.createNode(rename(String(n.value ?? n))));
+    } else if (needs) {
+      job.set("needs", rename(String(needs)));
+    } else {
+      // Jobs without needs start the stack: they run when its paths changed
+      const condition = `needs.changes.outputs.${stack.id} == 'true'`;
+      const existing = job.get("if");
+      const inner = existing ? String(existing).replace(EXPRESSION, "$1") : "";
+      job.delete("if");
+      job.items.splice(1, 0, doc.createPair("needs", "changes"), doc.createPair("if", inner ? `${condition} && (${inner})` : condition));
+    }
+
+    if (YAML.isMap(workflowEnv)) {
+      const env = job.get("env");
+      const merged = doc.createNode({ ...workflowEnv.toJSON(), ...(YAML.isMap(env) ? env.toJSON() : {}) });
+      if (env) job.set("env", merged);
+      else job.items.splice(1, 0, doc.createPair("env", merged));
+    }
+  }
+  return jobs.items;
+}
+
+/**
+ * composeWorkflow — the shared polyglot workflow (triggers, `changes` job, container / deploy jobs)
+ * with every stack's jobs inserted after the `changes` job
+ */
+export function composeWorkflow(shared, stacks) {
+  const doc = YAML.parseDocument(shared);
+  const jobs = doc.get("jobs");
+  const at = jobs.items.findIndex((pair) => String(pair.key.value ?? pair.key) === "changes") + 1;
+  const inserted = stacks.flatMap(({ jobs: pairs }) => pairs);
+  for (const pair of [...inserted, ...jobs.items.slice(at)]) pair.key.spaceBefore = true;
+  jobs.items.splice(at, 0, ...inserted);
+  return doc.toString({ lineWidth: 0, flowCollectionPadding: false });
+}
@@ -0,0 +1,347 @@
+// src/modules/renderer/drift.js
+import YAML from "yaml";
+import { CAPABILITIES, GENERATED_WORKFLOW, isPlaceholder, majorOf, parseWorkflow, stepCapabilities } from "../detector/utils/workflows.js";
+import { renderValues } from "./render.js";
+
+/**
+ * Current major versions of common actions, next to whatever the templates use; existing
+ * workflows pinned to an older major are proposed the upgrade (branch and SHA pins are left alone)
+ */
+const CURRENT_MAJORS = {
+  "actions/checkout": 4,
+  "actions/setup-node": 4,
+  "actions/setup-python": 5,
+  "actions/setup-java": 4,
+  "actions/setup-go": 5,
+  "actions/setup-dotnet": 4,
+  "actions/cache": 4,
+  "actions/upload-artifact": 4,
+  "actions/download-artifact": 4,
+  "actions/github-script": 7,
+  "actions/dependency-review-action": 4,
+  "github/codeql-action": 3,
+  "docker/build-push-action": 6,
+  "docker/login-action": 3,
+  "docker/metadata-action": 5,
+  "docker/setup-buildx-action": 3,
+  "docker/setup-qemu-action": 3,
+  "codecov/codecov-action": 5,
+};
+
+// CodeQL languages per ecosystem; interpreted languages need no build
+const CODEQL = {
+  node: { language: "javascript-typescript", build_mode: "none" },
+  python: { language: "python", build_mode: "none" },
+  ruby: { language: "ruby", build_mode: "none" },
+  java: { language: "java-kotlin", build_mode: "none" },
+  dotnet: { language: "csharp", build_mode: "none" },
+  go: { language: "go", build_mode: "autobuild" },
+};
+
+const ARTIFACT_ACTIONS = ["actions/upload-artifact", "actions/download-artifact"];
+
+// Release jobs never get a dependency cache: a poisoned cache would end up in what they publish
+const PUBLISH = /\b(npm|pnpm|yarn|bun) publish\b|\bnpx semantic-release\b|\btwine upload\b|\b(poetry|uv) publish\b|\bcargo publish\b|\bgem push\b|\bdotnet nuget push\b|\bmvnw?\b[^\n]*\bdeploy\b|\bgradlew?\b[^\n]*\bpublish\b/i;
+
+// Dependency caching goes into jobs that build or test, not release or deploy jobs
+function cacheable(job) {
+  return (
+    job.capabilities.some((c) => c === "test" || c === "build") &&
+    !job.capabilities.includes("deploy") &&
+    !job.steps.some((s) => s.run && PUBLISH.test(s.run))
+  );
+}
+
+/**
+ * artifactUpgradeHeld — why a workflow keeps upload/download-artifact below v4, or null. v4 artifacts
+ * are immutable: two uploads with the same name (a matrix job with a fixed name) fail, and v4
+ * downloads cannot read v3 uploads, so both move together or not at all.
+ */
+function artifactUpgradeHeld(wf) {
+  const names = [];
+  for (const job of wf.jobs) {
+    for (const step of job.steps) {
+      if (step.action !== "actions/upload-artifact") continue;
+      const name = String(step.with?.name ?? "artifact");
+      if (job.matrix && !/\bmatrix\./.test(name)) return `job \`${job.id}\` uploads \`${name}\` from every matrix entry`;
+      if (names.includes(name)) return `\`${name}\` is uploaded more than once`;
+      names.push(name);
+    }
+  }
+  return null;
+}
+
+// Sub-actions (github/codeql-action/init) are versioned with their repository
+function repoOf(action) {
+  return action.split("/").slice(0, 2).join("/");
+}
+
+function jobsOf(doc) {
+  const jobs = doc.get("jobs");
+  return YAML.isMap(jobs) ? jobs : null;
+}
+
+/**
+ * additionsWorkflow — the generated workflow cut down to what the existing ones lack: jobs with a
+ * step for a missing capability keep their setup steps and those steps, other jobs go (unless a kept
+ * job reads their outputs), and the security jobs join when nothing scans yet
+ */
+function additionsWorkflow(rendered, missing, covered, security, existing) {
+  const doc = YAML.parseDocument(rendered);
+  const jobs = jobsOf(doc);
+  if (!jobs) return null;
+
+  const keep = new Set();
+  for (const pair of jobs.items) {
+    const job = pair.value;
+    const steps = YAML.isMap(job) ? job.get("steps") : null;
+    if (!YAML.isSeq(steps)) continue;
+    const classified = steps.items.map((node) => {
+      const step = node.toJSON();
+      return { node, placeholder: isPlaceholder(step), capabilities: stepCapabilities(step) };
+    });
+    if (!classified.some((s) => s.capabilities.some((c) => missing.includes(c)))) continue;
+    // Steps that only repeat covered capabilities go, and so do `|| echo` placeholders; setup,
+    // install and upload steps stay
+    steps.items = classified
+      .filter((s) => !s.placeholder && (!s.capabilities.length || s.capabilities.some((c) => !covered.has(c))))
+      .map((s) => s.node);
+    keep.add(String(pair.key.value ?? pair.key));
+  }
+
+  // Kept jobs that read another job's outputs keep that job too
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const pair of jobs.items) {
+      if (!keep.has(String(pair.key.value ?? pair.key))) continue;
+      for (const m of String(pair.value).matchAll(/\bneeds\.([\w-]+)\.outputs\b/g)) {
+        if (!keep.has(m[1])) {
+          keep.add(m[1]);
+          grew = true;
+        }
+      }
+    }
+  }
+
+  jobs.items = jobs.items.filter((pair) => keep.has(String(pair.key.value ?? pair.key)));
+  for (const pair of jobs.items) {
+    const needs = YAML.isMap(pair.value) ? pair.value.get("needs") : null;
+    if (YAML.isSeq(needs)) {
+      needs.items = needs.items.filter((n) => keep.has(String(n.value ?? n)));
+      if (!needs.items.length) pair.value.delete("needs");
+    } else if (needs && !keep.has(String(needs))) {
+      pair.value.delete("needs");
+    }
+  }
+
+  if (security) {
+    const securityJobs = jobsOf(YAML.parseDocument(security));
+    for (const pair of securityJobs?.items || []) jobs.items.push(pair);
+  }
+  if (!jobs.items.length) return null;
+
+  doc.set("name", "CI additions");
+  doc.commentBefore = [
+    ` Generated by pipeline-gen: only what ${existing.join(", ")} do not cover yet`,
+    ` (${missing.join(", ")}); the existing workflows stay as they are.`,
+  ].join("\n");
+  return doc.toString({ lineWidth: 0, flowCollectionPadding: false });
+}
+
+// Text edits keep the existing file's formatting and comments intact
+function lineEnd(text, offset) {
+  const i = text.indexOf("\n", offset);
+  return i === -1 ? text.length : i;
+}
+
+function columnOf(text, offset) {
+  return offset - (text.lastIndexOf("\n", offset - 1) + 1);
+}
+
+/**
+ * patchWorkflow — the existing workflow with dependency caching switched on for setup steps
+ * (the generated workflow's cache input for the same action) and outdated actions upgraded
+ */
+function patchWorkflow(text, caches, upgrades) {
+  const inserts = [];
+  if (caches.length) {
+    const doc = YAML.parseDocument(text);
+    const jobs = jobsOf(doc);
+    for (const c of caches) {
+      const steps = jobs?.get(c.job)?.get?.("steps");
+      const step = YAML.isSeq(steps) ? steps.items[c.step] : null;
+      if (!YAML.isMap(step)) continue;
+      const inputs = { [c.input]: c.value, ...(c.dependency_path ? { "cache-dependency-path": c.dependency_path } : {}) };
+      const lines = (pad) => Object.entries(inputs).map(([k, v]) => `\n${pad}${k}: ${YAML.stringify(v).trim()}`).join("");
+      const withMap = step.get("with", true);
+      if (YAML.isMap(withMap) && !withMap.flow && withMap.items.length) {
+        const last = withMap.items[withMap.items.length - 1];
+        const pad = " ".repeat(columnOf(text, withMap.items[0].key.range[0]));
+        inserts.push({ at: lineEnd(text, (last.value ?? last.key).range[1] - 1), text: lines(pad) });
+      } else if (!withMap) {
+        const uses = step.items.find((p) => String(p.key.value ?? p.key) === "uses");
+        const pad = " ".repeat(columnOf(text, uses.key.range[0]));
+        inserts.push({ at: lineEnd(text, uses.value.range[1] - 1), text: `\n${pad}with:${lines(`${pad}  `)}` });
+      }
+    }
+  }
+
+  let out = text;
+  for (const ins of inserts.sort((a, b) => b.at - a.at)) out = out.slice(0, ins.at) + ins.text + out.slice(ins.at);
+  for (const u of upgrades) {
+    const escaped = `${u.action}@${u.from}`.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    out = out.replace(new RegExp(`(uses:\\s*["']?)${escaped}(?=["'\\s#]|$)`, "gm"), `$1${u.action}@${u.to}`);
+  }
+  return out === text ? null : out;
+}
+
+/**
+ * proposeChanges — what to open a pull request with, given the existing workflows (feature.json
+ * ci_cd.workflows) and the generated one:
+ * - no existing CI         → mode "create": the generated workflow as pipeline-gen.yml
+ * - existing CI            → mode "update": pipeline-gen.yml with only the missing capabilities
+ *   (tests, lint, coverage, security scanning, ...), plus the existing files with caching switched
+ *   on and outdated action versions upgraded
+ * - nothing missing or old → mode "none"
+ * `readFile(path)` reads the existing workflows (the analyzed source); `rendered` is the generated workflow.
+ */
+export async function proposeChanges({ features, values, rendered, readFile, template_type = "intermediate.hbs" }) {
+  const workflows = features?.ci_cd?.workflows || [];
+  const existing = workflows.filter((wf) => !wf.generated && !wf.parse_error && wf.jobs.length);
+  if (features?.derived?.ci_required !== false || !existing.length) {
+    return { mode: "create", existing: [], missing: [], upgrades: [], held: [], caches: [], files: [{ path: GENERATED_WORKFLOW, content: rendered }] };
+  }
+
+  const generated = parseWorkflow(rendered, GENERATED_WORKFLOW);
+  const covered = new Set(existing.flatMap((wf) => wf.capabilities));
+  const missing = generated.capabilities.filter((c) => c !== "cache" && !covered.has(c));
+
+  // Security scanning is proposed whenever no existing workflow scans
+  let security = null;
+  if (!covered.has("security")) {
+    const types = values.stacks?.length ? values.stacks.map((s) => s.values.project_type) : [values.project_type];
+    const codeql_languages = [...new Set(types)].map((t) => CODEQL[t]).filter(Boolean);
+    security = await renderValues({ ...values, stacks: undefined, layout: "security", codeql_languages }, template_type);
+    missing.push("security");
+  }
+  const reference = [generated, ...(security ? [parseWorkflow(security, GENERATED_WORKFLOW)] : [])];
+
+  // Newest major per action repository: the table, raised by whatever the templates use
+  const current = { ...CURRENT_MAJORS };
+  for (const a of reference.flatMap((wf) => wf.actions)) {
+    const major = majorOf(a.version);
+    if (major !== null && major > (current[repoOf(a.action)] || 0)) current[repoOf(a.action)] = major;
+  }
+
+  // Cache inputs the generated workflow sets on its setup steps, with the lockfile path when the
+  // lockfile is not at the root (setup-node / setup-python fail without it)
+  const cacheInputs = new Map();
+  for (const step of generated.jobs.flatMap((j) => j.steps)) {
+    if (!step.action || !step.with) continue;
+    for (const input of ["cache", "bundler-cache"]) {
+      if (step.with[input] === undefined || cacheInputs.has(step.action)) continue;
+      const dependency_path = step.with["cache-dependency-path"];
+      cacheInputs.set(step.action, { input, value: step.with[input], ...(dependency_path ? { dependency_path } : {}) });
+    }
+  }
+
+  const upgrades = [];
+  const held = [];
+  const caches = [];
+  const files = [];
+  for (const wf of existing) {
+    const wfUpgrades = [];
+    const seen = new Set();
+    const artifactHeld = artifactUpgradeHeld(wf);
+    for (const a of wf.actions) {
+      const major = majorOf(a.version);
+      const target = current[repoOf(a.action)];
+      const key = `${a.action}@${a.version}`;
+      if (major === null || !target || major >= target || seen.has(key)) continue;
+      seen.add(key);
+      if (artifactHeld && target >= 4 && ARTIFACT_ACTIONS.includes(a.action)) {
+        held.push({ path: wf.path, action: a.action, from: a.version, reason: artifactHeld });
+        continue;
+      }
+      wfUpgrades.push({ path: wf.path, job: a.job, action: a.action, from: a.version, to: `v${target}` });
+    }
+    const wfCaches = [];
+    for (const job of wf.jobs) {
+      if (job.capabilities.includes("cache") || !cacheable(job)) continue;
+      job.steps.forEach((step, i) => {
+        const cache = cacheInputs.get(step.action);
+        if (!cache || step.with?.[cache.input] !== undefined) return;
+        // A lockfile path the step already names is kept
+        const { dependency_path, ...rest } = cache;
+        const lockfile = step.with?.["cache-dependency-path"] === undefined ? dependency_path : undefined;
+        wfCaches.push({ path: wf.path, job: job.id, step: i, action: step.action, ...rest, ...(lockfile ? { dependency_path: lockfile } : {}) });
+      });
+    }
+    if (!wfUpgrades.length && !wfCaches.length) continue;
+
+    const text = await readFile(wf.path);
+    const content = text ? patchWorkflow(text, wfCaches, wfUpgrades) : null;
+    if (!content) continue;
+    upgrades.push(...wfUpgrades);
+    caches.push(...wfCaches);
+    files.push({ path: wf.path, content });
+  }
+
+  const additions = missing.length ? additionsWorkflow(rendered, missing, covered, security, existing.map((wf) => wf.path)) : null;
+  if (additions) files.unshift({ path: GENERATED_WORKFLOW, content: additions });
+
+  return {
+    mode: files.length ? "update" : "none",
+    existing: existing.map((wf) => wf.path),
+    covered: CAPABILITIES.filter((c) => covered.has(c)),
+    missing: additions ? missing : [],
+    upgrades,
+    held,
+    caches: caches.map(({ step, ...c }) => c),
+    files,
+  };
+}
+
+/**
+ * describeProposal — pull request title and markdown body for a proposal; `explanation` (Markdown,
+ * see classifier/utils/explain.js) is appended so reviewers see why each value was chosen
+ */
+export function describeProposal(proposal, { explanation = "" } = {}) {
+  const why = explanation ? ["", explanation] : [];
+  if (proposal.mode === "create") {
+    return {
+      title: "[pipeline-gen] Proposed CI workflow",
+      body: ["This PR was generated by pipeline-gen GitHub App. Please review and adjust as needed.", ...why].join("\n"),
+      message: "chore(ci): add generated CI workflow (pipeline-gen)",
+    };
+  }
+
+  const lines = [`Existing workflows: ${proposal.existing.map((p) => `\`${p}\``).join(", ")}.`];
+  if (proposal.covered.length) lines.push(`Already covered: ${proposal.covered.join(", ")}.`);
+  if (proposal.missing.length) {
+    lines.push("", `### Missing capabilities`, `\`${GENERATED_WORKFLOW}\` adds only: ${proposal.missing.join(", ")}.`);
+  }
+  if (proposal.caches.length) {
+    lines.push("", "### Dependency caching");
+    for (const c of proposal.caches) {
+      const lockfile = c.dependency_path ? ` and \`cache-dependency-path: ${c.dependency_path}\`` : "";
+      lines.push(`- \`${c.path}\` job \`${c.job}\`: \`${c.action}\` with \`${c.input}: ${c.value}\`${lockfile}`);
+    }
+  }
+  if (proposal.upgrades.length) {
+    lines.push("", "### Action upgrades");
+    for (const u of proposal.upgrades) lines.push(`- \`${u.path}\`: \`${u.action}\` ${u.from} → ${u.to}`);
+  }
+  if (proposal.held?.length) {
+    lines.push("", "### Upgrades held back");
+    for (const h of proposal.held) lines.push(`- \`${h.path}\`: \`${h.action}\` stays on ${h.from}; ${h.reason}`);
+  }
+  lines.push("", "This PR was generated by pipeline-gen GitHub App. Please review and adjust as needed.", ...why);
+
+  return {
+    title: "[pipeline-gen] Proposed CI improvements",
+    body: lines.join("\n"),
+    message: "chore(ci): extend existing CI workflows (pipeline-gen)",
+  };
+}
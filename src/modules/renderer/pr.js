@@ -1,5 +1,42 @@
 import { Octokit } from "octokit";
 
+// Branches the app opens its pull requests from; pushes to them are never analyzed
+export const BRANCH_PREFIX = "pipeline-gen/";
+
+// PUSH_BRANCHES / PUSH_TAGS: comma-separated names, "*" for all
+const listed = (value, name) => {
+  const names = (value || "").split(",").map((n) => n.trim()).filter(Boolean);
+  return names.includes("*") || names.includes(name);
+};
+
+/**
+ * pushTarget - the commit and branch a push event is analyzed for, or { skip } with the reason.
+ * Only pushes to the default branch count, plus the branches listed in PUSH_BRANCHES ("*" for every
+ * branch); the app's own pipeline-gen/* branches never do, or each pull request would open the next one.
+ * Tags listed in PUSH_TAGS are analyzed at the tagged commit, with the pull request against the default
+ * branch (a tag is no base to merge into); other tags are skipped, since the push of the commit they
+ * tag was analyzed already.
+ * @param {object} payload - push webhook payload
+ * @param {object} env - environment (PUSH_BRANCHES, PUSH_TAGS)
+ */
+export function pushTarget(payload, env = process.env) {
+  if (payload.deleted) return { skip: `ref ${payload.ref} was deleted` };
+  if (payload.ref?.startsWith("refs/tags/")) {
+    const tag = payload.ref.slice("refs/tags/".length);
+    if (!listed(env.PUSH_TAGS, tag)) return { skip: `tag ${tag} is not in PUSH_TAGS` };
+    // For an annotated tag `after` is the tag object; head_commit is the commit it points to
+    return { ref: payload.head_commit?.id || payload.after, branch: null, tag };
+  }
+  if (!payload.ref?.startsWith("refs/heads/")) return { skip: `${payload.ref} is not a branch or tag` };
+  const branch = payload.ref.slice("refs/heads/".length);
+  if (branch.startsWith(BRANCH_PREFIX)) return { skip: `${branch} is a pipeline-gen pull request branch` };
+  const defaultBranch = payload.repository?.default_branch;
+  if (branch !== defaultBranch && !listed(env.PUSH_BRANCHES, branch)) {
+    return { skip: `${branch} is not the default branch ${defaultBranch} (add it to PUSH_BRANCHES to analyze it)` };
+  }
+  return { ref: payload.after || payload.ref, branch };
+}
+
 /**
  * createPrForWorkflow - create a branch, add/update workflow file, and open a PR
  * @param {Octokit} octokit - authenticated Octokit instance (MUST be installation-scoped from app.auth(installationId))
@@ -8,19 +45,33 @@ import { Octokit } from "octokit";
  * @param {string} filePath - path in repo (e.g. .github/workflows/ci.yml)
  * @param {string} content - raw file content (string)
  * @param {string} branchName - optional branch name (auto-generated if omitted)
+ * @param {string} baseBranch - optional branch to open the PR against (repository default if omitted)
  */
-export async function createPrForWorkflow(octokit, owner, repo, filePath, content, branchName) {
+export async function createPrForWorkflow(octokit, owner, repo, filePath, content, branchName, baseBranch) {
+  return createPrForChanges(octokit, owner, repo, { files: [{ path: filePath, content }] }, branchName, baseBranch);
+}
+
+/**
+ * createPrForChanges - create a branch, add/update several files, and open a PR
+ * @param {Octokit} octokit - authenticated Octokit instance (MUST be installation-scoped from app.auth(installationId))
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} changes - { files: [{ path, content }], title?, body?, message? } (see drift.js describeProposal)
+ * @param {string} branchName - optional branch name (auto-generated if omitted)
+ * @param {string} baseBranch - optional branch to open the PR against (repository default if omitted)
+ */
+export async function createPrForChanges(octokit, owner, repo, changes, branchName, baseBranch) {
   if (!octokit) throw new Error("Octokit client required");
 
   // Debug: ensure this octokit is the installation-scoped client
   console.log("🔐 Auth type (should be installation token):", octokit?.auth);
 
-  // Get repository info to determine default branch
+  // Get repository info to determine the base branch
   const { data: repoInfo } = await octokit.request("GET /repos/{owner}/{repo}", { owner, repo });
-  const defaultBranch = repoInfo.default_branch || "main";
+  const base = baseBranch || repoInfo.default_branch || "main";
 
-  // Get sha of default branch
-  const ref = `heads/${defaultBranch}`;
+  // Get sha of base branch
+  const ref = `heads/${base}`;
   const { data: refData } = await octokit.request("GET /repos/{owner}/{repo}/git/ref/{ref}", {
     owner,
     repo,
@@ -30,7 +81,7 @@ export async function createPrForWorkflow(octokit, owner, repo, filePath, conten
 
   // Prepare branch name
   const time = new Date().toISOString().replace(/[:.]/g, "-");
-  const br = branchName || `pipeline-gen/ci-${time}`;
+  const br = branchName || `${BRANCH_PREFIX}ci-${time}`;
 
   // Create branch (ref)
   try {
@@ -48,36 +99,38 @@ export async function createPrForWorkflow(octokit, owner, repo, filePath, conten
     }
   }
 
-  // Create or update file on the new branch (use PUT /repos/{owner}/{repo}/contents/{path})
-  const contentBase64 = Buffer.from(content, "utf8").toString("base64");
+  // Create or update each file on the new branch (use PUT /repos/{owner}/{repo}/contents/{path})
+  for (const file of changes.files) {
+    const contentBase64 = Buffer.from(file.content, "utf8").toString("base64");
 
-  // Check if file exists to include SHA (required for updates)
-  let sha = undefined;
-  try {
-    const existing = await octokit.request(
-      "GET /repos/{owner}/{repo}/contents/{path}",
-      { owner, repo, path: filePath, ref: br }
-    );
-    sha = existing.data.sha;
-    console.log(`📝 File exists on branch ${br}, SHA: ${sha}`);
-  } catch (err) {
-    if (err.status !== 404) throw err;
-    console.log(`✨ File does not exist yet on branch ${br}, creating new`);
-  }
+    // Check if file exists to include SHA (required for updates)
+    let sha = undefined;
+    try {
+      const existing = await octokit.request(
+        "GET /repos/{owner}/{repo}/contents/{path}",
+        { owner, repo, path: file.path, ref: br }
+      );
+      sha = existing.data.sha;
+      console.log(`📝 File ${file.path} exists on branch ${br}, SHA: ${sha}`);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      console.log(`✨ File ${file.path} does not exist yet on branch ${br}, creating new`);
+    }
 
-  await octokit.request("PUT /repos/{owner}/{repo}/contents/{path}", {
-    owner,
-    repo,
-    path: filePath,
-    message: "chore(ci): add generated CI workflow (pipeline-gen)",
-    content: contentBase64,
-    branch: br,
-    sha, // only included if file exists (required for updates, omitted for creates)
-  });
+    await octokit.request("PUT /repos/{owner}/{repo}/contents/{path}", {
+      owner,
+      repo,
+      path: file.path,
+      message: changes.message || "chore(ci): add generated CI workflow (pipeline-gen)",
+      content: contentBase64,
+      branch: br,
+      sha, // only included if file exists (required for updates, omitted for creates)
+    });
+  }
 
   // Create a pull request
-  const prTitle = "[pipeline-gen] Proposed CI workflow";
-  const prBody = "This PR was generated by pipeline-gen GitHub App. Please review and adjust as needed.";
+  const prTitle = changes.title || "[pipeline-gen] Proposed CI workflow";
+  const prBody = changes.body || "This PR was generated by pipeline-gen GitHub App. Please review and adjust as needed.";
 
   try {
     // Check if PR already exists for this branch
@@ -101,7 +154,7 @@ export async function createPrForWorkflow(octokit, owner, repo, filePath, conten
     repo,
     title: prTitle,
     head: br,
-    base: defaultBranch,
+    base,
     body: prBody,
   });
 
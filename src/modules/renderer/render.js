@@ -3,6 +3,8 @@ import Handlebars from 'handlebars';
 import { promises as fs } from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from "url";
+import { ensureEcosystemPlugins, findEcosystem } from "../ecosystems/registry.js";
+import { composeWorkflow, stackJobs } from "./compose.js";
 
 async function registerHelpers() {
   Handlebars.registerHelper('eq', (a, b) => a === b);
@@ -12,6 +14,11 @@ async function registerHelpers() {
   Handlebars.registerHelper('contains', (arr, v) => Array.isArray(arr) && arr.includes(v));
   Handlebars.registerHelper('json', (ctx) => JSON.stringify(ctx));
   Handlebars.registerHelper('expr', v => `\${{ ${v} }}`);
+  // needs: of the jobs that are rendered: (jobList (and golangci_lint "lint") "build_test") → "[lint, build_test]" or "build_test"
+  Handlebars.registerHelper('jobList', (...args) => {
+    const jobs = args.slice(0, -1).filter(Boolean);
+    return jobs.length > 1 ? `[${jobs.join(', ')}]` : jobs[0] || '';
+  });
   Handlebars.registerHelper('indent', (text, spaces) => {
     const pad = ' '.repeat(spaces);
     return new Handlebars.SafeString(String(text).split('\n').map(l => (l ? pad + l : l)).join('\n'));
@@ -30,41 +37,87 @@ async function registerPartials(partialsDir) {
   }
 }
 
-export async function render(valuesPath, outPath,template_type) {
-  await registerHelpers();
+/**
+ * renderLayout — the workflow for one set of values: the ecosystem's layout (values.layout first,
+ * then template_type), else the generic one
+ */
+async function renderLayout(context, template_type) {
   const __dirname = path.dirname(fileURLToPath(import.meta.url));
-  const partialsDir = path.resolve(__dirname, "templates/gha/partials");
-
-
-  //here you can change values.json file : (py_values.json) is for python projects
-  // const valuesPath = path.resolve('outputs/values.json');
-  const valuesSrc = await fs.readFile(valuesPath, 'utf8');
-  const context = JSON.parse(valuesSrc);
   const projectType = (context.project_type || context.language || '').toLowerCase();
 
-  let langDir = 'generic';
-  if (projectType.includes('node') || projectType === 'js' || projectType === 'nodejs') langDir = 'node';
-  else if (projectType.includes('python') || projectType === 'py') langDir = 'python';
-  else if (projectType.includes('java')) langDir = 'java';
-  else if (projectType.includes('docker')) langDir = 'generic';
+  // Ecosystem plugins map project types (and aliases such as "js") to a template directory;
+  // plugins may ship their own templates instead of living under templates/<name>
+  const ecosystem = findEcosystem(projectType);
+  const langDir = ecosystem ? path.resolve(__dirname, ecosystem.templatesDir || `templates/${ecosystem.name}`) : path.resolve(__dirname, 'templates/generic');
 
   // change template type  as needed (basic-layout.hbs, intermediate.hbs)
   // const template_type='intermediate.hbs'
-  let layoutPath = path.resolve(__dirname, `templates/${langDir}/${template_type}`);
+  // values.layout (e.g. "monorepo") takes precedence when the language provides that layout;
+  // layouts for any language (e.g. "migration") live in the generic directory
+  const candidates = [
+    ...(context.layout ? [path.join(langDir, `${context.layout}.hbs`), path.resolve(__dirname, `templates/generic/${context.layout}.hbs`)] : []),
+    path.join(langDir, template_type),
+    path.resolve(__dirname, `templates/generic/${template_type}`),
+  ];
   // Fallback to generic intermediate if specific template not found
-  try {
-    await fs.access(layoutPath);
-  } catch (err) {
-    layoutPath = path.resolve(__dirname, `templates/generic/${template_type}`);
+  let layoutPath = path.resolve(__dirname, 'templates/generic/intermediate.hbs');
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      layoutPath = candidate;
+      break;
+    } catch (err) {
+      // try the next candidate
+    }
   }
-  // const outPath = path.resolve('outputs/ci.yml');
 
-  await registerPartials(partialsDir);
+  // Plugin partials register under the plugin's templates directory name, like gha/ does
+  if (ecosystem?.templatesDir) {
+    try {
+      await registerPartials(path.join(ecosystem.templatesDir, 'partials'));
+    } catch (err) {
+      // plugin without partials
+    }
+  }
 
   const layoutSrc = await fs.readFile(layoutPath, 'utf8');
   const template = Handlebars.compile(layoutSrc, { noEscape: true });
+  return template(context);
+}
+
+/**
+ * renderValues — the workflow for a values.json object: one layout, or for polyglot repositories
+ * every stack's jobs composed into the shared workflow
+ */
+export async function renderValues(context, template_type) {
+  await registerHelpers();
+  const __dirname = path.dirname(fileURLToPath(import.meta.url));
+  const partialsDir = path.resolve(__dirname, "templates/gha/partials");
+
+  await ensureEcosystemPlugins();
+  await registerPartials(partialsDir);
+
+  if (context.stacks?.length) {
+    // Polyglot repositories: each stack renders with its own layout, then its jobs join the shared workflow
+    const stacks = [];
+    for (const stack of context.stacks) {
+      stacks.push({ id: stack.id, jobs: stackJobs(await renderLayout(stack.values, template_type), stack) });
+    }
+    const stack_jobs = stacks.flatMap((s) => s.jobs.map((pair) => String(pair.key.value)));
+    return composeWorkflow(await renderLayout({ ...context, stack_jobs }, template_type), stacks);
+  }
+  return renderLayout(context, template_type);
+}
+
+export async function render(valuesPath, outPath,template_type) {
+  //here you can change values.json file : (py_values.json) is for python projects
+  // const valuesPath = path.resolve('outputs/values.json');
+  const valuesSrc = await fs.readFile(valuesPath, 'utf8');
+  const context = JSON.parse(valuesSrc);
+  // const outPath = path.resolve('outputs/ci.yml');
+
+  const output = await renderValues(context, template_type);
 
-  const output = template(context);
   await fs.mkdir(path.dirname(outPath), { recursive: true });
   await fs.writeFile(outPath, output, 'utf8');
 
@@ -1,8 +1,10 @@
 import fs from "fs/promises";
 import path from "node:path";
 import { classify } from "./modules/classifier/run.js";
-import { analyzeRepo } from "./modules/detector/repo-analyzer.js";
-import { createPrForWorkflow } from "./modules/renderer/pr.js";
+import { explainValues, explanationMarkdown } from "./modules/classifier/utils/explain.js";
+import { analyzeRepo, resolveSource } from "./modules/detector/repo-analyzer.js";
+import { describeProposal, proposeChanges } from "./modules/renderer/drift.js";
+import { createPrForChanges, pushTarget } from "./modules/renderer/pr.js";
 import { render } from "./modules/renderer/render.js";
 
 export default (app) => {
@@ -28,6 +30,12 @@ export default (app) => {
       const installationId = context.payload.installation?.id;
       console.log("🔑 Installation ID:", installationId);
       const [owner, repo] = context.payload.repository.full_name.split("/");
+      // Pin the analysis to the pushed commit and propose the pipeline against the pushed branch (the default branch for tags)
+      const { ref, branch, skip } = pushTarget(context.payload);
+      if (skip) {
+        console.log(`ℹ️ ${skip} — nothing to analyze`);
+        return;
+      }
 
       // Explicitly get an installation-scoped octokit with type: "installation" to ensure write permissions
       const installationOctokit = installationId ? await app.auth(installationId, { type: "installation" }) : context.octokit;
@@ -44,7 +52,7 @@ export default (app) => {
         if (e?.response?.data) console.error(e.response.data);
       }
 
-      await handleRepo(installationOctokit, owner, repo);
+      await handleRepo(installationOctokit, owner, repo, { ref, branch });
     } catch (err) {
       console.error(`❌ Error in handlePushEvent: ${err.message}`);
       console.error(err?.status ? `Status: ${err.status}` : "");
@@ -112,7 +120,7 @@ export default (app) => {
     }
   }
 
-  async function handleRepo(octokit, owner, repo) {
+  async function handleRepo(octokit, owner, repo, { ref = null, branch = null } = {}) {
     const repoUrl = `https://github.com/${owner}/${repo}`;
     const tmp = path.resolve("outputs");
     await fs.mkdir(tmp, { recursive: true });
@@ -120,14 +128,31 @@ export default (app) => {
     const valuesPath = path.join(tmp, "values.json");
     const ciOut = path.join(tmp, "ci.yml");
 
-    await analyzeRepo(repoUrl, featuresPath, { octokit });
+    await analyzeRepo(repoUrl, featuresPath, { octokit, ref });
     await classify(featuresPath, valuesPath);
     const template = process.env.DEFAULT_TEMPLATE || "intermediate.hbs";
     const rendered = await render(valuesPath, ciOut, template);
 
-    // Commit workflow and open PR
+    // Existing workflows are extended rather than duplicated: only missing capabilities, caching and upgrades
+    const features = JSON.parse(await fs.readFile(featuresPath, "utf8"));
+    const values = JSON.parse(await fs.readFile(valuesPath, "utf8"));
+    const source = resolveSource(repoUrl, { octokit, ref });
+    const proposal = await proposeChanges({ features, values, rendered, readFile: (p) => source.readFile(p), template_type: template });
+    if (proposal.mode === "none") {
+      console.log(`ℹ️ ${owner}/${repo}: existing workflows already cover the generated pipeline — no PR`);
+      return;
+    }
+
+    // Commit workflow changes and open PR
     try {
-      const pr = await createPrForWorkflow(octokit, owner, repo, ".github/workflows/pipeline-gen.yml", rendered);
+      const pr = await createPrForChanges(
+        octokit,
+        owner,
+        repo,
+        { files: proposal.files, ...describeProposal(proposal, { explanation: explanationMarkdown(explainValues(values)) }) },
+        undefined,
+        branch
+      );
       console.log(`✅ Created PR: ${pr.html_url}`);
     } catch (err) {
       console.error(`❌ Failed to create PR for ${owner}/${repo}: ${err.message || err}`);
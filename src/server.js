@@ -4,7 +4,11 @@ import express from "express";
 import fs from "fs/promises";
 import path from "node:path";
 import { classify } from "./modules/classifier/run.js";
-import { analyzeRepo } from "./modules/detector/repo-analyzer.js";
+import { explainValues, explanationMarkdown } from "./modules/classifier/utils/explain.js";
+import { analyzeRepo, resolveSource } from "./modules/detector/repo-analyzer.js";
+import { getOctokitForInstallation, getOctokitForPAT } from "./modules/github/auth.js";
+import { describeProposal, proposeChanges } from "./modules/renderer/drift.js";
+import { createPrForChanges, pushTarget } from "./modules/renderer/pr.js";
 import { render } from "./modules/renderer/render.js";
 
 dotenv.config();
@@ -42,13 +46,17 @@ app.post(
         for (const r of repos) {
           const repoUrl = r.html_url || r.url;
           console.log("Analyzing installed repo:", repoUrl);
-          await handleRepo(repoUrl, installationId, payload);
+          await handleRepo(repoUrl, installationId);
         }
       } else if (event === "push" || event === "repository") {
         const repo = payload.repository;
-        if (repo) {
+        // For push events, analyze the pushed commit and target the pushed branch (the default branch for tags)
+        const target = event === "push" ? pushTarget(payload) : {};
+        if (target.skip) {
+          console.log(`${target.skip} — nothing to analyze`);
+        } else if (repo) {
           const repoUrl = repo.html_url || repo.url;
-          await handleRepo(repoUrl, installationId, payload);
+          await handleRepo(repoUrl, installationId, target);
         }
       } else {
         console.log("Event not handled (for now)");
@@ -62,7 +70,7 @@ app.post(
   }
 );
 
-async function handleRepo(repoUrl, installationId = null, payload = null) {
+async function handleRepo(repoUrl, installationId = null, { ref = null, branch = null } = {}) {
   if (!repoUrl) return;
   const tmp = path.resolve("outputs");
   await fs.mkdir(tmp, { recursive: true });
@@ -95,18 +103,25 @@ async function handleRepo(repoUrl, installationId = null, payload = null) {
   }
 
   // Run analysis using the selected octokit
-  await analyzeRepo(repoUrl, featuresPath, { octokit });
+  await analyzeRepo(repoUrl, featuresPath, { octokit, ref });
   await classify(featuresPath, valuesPath);
 
   // pick a template automatically — simple default
   const template = process.env.DEFAULT_TEMPLATE || "intermediate.hbs";
   const rendered = await render(valuesPath, ciOut, template);
 
-  // If we have octokit and owner/repo, create PR with generated workflow
-  if (octokit && owner && repo) {
+  // Existing workflows are extended rather than duplicated: only missing capabilities, caching and upgrades
+  const features = JSON.parse(await fs.readFile(featuresPath, "utf8"));
+  const values = JSON.parse(await fs.readFile(valuesPath, "utf8"));
+  const source = resolveSource(repoUrl, { octokit, ref });
+  const proposal = await proposeChanges({ features, values, rendered, readFile: (p) => source.readFile(p), template_type: template });
+
+  // If we have octokit and owner/repo, create PR with the proposed workflow changes
+  if (proposal.mode === "none") {
+    console.log("Existing workflows already cover the generated pipeline — no PR.");
+  } else if (octokit && owner && repo) {
     try {
-      const workflowPath = ".github/workflows/pipeline-gen.yml";
-      const pr = await createPrForWorkflow(octokit, owner, repo, workflowPath, rendered);
+      const pr = await createPrForChanges(octokit, owner, repo, { files: proposal.files, ...describeProposal(proposal, { explanation: explanationMarkdown(explainValues(values)) }) }, undefined, branch);
       console.log("PR created:", pr.html_url);
     } catch (err) {
       console.error("Failed to create PR:", err.message || err);
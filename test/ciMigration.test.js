@@ -0,0 +1,82 @@
+// test/ciMigration.test.js
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import { migrateCi } from "../src/modules/classifier/utils/ciMigration.js";
+import { parseGitlabCi } from "../src/modules/detector/utils/gitlabCi.js";
+import { parseJenkinsfile } from "../src/modules/detector/utils/jenkinsfile.js";
+import { parseTravis } from "../src/modules/detector/utils/travisCi.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/ci/${name}`, import.meta.url), "utf8");
+const job = (migration, id) => migration.jobs.find((j) => j.id === id);
+
+describe("migrateCi", () => {
+  it("returns null without a config", () => {
+    assert.equal(migrateCi([]), null);
+  });
+
+  describe("GitLab CI", () => {
+    const migration = migrateCi([parseGitlabCi(fixture("gitlab-ci.yml"))]);
+
+    it("orders jobs by stage and passes artifacts on", () => {
+      assert.deepEqual(migration.jobs.map((j) => [j.id, j.needs]), [["build", []], ["test", ["build"]], ["deploy", ["test"]]]);
+      const upload = job(migration, "build").steps.at(-1);
+      assert.deepEqual(upload, { name: "Artifacts", condition: null, uses: "actions/upload-artifact@v4", with: { name: "build", path: "dist/", "retention-days": 7 } });
+      const download = job(migration, "test").steps.find((s) => s.uses === "actions/download-artifact@v4");
+      assert.deepEqual(download.with, { name: "build" });
+    });
+
+    it("adds health checks to known services", () => {
+      const [postgres] = job(migration, "test").services;
+      assert.equal(postgres.image, "postgres:16");
+      assert.deepEqual(postgres.ports, ["5432:5432"]);
+      assert.match(postgres.options, /pg_isready/);
+    });
+
+    it("asks for project variables as secrets and gates manual jobs on an environment", () => {
+      assert.deepEqual(migration.secrets, ["DEPLOY_TOKEN"]);
+      assert.deepEqual(job(migration, "deploy").env, { DEPLOY_TOKEN: "${{ secrets.DEPLOY_TOKEN }}" });
+      assert.deepEqual(job(migration, "deploy").environment, { name: "production", url: "https://example.com" });
+      assert.match(job(migration, "deploy").report.join("\n"), /required reviewers to the "production" environment/);
+    });
+
+    it("triggers on the default branch, pull requests and manual runs", () => {
+      assert.deepEqual(migration.triggers, { branches: ["main"], tags: [], pull_request: true, schedule: [], workflow_dispatch: true });
+      assert.deepEqual(migration.env, { NODE_ENV: "test" });
+    });
+  });
+
+  describe("Jenkins", () => {
+    const migration = migrateCi([parseJenkinsfile(fixture("Jenkinsfile"))]);
+    const steps = job(migration, "build").steps.filter((s) => s.run);
+
+    it("binds pipeline credentials on the job and stage credentials on its steps", () => {
+      assert.deepEqual(job(migration, "build").env, { CI: "true", NPM_TOKEN: "${{ secrets.NPM_TOKEN }}" });
+      assert.deepEqual(steps[2].env, {
+        REGISTRY: "registry.example.com",
+        REGISTRY_LOGIN: "${{ secrets.REGISTRY_LOGIN }}",
+        DEPLOY_KEY: "${{ secrets.DEPLOY_KEY }}",
+        DOCKER_USER: "${{ secrets.DOCKER_HUB_USR }}",
+        DOCKER_PASS: "${{ secrets.DOCKER_HUB_PSW }}",
+      });
+      assert.deepEqual(steps[3].env, { REGISTRY: "registry.example.com", REGISTRY_LOGIN: "${{ secrets.REGISTRY_LOGIN }}" });
+      assert.equal(steps[0].env, null);
+      assert.deepEqual(migration.secrets, ["DEPLOY_KEY", "DOCKER_HUB_PSW", "DOCKER_HUB_USR", "NPM_TOKEN", "REGISTRY_LOGIN"]);
+      assert.deepEqual(migration.vars, []);
+    });
+
+    it("keeps the schedule", () => {
+      assert.deepEqual(migration.triggers.schedule, ["0 2 * * 1-5"]);
+    });
+  });
+
+  it("migrates the first config with jobs and notes the others", () => {
+    const broken = parseGitlabCi("build: [");
+    const migration = migrateCi([broken, parseTravis(fixture("travis.yml")), parseGitlabCi(fixture("gitlab-ci.yml"))]);
+    assert.equal(migration.source.provider, "travis");
+    assert.deepEqual(migration.report.notes, [
+      `.gitlab-ci.yml: not parsed (${broken.parse_error})`,
+      ".gitlab-ci.yml: also present, not migrated",
+    ]);
+  });
+});
@@ -0,0 +1,149 @@
+// test/ciParsers.test.js
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import { parseCircleCi } from "../src/modules/detector/utils/circleCi.js";
+import { parseGitlabCi } from "../src/modules/detector/utils/gitlabCi.js";
+import { parseJenkinsfile } from "../src/modules/detector/utils/jenkinsfile.js";
+import { parseTravis } from "../src/modules/detector/utils/travisCi.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/ci/${name}`, import.meta.url), "utf8");
+const job = (config, name) => config.jobs.find((j) => j.name === name);
+const runs = (j) => j.steps.filter((s) => s.kind === "run");
+
+describe("parseGitlabCi", () => {
+  const config = parseGitlabCi(fixture("gitlab-ci.yml"));
+
+  it("reads stages, global variables and one job per key", () => {
+    assert.deepEqual(config.stages, [".pre", "build", "test", "deploy", ".post"]);
+    assert.deepEqual(config.env, { NODE_ENV: "test" });
+    assert.deepEqual(config.jobs.map((j) => j.name), ["build", "test", "deploy"]);
+  });
+
+  it("resolves anchors, extends and default:", () => {
+    assert.equal(runs(job(config, "build"))[0].run, "npm ci\nnpm run build");
+    assert.equal(runs(job(config, "test"))[0].run, "npm ci\nnpm test");
+    assert.equal(job(config, "test").image, "node:20");
+    assert.equal(job(config, "deploy").image, "alpine:3.20");
+  });
+
+  it("translates artifacts, caches and services", () => {
+    assert.deepEqual(job(config, "build").artifacts, { paths: ["dist/"], retention_days: 7, when: "on_success" });
+    const cache = job(config, "test").steps.find((s) => s.kind === "cache");
+    assert.deepEqual({ key: cache.key, paths: cache.paths }, { key: "npm", paths: [".npm/"] });
+    assert.deepEqual(job(config, "test").services.map((s) => [s.alias, s.service]), [["postgres", "postgres"]]);
+  });
+
+  it("turns rules into a condition and reports runner tags", () => {
+    const deploy = job(config, "deploy");
+    assert.equal(deploy.if, "github.ref == format('refs/heads/{0}', github.event.repository.default_branch)");
+    assert.equal(deploy.manual, true);
+    assert.deepEqual(deploy.environment, { name: "production", url: "https://example.com" });
+    assert.match(deploy.unmapped.join("\n"), /^tags: shell/);
+  });
+
+  it("returns the parse error of invalid YAML", () => {
+    assert.match(parseGitlabCi("build: [").parse_error, /./);
+  });
+});
+
+describe("parseCircleCi", () => {
+  const config = parseCircleCi(fixture("circleci.yml"));
+
+  it("takes the job order and filters from the workflow", () => {
+    assert.deepEqual(config.jobs.map((j) => [j.name, j.needs]), [["test", []], ["deploy", ["test"]]]);
+    assert.equal(job(config, "deploy").if, "github.ref == 'refs/heads/main'");
+    assert.match(job(config, "deploy").unmapped.join("\n"), /^context production/);
+  });
+
+  it("maps the executor's convenience image to a setup step and a service", () => {
+    const test = job(config, "test");
+    assert.deepEqual(test.setup, [{ tool: "node", version: "20.11" }]);
+    assert.equal(test.image, null);
+    assert.deepEqual(test.services.map((s) => s.image), ["cimg/redis:7.2"]);
+  });
+
+  it("pairs restore_cache with save_cache and keeps home directory paths", () => {
+    const caches = job(config, "test").steps.filter((s) => s.kind === "cache");
+    assert.equal(caches.length, 1);
+    assert.deepEqual(caches[0].paths, ["~/.npm"]);
+    assert.equal(caches[0].key, "deps-${{ hashFiles('package-lock.json') }}");
+    assert.deepEqual(caches[0].restore_keys, ["deps-"]);
+  });
+
+  it("names run steps and uploads test results", () => {
+    assert.deepEqual(runs(job(config, "test")).map((s) => s.name), ["npm ci", "Unit tests"]);
+    const upload = job(config, "test").steps.find((s) => s.kind === "upload");
+    assert.deepEqual(upload.paths, ["reports"]);
+    assert.equal(upload.condition, "always()");
+  });
+});
+
+describe("parseTravis", () => {
+  const config = parseTravis(fixture("travis.yml"));
+
+  it("expands the language versions into a matrix", () => {
+    const test = job(config, "test");
+    assert.deepEqual(test.matrix, { python: ["3.11", "3.12"] });
+    assert.deepEqual(test.setup, [{ tool: "python", version: "${{ matrix.python }}" }]);
+    assert.deepEqual(runs(test).map((s) => s.run), ["pip install -r requirements.txt", "pytest"]);
+  });
+
+  it("adds included jobs with their stage and condition", () => {
+    assert.deepEqual(config.stages, ["test", "deploy"]);
+    const deploy = config.jobs.find((j) => j.stage === "deploy");
+    assert.deepEqual(deploy.setup, [{ tool: "python", version: "3.12" }]);
+    assert.equal(runs(deploy).at(-1).run, "./deploy.sh");
+    assert.match(deploy.if, /\(github\.base_ref \|\| github\.ref_name\) == 'main' && github\.event_name == 'push'$/);
+  });
+
+  it("keeps services, global env and branch filters", () => {
+    assert.deepEqual(job(config, "test").services.map((s) => s.service), ["redis"]);
+    assert.deepEqual(job(config, "test").env, { PIPENV_VENV_IN_PROJECT: "1" });
+    assert.deepEqual(config.triggers, { branches: ["main"] });
+  });
+});
+
+describe("parseJenkinsfile", () => {
+  const config = parseJenkinsfile(fixture("Jenkinsfile"));
+  const [build] = config.jobs;
+
+  it("runs the stages in order as steps of one job", () => {
+    assert.equal(config.jobs.length, 1);
+    const names = runs(build).map((s) => s.name);
+    assert.deepEqual([names[0], names[1], names[3]], ["Install", "Test", "Publish: ./notify.sh"]);
+    assert.match(names[2], /^Publish: docker login .*\.\.\.$/);
+    assert.equal(runs(build)[1].working_directory, "backend");
+    assert.deepEqual(build.steps.find((s) => s.kind === "upload").paths, ["backend/reports/*.xml"]);
+  });
+
+  it("reads the agent, options and triggers", () => {
+    assert.equal(build.image, "node:20");
+    assert.equal(build.timeout_minutes, 30);
+    assert.equal(build.concurrency, "${{ github.workflow }}-${{ github.ref }}");
+    assert.deepEqual(config.triggers, { schedule: ["0 2 * * 1-5"] });
+  });
+
+  it("gives pipeline credentials to the job and stage credentials to the stage's steps", () => {
+    assert.deepEqual(build.env, { CI: "true" });
+    assert.deepEqual(build.secrets, { NPM_TOKEN: "NPM_TOKEN" });
+    const [, , publish, notify] = runs(build);
+    assert.equal(publish.condition, "github.ref == 'refs/heads/main'");
+    assert.deepEqual(publish.env, { REGISTRY: "registry.example.com" });
+    assert.deepEqual(publish.secrets, {
+      REGISTRY_LOGIN: "REGISTRY_LOGIN",
+      DEPLOY_KEY: "DEPLOY_KEY",
+      DOCKER_USER: "DOCKER_HUB_USR",
+      DOCKER_PASS: "DOCKER_HUB_PSW",
+    });
+    // withCredentials binds only inside its block
+    assert.deepEqual(notify.secrets, { REGISTRY_LOGIN: "REGISTRY_LOGIN" });
+    assert.equal(runs(build)[0].secrets, null);
+  });
+
+  it("keeps the sh steps of scripted pipelines and reports the rest", () => {
+    const scripted = parseJenkinsfile("node {\n  stage('Build') {\n    checkout scm\n    sh 'make'\n  }\n}\n");
+    assert.deepEqual(runs(scripted.jobs[0]).map((s) => [s.name, s.run]), [["Build", "make"]]);
+    assert.match(scripted.jobs[0].unmapped.join("\n"), /scripted pipeline/);
+  });
+});
@@ -0,0 +1,105 @@
+// test/drift.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import YAML from "yaml";
+import { isPlaceholder, parseWorkflow, stepCapabilities } from "../src/modules/detector/utils/workflows.js";
+import { proposeChanges } from "../src/modules/renderer/drift.js";
+
+// An existing workflow that tests and scans, without dependency caching
+const EXISTING = `name: CI
+on: [push]
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/setup-node@v4
+        with:
+          node-version: 20
+      - run: npm ci
+        working-directory: backend
+      - run: npm test
+        working-directory: backend
+  scan:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: github/codeql-action/init@v3
+      - uses: github/codeql-action/analyze@v3
+`;
+
+// The generated workflow for a repository whose only lockfile is backend/package-lock.json
+const GENERATED = `name: CI
+on: [push]
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/setup-node@v4
+        with:
+          node-version: "20"
+          cache: npm
+          cache-dependency-path: backend/package-lock.json
+      - run: npm ci
+      - run: npm test
+`;
+
+async function propose(existing, generated) {
+  const path = ".github/workflows/ci.yml";
+  const features = { derived: { ci_required: false }, ci_cd: { workflows: [parseWorkflow(existing, path)] } };
+  return proposeChanges({ features, values: { project_type: "node" }, rendered: generated, readFile: async () => existing });
+}
+
+const setupNode = (text) => YAML.parse(text).jobs.test.steps.find((s) => s.uses?.startsWith("actions/setup-node"));
+
+describe("proposeChanges caching", () => {
+  it("carries cache-dependency-path over with the cache input", async () => {
+    const proposal = await propose(EXISTING, GENERATED);
+    const ci = proposal.files.find((f) => f.path === ".github/workflows/ci.yml");
+    assert.deepEqual(setupNode(ci.content).with, { "node-version": 20, cache: "npm", "cache-dependency-path": "backend/package-lock.json" });
+    assert.equal(proposal.caches[0].dependency_path, "backend/package-lock.json");
+  });
+
+  it("adds a with: block when the setup step has none", async () => {
+    const proposal = await propose(EXISTING.replace("        with:\n          node-version: 20\n", ""), GENERATED);
+    const ci = proposal.files.find((f) => f.path === ".github/workflows/ci.yml");
+    assert.deepEqual(setupNode(ci.content).with, { cache: "npm", "cache-dependency-path": "backend/package-lock.json" });
+  });
+
+  it("keeps the lockfile path the existing step names", async () => {
+    const existing = EXISTING.replace("node-version: 20", "node-version: 20\n          cache-dependency-path: backend/npm-shrinkwrap.json");
+    const proposal = await propose(existing, GENERATED);
+    const ci = proposal.files.find((f) => f.path === ".github/workflows/ci.yml");
+    assert.equal(setupNode(ci.content).with["cache-dependency-path"], "backend/npm-shrinkwrap.json");
+  });
+
+  it("adds no lockfile path when the lockfile is at the root", async () => {
+    const proposal = await propose(EXISTING, GENERATED.replace("          cache-dependency-path: backend/package-lock.json\n", ""));
+    const ci = proposal.files.find((f) => f.path === ".github/workflows/ci.yml");
+    assert.deepEqual(setupNode(ci.content).with, { "node-version": 20, cache: "npm" });
+  });
+});
+
+describe("proposeChanges capabilities", () => {
+  // Lint is guarded by a no-op fallback; the build step is what the existing workflow lacks
+  const placeholders = GENERATED.replace(
+    "      - run: npm test\n",
+    "      - run: npm run lint || echo 'No lint script'\n      - run: npm test\n      - run: npm run build\n",
+  );
+
+  it("does not count a step guarded by || echo as a capability", async () => {
+    const proposal = await propose(EXISTING, placeholders);
+    assert.deepEqual(proposal.missing, ["build"]);
+    const additions = proposal.files.find((f) => f.path === ".github/workflows/pipeline-gen.yml");
+    assert.doesNotMatch(additions.content, /npm run lint/);
+    assert.match(additions.content, /npm run build/);
+  });
+
+  it("ignores only the guarded lines of a run script", () => {
+    assert.deepEqual(stepCapabilities({ run: "npm run lint || echo 'No lint script'" }), []);
+    assert.deepEqual(stepCapabilities({ name: "Lint", run: "npm run lint || true" }), []);
+    assert.deepEqual(stepCapabilities({ run: "npm run lint || echo 'No lint script'\nnpm test" }), ["test"]);
+    assert.equal(isPlaceholder({ run: "pytest || echo 'No tests'" }), true);
+    assert.equal(isPlaceholder({ run: "pytest" }), false);
+  });
+});
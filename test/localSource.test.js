@@ -0,0 +1,42 @@
+// test/localSource.test.js
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createLocalSource } from "../src/modules/detector/utils/localSource.js";
+
+describe("createLocalSource revision", () => {
+  let dir;
+  let sha;
+  const git = (...args) => execFileSync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], { cwd: dir, encoding: "utf8" }).trim();
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "local-source-"));
+    git("init", "-q");
+    await fs.writeFile(path.join(dir, "package.json"), '{ "name": "app" }\n');
+    git("add", "-A");
+    git("commit", "-qm", "init");
+    sha = git("rev-parse", "HEAD");
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it("is clean when the work tree matches HEAD", async () => {
+    assert.deepEqual(await createLocalSource(dir).getRevision(), { ref: "HEAD", sha, dirty: false });
+  });
+
+  it("is dirty with modified or untracked files", async () => {
+    await fs.writeFile(path.join(dir, "package.json"), '{ "name": "app", "scripts": { "test": "node --test" } }\n');
+    assert.equal((await createLocalSource(dir).getRevision()).dirty, true);
+    git("checkout", "--", "package.json");
+    await fs.mkdir(path.join(dir, "src"));
+    await fs.writeFile(path.join(dir, "src", "index.js"), "export {};\n");
+    assert.equal((await createLocalSource(dir).getRevision()).dirty, true);
+  });
+
+  it("reads a pinned ref from objects, which cannot be dirty", async () => {
+    assert.deepEqual(await createLocalSource(dir, { ref: sha }).getRevision(), { ref: sha, sha });
+  });
+});
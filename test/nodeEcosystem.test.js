@@ -0,0 +1,41 @@
+// test/nodeEcosystem.test.js
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+import { adaptiveExtract } from "../src/modules/classifier/utils/paramExtractor.js";
+
+const corpus = (name) => JSON.parse(fs.readFileSync(new URL(`../src/modules/classifier/corpus/${name}`, import.meta.url), "utf8"));
+
+// vite.json as a pnpm + Nx workspace: apps/web declares its build script, libs/a only Nx targets
+function nxWorkspace() {
+  const features = corpus("vite.json");
+  const bd = features.build_and_dependency;
+  bd.projects = bd.projects.map((p) => ({ ...p, package_manager: "pnpm", lockfile: "pnpm-lock.yaml" }));
+  bd.workspaces = {
+    tools: ["pnpm-workspaces", "nx"],
+    patterns: ["apps/*", "libs/*"],
+    packages: [
+      { name: "web", path: "apps/web", scripts: { build: "vite build" }, dependencies: {} },
+      { name: "a", path: "libs/a", scripts: {}, dependencies: {}, nx_targets: ["lint", "test"] },
+    ],
+    turbo_tasks: [],
+  };
+  return features;
+}
+
+const none = { name: "stub", model: "canned", generate: async () => "{}" };
+
+describe("node workspace packages", () => {
+  it("runs Nx targets and scripts through the workspace's package manager", async () => {
+    const values = await adaptiveExtract(nxWorkspace(), { chosen: ["node"], primary: "node" }, { provider: none });
+    assert.equal(values.layout, "monorepo");
+    assert.deepEqual(
+      values.packages.map((p) => [p.name, p.lint_command, p.test_command, p.build_command]),
+      [
+        ["web", "", "", "pnpm run build"],
+        ["a", "pnpm exec nx run a:lint", "pnpm exec nx run a:test", ""],
+      ],
+    );
+    assert.equal(values.nx_affected_command, "pnpm exec nx affected -t lint test build");
+  });
+});
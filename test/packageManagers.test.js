@@ -0,0 +1,28 @@
+// test/packageManagers.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { nodePackageManager, pnpmMajor } from "../src/modules/classifier/utils/packageManagers.js";
+
+describe("pnpmMajor", () => {
+  it("maps the lockfileVersion of pnpm-lock.yaml to the pnpm major that writes it", () => {
+    assert.equal(pnpmMajor("5.3"), 6);
+    assert.equal(pnpmMajor("5.4"), 7);
+    assert.equal(pnpmMajor("6.0"), 8);
+    assert.equal(pnpmMajor("6.1"), 8);
+    assert.equal(pnpmMajor("9.0"), 9);
+  });
+
+  it("falls back to 9 without a known lockfileVersion", () => {
+    assert.equal(pnpmMajor(null), 9);
+    assert.equal(pnpmMajor("42.0"), 9);
+  });
+});
+
+describe("nodePackageManager", () => {
+  it("pins pnpm from the lockfile only without a packageManager field", () => {
+    const project = { package_manager: "pnpm", lockfile: "pnpm-lock.yaml", lockfile_version: "6.0" };
+    assert.equal(nodePackageManager(project).pnpm_version, 8);
+    assert.equal(nodePackageManager({ ...project, package_manager_version: "8.15.4" }).pnpm_version, null);
+    assert.equal(nodePackageManager({ package_manager: "npm", lockfile: "package-lock.json" }).pnpm_version, null);
+  });
+});
@@ -0,0 +1,42 @@
+// test/paramExtractor.test.js
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+import { adaptiveExtract, commandScripts } from "../src/modules/classifier/utils/paramExtractor.js";
+
+const corpus = (name) => JSON.parse(fs.readFileSync(new URL(`../src/modules/classifier/corpus/${name}`, import.meta.url), "utf8"));
+
+// vite.json with its Node.js project moved to web/ and no root package.json
+function nestedFeatures() {
+  const features = corpus("vite.json");
+  const bd = features.build_and_dependency;
+  bd.projects = bd.projects.map((p) => ({ ...p, path: "web", manifest: "web/package.json", lockfile: "web/package-lock.json" }));
+  bd.node_metadata = { ...bd.node_metadata, path: "web", scripts: {} };
+  return features;
+}
+
+const stub = (answer) => ({ name: "stub", model: "canned", generate: async () => JSON.stringify(answer) });
+
+describe("commandScripts", () => {
+  it("takes the scripts of the project in working_directory", () => {
+    assert.deepEqual(Object.keys(commandScripts(nestedFeatures(), { working_directory: "web" })), ["build", "test", "lint"]);
+  });
+
+  it("has no scripts when no Node.js project runs in that directory", () => {
+    assert.deepEqual(commandScripts(nestedFeatures(), {}), {});
+  });
+});
+
+describe("adaptiveExtract", () => {
+  it("accepts overrides that run the nested project's scripts", async () => {
+    const values = await adaptiveExtract(nestedFeatures(), { chosen: ["node"], primary: "node" }, { provider: stub({ lint_command: "npm run lint && npm run build" }) });
+    assert.equal(values.working_directory, "web");
+    assert.equal(values.lint_command, "npm run lint && npm run build");
+    assert.deepEqual(values._llm.rejected, []);
+  });
+
+  it("rejects scripts the nested project does not declare", async () => {
+    const values = await adaptiveExtract(nestedFeatures(), { chosen: ["node"], primary: "node" }, { provider: stub({ lint_command: "npm run deploy" }) });
+    assert.equal(values._llm.rejected[0]?.field, "lint_command");
+  });
+});
@@ -0,0 +1,30 @@
+// test/pr.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { pushTarget } from "../src/modules/renderer/pr.js";
+
+const push = (ref, extra = {}) => ({ ref, after: "a1b2c3", repository: { default_branch: "main" }, ...extra });
+
+describe("pushTarget", () => {
+  it("analyzes the default branch at the pushed commit", () => {
+    assert.deepEqual(pushTarget(push("refs/heads/main"), {}), { ref: "a1b2c3", branch: "main" });
+  });
+
+  it("analyzes other branches only when PUSH_BRANCHES lists them", () => {
+    assert.match(pushTarget(push("refs/heads/develop"), {}).skip, /PUSH_BRANCHES/);
+    assert.equal(pushTarget(push("refs/heads/develop"), { PUSH_BRANCHES: "release, develop" }).branch, "develop");
+    assert.equal(pushTarget(push("refs/heads/feature/x"), { PUSH_BRANCHES: "*" }).branch, "feature/x");
+  });
+
+  it("skips pipeline-gen branches and deletions", () => {
+    assert.match(pushTarget(push("refs/heads/pipeline-gen/ci"), { PUSH_BRANCHES: "*" }).skip, /pipeline-gen/);
+    assert.match(pushTarget(push("refs/heads/main", { deleted: true }), {}).skip, /deleted/);
+  });
+
+  it("analyzes tags listed in PUSH_TAGS at the tagged commit, against the default branch", () => {
+    assert.match(pushTarget(push("refs/tags/v1.0.0"), {}).skip, /PUSH_TAGS/);
+    assert.deepEqual(pushTarget(push("refs/tags/v1.0.0"), { PUSH_TAGS: "v1.0.0" }), { ref: "a1b2c3", branch: null, tag: "v1.0.0" });
+    const annotated = push("refs/tags/v2.0.0", { after: "7a9f00", head_commit: { id: "d4e5f6" } });
+    assert.equal(pushTarget(annotated, { PUSH_TAGS: "*" }).ref, "d4e5f6");
+  });
+});
@@ -0,0 +1,32 @@
+// test/registry.test.js
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { ensureEcosystemPlugins, findEcosystem } from "../src/modules/ecosystems/registry.js";
+
+const PLUGIN = `export default {
+  name: "zig",
+  match: (files) => files.includes("build.zig"),
+  extractMetadata: () => ({}),
+  params: (features, base) => ({ ...base, project_type: "zig" }),
+};
+`;
+
+describe("ensureEcosystemPlugins", () => {
+  const dir = path.join(os.tmpdir(), `ecosystem-plugins-${process.pid}`);
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it("tries again after a failed load", async () => {
+    process.env.ECOSYSTEM_PLUGINS_DIR = dir;
+    await assert.rejects(ensureEcosystemPlugins(), { code: "ENOENT" });
+
+    await fs.mkdir(dir);
+    await fs.writeFile(path.join(dir, "zig.mjs"), PLUGIN);
+    await ensureEcosystemPlugins();
+    assert.equal(findEcosystem("zig")?.name, "zig");
+    // Loaded once: later calls share the result
+    assert.equal(ensureEcosystemPlugins(), ensureEcosystemPlugins());
+  });
+});